@@ -1,5 +1,5 @@
 // Enhanced service worker for PWA functionality
-const CACHE_VERSION = 'v4';
+const CACHE_VERSION = 'v6';
 const CACHE_NAME = `bb-chat-${CACHE_VERSION}`;
 const STATIC_CACHE = `bb-chat-static-${CACHE_VERSION}`;
 const DYNAMIC_CACHE = `bb-chat-dynamic-${CACHE_VERSION}`;
@@ -165,18 +165,61 @@ function handlePushEvent(event) {
   };
 
   event.waitUntil(
-    self.registration.showNotification(data.title || 'BB Chat', options)
-      .then(() => {
-        console.log('Server push notification shown successfully');
-      })
-      .catch(error => {
-        console.error('Failed to show server push notification:', error);
-        // Queue the notification if it fails
-        return addToNotificationQueue({ title: data.title, options });
-      })
+    Promise.all([
+      self.registration.showNotification(data.title || 'BB Chat', options)
+        .then(() => {
+          console.log('Server push notification shown successfully');
+        })
+        .catch(error => {
+          console.error('Failed to show server push notification:', error);
+          // Queue the notification if it fails
+          return addToNotificationQueue({ title: data.title, options });
+        }),
+      confirmDelivery(data.data?.deliveryToken),
+      setAppBadge(data.data?.badgeCount)
+    ])
   );
 }
 
+// Show the number of unread messages on the app icon (Badging API). 0 clears the badge.
+async function setAppBadge(count) {
+  if (typeof count !== 'number' || !('setAppBadge' in self.navigator)) {
+    return;
+  }
+
+  try {
+    if (count > 0) {
+      await self.navigator.setAppBadge(count);
+    } else {
+      await self.navigator.clearAppBadge();
+    }
+  } catch (error) {
+    console.error('Failed to update app badge:', error);
+  }
+}
+
+// Tell the server that the messages in a push notification reached this device. The API may be on
+// another origin, so use the base URL the app stored with the outbox credentials.
+async function confirmDelivery(deliveryToken) {
+  if (!deliveryToken) {
+    return;
+  }
+
+  try {
+    const credentials = await getOutboxCredentials();
+    const apiBaseUrl = credentials?.apiBaseUrl || self.location.origin;
+    await fetch(`${apiBaseUrl}/api/push-notifications/delivered`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ token: deliveryToken })
+    });
+  } catch (error) {
+    console.error('Failed to confirm push delivery:', error);
+  }
+}
+
 // Register push event listener
 self.addEventListener('push', handlePushEvent);
 
@@ -209,35 +252,75 @@ self.addEventListener('notificationclick', (event) => {
   );
 });
 
-// Helper function for syncing offline messages
+// Send the messages the app left in the offline outbox (see src/utils/outbox.js). The server
+// recognises retries by clientMessageId, so a message is removed only once it answered 200/201.
 async function syncOfflineMessages() {
   try {
-    // Get offline messages from IndexedDB or localStorage
+    const credentials = await getOutboxCredentials();
+    if (!credentials) {
+      return;
+    }
+
     const offlineMessages = await getOfflineMessages();
     
     for (const message of offlineMessages) {
+      // Only send the messages of the user the stored token belongs to
+      if (String(message.senderId) !== String(credentials.userId)) {
+        continue;
+      }
+
       try {
-        const response = await fetch('/api/messages', {
+        const response = await fetch(`${credentials.apiBaseUrl}/api/messages/${message.chatId}`, {
           method: 'POST',
           headers: {
             'Content-Type': 'application/json',
+            'Authorization': `Bearer ${credentials.token}`
           },
-          body: JSON.stringify(message)
+          body: JSON.stringify({
+            content: message.content,
+            messageType: message.messageType,
+            quotedMessageId: message.quotedMessage?.id || undefined,
+            threadParentId: message.threadParentId || undefined,
+            clientMessageId: message.clientMessageId
+          })
         });
         
         if (response.ok) {
           // Remove from offline storage
-          await removeOfflineMessage(message.id);
+          await removeOfflineMessage(message.clientMessageId);
+        } else if (response.status === 401) {
+          // Expired token: the app sends the rest once it is opened again
+          return;
+        } else if (response.status >= 400 && response.status < 500 && response.status !== 408 && response.status !== 429) {
+          // The server will never accept this message (e.g. its thread parent was deleted): drop it
+          // and tell open pages, which take it off their pending list
+          await removeOfflineMessage(message.clientMessageId);
+          const body = await response.json().catch(() => null);
+          await notifyOutboxMessageRejected(message.clientMessageId, body?.error || 'Message could not be sent');
         }
       } catch (error) {
         console.error('Failed to sync message:', error);
+        // Still offline: make the sync manager retry later
+        throw error;
       }
     }
   } catch (error) {
     console.error('Background sync failed:', error);
+    throw error;
   }
 }
 
+async function notifyOutboxMessageRejected(clientMessageId, error) {
+  const clients = await self.clients.matchAll({ type: 'window' });
+  clients.forEach((client) => {
+    client.postMessage({
+      type: 'OUTBOX_MESSAGE_REJECTED',
+      clientMessageId,
+      error
+    });
+  });
+}
+
 // iOS PWA fix: Notification queue for missed notifications
 const NOTIFICATION_QUEUE_KEY = 'bb-chat-notification-queue';
 const MAX_QUEUE_SIZE = 10;
@@ -371,17 +454,51 @@ async function processQueuedNotifications() {
   }
 }
 
-// Helper functions for offline message management
+// Helper functions for offline message management (the app's outbox database)
+function openOutboxDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open('BB-Chat-Outbox', 1);
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => resolve(request.result);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains('messages')) {
+        db.createObjectStore('messages', { keyPath: 'clientMessageId' });
+      }
+      if (!db.objectStoreNames.contains('auth')) {
+        db.createObjectStore('auth');
+      }
+    };
+  });
+}
+
+async function outboxRequest(storeName, mode, operation) {
+  const db = await openOutboxDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([storeName], mode);
+    const request = operation(transaction.objectStore(storeName));
+    transaction.oncomplete = () => {
+      db.close();
+      resolve(request.result);
+    };
+    transaction.onerror = () => {
+      db.close();
+      reject(transaction.error);
+    };
+  });
+}
+
+async function getOutboxCredentials() {
+  return outboxRequest('auth', 'readonly', (store) => store.get('credentials'));
+}
+
 async function getOfflineMessages() {
-  // This would typically use IndexedDB
-  // For now, return empty array
-  return [];
+  const messages = await outboxRequest('messages', 'readonly', (store) => store.getAll());
+  return (messages || []).sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
 }
 
-async function removeOfflineMessage(messageId) {
-  // This would typically use IndexedDB
-  // For now, do nothing
-  console.log('Removing offline message:', messageId);
+async function removeOfflineMessage(clientMessageId) {
+  await outboxRequest('messages', 'readwrite', (store) => store.delete(clientMessageId));
 }
 
 // Handle message events from the main thread
@@ -457,6 +574,11 @@ self.addEventListener('message', (event) => {
     );
   }
   
+  // The app's unread count changed
+  if (event.data && event.data.type === 'SET_BADGE') {
+    event.waitUntil(setAppBadge(event.data.count));
+  }
+  
   // iOS PWA fix: Handle app becoming active - process queued notifications
   if (event.data && event.data.type === 'APP_ACTIVE') {
     console.log('iOS PWA: App became active, processing queued notifications');
@@ -16,6 +16,7 @@ import './App.css';
 function ChatApp() {
   const { setCurrentChat: setSocketCurrentChat, socket } = useSocket();
   const [currentChat, setCurrentChat] = useState(null);
+  const [jumpToMessage, setJumpToMessage] = useState(null);
   const [showNotificationPrompt, setShowNotificationPrompt] = useState(false);
   
   // Service worker update handling
@@ -26,9 +27,11 @@ function ChatApp() {
     dismissUpdate 
   } = useServiceWorker();
 
-  const handleChatSelect = (chat) => {
+  // messageId is set when opening a chat at a specific message (e.g. from search)
+  const handleChatSelect = (chat, messageId = null) => {
     setCurrentChat(chat);
     setSocketCurrentChat(chat?.id || null);
+    setJumpToMessage(chat && messageId ? { chatId: chat.id, messageId } : null);
   };
 
   // Handle notification permission
@@ -91,6 +94,7 @@ function ChatApp() {
           {currentChat ? (
             <ChatWindow 
               chat={currentChat} 
+              jumpToMessage={jumpToMessage}
               onBack={() => {
                 setCurrentChat(null);
                 setSocketCurrentChat(null);
@@ -1,9 +1,18 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { useAuth } from '../contexts/AuthContext';
 import { useSocket } from '../contexts/SocketContext';
-import { LogOut, Search, Plus, MessageCircle, Trash2, Bell, BellOff } from 'lucide-react';
+import { LogOut, Search, Plus, MessageCircle, Trash2, Bell, BellOff, MonitorSmartphone, Eye, EyeOff, Moon, Star, Forward, UserX } from 'lucide-react';
 import { getApiUrl } from '../config/api';
+import { authFetch } from '../utils/authFetch';
+import { getAttachmentPreview } from '../utils/attachments';
+import { applyPresenceUpdate } from '../utils/presence';
+import { isChatMuted } from '../utils/notificationPreferences';
+import { updateAppBadge } from '../utils/appBadge';
 import NewChatModal from './NewChatModal';
+import SessionsModal from './SessionsModal';
+import NotificationSettingsModal from './NotificationSettingsModal';
+import MessageSearch from './MessageSearch';
+import StarredMessagesModal from './StarredMessagesModal';
 import VersionInfo from './VersionInfo';
 import './ChatList.css';
 
@@ -12,8 +21,12 @@ const ChatList = ({ onChatSelect, selectedChat }) => {
   const [loading, setLoading] = useState(true);
   const [searchTerm, setSearchTerm] = useState('');
   const [showNewChatModal, setShowNewChatModal] = useState(false);
-  const { user, logout } = useAuth();
-  const { socket, notificationPermission, requestNotificationPermission } = useSocket();
+  const [showSessionsModal, setShowSessionsModal] = useState(false);
+  const [showStarredMessages, setShowStarredMessages] = useState(false);
+  const [showNotificationSettings, setShowNotificationSettings] = useState(false);
+  const { user, logout, updatePrivacy } = useAuth();
+  const { socket, reconnectCount, notificationSettings, notificationPermission, requestNotificationPermission } = useSocket();
+  const selectedChatIdRef = useRef(null);
 
   const stripHtml = (html) => {
     const tmp = document.createElement('div');
@@ -23,11 +36,7 @@ const ChatList = ({ onChatSelect, selectedChat }) => {
 
   const fetchChats = useCallback(async () => {
     try {
-      const response = await fetch(getApiUrl('/api/chats'), {
-        headers: {
-          'Authorization': `Bearer ${localStorage.getItem('token')}`
-        }
-      });
+      const response = await authFetch(getApiUrl('/api/chats'));
       
       if (response.ok) {
         const data = await response.json();
@@ -45,14 +54,45 @@ const ChatList = ({ onChatSelect, selectedChat }) => {
     }
   }, []);
 
+  // Opening a chat reads it (the server confirms with unread-count-updated)
+  useEffect(() => {
+    selectedChatIdRef.current = selectedChat?.id ?? null;
+    if (selectedChat) {
+      setChats(prevChats => prevChats.map(chat => (
+        chat.id === selectedChat.id
+          ? { ...chat, unread_count: 0, first_unread_message_id: null, unread_mentions: 0 }
+          : chat
+      )));
+    }
+  }, [selectedChat?.id]);
+
   const handleNewMessage = useCallback((message) => {
+    // Messages in the chat on screen are read straight away
+    const unread = (message.user_id || message.sender_id) !== user?.id &&
+      (message.chat_id !== selectedChatIdRef.current || document.visibilityState !== 'visible');
+    const mentionsMe = unread && (message.mentions || []).some(mention => mention.user_id === user?.id);
+
+    // Thread replies aren't in the chat's message list, so only their mentions count; they leave the preview and order alone
+    if (message.thread_parent_id) {
+      if (mentionsMe) {
+        setChats(prevChats => prevChats.map(chat => chat.id === message.chat_id
+          ? { ...chat, unread_mentions: (chat.unread_mentions || 0) + 1 }
+          : chat
+        ));
+      }
+      return;
+    }
+
     setChats(prevChats => {
       const updatedChats = prevChats.map(chat => {
         if (chat.id === message.chat_id) {
           return {
             ...chat,
-            last_message: stripHtml(message.content),
+            last_message: getAttachmentPreview(message) || stripHtml(message.content),
             last_message_time: message.created_at,
+            unread_count: (chat.unread_count || 0) + (unread ? 1 : 0),
+            first_unread_message_id: chat.first_unread_message_id || (unread ? message.id : null),
+            unread_mentions: (chat.unread_mentions || 0) + (mentionsMe ? 1 : 0),
             // Ensure we have display_name for the chat
             display_name: chat.display_name || chat.name || `Chat ${chat.id}`
           };
@@ -69,30 +109,75 @@ const ChatList = ({ onChatSelect, selectedChat }) => {
       
       return updatedChats;
     });
-  }, []);
+  }, [user?.id]);
 
-  const handleNewChat = useCallback((data) => {
-    // Only handle if this is for the current user
-    if (data.participantId === user?.id) {
-      // Refresh the chat list to include the new chat
-      fetchChats();
+  const handleNewChat = useCallback(() => {
+    // Refresh the chat list to include the new chat
+    fetchChats();
+  }, [fetchChats]);
+
+  const handleParticipantRemoved = useCallback((data) => {
+    // Drop groups we were removed from or left on another device
+    if (data.userId === user?.id) {
+      setChats(prev => prev.filter(chat => chat.id !== data.chatId));
     }
-  }, [user?.id, fetchChats]);
+  }, [user?.id]);
+
+  // A chat was read here or on another device
+  const handleUnreadCountUpdated = useCallback((data) => {
+    setChats(prev => prev.map(chat => (
+      chat.id === data.chatId
+        ? {
+          ...chat,
+          unread_count: data.unreadCount,
+          first_unread_message_id: data.firstUnreadMessageId,
+          unread_mentions: data.unreadMentions
+        }
+        : chat
+    )));
+  }, []);
+
+  // Online status of the other user in direct chats
+  const handlePresenceUpdated = useCallback((data) => {
+    setChats(prev => prev.map(chat => (
+      chat.other_user_id === data.userId ? applyPresenceUpdate(chat, data) : chat
+    )));
+  }, []);
 
   useEffect(() => {
     fetchChats();
   }, [fetchChats]);
 
+  const totalUnreadCount = chats.reduce((total, chat) => total + (chat.unread_count || 0), 0);
+  useEffect(() => {
+    if (!loading) {
+      updateAppBadge(totalUnreadCount);
+    }
+  }, [loading, totalUnreadCount]);
+
+  // Catch up on last messages and chats we may have missed while disconnected
+  useEffect(() => {
+    if (reconnectCount > 0) {
+      fetchChats();
+    }
+  }, [reconnectCount, fetchChats]);
+
   useEffect(() => {
     if (socket) {
       socket.on('new-message', handleNewMessage);
       socket.on('new-chat', handleNewChat);
+      socket.on('participant-removed', handleParticipantRemoved);
+      socket.on('presence-updated', handlePresenceUpdated);
+      socket.on('unread-count-updated', handleUnreadCountUpdated);
       return () => {
         socket.off('new-message', handleNewMessage);
         socket.off('new-chat', handleNewChat);
+        socket.off('participant-removed', handleParticipantRemoved);
+        socket.off('presence-updated', handlePresenceUpdated);
+        socket.off('unread-count-updated', handleUnreadCountUpdated);
       };
     }
-  }, [socket, user?.id, handleNewMessage, handleNewChat]);
+  }, [socket, user?.id, handleNewMessage, handleNewChat, handleParticipantRemoved, handlePresenceUpdated, handleUnreadCountUpdated]);
 
   const createChat = async (type, participantUsernames, groupName) => {
     try {
@@ -107,11 +192,10 @@ const ChatList = ({ onChatSelect, selectedChat }) => {
         requestBody.name = groupName || 'New Group';
       }
 
-      const response = await fetch(getApiUrl('/api/chats'), {
+      const response = await authFetch(getApiUrl('/api/chats'), {
         method: 'POST',
         headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${localStorage.getItem('token')}`
+          'Content-Type': 'application/json'
         },
         body: JSON.stringify(requestBody)
       });
@@ -143,11 +227,8 @@ const ChatList = ({ onChatSelect, selectedChat }) => {
 
   const leaveChat = async (chatId) => {
     try {
-      const response = await fetch(getApiUrl(`/api/chats/${chatId}/leave`), {
-        method: 'DELETE',
-        headers: {
-          'Authorization': `Bearer ${localStorage.getItem('token')}`
-        }
+      const response = await authFetch(getApiUrl(`/api/chats/${chatId}/leave`), {
+        method: 'DELETE'
       });
 
       if (response.ok) {
@@ -169,11 +250,8 @@ const ChatList = ({ onChatSelect, selectedChat }) => {
 
   const deleteChat = async (chatId) => {
     try {
-      const response = await fetch(getApiUrl(`/api/chats/${chatId}`), {
-        method: 'DELETE',
-        headers: {
-          'Authorization': `Bearer ${localStorage.getItem('token')}`
-        }
+      const response = await authFetch(getApiUrl(`/api/chats/${chatId}`), {
+        method: 'DELETE'
       });
 
       if (response.ok) {
@@ -197,6 +275,17 @@ const ChatList = ({ onChatSelect, selectedChat }) => {
     chat.display_name.toLowerCase().includes(searchTerm.toLowerCase())
   );
 
+  // Message search kicks in once the query is long enough to be useful
+  const isSearchingMessages = searchTerm.trim().length >= 2;
+
+  // Open a chat at a message found by search or in the starred messages
+  const handleSearchResultSelect = (result) => {
+    const chat = chats.find(c => c.id === result.chat_id);
+    if (chat) {
+      onChatSelect(chat, result.id);
+    }
+  };
+
   const formatTime = (timestamp) => {
     if (!timestamp) return '';
     const date = new Date(timestamp);
@@ -242,7 +331,7 @@ const ChatList = ({ onChatSelect, selectedChat }) => {
           </div>
           <div className="user-details">
             <h3>{user?.displayName || user?.username || 'User'}</h3>
-            <p>Online</p>
+            <p>{user?.showPresence === false ? 'Online status hidden' : 'Online'}</p>
           </div>
         </div>
         <div className="header-actions">
@@ -273,6 +362,31 @@ const ChatList = ({ onChatSelect, selectedChat }) => {
               🔔
             </button>
           )}
+          <button
+            className="logout-button"
+            onClick={() => updatePrivacy({ showPresence: user?.showPresence === false })}
+            title={user?.showPresence === false ? 'Show my online status' : 'Hide my online status'}
+          >
+            {user?.showPresence === false ? <EyeOff size={20} /> : <Eye size={20} />}
+          </button>
+          <button
+            className="logout-button"
+            onClick={() => updatePrivacy({ showForwardSource: user?.showForwardSource === false })}
+            title={user?.showForwardSource === false
+              ? 'Show my name on messages others forward'
+              : 'Hide my name on messages others forward'}
+          >
+            {user?.showForwardSource === false ? <UserX size={20} /> : <Forward size={20} />}
+          </button>
+          <button className="logout-button" onClick={() => setShowStarredMessages(true)} title="Starred messages">
+            <Star size={20} />
+          </button>
+          <button className="logout-button" onClick={() => setShowNotificationSettings(true)} title="Quiet hours">
+            <Moon size={20} />
+          </button>
+          <button className="logout-button" onClick={() => setShowSessionsModal(true)} title="Active sessions">
+            <MonitorSmartphone size={20} />
+          </button>
           <button className="logout-button" onClick={logout} title="Logout">
             <LogOut size={20} />
           </button>
@@ -284,7 +398,7 @@ const ChatList = ({ onChatSelect, selectedChat }) => {
           <Search size={18} className="search-icon" />
           <input
             type="text"
-            placeholder="Search chats..."
+            placeholder="Search chats and messages..."
             value={searchTerm}
             onChange={(e) => setSearchTerm(e.target.value)}
             className="search-input"
@@ -300,7 +414,7 @@ const ChatList = ({ onChatSelect, selectedChat }) => {
       </div>
 
       <div className="chats-container">
-        {filteredChats.length === 0 ? (
+        {filteredChats.length === 0 && !isSearchingMessages ? (
           <div className="no-chats">
             <MessageCircle size={48} className="no-chats-icon" />
             <p>No chats found</p>
@@ -322,15 +436,33 @@ const ChatList = ({ onChatSelect, selectedChat }) => {
                   ) : (
                     chat.display_name?.charAt(0)?.toUpperCase() || 'C'
                   )}
+                  {chat.is_online && <span className="presence-dot" title="Online" />}
                 </div>
                 <div className="chat-info">
                   <div className="chat-header">
-                    <h4 className="chat-name">{chat.display_name}</h4>
+                    <h4 className="chat-name">
+                      {chat.display_name}
+                      {isChatMuted(notificationSettings.chats[chat.id]) && (
+                        <BellOff size={14} className="chat-muted-icon" aria-label="Muted" />
+                      )}
+                    </h4>
                     <span className="chat-time">{formatTime(chat.last_message_time)}</span>
                   </div>
-                  <p className="chat-preview">
-                    {chat.last_message || 'No messages yet'}
-                  </p>
+                  <div className="chat-preview-row">
+                    <p className="chat-preview">
+                      {chat.last_message || 'No messages yet'}
+                    </p>
+                    {chat.unread_mentions > 0 && (
+                      <span className="chat-mention-badge" title={`${chat.unread_mentions} unread mention${chat.unread_mentions === 1 ? '' : 's'}`}>
+                        @
+                      </span>
+                    )}
+                    {chat.unread_count > 0 && (
+                      <span className="chat-unread-badge" title={`${chat.unread_count} unread message${chat.unread_count === 1 ? '' : 's'}`}>
+                        {chat.unread_count > 99 ? '99+' : chat.unread_count}
+                      </span>
+                    )}
+                  </div>
                 </div>
               </div>
               <button
@@ -355,6 +487,13 @@ const ChatList = ({ onChatSelect, selectedChat }) => {
             </div>
           ))
         )}
+        {isSearchingMessages && (
+          <MessageSearch
+            query={searchTerm}
+            chats={chats}
+            onResultSelect={handleSearchResultSelect}
+          />
+        )}
       </div>
 
       <NewChatModal
@@ -362,6 +501,22 @@ const ChatList = ({ onChatSelect, selectedChat }) => {
         onClose={() => setShowNewChatModal(false)}
         onCreateChat={createChat}
       />
+
+      <StarredMessagesModal
+        isOpen={showStarredMessages}
+        onClose={() => setShowStarredMessages(false)}
+        onMessageSelect={handleSearchResultSelect}
+      />
+
+      <SessionsModal
+        isOpen={showSessionsModal}
+        onClose={() => setShowSessionsModal(false)}
+      />
+
+      <NotificationSettingsModal
+        isOpen={showNotificationSettings}
+        onClose={() => setShowNotificationSettings(false)}
+      />
       
       <VersionInfo />
     </div>
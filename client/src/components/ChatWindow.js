@@ -1,21 +1,62 @@
 import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
 import { useSocket } from '../contexts/SocketContext';
 import { useAuth } from '../contexts/AuthContext';
-import { ArrowLeft, Send, MoreVertical, LogOut, Trash2, Image as ImageIcon, X, Check, CheckCheck, Edit2, Save, Trash } from 'lucide-react';
+import { ArrowLeft, Send, MoreVertical, LogOut, Trash2, Image as ImageIcon, X, Check, CheckCheck, Edit2, Save, Trash, Users, ArrowDown, Paperclip, Info, Clock, Bell, MessageSquare, Pin, PinOff, Star, StarOff, Forward } from 'lucide-react';
 import ReactQuill from 'react-quill';
 import 'react-quill/dist/quill.snow.css';
 import { getApiUrl } from '../config/api';
+import { authFetch } from '../utils/authFetch';
+import { getMessageImage } from '../utils/attachments';
+import { formatPresence, applyPresenceUpdate } from '../utils/presence';
+import { mergeMessageChanges, applyQuotedMessageEdit, applyQuotedMessageDeletion } from '../utils/messageSync';
+import { getMentionQuery, highlightMentions, insertMention } from '../utils/mentions';
+import { formatMessageContent } from '../utils/messageContent';
+import { createClientMessageId } from '../utils/outbox';
+import GroupSettingsModal from './GroupSettingsModal';
+import NotificationSettingsModal from './NotificationSettingsModal';
+import FileAttachmentCard from './FileAttachmentCard';
+import MessageImage from './MessageImage';
+import MessageInfoModal from './MessageInfoModal';
+import MessageHistoryModal from './MessageHistoryModal';
+import DeleteMessageModal from './DeleteMessageModal';
+import PinnedBanner from './PinnedBanner';
+import PinnedMessagesModal from './PinnedMessagesModal';
+import ForwardMessageModal from './ForwardMessageModal';
+import ThreadPanel from './ThreadPanel';
 import './ChatWindow.css';
 
 let touchOngoing = false;
 
-const ChatWindow = ({ chat, onBack }) => {
+// Matches the server's default IMAGE_UPLOAD_MAX_MB
+const MAX_IMAGE_UPLOAD_BYTES = 20 * 1024 * 1024;
+// Pages of 100 changes to apply after a reconnect before reloading the chat instead
+const MAX_RESYNC_PAGES = 5;
+const MAX_MENTION_SUGGESTIONS = 5;
+
+const ChatWindow = ({ chat, onBack, jumpToMessage }) => {
   const [messages, setMessages] = useState([]);
   const [newMessage, setNewMessage] = useState('');
   const [loading, setLoading] = useState(true);
   const [typingUsers, setTypingUsers] = useState([]);
   const [showMenu, setShowMenu] = useState(false);
+  const [showGroupSettings, setShowGroupSettings] = useState(false);
+  const [showNotificationSettings, setShowNotificationSettings] = useState(false);
+  const [infoMessage, setInfoMessage] = useState(null);
+  const [threadMessage, setThreadMessage] = useState(null);
+  const [historyMessage, setHistoryMessage] = useState(null);
+  const [deletingMessage, setDeletingMessage] = useState(null);
+  const [pins, setPins] = useState([]);
+  const [showPinnedMessages, setShowPinnedMessages] = useState(false);
+  // Ids of the messages picked for forwarding, or null when not picking
+  const [selectedMessageIds, setSelectedMessageIds] = useState(null);
+  const [forwardingMessages, setForwardingMessages] = useState(null);
+  const [presence, setPresence] = useState({ is_online: chat.is_online, last_seen_at: chat.last_seen_at });
+  const [highlightedMessageId, setHighlightedMessageId] = useState(null);
+  const [hasNewerMessages, setHasNewerMessages] = useState(false);
+  const [hasOlderMessages, setHasOlderMessages] = useState(false);
+  const [loadingOlder, setLoadingOlder] = useState(false);
   const [uploadingImage, setUploadingImage] = useState(false);
+  const [uploadingFile, setUploadingFile] = useState(false);
   const [quotedMessage, setQuotedMessage] = useState(null);
   const [swipeStartX, setSwipeStartX] = useState(null);
   const [swipeStartY, setSwipeStartY] = useState(null);
@@ -34,28 +75,58 @@ const ChatWindow = ({ chat, onBack }) => {
   const lastEventTime = useRef(0);
   const tapTimeoutRef = useRef(null);
   const messagesEndRef = useRef(null);
+  const messagesContainerRef = useRef(null);
+  // How to adjust the scroll position after the next messages update, instead of smooth
+  // scrolling to the bottom: { type: 'message', id }, { type: 'bottom' } (jump without
+  // animating), { type: 'preserve', scrollHeight, scrollTop } or { type: 'none' }
+  const pendingScrollRef = useRef(null);
+  // Guards against loading the same page twice while scrolling
+  const loadingPageRef = useRef(false);
+  // Mirrors hasNewerMessages for socket handlers registered in earlier renders
+  const hasNewerMessagesRef = useRef(false);
+  // Change sequence number of the chat when messages were last loaded (see resyncMessages)
+  const syncSeqRef = useRef(null);
+  const scrollToUnreadRef = useRef(false);
   const typingTimeoutRef = useRef(null);
   const menuRef = useRef(null);
   const fileInputRef = useRef(null);
+  const documentInputRef = useRef(null);
   const quillRef = useRef(null);
-  const canvasRef = useRef(null);
   const textareaRef = useRef(null);
   const [inputValue, setInputValue] = useState('');
-  const { socket, sendMessage, startTyping, stopTyping, editMessage, deleteMessage } = useSocket();
+  const [participants, setParticipants] = useState([]);
+  const [mentionQuery, setMentionQuery] = useState(null);
+  const [selectedSuggestion, setSelectedSuggestion] = useState(0);
+  // Where the unread messages started when the chat was opened
+  const [unreadDivider, setUnreadDivider] = useState(null);
+  const { socket, reconnectCount, sendMessage, pendingMessages, startTyping, stopTyping, editMessage, deleteMessage } = useSocket();
   const { user } = useAuth();
 
-  const fetchMessages = useCallback(async () => {
+  // Load the latest messages, or the messages around aroundMessageId (e.g. a search result)
+  const fetchMessages = useCallback(async (aroundMessageId = null) => {
     try {
-      const response = await fetch(getApiUrl(`/api/messages/${chat.id}`), {
-        headers: {
-          'Authorization': `Bearer ${localStorage.getItem('token')}`
-        }
-      });
+      const query = aroundMessageId ? `?around=${aroundMessageId}` : '';
+      const response = await authFetch(getApiUrl(`/api/messages/${chat.id}${query}`));
       
       if (response.ok) {
         const data = await response.json();
         console.log('Fetched messages with reactions:', data.messages);
+        const hasNewer = Boolean(data.pagination?.hasNewer);
+        hasNewerMessagesRef.current = hasNewer;
+        setHasNewerMessages(hasNewer);
+        setHasOlderMessages(Boolean(data.pagination?.hasMore));
+        // A thread reply is shown in its thread, next to the message it replies to
+        const anchorId = data.pagination?.around || null;
+        pendingScrollRef.current = anchorId ? { type: 'message', id: anchorId } : { type: 'bottom' };
+        setHighlightedMessageId(anchorId);
+        syncSeqRef.current = data.syncSeq;
         setMessages(data.messages);
+        if (data.pagination?.threadReplyId) {
+          setThreadMessage(data.messages.find(message => message.id === anchorId) || null);
+        }
+      } else if (response.status === 404 && aroundMessageId) {
+        // The message is gone (e.g. deleted) - fall back to the latest messages
+        fetchMessages();
       } else if (response.status === 404 || response.status === 403) {
         // Chat not found or access denied - redirect back to chat list
         console.log('Chat not found or access denied, redirecting...');
@@ -68,11 +139,137 @@ const ChatWindow = ({ chat, onBack }) => {
     }
   }, [chat?.id, onBack]);
 
+  // After a reconnect, apply the messages created, edited or deleted while we were disconnected.
+  // Falls back to reloading the latest messages when too much has changed.
+  const resyncMessages = useCallback(async () => {
+    if (syncSeqRef.current === null) return;
+
+    let since = syncSeqRef.current;
+    const changedMessages = [];
+    const deletedMessageIds = [];
+
+    try {
+      for (let page = 0; ; page++) {
+        if (page === MAX_RESYNC_PAGES) {
+          fetchMessages();
+          return;
+        }
+
+        const response = await authFetch(getApiUrl(`/api/messages/${chat.id}?since=${since}&limit=100`));
+        if (!response.ok) return;
+
+        const data = await response.json();
+        changedMessages.push(...data.messages);
+        deletedMessageIds.push(...data.deletedMessageIds);
+        since = data.syncSeq;
+        if (!data.pagination.hasMore) break;
+      }
+    } catch (error) {
+      console.error('Error resyncing messages:', error);
+      return;
+    }
+
+    syncSeqRef.current = since;
+    pendingScrollRef.current = { type: 'none' };
+    // Thread replies are loaded by the thread panel; their parents come back with a new summary
+    const mainMessages = changedMessages.filter(message => !message.thread_parent_id);
+    setMessages(prev => mergeMessageChanges(prev, mainMessages, deletedMessageIds, {
+      appendNew: !hasNewerMessagesRef.current
+    }));
+
+    if (mainMessages.some(message => message.sender_id !== user?.id) && document.visibilityState === 'visible') {
+      socket?.emit('mark-chat-read', { chatId: chat.id });
+    }
+  }, [chat?.id, fetchMessages, socket, user?.id]);
+
+  useEffect(() => {
+    if (reconnectCount > 0) {
+      resyncMessages();
+    }
+    // Only on reconnect, not when resyncMessages changes with the chat
+  }, [reconnectCount]);
+
+  // Load the next page of messages before the oldest loaded message ('older') or after the
+  // newest loaded message ('newer', only when viewing older context)
+  const fetchMessagePage = useCallback(async (direction) => {
+    if (loadingPageRef.current || messages.length === 0) return;
+
+    const cursor = direction === 'older'
+      ? `before=${messages[0].id}`
+      : `after=${messages[messages.length - 1].id}`;
+
+    loadingPageRef.current = true;
+    if (direction === 'older') {
+      setLoadingOlder(true);
+    }
+
+    try {
+      const response = await authFetch(getApiUrl(`/api/messages/${chat.id}?${cursor}`));
+
+      if (response.ok) {
+        const data = await response.json();
+        const container = messagesContainerRef.current;
+
+        if (direction === 'older') {
+          // Keep the messages on screen in place while older ones are added above
+          pendingScrollRef.current = container
+            ? { type: 'preserve', scrollHeight: container.scrollHeight, scrollTop: container.scrollTop }
+            : null;
+          setHasOlderMessages(data.pagination.hasMore);
+          setMessages(prev => [
+            ...data.messages.filter(m => !prev.some(existing => existing.id === m.id)),
+            ...prev
+          ]);
+        } else {
+          pendingScrollRef.current = { type: 'none' };
+          hasNewerMessagesRef.current = data.pagination.hasNewer;
+          setHasNewerMessages(data.pagination.hasNewer);
+          setMessages(prev => [
+            ...prev,
+            ...data.messages.filter(m => !prev.some(existing => existing.id === m.id))
+          ]);
+        }
+      }
+    } catch (error) {
+      console.error('Error fetching more messages:', error);
+    } finally {
+      loadingPageRef.current = false;
+      setLoadingOlder(false);
+    }
+  }, [chat?.id, messages]);
+
+  const handleMessagesScroll = () => {
+    const container = messagesContainerRef.current;
+    if (!container) return;
+
+    if (hasOlderMessages && container.scrollTop < 100) {
+      fetchMessagePage('older');
+    } else if (hasNewerMessages && container.scrollHeight - container.scrollTop - container.clientHeight < 100) {
+      fetchMessagePage('newer');
+    }
+  };
+
+  // Scroll to a message (e.g. a quoted one), loading the messages around it if needed
+  const scrollToMessage = (messageId) => {
+    const element = document.getElementById(`message-${messageId}`);
+    if (element) {
+      element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+      setHighlightedMessageId(messageId);
+    } else {
+      fetchMessages(messageId);
+    }
+  };
+
   const handleNewMessage = (message) => {
     // Only handle messages for the current chat - compare as strings to avoid type mismatch
     if (String(message.chat_id) !== String(chat.id)) {
       return;
     }
+
+    // Thread replies only show up in the thread panel; the parent's summary follows from thread-updated
+    if (message.thread_parent_id) {
+      return;
+    }
     
     // Normalize message structure - Socket.IO uses user_id, API uses sender_id
     const normalizedMessage = {
@@ -80,7 +277,24 @@ const ChatWindow = ({ chat, onBack }) => {
       sender_id: message.user_id || message.sender_id,
       sender_name: message.sender_name || message.username
     };
-    setMessages(prev => [...prev, normalizedMessage]);
+
+    // Viewing older context: newer messages aren't loaded, so don't append after the gap
+    if (hasNewerMessagesRef.current) {
+      if (normalizedMessage.sender_id === user?.id) {
+        fetchMessages();
+      }
+      return;
+    }
+
+    // A resync after reconnecting may already have added it
+    setMessages(prev => prev.some(message => message.id === normalizedMessage.id)
+      ? prev
+      : [...prev, normalizedMessage]);
+
+    // We're looking at the chat, so the message has been read
+    if (normalizedMessage.sender_id !== user?.id && document.visibilityState === 'visible') {
+      socket?.emit('mark-chat-read', { chatId: chat.id });
+    }
   };
 
   const handleUserTyping = useCallback((data) => {
@@ -102,9 +316,30 @@ const ChatWindow = ({ chat, onBack }) => {
 
   useEffect(() => {
     if (chat) {
-      fetchMessages();
+      fetchMessages(jumpToMessage?.chatId === chat.id ? jumpToMessage.messageId : null);
     }
-  }, [chat, fetchMessages]);
+  }, [chat, jumpToMessage, fetchMessages]);
+
+  // The chat list tells us what was unread before opening the chat marks it read
+  useEffect(() => {
+    setUnreadDivider(chat.first_unread_message_id
+      ? { messageId: chat.first_unread_message_id, count: chat.unread_count }
+      : null);
+    scrollToUnreadRef.current = Boolean(chat.first_unread_message_id);
+  }, [chat?.id]);
+
+  // A thread belongs to the chat it was opened in, and so does a selection of messages to forward
+  useEffect(() => {
+    setThreadMessage(null);
+    setSelectedMessageIds(null);
+  }, [chat?.id]);
+
+  // Fade out the highlight on a jumped-to message
+  useEffect(() => {
+    if (!highlightedMessageId) return;
+    const timer = setTimeout(() => setHighlightedMessageId(null), 2500);
+    return () => clearTimeout(timer);
+  }, [highlightedMessageId]);
 
   // Detect touch device and handle touch events globally
   useEffect(() => {
@@ -168,16 +403,159 @@ const ChatWindow = ({ chat, onBack }) => {
     console.log('Message edited received:', data);
     setMessages(prev => prev.map(message => 
       message.id === data.id 
-        ? { ...message, content: data.content, edited: data.edited, edited_at: data.edited_at }
-        : message
+        ? { ...message, content: data.content, edited: data.edited, edited_at: data.edited_at, mentions: data.mentions }
+        : applyQuotedMessageEdit(message, data)
     ));
   }, []);
 
+  // Deleted for everyone: the message stays in place as a tombstone
   const handleMessageDeleted = useCallback((data) => {
     console.log('Message deleted received:', data);
-    setMessages(prev => prev.filter(message => message.id !== data.messageId));
+    const toTombstone = (message) => String(message.id) === String(data.messageId)
+      ? { ...message, deleted: true, deleted_at: data.deletedAt, content: '', image_data: null, attachment: null, reactions: [], mentions: [], quotedMessage: null, starred: false }
+      : applyQuotedMessageDeletion(message, data.messageId);
+    setMessages(prev => prev.map(toTombstone));
+    setThreadMessage(prev => prev && toTombstone(prev));
+  }, []);
+
+  // Deleted for us only (possibly on another device)
+  const handleMessageHidden = useCallback((data) => {
+    setMessages(prev => prev.filter(message => String(message.id) !== String(data.messageId)));
+    setThreadMessage(prev => prev && String(prev.id) === String(data.messageId) ? null : prev);
+  }, []);
+
+  const handleThreadUpdated = useCallback((data) => {
+    const update = (message) => message.id === data.messageId
+      ? { ...message, thread_reply_count: data.threadReplyCount, thread_last_reply: data.threadLastReply }
+      : message;
+    setMessages(prev => prev.map(update));
+    setThreadMessage(prev => prev && update(prev));
+  }, []);
+
+  // Messages that arrived while the tab was hidden are read once it's visible again
+  useEffect(() => {
+    if (!socket) return;
+
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === 'visible') {
+        socket.emit('mark-chat-read', { chatId: chat.id });
+      }
+    };
+
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    return () => {
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+    };
+  }, [socket, chat?.id]);
+
+  // Online status of the other user in a direct chat
+  useEffect(() => {
+    setPresence({ is_online: chat.is_online, last_seen_at: chat.last_seen_at });
+  }, [chat?.id]);
+
+  const handlePresenceUpdated = useCallback((data) => {
+    if (chat.other_user_id && data.userId === chat.other_user_id) {
+      setPresence(prev => applyPresenceUpdate(prev, data));
+    }
+  }, [chat?.other_user_id]);
+
+  // Participants that can be @mentioned
+  useEffect(() => {
+    setParticipants([]);
+    authFetch(getApiUrl(`/api/chats/${chat.id}`))
+      .then(response => (response.ok ? response.json() : null))
+      .then(data => {
+        if (data) {
+          setParticipants(data.participants);
+        }
+      })
+      .catch(error => console.error('Error fetching participants:', error));
+  }, [chat?.id]);
+
+  // Pinned messages, reloaded after a reconnect in case they changed meanwhile
+  const fetchPins = useCallback(async () => {
+    try {
+      const response = await authFetch(getApiUrl(`/api/chats/${chat.id}/pins`));
+
+      if (response.ok) {
+        const data = await response.json();
+        setPins(data.pins);
+      }
+    } catch (error) {
+      console.error('Error fetching pinned messages:', error);
+    }
+  }, [chat?.id]);
+
+  useEffect(() => {
+    setPins([]);
+    fetchPins();
+  }, [fetchPins]);
+
+  useEffect(() => {
+    if (reconnectCount > 0) {
+      fetchPins();
+    }
+  }, [reconnectCount]);
+
+  const handleMessagePinned = useCallback((data) => {
+    if (String(data.chatId) !== String(chat.id)) return;
+    setPins(prev => [...prev.filter(pin => pin.message_id !== data.pin.message_id), data.pin]
+      .sort((a, b) => a.position - b.position));
+  }, [chat?.id]);
+
+  const handleMessageUnpinned = useCallback((data) => {
+    if (String(data.chatId) !== String(chat.id)) return;
+    setPins(prev => prev.filter(pin => pin.message_id !== data.messageId));
+  }, [chat?.id]);
+
+  const handlePinsReordered = useCallback((data) => {
+    if (String(data.chatId) !== String(chat.id)) return;
+    setPins(prev => data.messageIds
+      .map((messageId, index) => {
+        const pin = prev.find(existing => existing.message_id === messageId);
+        return pin && { ...pin, position: index + 1 };
+      })
+      .filter(Boolean));
+  }, [chat?.id]);
+
+  // Starred or unstarred on this or another device
+  const handleMessageStarred = useCallback((data) => {
+    setMessages(prev => prev.map(message => (
+      String(message.id) === String(data.messageId) ? { ...message, starred: true } : message
+    )));
   }, []);
 
+  const handleMessageUnstarred = useCallback((data) => {
+    setMessages(prev => prev.map(message => (
+      String(message.id) === String(data.messageId) ? { ...message, starred: false } : message
+    )));
+  }, []);
+
+  // Roles decide who can pin messages in a group
+  const handleParticipantRoleUpdated = useCallback((data) => {
+    if (String(data.chatId) !== String(chat.id)) return;
+    setParticipants(prev => prev.map(p => (p.id === data.userId ? { ...p, role: data.role } : p)));
+  }, [chat?.id]);
+
+  const handleParticipantsAdded = useCallback((data) => {
+    if (String(data.chatId) === String(chat.id)) {
+      setParticipants(prev => [
+        ...prev,
+        ...data.participants.filter(p => !prev.some(existing => existing.id === p.id))
+      ]);
+    }
+  }, [chat?.id]);
+
+  // Leave the chat view if we were removed from this group
+  const handleParticipantRemoved = useCallback((data) => {
+    if (String(data.chatId) !== String(chat.id)) return;
+    if (data.userId === user?.id) {
+      onBack();
+    } else {
+      setParticipants(prev => prev.filter(p => p.id !== data.userId));
+    }
+  }, [chat?.id, user?.id, onBack]);
+
   useEffect(() => {
     if (socket) {
       socket.on('new-message', handleNewMessage);
@@ -187,6 +565,17 @@ const ChatWindow = ({ chat, onBack }) => {
       socket.on('message-status-updated', handleStatusUpdate);
       socket.on('message-edited', handleMessageEdited);
       socket.on('message-deleted', handleMessageDeleted);
+      socket.on('message-hidden', handleMessageHidden);
+      socket.on('message-pinned', handleMessagePinned);
+      socket.on('message-unpinned', handleMessageUnpinned);
+      socket.on('pins-reordered', handlePinsReordered);
+      socket.on('message-starred', handleMessageStarred);
+      socket.on('message-unstarred', handleMessageUnstarred);
+      socket.on('participant-role-updated', handleParticipantRoleUpdated);
+      socket.on('thread-updated', handleThreadUpdated);
+      socket.on('participants-added', handleParticipantsAdded);
+      socket.on('participant-removed', handleParticipantRemoved);
+      socket.on('presence-updated', handlePresenceUpdated);
 
       return () => {
         socket.off('new-message', handleNewMessage);
@@ -196,9 +585,20 @@ const ChatWindow = ({ chat, onBack }) => {
         socket.off('message-status-updated', handleStatusUpdate);
         socket.off('message-edited', handleMessageEdited);
         socket.off('message-deleted', handleMessageDeleted);
+        socket.off('message-hidden', handleMessageHidden);
+        socket.off('message-pinned', handleMessagePinned);
+        socket.off('message-unpinned', handleMessageUnpinned);
+        socket.off('pins-reordered', handlePinsReordered);
+        socket.off('message-starred', handleMessageStarred);
+        socket.off('message-unstarred', handleMessageUnstarred);
+        socket.off('participant-role-updated', handleParticipantRoleUpdated);
+        socket.off('thread-updated', handleThreadUpdated);
+        socket.off('participants-added', handleParticipantsAdded);
+        socket.off('participant-removed', handleParticipantRemoved);
+        socket.off('presence-updated', handlePresenceUpdated);
       };
     }
-  }, [socket, handleUserTyping, handleUserStoppedTyping, handleReactionUpdate, handleStatusUpdate, handleMessageEdited, handleMessageDeleted]);
+  }, [socket, handleUserTyping, handleUserStoppedTyping, handleReactionUpdate, handleStatusUpdate, handleMessageEdited, handleMessageDeleted, handleMessageHidden, handleMessagePinned, handleMessageUnpinned, handlePinsReordered, handleMessageStarred, handleMessageUnstarred, handleParticipantRoleUpdated, handleParticipantsAdded, handleParticipantRemoved, handlePresenceUpdated]);
 
   // Configure Quill editor for better iOS compatibility
   useEffect(() => {
@@ -220,7 +620,33 @@ const ChatWindow = ({ chat, onBack }) => {
   }, []);
 
   useEffect(() => {
-    scrollToBottom();
+    const pendingScroll = pendingScrollRef.current;
+    pendingScrollRef.current = null;
+
+    // The first load of a chat starts where we left off
+    const unreadDividerElement = pendingScroll?.type === 'bottom' && scrollToUnreadRef.current &&
+      document.getElementById('unread-divider');
+    if (pendingScroll) {
+      scrollToUnreadRef.current = false;
+    }
+
+    if (pendingScroll?.type === 'message') {
+      document.getElementById(`message-${pendingScroll.id}`)?.scrollIntoView({ block: 'center' });
+    } else if (unreadDividerElement) {
+      unreadDividerElement.scrollIntoView({ block: 'start' });
+    } else if (pendingScroll?.type === 'bottom') {
+      const container = messagesContainerRef.current;
+      if (container) {
+        container.scrollTop = container.scrollHeight;
+      }
+    } else if (pendingScroll?.type === 'preserve') {
+      const container = messagesContainerRef.current;
+      if (container) {
+        container.scrollTop = container.scrollHeight - pendingScroll.scrollHeight + pendingScroll.scrollTop;
+      }
+    } else if (!pendingScroll && !hasNewerMessagesRef.current) {
+      scrollToBottom();
+    }
   }, [messages]);
 
 
@@ -272,34 +698,6 @@ const ChatWindow = ({ chat, onBack }) => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
   };
 
-  // Auto-detect and convert links to clickable elements
-  const detectAndConvertLinks = (text) => {
-    if (!text) return text;
-    
-    // URL regex pattern - matches http, https, www, and common domains
-    const urlRegex = /(https?:\/\/[^\s]+|www\.[^\s]+|[a-zA-Z0-9][a-zA-Z0-9-]{1,61}[a-zA-Z0-9]\.[a-zA-Z]{2,})/g;
-    
-    return text.replace(urlRegex, (url) => {
-      // Add protocol if missing
-      const fullUrl = url.startsWith('http') ? url : `https://${url}`;
-      return `<a href="${fullUrl}" target="_blank" rel="noopener noreferrer" class="message-link">${url}</a>`;
-    });
-  };
-
-  // Format message content with link detection
-  const formatMessageContent = (content) => {
-    if (!content) return '';
-    
-    // If content is already HTML (from previous messages), return as is
-    if (content.includes('<') && content.includes('>')) {
-      return content;
-    }
-    
-    // Convert newlines to <br> and detect links
-    return detectAndConvertLinks(content)
-      .replace(/\n/g, '<br>');
-  };
-
   const handleSendMessage = useCallback((e) => {
     if (e) {
       e.preventDefault();
@@ -321,6 +719,7 @@ const ChatWindow = ({ chat, onBack }) => {
       // Clear input and other state
       setInputValue('');
       setNewMessage(''); // Keep this for compatibility
+      setMentionQuery(null);
       setQuotedMessage(null);
       stopTyping(chat.id);
       
@@ -334,349 +733,28 @@ const ChatWindow = ({ chat, onBack }) => {
       }, 0);
       // }
     }
-  }, [inputValue, quotedMessage, sendMessage, chat.id, stopTyping, isTouchDevice, formatMessageContent]);
-
-  const resizeImage = (file, maxWidth, maxHeight, quality) => {
-    return new Promise((resolve, reject) => {
-      const canvas = canvasRef.current;
-      const ctx = canvas.getContext('2d');
-      const img = new Image();
-      
-      img.onload = () => {
-        try {
-          // Calculate new dimensions while maintaining aspect ratio
-          let { width, height } = img;
-          
-          // Calculate scaling factors for both dimensions
-          const widthScale = maxWidth / width;
-          const heightScale = maxHeight / height;
-          
-          // Use the smaller scaling factor to ensure both dimensions fit within limits
-          const scale = Math.min(widthScale, heightScale, 1); // Don't upscale
-          
-          width = Math.round(width * scale);
-          height = Math.round(height * scale);
-          
-          // Set canvas dimensions
-          canvas.width = width;
-          canvas.height = height;
-          
-          // Clear canvas and set image smoothing
-          ctx.clearRect(0, 0, width, height);
-          ctx.imageSmoothingEnabled = true;
-          ctx.imageSmoothingQuality = 'high';
-          
-          // Draw and resize image
-          ctx.drawImage(img, 0, 0, width, height);
-          
-          // Convert to blob - handle PNG vs JPEG differently
-          const isPNG = file.type === 'image/png';
-          if (isPNG) {
-            // PNG doesn't support quality parameter
-            canvas.toBlob((blob) => {
-              if (blob) {
-                resolve(blob);
-              } else {
-                reject(new Error('Failed to create resized image'));
-              }
-            }, file.type);
-          } else {
-            // JPEG and other formats support quality
-            canvas.toBlob((blob) => {
-              if (blob) {
-                resolve(blob);
-              } else {
-                reject(new Error('Failed to create resized image'));
-              }
-            }, file.type, quality);
-          }
-        } catch (error) {
-          reject(error);
-        }
-      };
-      
-      img.onerror = () => {
-        reject(new Error('Failed to load image'));
-      };
-      
-      img.src = URL.createObjectURL(file);
-    });
-  };
-
-  const resizeImageToTargetSize = (file, targetSizeBytes) => {
-    return new Promise((resolve, reject) => {
-      const canvas = canvasRef.current;
-      const ctx = canvas.getContext('2d');
-      const img = new Image();
-      
-      img.onload = () => {
-        try {
-          let { width, height } = img;
-          const aspectRatio = width / height;
-          
-          // Check if it's a PNG file
-          const isPNG = file.type === 'image/png';
-          
-          if (isPNG) {
-            // For PNG files, we can only resize by dimensions, not quality
-            // Use iterative approach to get closer to target size
-            const currentSize = file.size;
-            let bestBlob = null;
-            let bestScale = 1;
-            
-            // Try different scales to find the best fit
-            const scales = [1, 0.9, 0.8, 0.7, 0.6, 0.5, 0.4, 0.3, 0.2, 0.1];
-            
-            const tryScale = (scaleIndex) => {
-              if (scaleIndex >= scales.length) {
-                // Use the best result we found
-                const finalScale = bestScale;
-                const newWidth = Math.round(width * finalScale);
-                const newHeight = Math.round(height * finalScale);
-                
-                // Set canvas dimensions
-                canvas.width = newWidth;
-                canvas.height = newHeight;
-                
-                // Clear canvas and set image smoothing
-                ctx.clearRect(0, 0, newWidth, newHeight);
-                ctx.imageSmoothingEnabled = true;
-                ctx.imageSmoothingQuality = 'high';
-                
-                // Draw and resize image
-                ctx.drawImage(img, 0, 0, newWidth, newHeight);
-                
-                // Convert to blob
-                canvas.toBlob((blob) => {
-                  if (!blob) {
-                    reject(new Error('Failed to create resized image'));
-                    return;
-                  }
-                  
-                  const resizedFile = new File([blob], file.name, {
-                    type: file.type,
-                    lastModified: Date.now()
-                  });
-                  
-                  console.log('PNG resizing result:', {
-                    originalSize: file.size,
-                    resizedSize: blob.size,
-                    originalDimensions: `${img.width}x${img.height}`,
-                    resizedDimensions: `${newWidth}x${newHeight}`,
-                    scale: finalScale
-                  });
-                  
-                  resolve(resizedFile);
-                }, file.type);
-                return;
-              }
-              
-              const scale = scales[scaleIndex];
-              const newWidth = Math.round(width * scale);
-              const newHeight = Math.round(height * scale);
-              
-              // Set canvas dimensions
-              canvas.width = newWidth;
-              canvas.height = newHeight;
-              
-              // Clear canvas and set image smoothing
-              ctx.clearRect(0, 0, newWidth, newHeight);
-              ctx.imageSmoothingEnabled = true;
-              ctx.imageSmoothingQuality = 'high';
-              
-              // Draw and resize image
-              ctx.drawImage(img, 0, 0, newWidth, newHeight);
-              
-              // Convert to blob
-              canvas.toBlob((blob) => {
-                if (!blob) {
-                  tryScale(scaleIndex + 1);
-                  return;
-                }
-                
-                const currentSize = blob.size;
-                
-                // If this size is acceptable (close to or under target), use it
-                if (currentSize <= targetSizeBytes * 1.1) { // Allow 10% over target
-                  const resizedFile = new File([blob], file.name, {
-                    type: file.type,
-                    lastModified: Date.now()
-                  });
-                  
-                  console.log('PNG resizing result:', {
-                    originalSize: file.size,
-                    resizedSize: blob.size,
-                    originalDimensions: `${img.width}x${img.height}`,
-                    resizedDimensions: `${newWidth}x${newHeight}`,
-                    scale: scale
-                  });
-                  
-                  resolve(resizedFile);
-                  return;
-                }
-                
-                // If this is better than our current best, save it
-                if (!bestBlob || (currentSize < bestBlob.size && currentSize > targetSizeBytes * 0.5)) {
-                  bestBlob = blob;
-                  bestScale = scale;
-                }
-                
-                // Try next scale
-                tryScale(scaleIndex + 1);
-              }, file.type);
-            };
-            
-            // Start trying scales
-            tryScale(0);
-          } else {
-            // For JPEG and other formats, use quality-based resizing
-            let quality = 0.9;
-            let resizedBlob = null;
-            
-            // Binary search to find the optimal quality that gets us close to target size
-            const findOptimalQuality = (minQuality, maxQuality, iterations = 0) => {
-            if (iterations > 10) {
-              // Fallback to the best result we found
-              if (resizedBlob) {
-                const resizedFile = new File([resizedBlob], file.name, {
-                  type: file.type,
-                  lastModified: Date.now()
-                });
-                resolve(resizedFile);
-              } else {
-                resolve(file);
-              }
-              return;
-            }
-              
-              const testQuality = (minQuality + maxQuality) / 2;
-              
-              // Calculate dimensions based on current quality
-              // We'll use a simple heuristic: reduce dimensions by sqrt(quality) to roughly maintain file size
-              const scale = Math.sqrt(testQuality);
-              const newWidth = Math.round(width * scale);
-              const newHeight = Math.round(height * scale);
-              
-              // Set canvas dimensions
-              canvas.width = newWidth;
-              canvas.height = newHeight;
-              
-              // Clear canvas and set image smoothing
-              ctx.clearRect(0, 0, newWidth, newHeight);
-              ctx.imageSmoothingEnabled = true;
-              ctx.imageSmoothingQuality = 'high';
-              
-              // Draw and resize image
-              ctx.drawImage(img, 0, 0, newWidth, newHeight);
-              
-              // Convert to blob
-              canvas.toBlob((blob) => {
-                if (!blob) {
-                  reject(new Error('Failed to create resized image'));
-                  return;
-                }
-                
-                const currentSize = blob.size;
-                const sizeRatio = currentSize / targetSizeBytes;
-                
-                if (Math.abs(sizeRatio - 1) < 0.1) {
-                  // Close enough to target size
-                  const resizedFile = new File([blob], file.name, {
-                    type: file.type,
-                    lastModified: Date.now()
-                  });
-                  resolve(resizedFile);
-                } else if (currentSize > targetSizeBytes) {
-                  // Too big, reduce quality
-                  findOptimalQuality(minQuality, testQuality, iterations + 1);
-                } else {
-                  // Too small, increase quality (but save this as our best result so far)
-                  resizedBlob = blob;
-                  findOptimalQuality(testQuality, maxQuality, iterations + 1);
-                }
-              }, file.type, testQuality);
-            };
-            
-            // Start the binary search
-            findOptimalQuality(0.1, 0.95);
-          }
-          
-        } catch (error) {
-          reject(error);
-        }
-      };
-      
-      img.onerror = () => {
-        reject(new Error('Failed to load image'));
-      };
-      
-      img.src = URL.createObjectURL(file);
-    });
-  };
+  }, [inputValue, quotedMessage, sendMessage, chat.id, stopTyping, isTouchDevice]);
 
   const handleImageUpload = async (event) => {
     const file = event.target.files[0];
     if (!file) return;
 
-    console.log('Image upload started:', {
-      name: file.name,
-      size: file.size,
-      type: file.type
-    });
-
     // Check if it's an image
     if (!file.type.startsWith('image/')) {
       alert('Please select an image file.');
       return;
     }
 
-    // Log specific file type for debugging
-    console.log('File type detected:', file.type);
-    if (file.type === 'image/png') {
-      console.log('PNG file detected - will use dimension-based resizing');
-    }
-
-    // If image is small enough, upload directly
-    if (file.size <= 3 * 1024 * 1024) {
-      console.log('Image is small enough, uploading directly');
-      await uploadImage(file);
-      return;
-    }
-
-    // For larger images, automatically resize to fit within 3MB
-    try {
-      console.log('Image is large, starting resize process');
-      setUploadingImage(true);
-      
-      // Calculate optimal dimensions to get close to 3MB
-      const targetSizeBytes = 3 * 1024 * 1024;
-      console.log('Target size:', targetSizeBytes, 'bytes');
-      
-      const resizedFile = await resizeImageToTargetSize(file, targetSizeBytes);
-      console.log('Resize completed, resized file size:', resizedFile.size);
-      
-      // For PNG files, check if resizing was effective
-      if (file.type === 'image/png' && resizedFile.size > targetSizeBytes) {
-        console.warn('PNG file is still large after resizing. PNG files may not compress as much as JPEG files.');
-      }
-      
-      await uploadImage(resizedFile);
-    } catch (error) {
-      console.error('Error in image upload process:', error);
-      console.error('Error details:', {
-        message: error.message,
-        stack: error.stack,
-        fileType: file.type,
-        fileSize: file.size
-      });
-      alert(`Failed to process image: ${error.message}`);
-    } finally {
-      setUploadingImage(false);
-      // Reset file input
+    // The server downscales images, so they are uploaded as they are
+    if (file.size > MAX_IMAGE_UPLOAD_BYTES) {
+      alert(`Image is too large. Maximum ${MAX_IMAGE_UPLOAD_BYTES / (1024 * 1024)}MB allowed.`);
       if (fileInputRef.current) {
         fileInputRef.current.value = '';
       }
+      return;
     }
+
+    await uploadImage(file);
   };
 
   const uploadImage = async (file) => {
@@ -692,14 +770,12 @@ const ChatWindow = ({ chat, onBack }) => {
       const formData = new FormData();
       formData.append('image', file);
       formData.append('caption', inputValue.trim());
+      formData.append('clientMessageId', createClientMessageId());
 
       console.log('Sending upload request to:', getApiUrl(`/api/messages/${chat.id}/upload-image`));
 
-      const response = await fetch(getApiUrl(`/api/messages/${chat.id}/upload-image`), {
+      const response = await authFetch(getApiUrl(`/api/messages/${chat.id}/upload-image`), {
         method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${localStorage.getItem('token')}`
-        },
         body: formData
       });
 
@@ -745,6 +821,48 @@ const ChatWindow = ({ chat, onBack }) => {
     fileInputRef.current?.click();
   }, []);
 
+  const handleFileUpload = async (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    setUploadingFile(true);
+
+    try {
+      const formData = new FormData();
+      formData.append('file', file);
+      formData.append('caption', inputValue.trim());
+      formData.append('clientMessageId', createClientMessageId());
+
+      const response = await authFetch(getApiUrl(`/api/messages/${chat.id}/upload-file`), {
+        method: 'POST',
+        body: formData
+      });
+
+      if (response.ok) {
+        // The message arrives via Socket.IO like any other
+        setInputValue('');
+        setNewMessage('');
+      } else if (response.status === 404 || response.status === 403) {
+        onBack();
+      } else {
+        const error = await response.json();
+        alert(error.error || 'Failed to upload file');
+      }
+    } catch (error) {
+      console.error('Error uploading file:', error);
+      alert('Failed to upload file');
+    } finally {
+      setUploadingFile(false);
+      if (documentInputRef.current) {
+        documentInputRef.current.value = '';
+      }
+    }
+  };
+
+  const triggerFileUpload = useCallback(() => {
+    documentInputRef.current?.click();
+  }, []);
+
   const handleImageClick = useCallback((imageData) => {
     setSelectedImage(imageData);
   }, []);
@@ -776,16 +894,54 @@ const ChatWindow = ({ chat, onBack }) => {
     const value = e.target.value;
     setInputValue(value);
     setNewMessage(value); // Keep this for compatibility with other parts
+    setMentionQuery(getMentionQuery(value, e.target.selectionStart));
+    setSelectedSuggestion(0);
     handleTyping();
   }, [handleTyping]);
 
-  // Memoized style objects to prevent re-renders
-  const imageStyle = useMemo(() => ({
-    maxWidth: '300px',
-    maxHeight: '300px',
-    borderRadius: '8px'
-  }), []);
+  // Participants matching the @mention being typed
+  const mentionSuggestions = useMemo(() => {
+    if (!mentionQuery) return [];
+    const query = mentionQuery.query.toLowerCase();
+    return participants
+      .filter(p => p.id !== user?.id)
+      .filter(p => p.username.toLowerCase().startsWith(query) || (p.display_name || '').toLowerCase().includes(query))
+      .slice(0, MAX_MENTION_SUGGESTIONS);
+  }, [mentionQuery, participants, user?.id]);
+
+  const selectMention = useCallback((participant) => {
+    const caret = textareaRef.current ? textareaRef.current.selectionStart : inputValue.length;
+    const result = insertMention(inputValue, caret, mentionQuery, participant.username);
+    setInputValue(result.text);
+    setNewMessage(result.text);
+    setMentionQuery(null);
+    setTimeout(() => {
+      if (textareaRef.current) {
+        textareaRef.current.focus();
+        textareaRef.current.setSelectionRange(result.caret, result.caret);
+      }
+    }, 0);
+  }, [inputValue, mentionQuery]);
 
+  // Navigate the @mention suggestions with the keyboard. Enter and Tab pick a suggestion instead of
+  // sending the message.
+  const handleInputKeyDown = useCallback((e) => {
+    if (mentionSuggestions.length === 0) return;
+
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      setSelectedSuggestion(prev => (prev + step + mentionSuggestions.length) % mentionSuggestions.length);
+    } else if (e.key === 'Enter' || e.key === 'Tab') {
+      e.preventDefault();
+      selectMention(mentionSuggestions[Math.min(selectedSuggestion, mentionSuggestions.length - 1)]);
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      setMentionQuery(null);
+    }
+  }, [mentionSuggestions, selectedSuggestion, selectMention]);
+
+  // Memoized style objects to prevent re-renders
   const hiddenButtonStyle = useMemo(() => ({
     // Always visible for mobile-first design
   }), []);
@@ -809,53 +965,73 @@ const ChatWindow = ({ chat, onBack }) => {
     color: '#333'
   }), []);
 
-  const hiddenCanvasStyle = useMemo(() => ({
-    display: 'none'
-  }), []);
-
   const formatTime = (timestamp) => {
     const date = new Date(timestamp);
     return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
   };
 
+  // Own messages still in the outbox, until the server's copy shows up in the list
+  const chatPendingMessages = pendingMessages.filter(entry =>
+    String(entry.chatId) === String(chat.id) &&
+    !entry.threadParentId &&
+    !messages.some(message => message.client_message_id === entry.clientMessageId)
+  );
+
+  // Keep a message we just sent in view
+  useEffect(() => {
+    if (chatPendingMessages.length > 0 && !hasNewerMessagesRef.current) {
+      scrollToBottom();
+    }
+  }, [chatPendingMessages.length]);
+
+  // Ticks reflect all recipients: delivered once every recipient got the message, read once all of them read it.
+  // Clicking them opens the per-recipient details.
   const renderMessageStatus = (message) => {
     const isOwnMessage = message.sender_id === user?.id;
     if (!isOwnMessage) return null;
     
     const status = message.status || 'sent';
+    let icons;
     
     switch (status) {
       case 'sent':
-        return (
-          <div className="message-status">
-            <Check size={12} className="status-icon sent" />
-          </div>
-        );
+        icons = <Check size={12} className="status-icon sent" />;
+        break;
       case 'delivered':
-        return (
-          <div className="message-status">
+        icons = (
+          <>
             <Check size={12} className="status-icon delivered" />
             <Check size={12} className="status-icon delivered" />
-          </div>
+          </>
         );
+        break;
       case 'read':
-        return (
-          <div className="message-status">
-            <CheckCheck size={12} className="status-icon read" />
-          </div>
-        );
+        icons = <CheckCheck size={12} className="status-icon read" />;
+        break;
       default:
         return null;
     }
+
+    return (
+      <div
+        className="message-status clickable"
+        title="Message info"
+        onMouseUp={(e) => e.stopPropagation()}
+        onTouchEnd={(e) => e.stopPropagation()}
+        onClick={(e) => {
+          e.stopPropagation();
+          setInfoMessage(message);
+        }}
+      >
+        {icons}
+      </div>
+    );
   };
 
   const leaveChat = async () => {
     try {
-      const response = await fetch(`/api/chats/${chat.id}/leave`, {
-        method: 'DELETE',
-        headers: {
-          'Authorization': `Bearer ${localStorage.getItem('token')}`
-        }
+      const response = await authFetch(`/api/chats/${chat.id}/leave`, {
+        method: 'DELETE'
       });
 
       if (response.ok) {
@@ -872,11 +1048,8 @@ const ChatWindow = ({ chat, onBack }) => {
 
   const deleteChat = async () => {
     try {
-      const response = await fetch(`/api/chats/${chat.id}`, {
-        method: 'DELETE',
-        headers: {
-          'Authorization': `Bearer ${localStorage.getItem('token')}`
-        }
+      const response = await authFetch(`/api/chats/${chat.id}`, {
+        method: 'DELETE'
       });
 
       if (response.ok) {
@@ -897,7 +1070,11 @@ const ChatWindow = ({ chat, onBack }) => {
 
   const handleMenuAction = (action) => {
     setShowMenu(false);
-    if (action === 'leave') {
+    if (action === 'group-settings') {
+      setShowGroupSettings(true);
+    } else if (action === 'notifications') {
+      setShowNotificationSettings(true);
+    } else if (action === 'leave') {
       if (window.confirm(`Are you sure you want to leave "${chat.display_name}"?`)) {
         leaveChat();
       }
@@ -914,6 +1091,14 @@ const ChatWindow = ({ chat, onBack }) => {
   };
 
   const handleTap = (message) => {
+    // While picking messages to forward, a tap picks or unpicks the message
+    if (selectedMessageIds) {
+      if (!message.deleted) {
+        toggleMessageSelection(message.id);
+      }
+      return;
+    }
+
     const now = new Date().getTime();
     const DOUBLE_TAP_DELAY = 300; // 300ms between taps
 
@@ -953,6 +1138,17 @@ const ChatWindow = ({ chat, onBack }) => {
     }
   };
 
+  const toggleMessageSelection = (messageId) => {
+    setSelectedMessageIds(prev => prev.includes(messageId)
+      ? prev.filter(id => id !== messageId)
+      : [...prev, messageId]);
+  };
+
+  // Picked messages still there to forward (deleted ones are left out), in chat order
+  const selectedMessages = selectedMessageIds
+    ? messages.filter(message => selectedMessageIds.includes(message.id) && !message.deleted)
+    : [];
+
   const copyMessageText = async (message) => {
     try {
       // Extract text content from the message
@@ -1123,9 +1319,11 @@ const ChatWindow = ({ chat, onBack }) => {
 
     // Check if it's a horizontal swipe (left or right) for quoting
     if (Math.abs(deltaX) > Math.abs(deltaY) && Math.abs(deltaX) > minSwipeDistance) {
-      // Quote the message
+      // Quote the message (deleted messages can't be quoted)
       console.log('Swipe detected, quoting message');
-      setQuotedMessage(message);
+      if (!message.deleted) {
+        setQuotedMessage(message);
+      }
     } else {
       // Small movement, treat as tap
       console.log('Small movement, calling handleTap');
@@ -1158,11 +1356,10 @@ const ChatWindow = ({ chat, onBack }) => {
   const addReaction = async (messageId, emoji) => {
     try {
       console.log('Adding reaction:', { messageId, emoji });
-      const response = await fetch(getApiUrl(`/api/messages/${messageId}/reactions`), {
+      const response = await authFetch(getApiUrl(`/api/messages/${messageId}/reactions`), {
         method: 'POST',
         headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${localStorage.getItem('token')}`
+          'Content-Type': 'application/json'
         },
         body: JSON.stringify({ emoji })
       });
@@ -1185,11 +1382,8 @@ const ChatWindow = ({ chat, onBack }) => {
   const removeReaction = async (messageId, emoji) => {
     try {
       console.log('Removing reaction:', { messageId, emoji });
-      const response = await fetch(getApiUrl(`/api/messages/${messageId}/reactions/${encodeURIComponent(emoji)}`), {
-        method: 'DELETE',
-        headers: {
-          'Authorization': `Bearer ${localStorage.getItem('token')}`
-        }
+      const response = await authFetch(getApiUrl(`/api/messages/${messageId}/reactions/${encodeURIComponent(emoji)}`), {
+        method: 'DELETE'
       });
 
       if (response.ok) {
@@ -1219,8 +1413,13 @@ const ChatWindow = ({ chat, onBack }) => {
     }
   };
 
+  // Messages can only be edited for a while after sending (editable_until comes from the server).
+  // Forwarded messages can't be edited.
+  const isEditable = (message) =>
+    !message.forwarded && (!message.editable_until || new Date(message.editable_until) > new Date());
+
   const startEditingMessage = (message) => {
-    if (message.sender_id === user?.id && message.message_type === 'text') {
+    if (message.sender_id === user?.id && message.message_type === 'text' && isEditable(message)) {
       setEditingMessage(message);
       // Strip HTML tags for editing
       const tempDiv = document.createElement('div');
@@ -1270,13 +1469,55 @@ const ChatWindow = ({ chat, onBack }) => {
     }
   };
 
-  const handleDeleteMessage = async (messageId) => {
-    if (window.confirm('Are you sure you want to delete this message?')) {
-      const result = await deleteMessage(messageId);
-      
-      if (!result.success) {
-        alert(result.error || 'Failed to delete message');
+  // Anyone can pin in a direct chat; in a group only owners and admins
+  const canManagePins = chat.type === 'direct' ||
+    ['owner', 'admin'].includes(participants.find(p => p.id === user?.id)?.role);
+  const pinnedMessageIds = new Set(pins.map(pin => pin.message_id));
+
+  const togglePin = async (message) => {
+    try {
+      const response = await authFetch(getApiUrl(`/api/messages/${message.id}/pin`), {
+        method: pinnedMessageIds.has(message.id) ? 'DELETE' : 'POST'
+      });
+
+      if (!response.ok) {
+        const data = await response.json();
+        alert(data.error || 'Failed to update pinned messages');
+      }
+    } catch (error) {
+      console.error('Error updating pinned messages:', error);
+    }
+  };
+
+  const unpinMessage = (messageId) => togglePin({ id: messageId });
+
+  const toggleStar = async (message) => {
+    try {
+      const response = await authFetch(getApiUrl(`/api/messages/${message.id}/star`), {
+        method: message.starred ? 'DELETE' : 'POST'
+      });
+
+      if (!response.ok) {
+        const data = await response.json();
+        alert(data.error || 'Failed to update starred messages');
       }
+    } catch (error) {
+      console.error('Error updating starred messages:', error);
+    }
+  };
+
+  // Own messages can be deleted for everyone for a while after sending (deletable_until comes from the server)
+  const isDeletableForEveryone = (message) =>
+    message.sender_id === user?.id && !message.deleted &&
+    (!message.deletable_until || new Date(message.deletable_until) > new Date());
+
+  const handleDeleteMessage = async (message, scope) => {
+    const result = await deleteMessage(message.id, scope);
+
+    if (result.success) {
+      setDeletingMessage(null);
+    } else {
+      alert(result.error || 'Failed to delete message');
     }
   };
 
@@ -1349,7 +1590,7 @@ const ChatWindow = ({ chat, onBack }) => {
         }
       }}
     >
-      <div className="chat-header">
+      <div className={`chat-header ${pins.length > 0 ? 'has-pins' : ''}`}>
         <button 
           className="back-button" 
           onClick={onBack}
@@ -1370,7 +1611,7 @@ const ChatWindow = ({ chat, onBack }) => {
             <p>
               {typingUsers.length > 0 
                 ? `${typingUsers.map(u => u.username).join(', ')} typing...`
-                : 'Online'
+                : chat.type === 'direct' ? formatPresence(presence) : null
               }
             </p>
           </div>
@@ -1385,6 +1626,24 @@ const ChatWindow = ({ chat, onBack }) => {
           </button>
           {showMenu && (
             <div className="more-menu">
+              {chat.type === 'group' && (
+                <button 
+                  className="menu-item" 
+                  onClick={() => handleMenuAction('group-settings')}
+                  onMouseDown={(e) => e.preventDefault()} // Prevent focus on mouse down
+                >
+                  <Users size={16} />
+                  Group Settings
+                </button>
+              )}
+              <button 
+                className="menu-item" 
+                onClick={() => handleMenuAction('notifications')}
+                onMouseDown={(e) => e.preventDefault()} // Prevent focus on mouse down
+              >
+                <Bell size={16} />
+                Notifications
+              </button>
               <button 
                 className="menu-item" 
                 onClick={() => handleMenuAction('leave')}
@@ -1406,239 +1665,414 @@ const ChatWindow = ({ chat, onBack }) => {
             </div>
           )}
         </div>
+        <PinnedBanner
+          pins={pins}
+          onJump={(message) => scrollToMessage(message.id)}
+          onShowAll={() => setShowPinnedMessages(true)}
+        />
       </div>
 
-      <div className="messages-container">
-        {messages.length === 0 ? (
+      <div
+        className={`messages-container ${pins.length > 0 ? 'has-pins' : ''}`}
+        ref={messagesContainerRef}
+        onScroll={handleMessagesScroll}
+      >
+        {loadingOlder && (
+          <div className="loading-older-messages">
+            <div className="loading-spinner"></div>
+          </div>
+        )}
+        {messages.length === 0 && chatPendingMessages.length === 0 ? (
           <div className="no-messages">
             <p>No messages yet. Start the conversation!</p>
           </div>
         ) : (
           messages.map((message, index) => {
             const isOwnMessage = message.sender_id === user.id;
+            const image = message.message_type === 'image' ? getMessageImage(message) : null;
             return (
-              <div
-                key={message.id}
-                className={`message ${isOwnMessage ? 'sent' : 'received'}`}
-                onMouseDown={(e) => handleMouseDown(e, message)}
-                onMouseUp={(e) => handleMouseUp(e, message)}
-                onMouseLeave={handleMouseLeave}
-                onTouchStart={(e) => handleTouchStart(e, message)}
-                onTouchEnd={(e) => handleTouchEnd(e, message)}
-              >
-                <div className="message-content">
-                  {!isOwnMessage && (
-                    <div className="message-sender">
-                      {message.sender_name || message.username}
-                    </div>
-                  )}
-                  {message.quotedMessage && (
-                    <div className="quoted-message">
-                      <div className="quoted-message-content">
-                        <span className="quoted-sender">
-                          {message.quotedMessage.sender_name || message.quotedMessage.username}
-                        </span>
-                        <div 
-                          className="quoted-text"
-                          dangerouslySetInnerHTML={{ __html: message.quotedMessage.content }}
-                        />
+              <React.Fragment key={message.id}>
+                {message.id === unreadDivider?.messageId && (
+                  <div className="unread-divider" id="unread-divider">
+                    <span>{unreadDivider.count} new message{unreadDivider.count === 1 ? '' : 's'}</span>
+                  </div>
+                )}
+                <div
+                  id={`message-${message.id}`}
+                  className={`message ${isOwnMessage ? 'sent' : 'received'} ${highlightedMessageId === message.id ? 'highlighted' : ''} ${selectedMessageIds?.includes(message.id) ? 'selected' : ''}`}
+                  onMouseDown={(e) => handleMouseDown(e, message)}
+                  onMouseUp={(e) => handleMouseUp(e, message)}
+                  onMouseLeave={handleMouseLeave}
+                  onTouchStart={(e) => handleTouchStart(e, message)}
+                  onTouchEnd={(e) => handleTouchEnd(e, message)}
+                >
+                  <div className="message-content">
+                    {!isOwnMessage && (
+                      <div className="message-sender">
+                        {message.sender_name || message.username}
                       </div>
-                    </div>
-                  )}
-                  {message.message_type === 'image' ? (
-                    <div className="message-image">
-                      {message.image_data && (
-                        <img 
-                          src={`data:${message.image_data.mimetype};base64,${message.image_data.data}`}
-                          alt={message.image_data.filename}
-                          style={imageStyle}
-                          onClick={() => handleImageClick(message.image_data)}
-                          className="clickable-image"
-                        />
-                      )}
-                      {message.content && (
+                    )}
+                    {message.forwarded && !message.deleted && (
+                      <div className="message-forwarded">
+                        <Forward size={12} />
+                        {message.forwarded_from
+                          ? `Forwarded from ${message.forwarded_from.display_name || message.forwarded_from.username}`
+                          : 'Forwarded'}
+                      </div>
+                    )}
+                    {message.quotedMessage && (message.quotedMessage.deleted ? (
+                      <div className="quoted-message deleted">
+                        <div className="quoted-message-content">
+                          <span className="quoted-text">Original message deleted</span>
+                        </div>
+                      </div>
+                    ) : (
+                      <div 
+                        className="quoted-message"
+                        onClick={() => scrollToMessage(message.quotedMessage.id)}
+                      >
+                        <div className="quoted-message-content">
+                          <span className="quoted-sender">
+                            {message.quotedMessage.sender_name || message.quotedMessage.username}
+                          </span>
+                          <div 
+                            className="quoted-text"
+                            dangerouslySetInnerHTML={{ __html: message.quotedMessage.content }}
+                          />
+                        </div>
+                      </div>
+                    ))}
+                    {message.deleted ? (
+                      <div className="message-text-container">
+                        <div className="message-text deleted">This message was deleted</div>
+                      </div>
+                    ) : message.message_type === 'image' ? (
+                      <div className="message-image">
+                        {image && (
+                          <MessageImage
+                            image={image}
+                            onClick={handleImageClick}
+                          />
+                        )}
+                        {message.content && (
+                          <div 
+                            className="message-text"
+                            dangerouslySetInnerHTML={{ __html: highlightMentions(message.content, message.mentions, user?.id) }}
+                          />
+                        )}
+                      </div>
+                    ) : message.message_type === 'file' ? (
+                      <div className="message-file">
+                        {message.attachment && (
+                          <FileAttachmentCard attachment={message.attachment} />
+                        )}
+                        {message.content && (
+                          <div 
+                            className="message-text"
+                            dangerouslySetInnerHTML={{ __html: highlightMentions(message.content, message.mentions, user?.id) }}
+                          />
+                        )}
+                      </div>
+                    ) : (
+                      <div className="message-text-container">
                         <div 
                           className="message-text"
-                          dangerouslySetInnerHTML={{ __html: message.content }}
+                          dangerouslySetInnerHTML={{ __html: highlightMentions(message.content, message.mentions, user?.id) }}
                         />
+                      </div>
+                    )}
+                    <div className="message-time-status">
+                      <div className="message-time-status-left">
+                        <span className="message-time">
+                          {pinnedMessageIds.has(message.id) && (
+                            <Pin size={11} className="message-pinned-icon" />
+                          )}
+                          {message.starred && (
+                            <Star size={11} className="message-starred-icon" />
+                          )}
+                          {formatTime(message.created_at)}
+                          {message.edited && !message.deleted && (
+                            <button
+                              className="edited-indicator"
+                              onClick={() => setHistoryMessage(message)}
+                              title="Show edit history"
+                            >
+                              (edited)
+                            </button>
+                          )}
+                        </span>
+                        {renderMessageStatus(message)}
+                      </div>
+                      {isOwnMessage && (
+                        <div className="message-actions">
+                          {message.message_type === 'text' && !message.deleted && isEditable(message) && (
+                            <button 
+                              style={hiddenButtonStyle}
+                              className="edit-message-button"
+                              onClick={() => startEditingMessage(message)}
+                              title="Edit message"
+                            >
+                              <Edit2 size={14} />
+                            </button>
+                          )}
+                          <button 
+                            style={hiddenButtonStyle}
+                            className="delete-message-button"
+                            onClick={() => setDeletingMessage(message)}
+                            title="Delete message"
+                          >
+                            <Trash size={14} />
+                          </button>
+                        </div>
                       )}
                     </div>
-                  ) : (
-                    <div className="message-text-container">
-                      <div 
-                        className="message-text"
-                        dangerouslySetInnerHTML={{ __html: message.content }}
-                      />
-                    </div>
-                  )}
-                  <div className="message-time-status">
-                    <div className="message-time-status-left">
-                      <span className="message-time">
-                        {formatTime(message.created_at)}
-                        {message.edited && (
-                          <span className="edited-indicator"> (edited)</span>
-                        )}
-                      </span>
-                      {renderMessageStatus(message)}
-                    </div>
-                    {isOwnMessage && message.message_type === 'text' && (
-                      <div className="message-actions">
-                        <button 
-                          style={hiddenButtonStyle}
-                          className="edit-message-button"
-                          onClick={() => startEditingMessage(message)}
-                          title="Edit message"
-                        >
-                          <Edit2 size={14} />
-                        </button>
-                        <button 
-                          style={hiddenButtonStyle}
-                          className="delete-message-button"
-                          onClick={() => handleDeleteMessage(message.id)}
-                          title="Delete message"
-                        >
-                          <Trash size={14} />
-                        </button>
+                    {message.reactions && message.reactions.length > 0 && (
+                      <div className="message-reactions">
+                        {message.reactions.map((reaction, index) => (
+                          <button
+                            key={index}
+                            className={`reaction ${reaction.users.some(u => u.user_id === user?.id) ? 'reacted' : ''}`}
+                            onClick={() => toggleReaction(message.id, reaction.emoji, message.reactions)}
+                          >
+                            <span className="reaction-emoji">{reaction.emoji}</span>
+                            <span className="reaction-count">{reaction.count}</span>
+                          </button>
+                        ))}
                       </div>
                     )}
+                    {message.thread_reply_count > 0 && (
+                      <button className="thread-summary" onClick={() => setThreadMessage(message)}>
+                        <MessageSquare size={14} />
+                        <span className="thread-summary-count">
+                          {message.thread_reply_count} {message.thread_reply_count === 1 ? 'reply' : 'replies'}
+                        </span>
+                        {message.thread_last_reply && (
+                          <span className="thread-summary-time">
+                            Last reply {formatTime(message.thread_last_reply.created_at)}
+                          </span>
+                        )}
+                      </button>
+                    )}
                   </div>
-                  {message.reactions && message.reactions.length > 0 && (
-                    <div className="message-reactions">
-                      {message.reactions.map((reaction, index) => (
-                        <button
-                          key={index}
-                          className={`reaction ${reaction.users.some(u => u.user_id === user?.id) ? 'reacted' : ''}`}
-                          onClick={() => toggleReaction(message.id, reaction.emoji, message.reactions)}
-                        >
-                          <span className="reaction-emoji">{reaction.emoji}</span>
-                          <span className="reaction-count">{reaction.count}</span>
-                        </button>
-                      ))}
-                    </div>
-                  )}
                 </div>
-              </div>
+              </React.Fragment>
             );
           })
         )}
-        <div ref={messagesEndRef} />
-      </div>
-
-      <div className="message-input-container">
-        {editingMessage && (
-          <div className="edit-message-preview">
-            <div className="edit-message-preview-content">
-              <span className="edit-sender">
-                Editing message
-              </span>
-              <div 
-                className="edit-text"
-                dangerouslySetInnerHTML={{ __html: editingMessage.content }}
-              />
-            </div>
-            <button 
-              className="remove-edit-button"
-              onClick={cancelEditing}
-              title="Cancel edit"
-            >
-              <X size={16} />
-            </button>
-          </div>
-        )}
-        {quotedMessage && !editingMessage && (
-          <div className="quoted-message-preview">
-            <div className="quoted-message-preview-content">
-              <span className="quoted-sender">
-                {quotedMessage.sender_name || quotedMessage.username}
-              </span>
-              <div 
-                className="quoted-text"
-                dangerouslySetInnerHTML={{ __html: quotedMessage.content }}
-              />
+        {!hasNewerMessages && chatPendingMessages.map((entry) => (
+          <div key={entry.clientMessageId} className="message sent pending">
+            <div className="message-content">
+              {entry.quotedMessage && (
+                <div className="quoted-message">
+                  <div className="quoted-message-content">
+                    <span className="quoted-sender">
+                      {entry.quotedMessage.sender_name || entry.quotedMessage.username}
+                    </span>
+                    <div
+                      className="quoted-text"
+                      dangerouslySetInnerHTML={{ __html: entry.quotedMessage.content }}
+                    />
+                  </div>
+                </div>
+              )}
+              <div className="message-text-container">
+                <div
+                  className="message-text"
+                  dangerouslySetInnerHTML={{ __html: entry.content }}
+                />
+              </div>
+              <div className="message-time-status">
+                <div className="message-time-status-left">
+                  <span className="message-time">{formatTime(entry.createdAt)}</span>
+                  <div className="message-status" title="Waiting to be sent">
+                    <Clock size={12} className="status-icon pending" />
+                  </div>
+                </div>
+              </div>
             </div>
-            <button 
-              className="remove-quote-button"
-              onClick={removeQuotedMessage}
-              title="Remove quote"
-            >
-              <X size={16} />
-            </button>
           </div>
+        ))}
+        <div ref={messagesEndRef} />
+        {hasNewerMessages && (
+          <button className="jump-to-latest-button" onClick={() => fetchMessages()}>
+            <ArrowDown size={16} />
+            Jump to latest
+          </button>
         )}
-        <div className="message-input-wrapper">
-          <input
-            type="file"
-            ref={fileInputRef}
-            onChange={handleImageUpload}
-            accept="image/*"
-            style={hiddenInputStyle}
-          />
-          <button 
-            className="image-upload-button"
-            onClick={triggerImageUpload}
-            onMouseDown={(e) => e.preventDefault()} // Prevent focus on mouse down
-            disabled={uploadingImage}
-            title="Upload image"
+      </div>
+
+      {selectedMessageIds ? (
+        <div className="forward-selection-bar">
+          <button
+            className="forward-selection-cancel"
+            onClick={() => setSelectedMessageIds(null)}
+            title="Cancel"
+          >
+            <X size={20} />
+          </button>
+          <span className="forward-selection-count">
+            {selectedMessages.length} selected
+          </span>
+          <button
+            className="forward-selection-forward"
+            onClick={() => setForwardingMessages(selectedMessages)}
+            disabled={selectedMessages.length === 0}
           >
-            <ImageIcon size={20} />
+            <Forward size={18} />
+            Forward
           </button>
-          <textarea
-            ref={textareaRef}
-            value={editingMessage ? editContent : inputValue}
-            onInput={editingMessage ? (e) => setEditContent(e.target.value) : handleInputChange}
-            onKeyPress={editingMessage ? handleEditKeyPress : handleKeyPress}
-            onFocus={handleTyping}
-            placeholder={editingMessage ? "Edit your message..." : "Type a message... (links will be auto-detected)"}
-            className="message-input-textarea"
-            style={textareaStyle}
-          />
-          {editingMessage ? (
-            <>
+        </div>
+      ) : (
+        <div className="message-input-container">
+          {editingMessage && (
+            <div className="edit-message-preview">
+              <div className="edit-message-preview-content">
+                <span className="edit-sender">
+                  Editing message
+                </span>
+                <div 
+                  className="edit-text"
+                  dangerouslySetInnerHTML={{ __html: editingMessage.content }}
+                />
+              </div>
               <button 
-                className="edit-save-button"
-                onClick={saveEditedMessage}
-                onMouseDown={(e) => e.preventDefault()}
-                disabled={!editContent.trim() || uploadingImage}
-                title="Save changes"
+                className="remove-edit-button"
+                onClick={cancelEditing}
+                title="Cancel edit"
               >
-                <Save size={20} />
+                <X size={16} />
               </button>
+            </div>
+          )}
+          {quotedMessage && !editingMessage && (
+            <div className="quoted-message-preview">
+              <div className="quoted-message-preview-content">
+                <span className="quoted-sender">
+                  {quotedMessage.sender_name || quotedMessage.username}
+                </span>
+                <div 
+                  className="quoted-text"
+                  dangerouslySetInnerHTML={{ __html: quotedMessage.content }}
+                />
+              </div>
               <button 
-                className="edit-cancel-button"
-                onClick={cancelEditing}
-                onMouseDown={(e) => e.preventDefault()}
-                title="Cancel edit"
+                className="remove-quote-button"
+                onClick={removeQuotedMessage}
+                title="Remove quote"
               >
-                <X size={20} />
+                <X size={16} />
               </button>
-            </>
-          ) : (
+            </div>
+          )}
+          {!editingMessage && mentionSuggestions.length > 0 && (
+            <div className="mention-suggestions">
+              {mentionSuggestions.map((participant, index) => (
+                <button
+                  key={participant.id}
+                  type="button"
+                  className={`mention-suggestion ${index === selectedSuggestion ? 'selected' : ''}`}
+                  onMouseDown={(e) => e.preventDefault()} // Keep the textarea focused
+                  onClick={() => selectMention(participant)}
+                >
+                  <span className="mention-suggestion-name">{participant.display_name || participant.username}</span>
+                  <span className="mention-suggestion-username">@{participant.username}</span>
+                </button>
+              ))}
+            </div>
+          )}
+          <div className="message-input-wrapper">
+            <input
+              type="file"
+              ref={fileInputRef}
+              onChange={handleImageUpload}
+              accept="image/*"
+              style={hiddenInputStyle}
+            />
             <button 
-              className="send-button"
-              onClick={handleSendMessage}
+              className="image-upload-button"
+              onClick={triggerImageUpload}
               onMouseDown={(e) => e.preventDefault()} // Prevent focus on mouse down
-              disabled={!inputValue.trim() || uploadingImage}
+              disabled={uploadingImage}
+              title="Upload image"
+            >
+              <ImageIcon size={20} />
+            </button>
+            <input
+              type="file"
+              ref={documentInputRef}
+              onChange={handleFileUpload}
+              style={hiddenInputStyle}
+            />
+            <button 
+              className="image-upload-button"
+              onClick={triggerFileUpload}
+              onMouseDown={(e) => e.preventDefault()}
+              disabled={uploadingFile}
+              title="Attach file"
             >
-              <Send size={20} />
+              <Paperclip size={20} />
             </button>
+            <textarea
+              ref={textareaRef}
+              value={editingMessage ? editContent : inputValue}
+              onInput={editingMessage ? (e) => setEditContent(e.target.value) : handleInputChange}
+              onKeyDown={editingMessage ? undefined : handleInputKeyDown}
+              onKeyPress={editingMessage ? handleEditKeyPress : handleKeyPress}
+              onFocus={handleTyping}
+              placeholder={editingMessage ? "Edit your message..." : "Type a message... (links will be auto-detected)"}
+              className="message-input-textarea"
+              style={textareaStyle}
+            />
+            {editingMessage ? (
+              <>
+                <button 
+                  className="edit-save-button"
+                  onClick={saveEditedMessage}
+                  onMouseDown={(e) => e.preventDefault()}
+                  disabled={!editContent.trim() || uploadingImage}
+                  title="Save changes"
+                >
+                  <Save size={20} />
+                </button>
+                <button 
+                  className="edit-cancel-button"
+                  onClick={cancelEditing}
+                  onMouseDown={(e) => e.preventDefault()}
+                  title="Cancel edit"
+                >
+                  <X size={20} />
+                </button>
+              </>
+            ) : (
+              <button 
+                className="send-button"
+                onClick={handleSendMessage}
+                onMouseDown={(e) => e.preventDefault()} // Prevent focus on mouse down
+                disabled={!inputValue.trim() || uploadingImage || uploadingFile}
+              >
+                <Send size={20} />
+              </button>
+            )}
+          </div>
+          {uploadingImage && (
+            <div className="upload-status">
+              Uploading image...
+            </div>
+          )}
+          {uploadingFile && (
+            <div className="upload-status">
+              Uploading file...
+            </div>
           )}
         </div>
-        {uploadingImage && (
-          <div className="upload-status">
-            Uploading image...
-          </div>
-        )}
-      </div>
-
-      {/* Hidden canvas for image resizing */}
-      <canvas ref={canvasRef} style={hiddenCanvasStyle} />
+      )}
 
       {/* Emoji Picker Modal */}
       {showEmojiPicker && (
         <div className="emoji-picker-overlay" onClick={() => setShowEmojiPicker(false)}>
           <div className="emoji-picker" onClick={(e) => e.stopPropagation()}>
             <div className="emoji-picker-header">
-              <h3>Add Reaction</h3>
+              <h3>{selectedMessageForReaction?.deleted ? 'Message' : 'Add Reaction'}</h3>
               <button 
                 className="close-emoji-picker"
                 onClick={() => setShowEmojiPicker(false)}
@@ -1646,36 +2080,114 @@ const ChatWindow = ({ chat, onBack }) => {
                 <X size={20} />
               </button>
             </div>
-            <div className="emoji-grid">
-              {['😀', '😂', '😍', '🥰', '😎', '🤔', '👍', '👎', '❤️', '🔥', '🎉', '👏', '😢', '😡', '🤯', '💯'].map(emoji => (
+            {!selectedMessageForReaction?.deleted && (
+              <div className="emoji-grid">
+                {['😀', '😂', '😍', '🥰', '😎', '🤔', '👍', '👎', '❤️', '🔥', '🎉', '👏', '😢', '😡', '🤯', '💯'].map(emoji => (
+                  <button
+                    key={emoji}
+                    className="emoji-button"
+                    onClick={() => handleEmojiSelect(emoji)}
+                  >
+                    {emoji}
+                  </button>
+                ))}
+              </div>
+            )}
+            {selectedMessageForReaction && (
+              <div className="message-menu-actions">
+                {!selectedMessageForReaction.deleted && (
+                  <button
+                    className="message-menu-action"
+                    onClick={() => {
+                      setThreadMessage(selectedMessageForReaction);
+                      setShowEmojiPicker(false);
+                    }}
+                  >
+                    <MessageSquare size={16} />
+                    Reply in thread
+                  </button>
+                )}
+                {!selectedMessageForReaction.deleted && (
+                  <button
+                    className="message-menu-action"
+                    onClick={() => {
+                      setSelectedMessageIds([selectedMessageForReaction.id]);
+                      setShowEmojiPicker(false);
+                    }}
+                  >
+                    <Forward size={16} />
+                    Forward
+                  </button>
+                )}
+                {selectedMessageForReaction.sender_id === user?.id && !selectedMessageForReaction.deleted && (
+                  <button
+                    className="message-menu-action"
+                    onClick={() => {
+                      setInfoMessage(selectedMessageForReaction);
+                      setShowEmojiPicker(false);
+                    }}
+                  >
+                    <Info size={16} />
+                    Message info
+                  </button>
+                )}
+                {!selectedMessageForReaction.deleted && (
+                  <button
+                    className="message-menu-action"
+                    onClick={() => {
+                      toggleStar(selectedMessageForReaction);
+                      setShowEmojiPicker(false);
+                    }}
+                  >
+                    {selectedMessageForReaction.starred ? <StarOff size={16} /> : <Star size={16} />}
+                    {selectedMessageForReaction.starred ? 'Unstar message' : 'Star message'}
+                  </button>
+                )}
+                {canManagePins && !selectedMessageForReaction.deleted && (
+                  <button
+                    className="message-menu-action"
+                    onClick={() => {
+                      togglePin(selectedMessageForReaction);
+                      setShowEmojiPicker(false);
+                    }}
+                  >
+                    {pinnedMessageIds.has(selectedMessageForReaction.id) ? <PinOff size={16} /> : <Pin size={16} />}
+                    {pinnedMessageIds.has(selectedMessageForReaction.id) ? 'Unpin message' : 'Pin message'}
+                  </button>
+                )}
                 <button
-                  key={emoji}
-                  className="emoji-button"
-                  onClick={() => handleEmojiSelect(emoji)}
+                  className="message-menu-action"
+                  onClick={() => {
+                    setDeletingMessage(selectedMessageForReaction);
+                    setShowEmojiPicker(false);
+                  }}
                 >
-                  {emoji}
-                </button>
-              ))}
-            </div>
-            <div className="custom-emoji-section">
-              <div className="custom-emoji-input">
-                <input
-                  id="custom-emoji-input"
-                  type="text"
-                  placeholder="Type any emoji..."
-                  value={customEmoji}
-                  onChange={(e) => setCustomEmoji(e.target.value)}
-                  onKeyPress={(e) => e.key === 'Enter' && handleCustomEmojiSubmit()}
-                />
-                <button 
-                  className="add-custom-emoji"
-                  onClick={handleCustomEmojiSubmit}
-                  disabled={!customEmoji.trim()}
-                >
-                  Add
+                  <Trash size={16} />
+                  Delete
                 </button>
               </div>
-            </div>
+            )}
+            {!selectedMessageForReaction?.deleted && (
+              <div className="custom-emoji-section">
+                <div className="custom-emoji-input">
+                  <input
+                    id="custom-emoji-input"
+                    type="text"
+                    placeholder="Type any emoji..."
+                    value={customEmoji}
+                    onChange={(e) => setCustomEmoji(e.target.value)}
+                    onKeyPress={(e) => e.key === 'Enter' && handleCustomEmojiSubmit()}
+                  />
+                  <button 
+                    className="add-custom-emoji"
+                    onClick={handleCustomEmojiSubmit}
+                    disabled={!customEmoji.trim()}
+                  >
+                    Add
+                  </button>
+                </div>
+              </div>
+            )}
           </div>
         </div>
       )}
@@ -1689,7 +2201,7 @@ const ChatWindow = ({ chat, onBack }) => {
             </button>
             <div className="image-modal-content">
               <img 
-                src={`data:${selectedImage.mimetype};base64,${selectedImage.data}`}
+                src={selectedImage.src}
                 alt={selectedImage.filename}
                 className="modal-image"
               />
@@ -1702,6 +2214,63 @@ const ChatWindow = ({ chat, onBack }) => {
         </div>
       )}
 
+      {threadMessage && (
+        <ThreadPanel
+          chat={chat}
+          parentMessage={threadMessage}
+          onClose={() => setThreadMessage(null)}
+        />
+      )}
+
+      <MessageHistoryModal
+        isOpen={!!historyMessage}
+        onClose={() => setHistoryMessage(null)}
+        message={historyMessage}
+      />
+
+      <DeleteMessageModal
+        isOpen={!!deletingMessage}
+        onClose={() => setDeletingMessage(null)}
+        message={deletingMessage}
+        canDeleteForEveryone={!!deletingMessage && isDeletableForEveryone(deletingMessage)}
+        onDelete={handleDeleteMessage}
+      />
+
+      <PinnedMessagesModal
+        isOpen={showPinnedMessages}
+        onClose={() => setShowPinnedMessages(false)}
+        chatId={chat.id}
+        pins={pins}
+        canManagePins={canManagePins}
+        onJump={(message) => scrollToMessage(message.id)}
+        onUnpin={unpinMessage}
+      />
+
+      <ForwardMessageModal
+        isOpen={!!forwardingMessages}
+        onClose={() => setForwardingMessages(null)}
+        messages={forwardingMessages || []}
+        onForwarded={() => setSelectedMessageIds(null)}
+      />
+
+      <MessageInfoModal
+        isOpen={!!infoMessage}
+        onClose={() => setInfoMessage(null)}
+        message={infoMessage}
+      />
+
+      <GroupSettingsModal
+        isOpen={showGroupSettings}
+        onClose={() => setShowGroupSettings(false)}
+        chat={chat}
+      />
+
+      <NotificationSettingsModal
+        isOpen={showNotificationSettings}
+        onClose={() => setShowNotificationSettings(false)}
+        chat={chat}
+      />
+
     </div>
   );
 };
@@ -0,0 +1,64 @@
+import React, { useState } from 'react';
+import { X } from 'lucide-react';
+import './NewChatModal.css';
+import './DeleteMessageModal.css';
+
+// Choose how to delete a message: for everyone (own messages, for a while after sending) or just for us
+const DeleteMessageModal = ({ isOpen, onClose, message, canDeleteForEveryone, onDelete }) => {
+  const [deleting, setDeleting] = useState(false);
+
+  if (!isOpen || !message) return null;
+
+  const handleDelete = async (scope) => {
+    setDeleting(true);
+    try {
+      await onDelete(message, scope);
+    } finally {
+      setDeleting(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content delete-message-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>Delete Message</h2>
+          <button className="close-button" onClick={onClose}>
+            <X size={20} />
+          </button>
+        </div>
+
+        <div className="delete-message-body">
+          <p>
+            {canDeleteForEveryone
+              ? 'Delete this message for everyone in the chat, or only hide it from your devices?'
+              : 'This message will be removed from your devices. Others in the chat will still see it.'}
+          </p>
+          <div className="delete-message-actions">
+            {canDeleteForEveryone && (
+              <button
+                className="delete-message-option danger"
+                onClick={() => handleDelete('everyone')}
+                disabled={deleting}
+              >
+                Delete for everyone
+              </button>
+            )}
+            <button
+              className="delete-message-option"
+              onClick={() => handleDelete('me')}
+              disabled={deleting}
+            >
+              Delete for me
+            </button>
+            <button className="cancel-button" onClick={onClose} disabled={deleting}>
+              Cancel
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DeleteMessageModal;
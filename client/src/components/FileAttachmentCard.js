@@ -0,0 +1,59 @@
+import React from 'react';
+import { File, FileText, FileSpreadsheet, FileAudio, FileVideo, FileArchive, FileImage, Download } from 'lucide-react';
+import { getAttachmentUrl, formatFileSize, isDownloadTokenExpired, refreshDownloadToken } from '../utils/attachments';
+import './FileAttachmentCard.css';
+
+const ARCHIVE_TYPES = ['zip', 'x-zip-compressed', 'x-7z-compressed', 'x-rar-compressed', 'vnd.rar', 'gzip', 'x-tar'];
+
+const getFileIcon = (mimeType = '') => {
+  const [type, subtype = ''] = mimeType.split('/');
+
+  if (type === 'audio') return FileAudio;
+  if (type === 'video') return FileVideo;
+  if (type === 'image') return FileImage;
+  if (ARCHIVE_TYPES.includes(subtype)) return FileArchive;
+  if (/sheet|excel|csv/.test(subtype)) return FileSpreadsheet;
+  if (type === 'text' || /pdf|word|document|presentation|powerpoint|rtf/.test(subtype)) return FileText;
+  return File;
+};
+
+// Download card shown for file messages
+const FileAttachmentCard = ({ attachment }) => {
+  const Icon = getFileIcon(attachment.mime_type);
+
+  // Links of messages loaded a while ago carry an expired download token; get a new one first
+  const handleClick = async (e) => {
+    e.stopPropagation();
+    if (!isDownloadTokenExpired(attachment)) {
+      return;
+    }
+    e.preventDefault();
+    try {
+      await refreshDownloadToken(attachment);
+      window.location.assign(getAttachmentUrl(attachment, { download: true }));
+    } catch (error) {
+      console.error('Error refreshing file download token:', error);
+    }
+  };
+
+  return (
+    <a
+      className="file-attachment-card"
+      href={getAttachmentUrl(attachment, { download: true })}
+      download={attachment.filename}
+      onClick={handleClick}
+      title={`Download ${attachment.filename}`}
+    >
+      <div className="file-attachment-icon">
+        <Icon size={22} />
+      </div>
+      <div className="file-attachment-details">
+        <span className="file-attachment-name">{attachment.filename}</span>
+        <span className="file-attachment-size">{formatFileSize(attachment.size)}</span>
+      </div>
+      <Download size={18} className="file-attachment-download" />
+    </a>
+  );
+};
+
+export default FileAttachmentCard;
@@ -0,0 +1,155 @@
+import React, { useState, useEffect } from 'react';
+import { X, Check, Forward } from 'lucide-react';
+import { getApiUrl } from '../config/api';
+import { authFetch } from '../utils/authFetch';
+import { getMessagePreview } from '../utils/messageContent';
+import './NewChatModal.css';
+import './GroupSettingsModal.css';
+import './ForwardMessageModal.css';
+
+// Limit of the server's POST /api/messages/forward
+const MAX_CHATS = 10;
+
+// Pick the chats to forward one or more messages to
+const ForwardMessageModal = ({ isOpen, onClose, messages, onForwarded }) => {
+  const [chats, setChats] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [searchTerm, setSearchTerm] = useState('');
+  const [selectedChatIds, setSelectedChatIds] = useState([]);
+  const [forwarding, setForwarding] = useState(false);
+  const [error, setError] = useState('');
+
+  const fetchChats = async () => {
+    setLoading(true);
+    try {
+      const response = await authFetch(getApiUrl('/api/chats'));
+
+      if (response.ok) {
+        const data = await response.json();
+        setChats(data.chats);
+      }
+    } catch (error) {
+      console.error('Error fetching chats:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (isOpen) {
+      setSearchTerm('');
+      setSelectedChatIds([]);
+      setError('');
+      fetchChats();
+    }
+  }, [isOpen]);
+
+  const toggleChat = (chatId) => {
+    setSelectedChatIds(prev => prev.includes(chatId)
+      ? prev.filter(id => id !== chatId)
+      : prev.length < MAX_CHATS ? [...prev, chatId] : prev);
+  };
+
+  const handleForward = async () => {
+    setForwarding(true);
+    setError('');
+    try {
+      const response = await authFetch(getApiUrl('/api/messages/forward'), {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          messageIds: messages.map(message => message.id),
+          chatIds: selectedChatIds
+        })
+      });
+
+      if (response.ok) {
+        onForwarded(selectedChatIds);
+        onClose();
+      } else {
+        const data = await response.json().catch(() => ({}));
+        setError(data.error || 'Failed to forward');
+      }
+    } catch (error) {
+      console.error('Error forwarding messages:', error);
+      setError('Failed to forward');
+    } finally {
+      setForwarding(false);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  const filteredChats = chats.filter(chat =>
+    (chat.display_name || chat.name || '').toLowerCase().includes(searchTerm.trim().toLowerCase())
+  );
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>Forward {messages.length === 1 ? 'Message' : `${messages.length} Messages`}</h2>
+          <button className="close-button" onClick={onClose}>
+            <X size={20} />
+          </button>
+        </div>
+
+        <div className="forward-message-body">
+          {messages.length === 1 && (
+            <div className="forward-message-preview">{getMessagePreview(messages[0])}</div>
+          )}
+          <input
+            type="text"
+            className="forward-message-search"
+            placeholder="Search chats..."
+            value={searchTerm}
+            onChange={(e) => setSearchTerm(e.target.value)}
+          />
+
+          <div className="forward-message-chats">
+            {loading ? (
+              <div className="group-participants-loading">
+                <div className="loading-spinner"></div>
+              </div>
+            ) : filteredChats.length === 0 ? (
+              <div className="forward-message-empty">No chats found</div>
+            ) : (
+              filteredChats.map(chat => {
+                const selected = selectedChatIds.includes(chat.id);
+                return (
+                  <button
+                    key={chat.id}
+                    className={`forward-message-chat ${selected ? 'selected' : ''}`}
+                    onClick={() => toggleChat(chat.id)}
+                    disabled={!selected && selectedChatIds.length >= MAX_CHATS}
+                  >
+                    <div className="forward-message-chat-avatar">
+                      {(chat.display_name || chat.name || '?').charAt(0).toUpperCase()}
+                    </div>
+                    <span className="forward-message-chat-name">{chat.display_name || chat.name}</span>
+                    {selected && <Check size={18} className="forward-message-check" />}
+                  </button>
+                );
+              })
+            )}
+          </div>
+
+          {error && <div className="forward-message-error">{error}</div>}
+
+          <button
+            className="forward-message-send"
+            onClick={handleForward}
+            disabled={selectedChatIds.length === 0 || forwarding}
+          >
+            <Forward size={18} />
+            {forwarding ? 'Forwarding...' : selectedChatIds.length > 1 ? `Forward to ${selectedChatIds.length} chats` : 'Forward'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ForwardMessageModal;
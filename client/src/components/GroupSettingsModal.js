@@ -0,0 +1,281 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { X, UserPlus, UserMinus, Shield, ShieldOff, Crown } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+import { useSocket } from '../contexts/SocketContext';
+import { getApiUrl } from '../config/api';
+import { authFetch } from '../utils/authFetch';
+import { formatPresence, applyPresenceUpdate } from '../utils/presence';
+import './NewChatModal.css';
+import './GroupSettingsModal.css';
+
+const ROLE_LABELS = {
+  owner: 'Owner',
+  admin: 'Admin',
+  member: 'Member'
+};
+
+const GroupSettingsModal = ({ isOpen, onClose, chat }) => {
+  const [participants, setParticipants] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [username, setUsername] = useState('');
+  const [adding, setAdding] = useState(false);
+  const { user } = useAuth();
+  const { socket } = useSocket();
+
+  const myRole = participants.find(p => p.id === user?.id)?.role;
+  const canManage = myRole === 'owner' || myRole === 'admin';
+
+  const fetchParticipants = useCallback(async () => {
+    try {
+      const response = await authFetch(getApiUrl(`/api/chats/${chat.id}`));
+
+      if (response.ok) {
+        const data = await response.json();
+        setParticipants(data.participants);
+      }
+    } catch (error) {
+      console.error('Error fetching participants:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [chat?.id]);
+
+  useEffect(() => {
+    if (isOpen) {
+      setLoading(true);
+      fetchParticipants();
+    }
+  }, [isOpen, fetchParticipants]);
+
+  // Keep the list in sync with changes made by other members
+  useEffect(() => {
+    if (!socket || !isOpen) return;
+
+    const isThisChat = (data) => String(data.chatId) === String(chat.id);
+
+    const handleParticipantsAdded = (data) => {
+      if (!isThisChat(data)) return;
+      setParticipants(prev => [
+        ...prev,
+        ...data.participants.filter(p => !prev.some(existing => existing.id === p.id))
+      ]);
+    };
+
+    const handleParticipantRemoved = (data) => {
+      if (!isThisChat(data)) return;
+      setParticipants(prev => prev.filter(p => p.id !== data.userId));
+    };
+
+    const handlePresenceUpdated = (data) => {
+      setParticipants(prev => prev.map(p => (
+        p.id === data.userId ? applyPresenceUpdate(p, data) : p
+      )));
+    };
+
+    const handleRoleUpdated = (data) => {
+      if (!isThisChat(data)) return;
+      setParticipants(prev => prev.map(p => (
+        p.id === data.userId ? { ...p, role: data.role } : p
+      )));
+    };
+
+    socket.on('participants-added', handleParticipantsAdded);
+    socket.on('participant-removed', handleParticipantRemoved);
+    socket.on('participant-role-updated', handleRoleUpdated);
+    socket.on('presence-updated', handlePresenceUpdated);
+
+    return () => {
+      socket.off('participants-added', handleParticipantsAdded);
+      socket.off('participant-removed', handleParticipantRemoved);
+      socket.off('participant-role-updated', handleRoleUpdated);
+      socket.off('presence-updated', handlePresenceUpdated);
+    };
+  }, [socket, isOpen, chat?.id]);
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    if (!username.trim()) return;
+
+    setAdding(true);
+    try {
+      const response = await authFetch(getApiUrl(`/api/chats/${chat.id}/participants`), {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ usernames: [username.trim()] })
+      });
+
+      const data = await response.json();
+      if (response.ok) {
+        if (data.participants.length === 0) {
+          alert(`${username.trim()} is already in this group`);
+        }
+        setUsername('');
+      } else {
+        alert(data.error || 'Failed to add participant');
+      }
+    } catch (error) {
+      console.error('Error adding participant:', error);
+      alert('Failed to add participant');
+    } finally {
+      setAdding(false);
+    }
+  };
+
+  const handleRemove = async (participant) => {
+    if (!window.confirm(`Remove ${participant.display_name || participant.username} from the group?`)) {
+      return;
+    }
+
+    try {
+      const response = await authFetch(getApiUrl(`/api/chats/${chat.id}/participants/${participant.id}`), {
+        method: 'DELETE'
+      });
+
+      if (!response.ok) {
+        const error = await response.json();
+        alert(error.error || 'Failed to remove participant');
+      }
+    } catch (error) {
+      console.error('Error removing participant:', error);
+      alert('Failed to remove participant');
+    }
+  };
+
+  const handleRoleChange = async (participant, role) => {
+    if (role === 'owner' && !window.confirm(
+      `Make ${participant.display_name || participant.username} the group owner? You will become an admin.`
+    )) {
+      return;
+    }
+
+    try {
+      const response = await authFetch(getApiUrl(`/api/chats/${chat.id}/participants/${participant.id}`), {
+        method: 'PATCH',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ role })
+      });
+
+      if (!response.ok) {
+        const error = await response.json();
+        alert(error.error || 'Failed to update role');
+      }
+    } catch (error) {
+      console.error('Error updating role:', error);
+      alert('Failed to update role');
+    }
+  };
+
+  // Owners can remove anyone; admins can only remove members
+  const canRemove = (participant) => {
+    if (participant.id === user?.id) return false;
+    return myRole === 'owner' || (myRole === 'admin' && participant.role === 'member');
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>Group Settings</h2>
+          <button className="close-button" onClick={onClose}>
+            <X size={20} />
+          </button>
+        </div>
+
+        {canManage && (
+          <form onSubmit={handleAdd} className="group-add-form">
+            <input
+              type="text"
+              value={username}
+              onChange={(e) => setUsername(e.target.value)}
+              placeholder="Add member by username"
+              disabled={adding}
+              autoCapitalize="none"
+              autoCorrect="off"
+              spellCheck="false"
+            />
+            <button type="submit" className="group-add-button" disabled={adding || !username.trim()}>
+              <UserPlus size={18} />
+            </button>
+          </form>
+        )}
+
+        <div className="group-participants">
+          <div className="group-participants-title">
+            {participants.length} {participants.length === 1 ? 'member' : 'members'}
+          </div>
+          {loading ? (
+            <div className="group-participants-loading">
+              <div className="loading-spinner"></div>
+            </div>
+          ) : (
+            participants.map(participant => (
+              <div key={participant.id} className="group-participant">
+                <div className="group-participant-avatar">
+                  {participant.avatar_url ? (
+                    <img src={participant.avatar_url} alt={participant.display_name} />
+                  ) : (
+                    (participant.display_name || participant.username).charAt(0).toUpperCase()
+                  )}
+                </div>
+                <div className="group-participant-details">
+                  <div className="group-participant-name">
+                    {participant.display_name || participant.username}
+                    {participant.id === user?.id && ' (you)'}
+                  </div>
+                  <div className="group-participant-username">
+                    @{participant.username}
+                    {participant.id !== user?.id && formatPresence(participant) && (
+                      <span className={`group-participant-presence ${participant.is_online ? 'online' : ''}`}>
+                        {' · '}{formatPresence(participant)}
+                      </span>
+                    )}
+                  </div>
+                </div>
+                {participant.role !== 'member' && (
+                  <span className={`group-role-badge ${participant.role}`}>
+                    {ROLE_LABELS[participant.role]}
+                  </span>
+                )}
+                <div className="group-participant-actions">
+                  {myRole === 'owner' && participant.id !== user?.id && (
+                    <>
+                      {participant.role === 'member' ? (
+                        <button onClick={() => handleRoleChange(participant, 'admin')} title="Make admin">
+                          <Shield size={16} />
+                        </button>
+                      ) : (
+                        <button onClick={() => handleRoleChange(participant, 'member')} title="Remove admin">
+                          <ShieldOff size={16} />
+                        </button>
+                      )}
+                      <button onClick={() => handleRoleChange(participant, 'owner')} title="Transfer ownership">
+                        <Crown size={16} />
+                      </button>
+                    </>
+                  )}
+                  {canRemove(participant) && (
+                    <button
+                      className="remove"
+                      onClick={() => handleRemove(participant)}
+                      title="Remove from group"
+                    >
+                      <UserMinus size={16} />
+                    </button>
+                  )}
+                </div>
+              </div>
+            ))
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default GroupSettingsModal;
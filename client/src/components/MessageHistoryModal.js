@@ -0,0 +1,101 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { X } from 'lucide-react';
+import { useSocket } from '../contexts/SocketContext';
+import { getApiUrl } from '../config/api';
+import { authFetch } from '../utils/authFetch';
+import './NewChatModal.css';
+import './GroupSettingsModal.css';
+import './MessageHistoryModal.css';
+
+const formatRevisionTime = (timestamp) => {
+  const date = new Date(timestamp);
+  const isToday = date.toDateString() === new Date().toDateString();
+  return isToday
+    ? date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+    : date.toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+};
+
+// Edit history of a message: every version, newest first
+const MessageHistoryModal = ({ isOpen, onClose, message }) => {
+  const [revisions, setRevisions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const { socket } = useSocket();
+
+  const fetchRevisions = useCallback(async () => {
+    try {
+      const response = await authFetch(getApiUrl(`/api/messages/${message.id}/revisions`));
+
+      if (response.ok) {
+        const data = await response.json();
+        setRevisions(data.revisions.slice().reverse());
+      }
+    } catch (error) {
+      console.error('Error fetching message revisions:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [message?.id]);
+
+  useEffect(() => {
+    if (isOpen && message) {
+      setLoading(true);
+      fetchRevisions();
+    }
+  }, [isOpen, message?.id, fetchRevisions]);
+
+  // Show edits made while the history is open
+  useEffect(() => {
+    if (!socket || !isOpen || !message) return;
+
+    const handleMessageEdited = (data) => {
+      if (data.id === message.id) {
+        fetchRevisions();
+      }
+    };
+
+    socket.on('message-edited', handleMessageEdited);
+    return () => {
+      socket.off('message-edited', handleMessageEdited);
+    };
+  }, [socket, isOpen, message, fetchRevisions]);
+
+  if (!isOpen || !message) return null;
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>Edit History</h2>
+          <button className="close-button" onClick={onClose}>
+            <X size={20} />
+          </button>
+        </div>
+
+        <div className="message-history-body">
+          {loading ? (
+            <div className="group-participants-loading">
+              <div className="loading-spinner"></div>
+            </div>
+          ) : (
+            revisions.map((revision, index) => (
+              <div key={`${revision.created_at}-${index}`} className="message-history-revision">
+                <div className="message-history-meta">
+                  <span className="message-history-label">
+                    {index === 0 ? 'Current' : index === revisions.length - 1 ? 'Original' : 'Edited'}
+                  </span>
+                  <span className="message-history-time">{formatRevisionTime(revision.created_at)}</span>
+                </div>
+                <div
+                  className="message-history-content"
+                  dangerouslySetInnerHTML={{ __html: revision.content }}
+                />
+              </div>
+            ))
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default MessageHistoryModal;
@@ -0,0 +1,93 @@
+import React, { useState, useMemo } from 'react';
+import { decode } from 'blurhash';
+import { getMessageImage, isDownloadTokenExpired, refreshDownloadToken } from '../utils/attachments';
+import './MessageImage.css';
+
+// Largest size an image is shown at inside a message bubble
+const MAX_DISPLAY_SIZE = 300;
+
+// Size the blurhash is decoded at; the browser scales it up
+const PLACEHOLDER_SIZE = 32;
+
+const decodePlaceholder = (hash, width, height) => {
+  try {
+    const pixels = decode(hash, width, height);
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+    const imageData = ctx.createImageData(width, height);
+    imageData.data.set(pixels);
+    ctx.putImageData(imageData, 0, 0);
+    return canvas.toDataURL();
+  } catch (error) {
+    console.error('Error decoding image placeholder:', error);
+    return null;
+  }
+};
+
+// Image in a message bubble: loads a downscaled rendition and shows a blurred placeholder
+// in the image's final size until it arrives. `onClick` gets the image with its current URLs.
+const MessageImage = ({ image: messageImage, onClick }) => {
+  const [loaded, setLoaded] = useState(false);
+  // Set once the download token in the image's URLs expired and was replaced
+  const [refreshedImage, setRefreshedImage] = useState(null);
+  const image = refreshedImage || messageImage;
+
+  const handleError = async () => {
+    if (!image.attachment || !isDownloadTokenExpired(image.attachment)) {
+      return;
+    }
+    try {
+      await refreshDownloadToken(image.attachment);
+      setRefreshedImage(getMessageImage({ attachment: image.attachment }));
+    } catch (error) {
+      console.error('Error refreshing image download token:', error);
+    }
+  };
+
+  const displaySize = useMemo(() => {
+    if (!image.width || !image.height) {
+      return null;
+    }
+    const scale = Math.min(1, MAX_DISPLAY_SIZE / image.width, MAX_DISPLAY_SIZE / image.height);
+    return {
+      width: Math.round(image.width * scale),
+      height: Math.round(image.height * scale)
+    };
+  }, [image.width, image.height]);
+
+  const placeholderUrl = useMemo(() => {
+    if (!image.placeholder || !displaySize) {
+      return null;
+    }
+    const ratio = displaySize.width / displaySize.height;
+    const width = ratio >= 1 ? PLACEHOLDER_SIZE : Math.max(1, Math.round(PLACEHOLDER_SIZE * ratio));
+    const height = ratio >= 1 ? Math.max(1, Math.round(PLACEHOLDER_SIZE / ratio)) : PLACEHOLDER_SIZE;
+    return decodePlaceholder(image.placeholder, width, height);
+  }, [image.placeholder, displaySize]);
+
+  const placeholderStyle = placeholderUrl && !loaded
+    ? { backgroundImage: `url(${placeholderUrl})` }
+    : undefined;
+
+  return (
+    <img
+      src={image.thumbnailSrc}
+      srcSet={image.srcSet || undefined}
+      sizes={displaySize ? `${displaySize.width}px` : undefined}
+      width={displaySize?.width}
+      height={displaySize?.height}
+      alt={image.filename}
+      loading={displaySize ? 'lazy' : undefined}
+      decoding="async"
+      onLoad={() => setLoaded(true)}
+      onError={handleError}
+      onClick={() => onClick(image)}
+      className={`clickable-image message-image-img ${loaded ? 'loaded' : ''}`}
+      style={placeholderStyle}
+    />
+  );
+};
+
+export default MessageImage;
@@ -0,0 +1,125 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { X, CheckCheck, Clock } from 'lucide-react';
+import { useSocket } from '../contexts/SocketContext';
+import { getApiUrl } from '../config/api';
+import { authFetch } from '../utils/authFetch';
+import './NewChatModal.css';
+import './GroupSettingsModal.css';
+import './MessageInfoModal.css';
+
+const formatReceiptTime = (timestamp) => {
+  const date = new Date(timestamp);
+  const isToday = date.toDateString() === new Date().toDateString();
+  return isToday
+    ? date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+    : date.toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+};
+
+// "Read by" details of one of the user's own messages: who has read it, who it was delivered to and who hasn't received it yet
+const MessageInfoModal = ({ isOpen, onClose, message }) => {
+  const [receipts, setReceipts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const { socket } = useSocket();
+
+  const fetchReceipts = useCallback(async () => {
+    try {
+      const response = await authFetch(getApiUrl(`/api/messages/${message.id}/receipts`));
+
+      if (response.ok) {
+        const data = await response.json();
+        setReceipts(data.receipts);
+      }
+    } catch (error) {
+      console.error('Error fetching message receipts:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [message?.id]);
+
+  useEffect(() => {
+    if (isOpen && message) {
+      setLoading(true);
+      fetchReceipts();
+    }
+  }, [isOpen, message, fetchReceipts]);
+
+  // Refresh while open as recipients receive and read the message
+  useEffect(() => {
+    if (!socket || !isOpen || !message) return;
+
+    const handleReceiptsUpdated = (data) => {
+      if (data.messageIds.includes(message.id)) {
+        fetchReceipts();
+      }
+    };
+
+    socket.on('message-receipts-updated', handleReceiptsUpdated);
+    return () => {
+      socket.off('message-receipts-updated', handleReceiptsUpdated);
+    };
+  }, [socket, isOpen, message, fetchReceipts]);
+
+  if (!isOpen || !message) return null;
+
+  const readBy = receipts.filter(receipt => receipt.read_at);
+  const deliveredTo = receipts.filter(receipt => receipt.delivered_at && !receipt.read_at);
+  const pending = receipts.filter(receipt => !receipt.delivered_at && !receipt.read_at);
+
+  const renderSection = (title, icon, entries, timeField) => entries.length > 0 && (
+    <div className="message-info-section">
+      <div className="message-info-section-title">
+        {icon}
+        {title}
+      </div>
+      {entries.map(receipt => (
+        <div key={receipt.user_id} className="group-participant">
+          <div className="group-participant-avatar">
+            {receipt.avatar_url ? (
+              <img src={receipt.avatar_url} alt={receipt.display_name} />
+            ) : (
+              (receipt.display_name || receipt.username).charAt(0).toUpperCase()
+            )}
+          </div>
+          <div className="group-participant-details">
+            <div className="group-participant-name">{receipt.display_name || receipt.username}</div>
+            <div className="group-participant-username">@{receipt.username}</div>
+          </div>
+          {timeField && (
+            <span className="message-info-time">{formatReceiptTime(receipt[timeField])}</span>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>Message Info</h2>
+          <button className="close-button" onClick={onClose}>
+            <X size={20} />
+          </button>
+        </div>
+
+        <div className="message-info-body">
+          {loading ? (
+            <div className="group-participants-loading">
+              <div className="loading-spinner"></div>
+            </div>
+          ) : receipts.length === 0 ? (
+            <div className="message-info-empty">No recipients</div>
+          ) : (
+            <>
+              {renderSection('Read by', <CheckCheck size={16} className="status-icon read" />, readBy, 'read_at')}
+              {renderSection('Delivered to', <CheckCheck size={16} />, deliveredTo, 'delivered_at')}
+              {renderSection('Not delivered yet', <Clock size={16} />, pending, null)}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default MessageInfoModal;
@@ -0,0 +1,207 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { SlidersHorizontal } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+import { getApiUrl } from '../config/api';
+import { authFetch } from '../utils/authFetch';
+import './MessageSearch.css';
+
+const SEARCH_DEBOUNCE_MS = 300;
+const PAGE_SIZE = 20;
+
+const EMPTY_FILTERS = {
+  chatId: '',
+  sender: '',
+  messageType: '',
+  from: '',
+  to: ''
+};
+
+const formatDate = (timestamp) => {
+  const date = new Date(timestamp);
+  const sameYear = date.getFullYear() === new Date().getFullYear();
+  return date.toLocaleDateString([], sameYear
+    ? { month: 'short', day: 'numeric' }
+    : { year: 'numeric', month: 'short', day: 'numeric' });
+};
+
+// Full-text search over messages in all of the user's chats, shown under the chat list
+const MessageSearch = ({ query, chats, onResultSelect }) => {
+  const [results, setResults] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [page, setPage] = useState(1);
+  const [hasMore, setHasMore] = useState(false);
+  const [showFilters, setShowFilters] = useState(false);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [chatParticipants, setChatParticipants] = useState([]);
+  const latestRequestRef = useRef(0);
+  const { user } = useAuth();
+
+  const buildSearchParams = (pageNumber) => {
+    const params = new URLSearchParams({ q: query.trim(), page: pageNumber, limit: PAGE_SIZE });
+    if (filters.chatId) params.set('chatId', filters.chatId);
+    if (filters.sender) params.set('senderId', filters.sender);
+    if (filters.messageType) params.set('messageType', filters.messageType);
+    if (filters.from) params.set('from', new Date(`${filters.from}T00:00:00`).toISOString());
+    if (filters.to) params.set('to', new Date(`${filters.to}T23:59:59.999`).toISOString());
+    return params;
+  };
+
+  const fetchResults = async (pageNumber) => {
+    // Only the latest search may update the results; slower responses to earlier ones are dropped
+    const requestId = ++latestRequestRef.current;
+    setLoading(true);
+    try {
+      const response = await authFetch(getApiUrl(`/api/search?${buildSearchParams(pageNumber)}`));
+      const data = response.ok ? await response.json() : null;
+      if (requestId !== latestRequestRef.current) {
+        return;
+      }
+
+      if (data) {
+        setResults(prev => pageNumber === 1 ? data.results : [...prev, ...data.results]);
+        setHasMore(data.pagination.hasMore);
+        setPage(pageNumber);
+      }
+    } catch (error) {
+      console.error('Error searching messages:', error);
+    } finally {
+      if (requestId === latestRequestRef.current) {
+        setLoading(false);
+      }
+    }
+  };
+
+  // Search again (debounced) whenever the query or filters change
+  useEffect(() => {
+    const timer = setTimeout(() => fetchResults(1), SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [query, filters]);
+
+  // Load the picked chat's participants for the sender filter
+  useEffect(() => {
+    setChatParticipants([]);
+    if (!filters.chatId) {
+      return;
+    }
+
+    let cancelled = false;
+    authFetch(getApiUrl(`/api/chats/${filters.chatId}`))
+      .then(response => response.ok ? response.json() : null)
+      .then(data => {
+        if (!cancelled && data) {
+          setChatParticipants(data.participants.filter(participant => participant.id !== user.id));
+        }
+      })
+      .catch(error => console.error('Error fetching chat participants:', error));
+    return () => { cancelled = true; };
+  }, [filters.chatId, user.id]);
+
+  // Without a chat picked, offer everyone the user has a direct chat with
+  const senders = filters.chatId
+    ? chatParticipants
+    : chats
+      .filter(chat => chat.other_user_id)
+      .map(chat => ({ id: chat.other_user_id, display_name: chat.display_name }));
+
+  const updateFilter = (name, value) => {
+    setFilters(prev => ({ ...prev, [name]: value }));
+  };
+
+  const activeFilterCount = Object.values(filters).filter(Boolean).length;
+
+  return (
+    <div className="message-search">
+      <div className="message-search-header">
+        <span>Messages</span>
+        <button
+          className={`message-search-filter-toggle ${showFilters || activeFilterCount > 0 ? 'active' : ''}`}
+          onClick={() => setShowFilters(!showFilters)}
+          title="Filter results"
+        >
+          <SlidersHorizontal size={14} />
+          {activeFilterCount > 0 ? `Filters (${activeFilterCount})` : 'Filters'}
+        </button>
+      </div>
+
+      {showFilters && (
+        <div className="message-search-filters">
+          {/* The sender may not be in the newly picked chat, so picking a chat clears it */}
+          <select
+            value={filters.chatId}
+            onChange={(e) => setFilters(prev => ({ ...prev, chatId: e.target.value, sender: '' }))}
+          >
+            <option value="">All chats</option>
+            {chats.map(chat => (
+              <option key={chat.id} value={chat.id}>{chat.display_name}</option>
+            ))}
+          </select>
+          <select value={filters.sender} onChange={(e) => updateFilter('sender', e.target.value)}>
+            <option value="">From anyone</option>
+            <option value={user.id}>From me</option>
+            {senders.map(sender => (
+              <option key={sender.id} value={sender.id}>From {sender.display_name || sender.username}</option>
+            ))}
+          </select>
+          <select value={filters.messageType} onChange={(e) => updateFilter('messageType', e.target.value)}>
+            <option value="">All types</option>
+            <option value="text">Text</option>
+            <option value="image">Images</option>
+            <option value="file">Files</option>
+          </select>
+          <label>
+            From
+            <input type="date" value={filters.from} onChange={(e) => updateFilter('from', e.target.value)} />
+          </label>
+          <label>
+            To
+            <input type="date" value={filters.to} onChange={(e) => updateFilter('to', e.target.value)} />
+          </label>
+          {activeFilterCount > 0 && (
+            <button className="message-search-clear" onClick={() => setFilters(EMPTY_FILTERS)}>
+              Clear filters
+            </button>
+          )}
+        </div>
+      )}
+
+      {results.length === 0 && !loading ? (
+        <div className="message-search-empty">No messages found</div>
+      ) : (
+        results.map(result => (
+          <div
+            key={result.id}
+            className="message-search-result"
+            onClick={() => onResultSelect(result)}
+          >
+            <div className="message-search-result-header">
+              <span className="message-search-result-chat">
+                {result.chat_name}
+                {result.chat_type === 'group' && ` · ${result.sender_name || result.username}`}
+              </span>
+              <span className="message-search-result-date">{formatDate(result.created_at)}</span>
+            </div>
+            {/* Snippets are HTML-escaped on the server; only <mark> tags are added */}
+            <p
+              className="message-search-result-snippet"
+              dangerouslySetInnerHTML={{ __html: result.snippet }}
+            />
+          </div>
+        ))
+      )}
+
+      {loading && (
+        <div className="message-search-loading">
+          <div className="loading-spinner"></div>
+        </div>
+      )}
+
+      {hasMore && !loading && (
+        <button className="message-search-more" onClick={() => fetchResults(page + 1)}>
+          Show more results
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default MessageSearch;
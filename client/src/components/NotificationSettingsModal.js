@@ -0,0 +1,194 @@
+import React, { useState, useEffect } from 'react';
+import { X, Volume2 } from 'lucide-react';
+import { useSocket } from '../contexts/SocketContext';
+import {
+  DEFAULT_CHAT_SETTINGS,
+  MUTE_OPTIONS,
+  NOTIFICATION_SOUND_OPTIONS,
+  getTimeZones,
+  isChatMuted
+} from '../utils/notificationPreferences';
+import { playNotificationSound } from '../utils/sounds';
+import './NewChatModal.css';
+import './NotificationSettingsModal.css';
+
+const DEFAULT_QUIET_HOURS = {
+  enabled: false,
+  start: '22:00',
+  end: '07:00',
+  timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone
+};
+
+// Notification settings of a chat (when `chat` is given) and the global quiet hours
+const NotificationSettingsModal = ({ isOpen, onClose, chat = null }) => {
+  const { notificationSettings, updateChatNotificationSettings, updateQuietHours } = useSocket();
+  const [quietHours, setQuietHours] = useState(DEFAULT_QUIET_HOURS);
+  const [savingQuietHours, setSavingQuietHours] = useState(false);
+
+  const chatSettings = (chat && notificationSettings.chats[chat.id]) || DEFAULT_CHAT_SETTINGS;
+  const muted = isChatMuted(chatSettings);
+  // Timed mutes can't be told apart afterwards; the hint below shows when they end
+  const selectedMute = !muted ? 'off' : (!chatSettings.mutedUntil ? 'forever' : null);
+
+  useEffect(() => {
+    if (isOpen && notificationSettings.quietHours) {
+      const saved = notificationSettings.quietHours;
+      // Suggest the browser's time zone until quiet hours have been set up
+      setQuietHours(saved.enabled ? saved : { ...saved, timeZone: DEFAULT_QUIET_HOURS.timeZone });
+    }
+  }, [isOpen, notificationSettings.quietHours]);
+
+  const handleSaveQuietHours = async (e) => {
+    e.preventDefault();
+    setSavingQuietHours(true);
+    const result = await updateQuietHours(quietHours);
+    setSavingQuietHours(false);
+    if (result.success && !chat) {
+      onClose();
+    }
+  };
+
+  const describeMute = () => {
+    if (!muted) return null;
+    if (!chatSettings.mutedUntil) return 'Muted until you unmute it';
+    return `Muted until ${new Date(chatSettings.mutedUntil).toLocaleString([], {
+      weekday: 'short', hour: '2-digit', minute: '2-digit'
+    })}`;
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>Notifications</h2>
+          <button className="close-button" onClick={onClose}>
+            <X size={20} />
+          </button>
+        </div>
+
+        {chat && (
+          <div className="notification-settings-section">
+            <div className="notification-settings-title">{chat.display_name || chat.name}</div>
+
+            <label className="notification-settings-label">Mute</label>
+            <div className="notification-settings-options">
+              {MUTE_OPTIONS.map(option => (
+                <button
+                  key={option.value}
+                  type="button"
+                  className={`notification-option ${selectedMute === option.value ? 'selected' : ''}`}
+                  onClick={() => updateChatNotificationSettings(chat.id, { mute: option.value })}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
+            {muted && <div className="notification-settings-hint">{describeMute()}</div>}
+            <label className="notification-settings-toggle">
+              <input
+                type="checkbox"
+                checked={chatSettings.mentionsBypassMute}
+                onChange={(e) => updateChatNotificationSettings(chat.id, { mentionsBypassMute: e.target.checked })}
+              />
+              Notify me when I'm mentioned, even while muted
+            </label>
+
+            <label className="notification-settings-label">Notify me about</label>
+            <div className="notification-settings-options">
+              {[
+                { value: 'all', label: 'All messages' },
+                { value: 'mentions', label: 'Mentions only' }
+              ].map(option => (
+                <button
+                  key={option.value}
+                  type="button"
+                  className={`notification-option ${chatSettings.notificationLevel === option.value ? 'selected' : ''}`}
+                  onClick={() => updateChatNotificationSettings(chat.id, { notificationLevel: option.value })}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
+
+            <label className="notification-settings-label" htmlFor="notification-sound">Sound</label>
+            <div className="notification-sound-row">
+              <select
+                id="notification-sound"
+                value={chatSettings.notificationSound}
+                onChange={(e) => {
+                  playNotificationSound(e.target.value);
+                  updateChatNotificationSettings(chat.id, { notificationSound: e.target.value });
+                }}
+              >
+                {NOTIFICATION_SOUND_OPTIONS.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+              <button
+                type="button"
+                className="notification-sound-preview"
+                onClick={() => playNotificationSound(chatSettings.notificationSound)}
+                disabled={chatSettings.notificationSound === 'none'}
+                title="Play sound"
+              >
+                <Volume2 size={16} />
+              </button>
+            </div>
+          </div>
+        )}
+
+        <form className="notification-settings-section" onSubmit={handleSaveQuietHours}>
+          <div className="notification-settings-title">Quiet hours</div>
+          <label className="notification-settings-toggle">
+            <input
+              type="checkbox"
+              checked={quietHours.enabled}
+              onChange={(e) => setQuietHours(prev => ({ ...prev, enabled: e.target.checked }))}
+            />
+            No notifications from any chat during these hours
+          </label>
+
+          <div className="quiet-hours-times">
+            <label>
+              From
+              <input
+                type="time"
+                value={quietHours.start}
+                required
+                onChange={(e) => setQuietHours(prev => ({ ...prev, start: e.target.value }))}
+              />
+            </label>
+            <label>
+              To
+              <input
+                type="time"
+                value={quietHours.end}
+                required
+                onChange={(e) => setQuietHours(prev => ({ ...prev, end: e.target.value }))}
+              />
+            </label>
+          </div>
+
+          <label className="notification-settings-label" htmlFor="quiet-hours-time-zone">Time zone</label>
+          <select
+            id="quiet-hours-time-zone"
+            value={quietHours.timeZone}
+            onChange={(e) => setQuietHours(prev => ({ ...prev, timeZone: e.target.value }))}
+          >
+            {[...new Set([quietHours.timeZone, ...getTimeZones()])].map(timeZone => (
+              <option key={timeZone} value={timeZone}>{timeZone.replace(/_/g, ' ')}</option>
+            ))}
+          </select>
+
+          <button type="submit" className="quiet-hours-save" disabled={savingQuietHours}>
+            {savingQuietHours ? 'Saving...' : 'Save quiet hours'}
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default NotificationSettingsModal;
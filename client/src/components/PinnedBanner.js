@@ -0,0 +1,44 @@
+import React, { useState, useEffect } from 'react';
+import { Pin, List } from 'lucide-react';
+import { getMessagePreview } from '../utils/messageContent';
+import './PinnedBanner.css';
+
+// The chat's pinned messages, one at a time. Clicking jumps to the pin shown and moves on to the next.
+const PinnedBanner = ({ pins, onJump, onShowAll }) => {
+  const [index, setIndex] = useState(0);
+
+  // Pins were added or removed
+  useEffect(() => {
+    setIndex(prev => (prev < pins.length ? prev : 0));
+  }, [pins.length]);
+
+  if (pins.length === 0) return null;
+
+  const pin = pins[Math.min(index, pins.length - 1)];
+
+  const handleClick = () => {
+    onJump(pin.message);
+    setIndex((index + 1) % pins.length);
+  };
+
+  return (
+    <div className="pinned-banner">
+      <button className="pinned-banner-current" onClick={handleClick} title="Jump to message">
+        <Pin size={16} className="pinned-banner-icon" />
+        <div className="pinned-banner-text">
+          <span className="pinned-banner-title">
+            {pins.length > 1 ? `Pinned message ${index + 1} of ${pins.length}` : 'Pinned message'}
+          </span>
+          <span className="pinned-banner-preview">
+            {pin.message.sender_name || pin.message.username}: {getMessagePreview(pin.message)}
+          </span>
+        </div>
+      </button>
+      <button className="pinned-banner-list" onClick={onShowAll} title="All pinned messages">
+        <List size={18} />
+      </button>
+    </div>
+  );
+};
+
+export default PinnedBanner;
@@ -0,0 +1,91 @@
+import React from 'react';
+import { X, ChevronUp, ChevronDown, PinOff } from 'lucide-react';
+import { getApiUrl } from '../config/api';
+import { authFetch } from '../utils/authFetch';
+import { getMessagePreview } from '../utils/messageContent';
+import './NewChatModal.css';
+import './PinnedMessagesModal.css';
+
+const formatPinTime = (timestamp) =>
+  new Date(timestamp).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+
+// All of a chat's pinned messages. Those who can pin can also unpin and reorder them here.
+const PinnedMessagesModal = ({ isOpen, onClose, chatId, pins, canManagePins, onJump, onUnpin }) => {
+  if (!isOpen) return null;
+
+  const movePin = async (index, offset) => {
+    const messageIds = pins.map(pin => pin.message_id);
+    [messageIds[index], messageIds[index + offset]] = [messageIds[index + offset], messageIds[index]];
+
+    try {
+      const response = await authFetch(getApiUrl(`/api/chats/${chatId}/pins`), {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ messageIds })
+      });
+
+      if (!response.ok) {
+        const data = await response.json();
+        alert(data.error || 'Failed to reorder pinned messages');
+      }
+    } catch (error) {
+      console.error('Error reordering pinned messages:', error);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>Pinned Messages</h2>
+          <button className="close-button" onClick={onClose}>
+            <X size={20} />
+          </button>
+        </div>
+
+        <div className="pinned-messages-list">
+          {pins.length === 0 ? (
+            <div className="pinned-messages-empty">No pinned messages</div>
+          ) : (
+            pins.map((pin, index) => (
+              <div key={pin.message_id} className="pinned-messages-item">
+                <button
+                  className="pinned-messages-jump"
+                  onClick={() => {
+                    onJump(pin.message);
+                    onClose();
+                  }}
+                >
+                  <span className="pinned-messages-sender">
+                    {pin.message.sender_name || pin.message.username}
+                  </span>
+                  <span className="pinned-messages-preview">{getMessagePreview(pin.message)}</span>
+                  <span className="pinned-messages-meta">
+                    Pinned {pin.pinned_by_name ? `by ${pin.pinned_by_name} ` : ''}{formatPinTime(pin.pinned_at)}
+                  </span>
+                </button>
+                {canManagePins && (
+                  <div className="pinned-messages-actions">
+                    <button onClick={() => movePin(index, -1)} disabled={index === 0} title="Move up">
+                      <ChevronUp size={16} />
+                    </button>
+                    <button onClick={() => movePin(index, 1)} disabled={index === pins.length - 1} title="Move down">
+                      <ChevronDown size={16} />
+                    </button>
+                    <button onClick={() => onUnpin(pin.message_id)} title="Unpin">
+                      <PinOff size={16} />
+                    </button>
+                  </div>
+                )}
+              </div>
+            ))
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PinnedMessagesModal;
@@ -1,6 +1,7 @@
 import React, { useState } from 'react';
 import { useSocket } from '../contexts/SocketContext';
 import notificationManager from '../utils/notifications';
+import { authFetch } from '../utils/authFetch';
 import './PushNotificationTest.css';
 
 const PushNotificationTest = () => {
@@ -27,12 +28,10 @@ const PushNotificationTest = () => {
     setTestResult(null);
     
     try {
-      const token = localStorage.getItem('token');
-      const response = await fetch('/api/push-notifications/test', {
+      const response = await authFetch('/api/push-notifications/test', {
         method: 'POST',
         headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${token}`
+          'Content-Type': 'application/json'
         },
         body: JSON.stringify({
           title: 'Test Push Notification',
@@ -62,17 +61,14 @@ const PushNotificationTest = () => {
     setTestResult(null);
     
     try {
-      const token = localStorage.getItem('token');
-      
       // Send 3 notifications in quick succession to test batching
       const promises = [];
       for (let i = 1; i <= 3; i++) {
         promises.push(
-          fetch('/api/push-notifications/test', {
+          authFetch('/api/push-notifications/test', {
             method: 'POST',
             headers: {
-              'Content-Type': 'application/json',
-              'Authorization': `Bearer ${token}`
+              'Content-Type': 'application/json'
             },
             body: JSON.stringify({
               title: `Test Notification ${i}`,
@@ -103,12 +99,7 @@ const PushNotificationTest = () => {
     setTestResult(null);
     
     try {
-      const token = localStorage.getItem('token');
-      const response = await fetch('/api/push-notifications/subscriptions', {
-        headers: {
-          'Authorization': `Bearer ${token}`
-        }
-      });
+      const response = await authFetch('/api/push-notifications/subscriptions');
 
       const result = await response.json();
       
@@ -0,0 +1,137 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { X, Monitor, Smartphone, LogOut } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+import './NewChatModal.css';
+import './SessionsModal.css';
+
+// Turn a user agent string into a short "Browser on OS" label
+const describeUserAgent = (userAgent) => {
+  if (!userAgent) return 'Unknown device';
+
+  let browser = 'Browser';
+  if (/Edg\//.test(userAgent)) browser = 'Edge';
+  else if (/Chrome\//.test(userAgent)) browser = 'Chrome';
+  else if (/Firefox\//.test(userAgent)) browser = 'Firefox';
+  else if (/Safari\//.test(userAgent)) browser = 'Safari';
+
+  let os = 'Unknown OS';
+  if (/iPhone|iPad|iPod/.test(userAgent)) os = 'iOS';
+  else if (/Android/.test(userAgent)) os = 'Android';
+  else if (/Mac OS X/.test(userAgent)) os = 'macOS';
+  else if (/Windows/.test(userAgent)) os = 'Windows';
+  else if (/Linux/.test(userAgent)) os = 'Linux';
+
+  return `${browser} on ${os}`;
+};
+
+const isMobileUserAgent = (userAgent) => /iPhone|iPad|iPod|Android/.test(userAgent || '');
+
+const formatLastSeen = (timestamp) => {
+  if (!timestamp) return '';
+  const diffInMinutes = Math.floor((Date.now() - new Date(timestamp).getTime()) / (1000 * 60));
+
+  if (diffInMinutes < 1) return 'Active now';
+  if (diffInMinutes < 60) return `Active ${diffInMinutes}m ago`;
+  if (diffInMinutes < 60 * 24) return `Active ${Math.floor(diffInMinutes / 60)}h ago`;
+  return `Active ${new Date(timestamp).toLocaleDateString([], { month: 'short', day: 'numeric' })}`;
+};
+
+const SessionsModal = ({ isOpen, onClose }) => {
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const { getSessions, revokeSession, logout, logoutAllDevices } = useAuth();
+
+  const fetchSessions = useCallback(async () => {
+    try {
+      setLoading(true);
+      setSessions(await getSessions());
+    } catch (error) {
+      console.error('Error fetching sessions:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [getSessions]);
+
+  useEffect(() => {
+    if (isOpen) {
+      fetchSessions();
+    }
+  }, [isOpen]);
+
+  const handleRevoke = async (session) => {
+    if (session.current) {
+      await logout();
+      return;
+    }
+
+    try {
+      await revokeSession(session.id);
+      setSessions(prev => prev.filter(s => s.id !== session.id));
+    } catch (error) {
+      console.error('Error revoking session:', error);
+      alert(error.response?.data?.error || 'Failed to log out device');
+    }
+  };
+
+  const handleLogoutAll = async () => {
+    if (window.confirm('Log out from all devices, including this one?')) {
+      await logoutAllDevices();
+    }
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>Active Sessions</h2>
+          <button className="close-button" onClick={onClose}>
+            <X size={20} />
+          </button>
+        </div>
+
+        <div className="sessions-list">
+          {loading ? (
+            <div className="sessions-loading">
+              <div className="loading-spinner"></div>
+            </div>
+          ) : (
+            sessions.map(session => (
+              <div key={session.id} className={`session-item ${session.current ? 'current' : ''}`}>
+                <div className="session-icon">
+                  {isMobileUserAgent(session.user_agent) ? <Smartphone size={20} /> : <Monitor size={20} />}
+                </div>
+                <div className="session-details">
+                  <div className="session-device">
+                    {describeUserAgent(session.user_agent)}
+                    {session.current && <span className="session-current-badge">This device</span>}
+                  </div>
+                  <div className="session-meta">
+                    {session.ip_address && `${session.ip_address} · `}
+                    {formatLastSeen(session.last_seen_at)}
+                  </div>
+                </div>
+                <button
+                  className="session-revoke-button"
+                  onClick={() => handleRevoke(session)}
+                  title={session.current ? 'Log out' : 'Log out this device'}
+                >
+                  <LogOut size={16} />
+                </button>
+              </div>
+            ))
+          )}
+        </div>
+
+        <div className="sessions-actions">
+          <button className="logout-all-button" onClick={handleLogoutAll}>
+            Log out all devices
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SessionsModal;
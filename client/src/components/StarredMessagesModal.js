@@ -0,0 +1,150 @@
+import React, { useState, useEffect } from 'react';
+import { X, StarOff } from 'lucide-react';
+import { useSocket } from '../contexts/SocketContext';
+import { getApiUrl } from '../config/api';
+import { authFetch } from '../utils/authFetch';
+import { getMessagePreview } from '../utils/messageContent';
+import './NewChatModal.css';
+import './GroupSettingsModal.css';
+import './StarredMessagesModal.css';
+
+const PAGE_SIZE = 20;
+
+const formatDate = (timestamp) => {
+  const date = new Date(timestamp);
+  const sameYear = date.getFullYear() === new Date().getFullYear();
+  return date.toLocaleDateString([], sameYear
+    ? { month: 'short', day: 'numeric' }
+    : { year: 'numeric', month: 'short', day: 'numeric' });
+};
+
+// Messages the user starred across all of their chats, most recently starred first
+const StarredMessagesModal = ({ isOpen, onClose, onMessageSelect }) => {
+  const [messages, setMessages] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [page, setPage] = useState(1);
+  const [hasMore, setHasMore] = useState(false);
+  const { socket } = useSocket();
+
+  const fetchStarred = async (pageNumber) => {
+    setLoading(true);
+    try {
+      const params = new URLSearchParams({ page: pageNumber, limit: PAGE_SIZE });
+      const response = await authFetch(getApiUrl(`/api/starred?${params}`));
+
+      if (response.ok) {
+        const data = await response.json();
+        setMessages(prev => pageNumber === 1
+          ? data.messages
+          : [...prev, ...data.messages.filter(m => !prev.some(existing => existing.id === m.id))]);
+        setHasMore(data.pagination.hasMore);
+        setPage(pageNumber);
+      }
+    } catch (error) {
+      console.error('Error fetching starred messages:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (isOpen) {
+      fetchStarred(1);
+    }
+  }, [isOpen]);
+
+  // Unstarred or deleted on this or another device
+  useEffect(() => {
+    if (!socket || !isOpen) return;
+
+    const removeMessage = (data) => {
+      setMessages(prev => prev.filter(message => String(message.id) !== String(data.messageId)));
+    };
+
+    socket.on('message-unstarred', removeMessage);
+    socket.on('message-deleted', removeMessage);
+    socket.on('message-hidden', removeMessage);
+    return () => {
+      socket.off('message-unstarred', removeMessage);
+      socket.off('message-deleted', removeMessage);
+      socket.off('message-hidden', removeMessage);
+    };
+  }, [socket, isOpen]);
+
+  const unstarMessage = async (messageId) => {
+    try {
+      const response = await authFetch(getApiUrl(`/api/messages/${messageId}/star`), {
+        method: 'DELETE'
+      });
+
+      if (response.ok || response.status === 404) {
+        setMessages(prev => prev.filter(message => message.id !== messageId));
+      }
+    } catch (error) {
+      console.error('Error unstarring message:', error);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>Starred Messages</h2>
+          <button className="close-button" onClick={onClose}>
+            <X size={20} />
+          </button>
+        </div>
+
+        <div className="starred-messages-list">
+          {messages.length === 0 && !loading ? (
+            <div className="starred-messages-empty">
+              No starred messages yet. Long-press a message and choose "Star message" to find it here later.
+            </div>
+          ) : (
+            messages.map(message => (
+              <div key={message.id} className="starred-messages-item">
+                <button
+                  className="starred-messages-open"
+                  onClick={() => {
+                    onMessageSelect(message);
+                    onClose();
+                  }}
+                >
+                  <div className="starred-messages-item-header">
+                    <span className="starred-messages-chat">
+                      {message.chat_name}
+                      {message.chat_type === 'group' && ` · ${message.sender_name || message.username}`}
+                    </span>
+                    <span className="starred-messages-date">{formatDate(message.created_at)}</span>
+                  </div>
+                  <div className="starred-messages-preview">{getMessagePreview(message)}</div>
+                </button>
+                <button
+                  className="starred-messages-unstar"
+                  onClick={() => unstarMessage(message.id)}
+                  title="Unstar"
+                >
+                  <StarOff size={16} />
+                </button>
+              </div>
+            ))
+          )}
+          {loading && (
+            <div className="group-participants-loading">
+              <div className="loading-spinner"></div>
+            </div>
+          )}
+          {hasMore && !loading && (
+            <button className="starred-messages-more" onClick={() => fetchStarred(page + 1)}>
+              Show more
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default StarredMessagesModal;
@@ -0,0 +1,284 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { X, Send, Clock, Forward } from 'lucide-react';
+import { useSocket } from '../contexts/SocketContext';
+import { useAuth } from '../contexts/AuthContext';
+import { getApiUrl } from '../config/api';
+import { authFetch } from '../utils/authFetch';
+import { getAttachmentPreview } from '../utils/attachments';
+import { highlightMentions } from '../utils/mentions';
+import { formatMessageContent } from '../utils/messageContent';
+import MessageHistoryModal from './MessageHistoryModal';
+import './ThreadPanel.css';
+
+const formatTime = (timestamp) =>
+  new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+// The reply thread of a message: the message itself, its replies (latest first loaded, older ones on
+// demand) and an input to reply in the thread
+const ThreadPanel = ({ chat, parentMessage, onClose }) => {
+  const [parent, setParent] = useState(parentMessage);
+  const [replies, setReplies] = useState([]);
+  const [hasOlderReplies, setHasOlderReplies] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [loadingOlder, setLoadingOlder] = useState(false);
+  const [inputValue, setInputValue] = useState('');
+  const [historyMessage, setHistoryMessage] = useState(null);
+  const { socket, reconnectCount, sendMessage, pendingMessages } = useSocket();
+  const { user } = useAuth();
+  const repliesEndRef = useRef(null);
+
+  const fetchThread = useCallback(async (before = null) => {
+    try {
+      const query = before ? `?before=${before}` : '';
+      const response = await authFetch(getApiUrl(`/api/messages/${parentMessage.id}/thread${query}`));
+
+      if (response.ok) {
+        const data = await response.json();
+        setParent(data.parent);
+        setHasOlderReplies(data.pagination.hasMore);
+        setReplies(prev => before
+          ? [...data.messages.filter(m => !prev.some(existing => existing.id === m.id)), ...prev]
+          : data.messages);
+      } else if (response.status === 404 || response.status === 403) {
+        // The message is gone or we left the chat
+        onClose();
+      }
+    } catch (error) {
+      console.error('Error fetching thread:', error);
+    } finally {
+      setLoading(false);
+      setLoadingOlder(false);
+    }
+  }, [parentMessage.id, onClose]);
+
+  useEffect(() => {
+    setParent(parentMessage);
+    setLoading(true);
+    fetchThread();
+    // Reload when another message is opened; summary updates of the same message don't need it
+  }, [parentMessage.id]);
+
+  // Replies sent while we were disconnected
+  useEffect(() => {
+    if (reconnectCount > 0) {
+      fetchThread();
+    }
+  }, [reconnectCount]);
+
+  const loadOlderReplies = () => {
+    if (loadingOlder || replies.length === 0) return;
+    setLoadingOlder(true);
+    fetchThread(replies[0].id);
+  };
+
+  useEffect(() => {
+    if (!socket) return;
+
+    const handleNewMessage = (message) => {
+      if (String(message.thread_parent_id) !== String(parentMessage.id)) return;
+
+      const reply = {
+        ...message,
+        sender_id: message.user_id || message.sender_id,
+        sender_name: message.sender_name || message.username
+      };
+      setReplies(prev => prev.some(existing => existing.id === reply.id) ? prev : [...prev, reply]);
+    };
+
+    const handleMessageEdited = (data) => {
+      const update = (message) => message.id === data.id
+        ? { ...message, content: data.content, edited: data.edited, edited_at: data.edited_at, mentions: data.mentions }
+        : message;
+      setParent(update);
+      setReplies(prev => prev.map(update));
+    };
+
+    const handleMessageDeleted = (data) => {
+      const toTombstone = (message) => String(message.id) === String(data.messageId)
+        ? { ...message, deleted: true, deleted_at: data.deletedAt, content: '', image_data: null, attachment: null, mentions: [] }
+        : message;
+      setParent(toTombstone);
+      setReplies(prev => prev.map(toTombstone));
+    };
+
+    // Replies we deleted for ourselves; ChatWindow closes the panel when it's the parent
+    const handleMessageHidden = (data) => {
+      setReplies(prev => prev.filter(message => String(message.id) !== String(data.messageId)));
+    };
+
+    const handleThreadUpdated = (data) => {
+      if (String(data.messageId) !== String(parentMessage.id)) return;
+      setParent(prev => ({ ...prev, thread_reply_count: data.threadReplyCount, thread_last_reply: data.threadLastReply }));
+    };
+
+    socket.on('new-message', handleNewMessage);
+    socket.on('message-edited', handleMessageEdited);
+    socket.on('message-deleted', handleMessageDeleted);
+    socket.on('message-hidden', handleMessageHidden);
+    socket.on('thread-updated', handleThreadUpdated);
+
+    return () => {
+      socket.off('new-message', handleNewMessage);
+      socket.off('message-edited', handleMessageEdited);
+      socket.off('message-deleted', handleMessageDeleted);
+      socket.off('message-hidden', handleMessageHidden);
+      socket.off('thread-updated', handleThreadUpdated);
+    };
+  }, [socket, parentMessage.id]);
+
+  // Own replies still in the outbox, until the server's copy shows up
+  const threadPendingMessages = pendingMessages.filter(entry =>
+    String(entry.threadParentId) === String(parentMessage.id) &&
+    !replies.some(message => message.client_message_id === entry.clientMessageId)
+  );
+
+  // Keep the latest reply in view
+  useEffect(() => {
+    if (!loadingOlder) {
+      repliesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
+    }
+  }, [replies.length, threadPendingMessages.length]);
+
+  const handleSendReply = (e) => {
+    e.preventDefault();
+    const content = inputValue.trim();
+    if (!content) return;
+
+    sendMessage(chat.id, { content: formatMessageContent(content), threadParentId: parentMessage.id }, 'text');
+    setInputValue('');
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' && !e.shiftKey) {
+      handleSendReply(e);
+    }
+  };
+
+  const renderMessage = (message) => (
+    <div
+      key={message.id}
+      className={`message ${message.sender_id === user?.id ? 'sent' : 'received'}`}
+    >
+      <div className="message-content">
+        {message.sender_id !== user?.id && (
+          <div className="message-sender">{message.sender_name || message.username}</div>
+        )}
+        {message.forwarded && !message.deleted && (
+          <div className="message-forwarded">
+            <Forward size={12} />
+            {message.forwarded_from
+              ? `Forwarded from ${message.forwarded_from.display_name || message.forwarded_from.username}`
+              : 'Forwarded'}
+          </div>
+        )}
+        <div className="message-text-container">
+          {message.deleted ? (
+            <div className="message-text deleted">This message was deleted</div>
+          ) : (
+            <div
+              className="message-text"
+              dangerouslySetInnerHTML={{
+                __html: message.message_type === 'text'
+                  ? highlightMentions(message.content, message.mentions, user?.id)
+                  : getAttachmentPreview(message) || message.content
+              }}
+            />
+          )}
+        </div>
+        <div className="message-time-status">
+          <div className="message-time-status-left">
+            <span className="message-time">
+              {formatTime(message.created_at)}
+              {message.edited && !message.deleted && (
+                <button className="edited-indicator" onClick={() => setHistoryMessage(message)} title="Show edit history">
+                  (edited)
+                </button>
+              )}
+            </span>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+
+  const replyCount = parent.thread_reply_count ?? replies.length;
+
+  return (
+    <div className="thread-panel">
+      <div className="thread-panel-header">
+        <div>
+          <h3>Thread</h3>
+          <span className="thread-panel-subtitle">{chat.display_name || chat.name}</span>
+        </div>
+        <button className="thread-panel-close" onClick={onClose} title="Close thread">
+          <X size={20} />
+        </button>
+      </div>
+
+      <div className="thread-panel-messages">
+        <div className="thread-panel-parent">
+          {renderMessage(parent)}
+        </div>
+        <div className="thread-panel-reply-count">
+          {replyCount} {replyCount === 1 ? 'reply' : 'replies'}
+        </div>
+
+        {hasOlderReplies && (
+          <button className="thread-panel-load-older" onClick={loadOlderReplies} disabled={loadingOlder}>
+            {loadingOlder ? 'Loading...' : 'Load earlier replies'}
+          </button>
+        )}
+        {loading ? (
+          <div className="thread-panel-loading">
+            <div className="loading-spinner"></div>
+          </div>
+        ) : (
+          replies.map(renderMessage)
+        )}
+        {threadPendingMessages.map(entry => (
+          <div key={entry.clientMessageId} className="message sent pending">
+            <div className="message-content">
+              <div className="message-text-container">
+                <div className="message-text" dangerouslySetInnerHTML={{ __html: entry.content }} />
+              </div>
+              <div className="message-time-status">
+                <div className="message-time-status-left">
+                  <span className="message-time">{formatTime(entry.createdAt)}</span>
+                  <div className="message-status" title="Waiting to be sent">
+                    <Clock size={12} className="status-icon pending" />
+                  </div>
+                </div>
+              </div>
+            </div>
+          </div>
+        ))}
+        <div ref={repliesEndRef} />
+      </div>
+
+      {parent.deleted ? (
+        <div className="thread-panel-closed">Replies are closed because this message was deleted</div>
+      ) : (
+        <form className="thread-panel-input" onSubmit={handleSendReply}>
+          <textarea
+            value={inputValue}
+            onChange={(e) => setInputValue(e.target.value)}
+            onKeyDown={handleKeyDown}
+            placeholder="Reply in thread..."
+            rows={1}
+          />
+          <button type="submit" className="send-button" disabled={!inputValue.trim()}>
+            <Send size={18} />
+          </button>
+        </form>
+      )}
+
+      <MessageHistoryModal
+        isOpen={!!historyMessage}
+        onClose={() => setHistoryMessage(null)}
+        message={historyMessage}
+      />
+    </div>
+  );
+};
+
+export default ThreadPanel;
@@ -1,10 +1,16 @@
-import React, { createContext, useContext, useState, useEffect } from 'react';
+import React, { createContext, useContext, useState, useEffect, useCallback, useRef } from 'react';
 import axios from 'axios';
 import toast from 'react-hot-toast';
 import { getApiUrl } from '../config/api';
+import { clearOutbox, setOutboxCredentials } from '../utils/outbox';
+import { updateAppBadge } from '../utils/appBadge';
+import { setAccessTokenRefresher } from '../utils/authFetch';
 
 const AuthContext = createContext();
 
+// Refresh the access token this long before it expires
+const REFRESH_MARGIN_MS = 60 * 1000;
+
 export const useAuth = () => {
   const context = useContext(AuthContext);
   if (!context) {
@@ -13,31 +19,172 @@ export const useAuth = () => {
   return context;
 };
 
+// Read the payload of a JWT without verifying it
+const getTokenPayload = (token) => {
+  try {
+    return JSON.parse(window.atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+  } catch (error) {
+    return null;
+  }
+};
+
+// Read the expiry (ms) from a JWT without verifying it
+const getTokenExpiry = (token) => {
+  const payload = getTokenPayload(token);
+  return payload?.exp ? payload.exp * 1000 : null;
+};
+
+const storeTokens = (token, refreshToken) => {
+  localStorage.setItem('token', token);
+  if (refreshToken) {
+    localStorage.setItem('refreshToken', refreshToken);
+  }
+  axios.defaults.headers.common['Authorization'] = `Bearer ${token}`;
+  // Let the service worker send the offline outbox with the current access token
+  setOutboxCredentials(token, getTokenPayload(token)?.userId).catch((error) => {
+    console.error('Failed to store outbox credentials:', error);
+  });
+};
+
+const clearTokens = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+  delete axios.defaults.headers.common['Authorization'];
+  setOutboxCredentials(null).catch((error) => {
+    console.error('Failed to clear outbox credentials:', error);
+  });
+};
+
 export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
+  const refreshPromiseRef = useRef(null);
+  const refreshTimerRef = useRef(null);
+
+  const scheduleRefresh = useCallback((token) => {
+    if (refreshTimerRef.current) {
+      clearTimeout(refreshTimerRef.current);
+    }
+
+    const expiry = getTokenExpiry(token);
+    if (!expiry) return;
+
+    const delay = Math.max(expiry - Date.now() - REFRESH_MARGIN_MS, 0);
+    refreshTimerRef.current = setTimeout(() => {
+      refreshAccessToken();
+    }, delay);
+  }, []);
+
+  // Exchange the refresh token for a new access token. Concurrent callers share one request.
+  const refreshAccessToken = useCallback(() => {
+    if (refreshPromiseRef.current) {
+      return refreshPromiseRef.current;
+    }
+
+    const refreshToken = localStorage.getItem('refreshToken');
+    if (!refreshToken) {
+      return Promise.resolve(null);
+    }
+
+    refreshPromiseRef.current = axios.post(getApiUrl('/api/auth/refresh'), { refreshToken })
+      .then((response) => {
+        const { token, refreshToken: newRefreshToken } = response.data;
+        storeTokens(token, newRefreshToken);
+        scheduleRefresh(token);
+        return token;
+      })
+      .catch((error) => {
+        // Another tab may have rotated the refresh token in the meantime
+        const storedRefreshToken = localStorage.getItem('refreshToken');
+        const token = localStorage.getItem('token');
+        if (token && storedRefreshToken && storedRefreshToken !== refreshToken) {
+          storeTokens(token);
+          scheduleRefresh(token);
+          return token;
+        }
+
+        console.error('Error refreshing access token:', error);
+        if (error.response?.status === 401) {
+          clearTokens();
+          setUser(null);
+        }
+        return null;
+      })
+      .finally(() => {
+        refreshPromiseRef.current = null;
+      });
+
+    return refreshPromiseRef.current;
+  }, [scheduleRefresh]);
+
+  // Retry requests that failed because the access token expired, through axios or authFetch
+  useEffect(() => {
+    setAccessTokenRefresher(refreshAccessToken);
+    const interceptor = axios.interceptors.response.use(
+      response => response,
+      async (error) => {
+        const originalRequest = error.config;
+        if (error.response?.data?.code === 'TOKEN_EXPIRED' && originalRequest && !originalRequest._retried) {
+          originalRequest._retried = true;
+          const token = await refreshAccessToken();
+          if (token) {
+            originalRequest.headers['Authorization'] = `Bearer ${token}`;
+            return axios(originalRequest);
+          }
+        }
+        return Promise.reject(error);
+      }
+    );
+
+    return () => {
+      setAccessTokenRefresher(null);
+      axios.interceptors.response.eject(interceptor);
+    };
+  }, [refreshAccessToken]);
+
+  // Timers are throttled while the app is in the background, so check again when it comes back
+  useEffect(() => {
+    const handleVisibilityChange = () => {
+      const token = localStorage.getItem('token');
+      if (document.hidden || !token) return;
+
+      const expiry = getTokenExpiry(token);
+      if (expiry && expiry - Date.now() < REFRESH_MARGIN_MS) {
+        refreshAccessToken();
+      }
+    };
+
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    return () => {
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+    };
+  }, [refreshAccessToken]);
 
   useEffect(() => {
     const token = localStorage.getItem('token');
     if (token) {
       axios.defaults.headers.common['Authorization'] = `Bearer ${token}`;
+      scheduleRefresh(token);
       fetchUser();
     } else {
       setLoading(false);
     }
+
+    return () => {
+      if (refreshTimerRef.current) {
+        clearTimeout(refreshTimerRef.current);
+      }
+    };
   }, []);
 
   const fetchUser = async () => {
     try {
-      console.log('Fetching user with token:', localStorage.getItem('token'));
-      console.log('API URL:', getApiUrl('/api/auth/me'));
       const response = await axios.get(getApiUrl('/api/auth/me'));
       setUser(response.data.user);
     } catch (error) {
       console.error('Error fetching user:', error);
       console.error('Error response:', error.response?.data);
-      localStorage.removeItem('token');
-      delete axios.defaults.headers.common['Authorization'];
+      clearTokens();
     } finally {
       setLoading(false);
     }
@@ -52,9 +199,9 @@ export const AuthProvider = ({ children }) => {
         password
       });
 
-      const { token, user } = response.data;
-      localStorage.setItem('token', token);
-      axios.defaults.headers.common['Authorization'] = `Bearer ${token}`;
+      const { token, refreshToken, user } = response.data;
+      storeTokens(token, refreshToken);
+      scheduleRefresh(token);
       setUser(user);
       toast.success('Login successful!');
       return { success: true };
@@ -74,9 +221,9 @@ export const AuthProvider = ({ children }) => {
         displayName
       });
 
-      const { token, user } = response.data;
-      localStorage.setItem('token', token);
-      axios.defaults.headers.common['Authorization'] = `Bearer ${token}`;
+      const { token, refreshToken, user } = response.data;
+      storeTokens(token, refreshToken);
+      scheduleRefresh(token);
       setUser(user);
       toast.success('Registration successful!');
       return { success: true };
@@ -87,19 +234,82 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
-  const logout = () => {
-    localStorage.removeItem('token');
-    delete axios.defaults.headers.common['Authorization'];
+  // Clear local auth state (used after logout or when the session is revoked elsewhere)
+  const endSession = useCallback(() => {
+    if (refreshTimerRef.current) {
+      clearTimeout(refreshTimerRef.current);
+    }
+    clearTokens();
+    // Unsent messages must not be sent later on behalf of the next user of this device
+    clearOutbox().catch((error) => {
+      console.error('Failed to clear outbox:', error);
+    });
+    updateAppBadge(0);
     setUser(null);
+  }, []);
+
+  const logout = async () => {
+    try {
+      await axios.post(getApiUrl('/api/auth/logout'));
+    } catch (error) {
+      console.error('Error revoking session on logout:', error);
+    }
+    endSession();
     toast.success('Logged out successfully');
   };
 
+  const logoutAllDevices = async () => {
+    try {
+      await axios.post(getApiUrl('/api/auth/logout-all'));
+      endSession();
+      toast.success('Logged out from all devices');
+      return { success: true };
+    } catch (error) {
+      const message = error.response?.data?.error || 'Failed to log out all devices';
+      toast.error(message);
+      return { success: false, error: message };
+    }
+  };
+
+  const getSessions = async () => {
+    const response = await axios.get(getApiUrl('/api/auth/sessions'));
+    return response.data.sessions;
+  };
+
+  const revokeSession = async (sessionId) => {
+    await axios.delete(getApiUrl(`/api/auth/sessions/${sessionId}`));
+  };
+
+  // Privacy settings to change: showPresence shows or hides our online status and last seen time from
+  // other users, showForwardSource whether messages others forward name us as the sender
+  const updatePrivacy = async (settings) => {
+    try {
+      const response = await axios.patch(getApiUrl('/api/auth/me/privacy'), settings);
+      setUser(prev => ({
+        ...prev,
+        showPresence: response.data.showPresence,
+        showForwardSource: response.data.showForwardSource
+      }));
+      return { success: true };
+    } catch (error) {
+      const message = error.response?.data?.error || 'Failed to update privacy settings';
+      toast.error(message);
+      return { success: false, error: message };
+    }
+  };
+
   const value = {
     user,
     loading,
     login,
     register,
-    logout
+    logout,
+    logoutAllDevices,
+    endSession,
+    refreshAccessToken,
+    getSessions,
+    revokeSession,
+    updatePrivacy
   };
 
   return (
@@ -1,9 +1,24 @@
-import React, { createContext, useContext, useEffect, useState, useCallback } from 'react';
+import React, { createContext, useContext, useEffect, useState, useCallback, useRef } from 'react';
 import { io } from 'socket.io-client';
+import axios from 'axios';
 import toast from 'react-hot-toast';
 import { useAuth } from './AuthContext';
-import { config } from '../config/api';
+import { config, getApiUrl } from '../config/api';
 import notificationManager from '../utils/notifications';
+import { getAttachmentPreview } from '../utils/attachments';
+import { isMentioned, shouldNotify } from '../utils/notificationPreferences';
+import { playNotificationSound } from '../utils/sounds';
+import {
+  addToOutbox,
+  createClientMessageId,
+  getOutbox,
+  removeFromOutbox,
+  requestOutboxSync
+} from '../utils/outbox';
+
+// How long to wait for the server to acknowledge a message before retrying it
+const OUTBOX_ACK_TIMEOUT = 10000;
+const OUTBOX_RETRY_DELAY = 5000;
 
 const SocketContext = createContext();
 
@@ -21,7 +36,186 @@ export const SocketProvider = ({ children }) => {
   const [currentChatId, setCurrentChatId] = useState(null);
   const [notificationPermission, setNotificationPermission] = useState('default');
   const [isPageVisible, setIsPageVisible] = useState(!document.hidden);
-  const { user } = useAuth();
+  const { user, refreshAccessToken, endSession } = useAuth();
+  // Own messages not yet acknowledged by the server (also kept in the IndexedDB outbox)
+  const [pendingMessages, setPendingMessages] = useState([]);
+  const pendingMessagesRef = useRef([]);
+  const outboxFlushingRef = useRef(false);
+  const outboxFlushRequestedRef = useRef(false);
+  const outboxRetryTimerRef = useRef(null);
+  // Quiet hours and per-chat notification settings ({ quietHours, chats: { [chatId]: settings } }).
+  // The ref gives socket handlers the current settings without reconnecting when they change.
+  const [notificationSettings, setNotificationSettings] = useState({ quietHours: null, chats: {} });
+  const notificationSettingsRef = useRef(notificationSettings);
+  // Incremented on every reconnect, so views can fetch what they missed while disconnected
+  const [reconnectCount, setReconnectCount] = useState(0);
+  const hasConnectedRef = useRef(false);
+
+  // The ref is read while flushing, the state renders the pending messages
+  const updatePendingMessages = useCallback((update) => {
+    pendingMessagesRef.current = update(pendingMessagesRef.current);
+    setPendingMessages(pendingMessagesRef.current);
+  }, []);
+
+  const removePendingMessage = useCallback((clientMessageId) => {
+    updatePendingMessages(prev => prev.filter(entry => entry.clientMessageId !== clientMessageId));
+    removeFromOutbox(clientMessageId).catch((error) => {
+      console.error('Failed to remove message from outbox:', error);
+    });
+  }, [updatePendingMessages]);
+
+  // Send the outbox in order over the socket. The server ignores messages it already stored (same
+  // clientMessageId), so entries are only removed once acknowledged and retrying is always safe.
+  const flushOutbox = useCallback(async (targetSocket) => {
+    if (outboxFlushingRef.current) {
+      outboxFlushRequestedRef.current = true;
+      return;
+    }
+    outboxFlushingRef.current = true;
+    clearTimeout(outboxRetryTimerRef.current);
+
+    try {
+      do {
+        outboxFlushRequestedRef.current = false;
+        const entries = [...pendingMessagesRef.current];
+
+        for (const entry of entries) {
+          if (!targetSocket.connected) {
+            return;
+          }
+
+          let response;
+          try {
+            response = await targetSocket.timeout(OUTBOX_ACK_TIMEOUT).emitWithAck('send-message', {
+              chatId: entry.chatId,
+              content: entry.content,
+              messageType: entry.messageType,
+              quotedMessageId: entry.quotedMessage?.id || null,
+              threadParentId: entry.threadParentId || null,
+              clientMessageId: entry.clientMessageId
+            });
+          } catch (error) {
+            // No acknowledgement in time: keep the message and try again later
+            outboxRetryTimerRef.current = setTimeout(() => flushOutbox(targetSocket), OUTBOX_RETRY_DELAY);
+            return;
+          }
+
+          if (response?.error && response.retryable) {
+            outboxRetryTimerRef.current = setTimeout(() => flushOutbox(targetSocket), OUTBOX_RETRY_DELAY);
+            return;
+          }
+
+          removePendingMessage(entry.clientMessageId);
+          if (response?.error) {
+            toast.error(`Message not sent: ${response.error}`);
+          }
+        }
+      } while (outboxFlushRequestedRef.current);
+    } catch (error) {
+      console.error('Failed to send outbox:', error);
+    } finally {
+      outboxFlushingRef.current = false;
+    }
+  }, [removePendingMessage]);
+
+  // Restore messages left in the outbox by a previous visit
+  useEffect(() => {
+    if (!user) {
+      updatePendingMessages(() => []);
+      hasConnectedRef.current = false;
+      return;
+    }
+
+    getOutbox(user.id)
+      .then((entries) => {
+        updatePendingMessages(prev => [
+          ...entries,
+          ...prev.filter(entry => !entries.some(stored => stored.clientMessageId === entry.clientMessageId))
+        ]);
+      })
+      .catch((error) => {
+        console.error('Failed to load outbox:', error);
+      });
+  }, [user, updatePendingMessages]);
+
+  // The service worker drops outbox messages the server refused during a background sync
+  useEffect(() => {
+    if (!('serviceWorker' in navigator)) {
+      return;
+    }
+
+    const handleMessage = (event) => {
+      if (event.data?.type === 'OUTBOX_MESSAGE_REJECTED') {
+        removePendingMessage(event.data.clientMessageId);
+        toast.error(`Message not sent: ${event.data.error}`);
+      }
+    };
+
+    navigator.serviceWorker.addEventListener('message', handleMessage);
+    return () => navigator.serviceWorker.removeEventListener('message', handleMessage);
+  }, [removePendingMessage]);
+
+  useEffect(() => {
+    notificationSettingsRef.current = notificationSettings;
+  }, [notificationSettings]);
+
+  const applyNotificationSettings = useCallback(({ quietHours, chat }) => {
+    setNotificationSettings(prev => ({
+      quietHours: quietHours || prev.quietHours,
+      chats: chat ? { ...prev.chats, [chat.chatId]: chat } : prev.chats
+    }));
+  }, []);
+
+  const fetchNotificationSettings = useCallback(async () => {
+    try {
+      const { data } = await axios.get(getApiUrl('/api/notification-settings'));
+      setNotificationSettings({
+        quietHours: data.quietHours,
+        chats: Object.fromEntries(data.chats.map(chat => [chat.chatId, chat]))
+      });
+    } catch (error) {
+      console.error('Error fetching notification settings:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (user) {
+      fetchNotificationSettings();
+    }
+  }, [user, fetchNotificationSettings]);
+
+  // Mute a chat ('1h', '8h', 'forever' or 'off') or change its notificationLevel / notificationSound
+  const updateChatNotificationSettings = async (chatId, changes) => {
+    try {
+      const { data } = await axios.patch(getApiUrl(`/api/notification-settings/chats/${chatId}`), changes);
+      applyNotificationSettings({ chat: data.settings });
+      return { success: true };
+    } catch (error) {
+      console.error('Error updating chat notification settings:', error);
+      toast.error('Failed to update notification settings');
+      return { success: false };
+    }
+  };
+
+  const updateQuietHours = async (quietHours) => {
+    try {
+      const { data } = await axios.put(getApiUrl('/api/notification-settings/quiet-hours'), quietHours);
+      applyNotificationSettings({ quietHours: data.quietHours });
+      return { success: true };
+    } catch (error) {
+      console.error('Error updating quiet hours:', error);
+      toast.error('Failed to update quiet hours');
+      return { success: false };
+    }
+  };
+
+  // Send what is left in the outbox once connected (or reconnected)
+  const hasPendingMessages = pendingMessages.length > 0;
+  useEffect(() => {
+    if (socket && connected && hasPendingMessages) {
+      flushOutbox(socket);
+    }
+  }, [socket, connected, hasPendingMessages, flushOutbox]);
 
   // Request notification permission and subscribe to push notifications
   useEffect(() => {
@@ -414,21 +608,25 @@ export const SocketProvider = ({ children }) => {
 
   useEffect(() => {
     if (user) {
-      const token = localStorage.getItem('token');
       // TEMPORARY: Force local IP for socket connection
       const socketUrl = import.meta.env.PROD ? config.serverUrl : 'http://localhost:3001';
       console.log('Socket connecting to:', socketUrl); // Debug log
       const newSocket = io(socketUrl, {
-        auth: {
-          token
+        // Read the token on every (re)connect so refreshed access tokens are used
+        auth: (cb) => {
+          cb({ token: localStorage.getItem('token') });
         },
         transports: ['websocket', 'polling']
       });
 
       newSocket.on('connect', () => {
         console.log('Connected to server');
+        // The server puts the socket in the rooms of our chats
         setConnected(true);
-        newSocket.emit('join-chats');
+        if (hasConnectedRef.current) {
+          setReconnectCount(count => count + 1);
+        }
+        hasConnectedRef.current = true;
       });
 
       newSocket.on('disconnect', () => {
@@ -436,9 +634,41 @@ export const SocketProvider = ({ children }) => {
         setConnected(false);
       });
 
-      newSocket.on('connect_error', (error) => {
+      // Our own message arrived (possibly sent by the service worker): it is no longer pending
+      newSocket.on('new-message', (message) => {
+        if (message.client_message_id && String(message.user_id) === String(user.id)) {
+          removePendingMessage(message.client_message_id);
+        }
+      });
+
+      newSocket.on('connect_error', async (error) => {
         console.error('Connection error:', error);
         setConnected(false);
+
+        // The server rejected the handshake: the access token may have expired
+        if (error.message === 'Authentication error') {
+          const token = await refreshAccessToken();
+          if (token) {
+            newSocket.connect();
+          }
+        }
+      });
+
+      // This session was revoked from another device
+      newSocket.on('session-revoked', () => {
+        toast('You have been logged out on this device', {
+          duration: 4000,
+          position: 'top-right',
+          style: {
+            background: '#ff4757',
+            color: '#fff',
+            borderRadius: '8px',
+            padding: '12px 16px',
+            fontSize: '14px',
+            maxWidth: '300px',
+          },
+        });
+        endSession();
       });
 
       // Handle new messages with notifications
@@ -447,6 +677,11 @@ export const SocketProvider = ({ children }) => {
         const isOwnMessage = String(message.user_id) === String(user.id);
         const isCurrentChat = String(message.chat_id) === String(currentChatId);
 
+        // Acknowledge receipt so the sender sees the message as delivered
+        if (!isOwnMessage) {
+          newSocket.emit('messages-delivered', { messageIds: [message.id] });
+        }
+
         console.log('isOwnMessage', isOwnMessage);
         console.log('isCurrentChat', isCurrentChat);
         console.log('isPageVisible', isPageVisible);
@@ -456,9 +691,17 @@ export const SocketProvider = ({ children }) => {
         // 1. Message is not from current user
         // 2. Either it's not the current chat OR the page is not visible (user switched apps)
         const shouldShowNotification = !isOwnMessage && (!isCurrentChat || !isPageVisible);
+        const chatSettings = notificationSettingsRef.current.chats[message.chat_id];
+        const notificationsAllowed = shouldNotify({
+          message,
+          settings: chatSettings,
+          quietHours: notificationSettingsRef.current.quietHours,
+          userId: user.id
+        });
         
-        if (shouldShowNotification) {
+        if (shouldShowNotification && notificationsAllowed) {
           console.log('Showing notification');
+          playNotificationSound(chatSettings?.notificationSound);
           // Get chat name from the message or use a default
           const chatName = message.chat_name || 'Unknown Chat';
           const senderName = message.username || 'Someone';
@@ -470,10 +713,20 @@ export const SocketProvider = ({ children }) => {
             return tmp.textContent || tmp.innerText || '';
           };
           
-          const plainTextMessage = stripHtml(message.content);
+          const plainTextMessage = getAttachmentPreview(message) || stripHtml(message.content);
+          const mentioned = isMentioned(message, user.id);
+          let title = `${senderName} in ${chatName}`;
+          let tag = `chat-${message.chat_id}`;
+          if (mentioned) {
+            title = `${senderName} mentioned you in ${chatName}`;
+            tag = `mention-${message.chat_id}`;
+          } else if (message.thread_parent_id) {
+            title = `${senderName} replied in a thread in ${chatName}`;
+            tag = `thread-${message.thread_parent_id}`;
+          }
           
           // Show in-app notification
-          toast(`${senderName} in ${chatName}: ${plainTextMessage}`, {
+          toast(`${title}: ${plainTextMessage}`, {
             duration: 4000,
             position: 'top-right',
             style: {
@@ -487,45 +740,57 @@ export const SocketProvider = ({ children }) => {
           });
           
           // Show browser notification
-          showBrowserNotification(`${senderName} in ${chatName}`, {
+          showBrowserNotification(title, {
             body: plainTextMessage,
-            tag: `chat-${message.chat_id}`,
+            tag,
+            data: { chatId: message.chat_id, messageId: message.id },
             requireInteraction: false
           });
         }
       });
 
-      // Handle new chat notifications
-      newSocket.on('new-chat', (data) => {
-        // Only handle if this is for the current user
-        if (data.participantId === user.id) {
-          // Join the new chat room
-          newSocket.emit('join-chat', { chatId: data.chatId });
-          
-          // Show notification
-          const chatName = data.chatName || `Chat ${data.chatId}`;
-          toast(`You've been added to ${chatName}`, {
-            duration: 3000,
-            position: 'top-right',
-            style: {
-              background: '#4CAF50',
-              color: '#fff',
-              borderRadius: '8px',
-              padding: '12px 16px',
-              fontSize: '14px',
-              maxWidth: '300px',
-            },
-          });
-          
-          // Show browser notification for new chat
-          showBrowserNotification('New Chat', {
-            body: `You've been added to ${chatName}`,
-            tag: `new-chat-${data.chatId}`,
-            requireInteraction: false
-          });
+      // Don't leave deleted messages on screen in notifications
+      newSocket.on('message-deleted', async (data) => {
+        if (!('serviceWorker' in navigator)) return;
+        try {
+          const registration = await navigator.serviceWorker.ready;
+          const notifications = await registration.getNotifications();
+          notifications
+            .filter(notification => String(notification.data?.messageId) === String(data.messageId))
+            .forEach(notification => notification.close());
+        } catch (error) {
+          console.error('Error closing notifications of deleted message:', error);
         }
       });
 
+      // Settings changed on another device
+      newSocket.on('notification-settings-updated', applyNotificationSettings);
+
+      // Handle new chat notifications (only sent to the chat's participants)
+      newSocket.on('new-chat', (data) => {
+        // Show notification
+        const chatName = data.chatName || `Chat ${data.chatId}`;
+        toast(`You've been added to ${chatName}`, {
+          duration: 3000,
+          position: 'top-right',
+          style: {
+            background: '#4CAF50',
+            color: '#fff',
+            borderRadius: '8px',
+            padding: '12px 16px',
+            fontSize: '14px',
+            maxWidth: '300px',
+          },
+        });
+        
+        // Show browser notification for new chat
+        showBrowserNotification('New Chat', {
+          body: `You've been added to ${chatName}`,
+          tag: `new-chat-${data.chatId}`,
+          requireInteraction: false
+        });
+      });
+
       // Handle chat deletion notifications
       newSocket.on('chat-deleted', (data) => {
         const chatName = data.chatName || `Chat ${data.chatId}`;
@@ -555,26 +820,47 @@ export const SocketProvider = ({ children }) => {
       setSocket(newSocket);
 
       return () => {
+        clearTimeout(outboxRetryTimerRef.current);
         newSocket.close();
       };
     }
-  }, [user, currentChatId, showBrowserNotification, isPageVisible, clearQueueOnActivity]);
+  }, [user, currentChatId, showBrowserNotification, isPageVisible, clearQueueOnActivity, refreshAccessToken, endSession, removePendingMessage, applyNotificationSettings]);
+
+  // Messages go through the outbox: they are shown as pending straight away and sent (or retried
+  // after reconnecting) until the server acknowledges them
+  const sendMessage = async (chatId, messageData, messageType = 'text') => {
+    // Handle both old format (string content) and new format (object with content, quotedMessage
+    // and threadParentId for replies in a thread)
+    const content = typeof messageData === 'string' ? messageData : messageData.content;
+    const quotedMessage = typeof messageData === 'object' ? messageData.quotedMessage : null;
+    const threadParentId = typeof messageData === 'object' ? messageData.threadParentId : null;
+
+    // iOS PWA fix: Clear notification queue when user is actively sending messages
+    clearQueueOnActivity();
+
+    const entry = {
+      clientMessageId: createClientMessageId(),
+      chatId,
+      content,
+      messageType,
+      quotedMessage: quotedMessage || null,
+      threadParentId: threadParentId || null,
+      senderId: user.id,
+      createdAt: new Date().toISOString()
+    };
 
-  const sendMessage = (chatId, messageData, messageType = 'text') => {
-    if (socket && connected) {
-      // Handle both old format (string content) and new format (object with content and quotedMessage)
-      const content = typeof messageData === 'string' ? messageData : messageData.content;
-      const quotedMessage = typeof messageData === 'object' ? messageData.quotedMessage : null;
-      
-      // iOS PWA fix: Clear notification queue when user is actively sending messages
-      clearQueueOnActivity();
-      
-      socket.emit('send-message', { 
-        chatId, 
-        content, 
-        messageType,
-        quotedMessage 
-      });
+    updatePendingMessages(prev => [...prev, entry]);
+    try {
+      await addToOutbox(entry);
+    } catch (error) {
+      console.error('Failed to store message in outbox:', error);
+    }
+
+    if (socket && socket.connected) {
+      flushOutbox(socket);
+    } else {
+      // Offline: let the service worker send it once connectivity returns
+      requestOutboxSync();
     }
   };
 
@@ -597,49 +883,29 @@ export const SocketProvider = ({ children }) => {
     }
   };
 
+  // Requests go through axios, so an expired access token is refreshed (see AuthContext) and retried
   const editMessage = async (messageId, content) => {
     try {
-      const token = localStorage.getItem('token');
-      const response = await fetch(`${config.serverUrl}/api/messages/${messageId}`, {
-        method: 'PATCH',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${token}`
-        },
-        body: JSON.stringify({ content })
-      });
-
-      if (response.ok) {
-        const data = await response.json();
-        return { success: true, data: data.data };
-      } else {
-        const error = await response.json();
-        return { success: false, error: error.error };
-      }
+      const response = await axios.patch(`${config.serverUrl}/api/messages/${messageId}`, { content });
+      return { success: true, data: response.data.data };
     } catch (error) {
+      if (error.response) {
+        return { success: false, error: error.response.data?.error };
+      }
       console.error('Error editing message:', error);
       return { success: false, error: 'Failed to edit message' };
     }
   };
 
-  const deleteMessage = async (messageId) => {
+  // scope is 'everyone' (a tombstone replaces the message for everyone) or 'me' (only hidden for us)
+  const deleteMessage = async (messageId, scope = 'everyone') => {
     try {
-      const token = localStorage.getItem('token');
-      const response = await fetch(`${config.serverUrl}/api/messages/${messageId}`, {
-        method: 'DELETE',
-        headers: {
-          'Authorization': `Bearer ${token}`
-        }
-      });
-
-      if (response.ok) {
-        const data = await response.json();
-        return { success: true, data: data.data };
-      } else {
-        const error = await response.json();
-        return { success: false, error: error.error };
-      }
+      const response = await axios.delete(`${config.serverUrl}/api/messages/${messageId}`, { params: { scope } });
+      return { success: true, data: response.data.data };
     } catch (error) {
+      if (error.response) {
+        return { success: false, error: error.response.data?.error };
+      }
       console.error('Error deleting message:', error);
       return { success: false, error: 'Failed to delete message' };
     }
@@ -666,7 +932,12 @@ export const SocketProvider = ({ children }) => {
   const value = {
     socket,
     connected,
+    reconnectCount,
     sendMessage,
+    pendingMessages,
+    notificationSettings,
+    updateChatNotificationSettings,
+    updateQuietHours,
     startTyping,
     stopTyping,
     setCurrentChat,
@@ -0,0 +1,15 @@
+// Show the unread count on the app icon. The service worker owns the badge (it also updates it
+// from push notifications while the app is closed); without one, use the Badging API directly.
+export const updateAppBadge = (count) => {
+  const controller = navigator.serviceWorker?.controller;
+  if (controller) {
+    controller.postMessage({ type: 'SET_BADGE', count });
+    return;
+  }
+
+  if (!('setAppBadge' in navigator)) {
+    return;
+  }
+  const update = count > 0 ? navigator.setAppBadge(count) : navigator.clearAppBadge();
+  update.catch(error => console.error('Failed to update app badge:', error));
+};
@@ -0,0 +1,90 @@
+import axios from 'axios';
+import { getApiUrl } from '../config/api';
+
+// Download tokens fetched after the one an attachment came with expired, by attachment id
+const refreshedDownloadTokens = new Map();
+
+const getDownloadToken = (attachment) =>
+  refreshedDownloadTokens.get(attachment.id) || attachment.download_token || '';
+
+// URL of an attachment download. <img> and <a> elements can't send an Authorization header, so the
+// attachment's download token goes in the query string.
+// `variant` ('thumbnail' or 'medium') requests a downscaled copy of an image.
+export const getAttachmentUrl = (attachment, { download = false, variant = null } = {}) => {
+  const params = new URLSearchParams({ token: getDownloadToken(attachment) });
+  if (download) {
+    params.set('download', '1');
+  }
+  if (variant) {
+    params.set('variant', variant);
+  }
+  return getApiUrl(`/api/attachments/${attachment.id}?${params}`);
+};
+
+// Whether the download token getAttachmentUrl would use has expired
+export const isDownloadTokenExpired = (attachment) => {
+  try {
+    const payload = getDownloadToken(attachment).split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+    return JSON.parse(atob(payload)).exp * 1000 <= Date.now();
+  } catch (error) {
+    return true;
+  }
+};
+
+// Get a new download token for an attachment; getAttachmentUrl uses it from then on
+export const refreshDownloadToken = async (attachment) => {
+  const response = await axios.get(getApiUrl(`/api/attachments/${attachment.id}/download-token`));
+  refreshedDownloadTokens.set(attachment.id, response.data.downloadToken);
+};
+
+// Image of an image message, or null. `src` is the full-size image; `thumbnailSrc` and `srcSet`
+// point at the downscaled renditions of the image's `attachment`. Older messages may still carry the
+// image inline as base64 until it is moved to the blob store.
+export const getMessageImage = (message) => {
+  if (message.attachment) {
+    const { attachment } = message;
+    const renditions = attachment.renditions || {};
+
+    return {
+      attachment,
+      src: getAttachmentUrl(attachment),
+      thumbnailSrc: getAttachmentUrl(attachment, { variant: 'thumbnail' }),
+      srcSet: Object.entries(renditions)
+        .map(([variant, { width }]) => `${getAttachmentUrl(attachment, { variant })} ${width}w`)
+        .join(', '),
+      filename: attachment.filename,
+      size: attachment.size,
+      width: attachment.width,
+      height: attachment.height,
+      placeholder: attachment.placeholder
+    };
+  }
+
+  if (message.image_data?.data) {
+    const src = `data:${message.image_data.mimetype};base64,${message.image_data.data}`;
+    return {
+      src,
+      thumbnailSrc: src,
+      srcSet: '',
+      filename: message.image_data.filename,
+      size: message.image_data.size
+    };
+  }
+
+  return null;
+};
+
+// Preview text for file messages, e.g. "📎 report.pdf", or null for other messages
+export const getAttachmentPreview = (message) => {
+  if (message.message_type === 'file' && message.attachment) {
+    return `📎 ${message.attachment.filename}`;
+  }
+  return null;
+};
+
+export const formatFileSize = (bytes) => {
+  if (!bytes && bytes !== 0) return '';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
@@ -0,0 +1,35 @@
+// fetch for authenticated API requests. Sends the current access token and, when the server answers
+// that it expired, waits for the shared refresh (see AuthContext) and sends the request once more.
+
+let refreshAccessToken = null;
+
+// AuthContext registers its refresh here, so concurrent requests share one refresh with axios
+export const setAccessTokenRefresher = (refresh) => {
+  refreshAccessToken = refresh;
+};
+
+const isTokenExpired = async (response) => {
+  if (response.status !== 401) {
+    return false;
+  }
+  const body = await response.clone().json().catch(() => null);
+  return body?.code === 'TOKEN_EXPIRED';
+};
+
+export const authFetch = async (url, options = {}) => {
+  const send = (token) => fetch(url, {
+    ...options,
+    headers: {
+      ...options.headers,
+      ...(token ? { 'Authorization': `Bearer ${token}` } : {})
+    }
+  });
+
+  const response = await send(localStorage.getItem('token'));
+  if (!refreshAccessToken || !await isTokenExpired(response)) {
+    return response;
+  }
+
+  const token = await refreshAccessToken();
+  return token ? send(token) : response;
+};
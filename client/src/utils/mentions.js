@@ -0,0 +1,68 @@
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// The @mention being typed at the caret, e.g. { query: 'al', start: 6 } for "Hello @al|", or null.
+// `start` is the index of the "@".
+export const getMentionQuery = (text, caret) => {
+  const match = text.slice(0, caret).match(/(^|[^\w@])@([\w.-]*)$/);
+  if (!match) {
+    return null;
+  }
+  return { query: match[2], start: caret - match[2].length - 1 };
+};
+
+// Replace the @mention being typed with the chosen username. Returns the new text and caret position.
+export const insertMention = (text, caret, mentionQuery, username) => {
+  const before = `${text.slice(0, mentionQuery.start)}@${username} `;
+  return { text: before + text.slice(caret).replace(/^\s/, ''), caret: before.length };
+};
+
+// Wrap the @mentions of a message's HTML content in <span class="mention">, with an extra "self" class
+// for mentions of the current user. Only the users the server recorded as mentioned are highlighted.
+export const highlightMentions = (html, mentions, currentUserId) => {
+  if (!html || !mentions || mentions.length === 0) {
+    return html;
+  }
+
+  const usernames = new Map(mentions.map(mention => [mention.username.toLowerCase(), mention]));
+  const pattern = new RegExp(
+    `(^|[^\\w@])@(${mentions.map(mention => escapeRegExp(mention.username)).join('|')})(?!\\w)`,
+    'gi'
+  );
+
+  const container = document.createElement('div');
+  container.innerHTML = html;
+
+  const walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT);
+  const textNodes = [];
+  while (walker.nextNode()) {
+    textNodes.push(walker.currentNode);
+  }
+
+  textNodes.forEach(node => {
+    const text = node.nodeValue;
+    const fragment = document.createDocumentFragment();
+    let lastIndex = 0;
+
+    pattern.lastIndex = 0;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      const start = match.index + match[1].length;
+      const mention = usernames.get(match[2].toLowerCase());
+      fragment.appendChild(document.createTextNode(text.slice(lastIndex, start)));
+
+      const span = document.createElement('span');
+      span.className = String(mention.user_id) === String(currentUserId) ? 'mention self' : 'mention';
+      span.textContent = `@${match[2]}`;
+      fragment.appendChild(span);
+
+      lastIndex = start + match[2].length + 1;
+    }
+
+    if (lastIndex > 0) {
+      fragment.appendChild(document.createTextNode(text.slice(lastIndex)));
+      node.parentNode.replaceChild(fragment, node);
+    }
+  });
+
+  return container.innerHTML;
+};
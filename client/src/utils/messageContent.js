@@ -0,0 +1,43 @@
+// Auto-detect and convert links to clickable elements
+const detectAndConvertLinks = (text) => {
+  if (!text) return text;
+  
+  // URL regex pattern - matches http, https, www, and common domains
+  const urlRegex = /(https?:\/\/[^\s]+|www\.[^\s]+|[a-zA-Z0-9][a-zA-Z0-9-]{1,61}[a-zA-Z0-9]\.[a-zA-Z]{2,})/g;
+  
+  return text.replace(urlRegex, (url) => {
+    // Add protocol if missing
+    const fullUrl = url.startsWith('http') ? url : `https://${url}`;
+    return `<a href="${fullUrl}" target="_blank" rel="noopener noreferrer" class="message-link">${url}</a>`;
+  });
+};
+
+// Format message content with link detection
+export const formatMessageContent = (content) => {
+  if (!content) return '';
+  
+  // If content is already HTML (from previous messages), return as is
+  if (content.includes('<') && content.includes('>')) {
+    return content;
+  }
+  
+  // Convert newlines to <br> and detect links
+  return detectAndConvertLinks(content)
+    .replace(/\n/g, '<br>');
+};
+
+// One-line plain text preview of a message, e.g. for pinned messages
+export const getMessagePreview = (message) => {
+  if (message.message_type === 'file' && message.attachment) {
+    return `📎 ${message.attachment.filename}`;
+  }
+
+  const tmp = document.createElement('div');
+  tmp.innerHTML = message.content || '';
+  const text = (tmp.textContent || tmp.innerText || '').trim();
+
+  if (message.message_type === 'image') {
+    return text ? `📷 ${text}` : '📷 Photo';
+  }
+  return text;
+};
@@ -0,0 +1,52 @@
+// Messages are ordered like the server pages them: by created_at, then id
+const compareMessages = (a, b) =>
+  new Date(a.created_at) - new Date(b.created_at) || a.id - b.id;
+
+// A message whose quote reflects the edits and deletions among the given messages
+const updateQuote = (message, changedMessages, deletedIds) => {
+  const quote = message.quotedMessage;
+  if (!quote || quote.deleted) {
+    return message;
+  }
+  if (deletedIds.has(String(quote.id))) {
+    return { ...message, quotedMessage: { id: quote.id, deleted: true } };
+  }
+  const original = changedMessages.find(changedMessage => String(changedMessage.id) === String(quote.id));
+  return original ? { ...message, quotedMessage: { ...quote, content: original.content } } : message;
+};
+
+// A quote as shown after the quoted message was edited (edit is a message-edited event) or deleted
+export const applyQuotedMessageEdit = (message, edit) =>
+  updateQuote(message, [edit], new Set());
+
+export const applyQuotedMessageDeletion = (message, deletedMessageId) =>
+  updateQuote(message, [], new Set([String(deletedMessageId)]));
+
+// Apply the changes returned by GET /api/messages/:chatId?since= to the loaded messages.
+// Changed messages replace their loaded copies and deleted ones are dropped. New messages are
+// added only when they are newer than the newest loaded message and appendNew is set (i.e. the
+// latest messages are loaded); older ones belong to pages that aren't loaded. Quotes of changed and
+// deleted messages are updated too.
+export const mergeMessageChanges = (messages, changedMessages, deletedMessageIds, { appendNew = true } = {}) => {
+  const deleted = new Set(deletedMessageIds.map(String));
+  const changed = new Map(changedMessages.map(message => [String(message.id), message]));
+  const newest = messages[messages.length - 1];
+
+  const merged = messages
+    .filter(message => !deleted.has(String(message.id)))
+    .map(message => {
+      const update = changed.get(String(message.id));
+      changed.delete(String(message.id));
+      return updateQuote(update ? { ...message, ...update } : message, changedMessages, deleted);
+    });
+
+  if (appendNew) {
+    changed.forEach(message => {
+      if (!newest || compareMessages(message, newest) > 0) {
+        merged.push(message);
+      }
+    });
+  }
+
+  return merged.sort(compareMessages);
+};
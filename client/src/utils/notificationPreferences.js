@@ -0,0 +1,86 @@
+// Client-side copy of the server's notification rules (server/services/notificationSettingsService.js),
+// applied to in-app toasts and browser notifications
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+export const MUTE_OPTIONS = [
+  { value: 'off', label: 'Not muted' },
+  { value: '1h', label: 'For 1 hour' },
+  { value: '8h', label: 'For 8 hours' },
+  { value: 'forever', label: 'Until I unmute it' }
+];
+
+export const NOTIFICATION_SOUND_OPTIONS = [
+  { value: 'default', label: 'Default' },
+  { value: 'chime', label: 'Chime' },
+  { value: 'pop', label: 'Pop' },
+  { value: 'none', label: 'None' }
+];
+
+// Settings of a chat the server has no settings for (e.g. one we were just added to)
+export const DEFAULT_CHAT_SETTINGS = {
+  muted: false,
+  mutedUntil: null,
+  notificationLevel: 'all',
+  notificationSound: 'default',
+  mentionsBypassMute: false
+};
+
+// A chat stays muted until mutedUntil, or indefinitely when mutedUntil is null
+export const isChatMuted = (settings, date = new Date()) =>
+  Boolean(settings?.muted) && (!settings.mutedUntil || new Date(settings.mutedUntil) > date);
+
+// Whether `date` falls within the quiet hours, in their time zone. Quiet hours may span midnight.
+export const isInQuietHours = (quietHours, date = new Date()) => {
+  if (!quietHours?.enabled) {
+    return false;
+  }
+
+  const localTime = new Intl.DateTimeFormat('en-GB', {
+    timeZone: quietHours.timeZone,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).format(date);
+
+  const now = toMinutes(localTime);
+  const start = toMinutes(quietHours.start);
+  const end = toMinutes(quietHours.end);
+
+  return start <= end
+    ? now >= start && now < end
+    : now >= start || now < end;
+};
+
+// Whether a message @mentions the user
+export const isMentioned = (message, userId) =>
+  (message.mentions || []).some(mention => String(mention.user_id) === String(userId));
+
+// Whether the user has taken part in the thread a reply belongs to
+export const isThreadParticipant = (message, userId) =>
+  (message.thread_participant_ids || []).some(id => String(id) === String(userId));
+
+// Whether a message from someone else should be announced to the user. Mentions get through a
+// muted chat when the user asked for it. Thread replies are only announced to the thread's
+// participants and the users they mention.
+export const shouldNotify = ({ message, settings = DEFAULT_CHAT_SETTINGS, quietHours, userId }) => {
+  const mentioned = isMentioned(message, userId);
+  if (message.thread_parent_id && !mentioned && !isThreadParticipant(message, userId)) {
+    return false;
+  }
+  if (isInQuietHours(quietHours) || (isChatMuted(settings) && !(mentioned && settings.mentionsBypassMute))) {
+    return false;
+  }
+  return settings.notificationLevel !== 'mentions' || mentioned;
+};
+
+// Time zones the browser knows about, for the quiet hours picker
+export const getTimeZones = () => {
+  if (typeof Intl.supportedValuesOf === 'function') {
+    return Intl.supportedValuesOf('timeZone');
+  }
+  return [Intl.DateTimeFormat().resolvedOptions().timeZone];
+};
@@ -1,3 +1,5 @@
+import { authFetch } from './authFetch';
+
 // Notification utility functions for PWA
 class NotificationManager {
   constructor() {
@@ -130,12 +132,10 @@ class NotificationManager {
   // Send subscription to server
   async sendSubscriptionToServer(subscription) {
     try {
-      const token = localStorage.getItem('token');
-      const response = await fetch('/api/push-notifications/subscribe', {
+      const response = await authFetch('/api/push-notifications/subscribe', {
         method: 'POST',
         headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${token}`
+          'Content-Type': 'application/json'
         },
         body: JSON.stringify({ subscription })
       });
@@ -0,0 +1,94 @@
+import { config } from '../config/api';
+
+// Offline outbox: messages are stored in IndexedDB until the server has acknowledged them, so they
+// survive reloads and can be sent by the service worker (public/sw.js reads the same database)
+const DB_NAME = 'BB-Chat-Outbox';
+const DB_VERSION = 1;
+const MESSAGES_STORE = 'messages';
+const AUTH_STORE = 'auth';
+export const OUTBOX_SYNC_TAG = 'background-sync';
+
+const openDatabase = () => new Promise((resolve, reject) => {
+  const request = indexedDB.open(DB_NAME, DB_VERSION);
+  request.onerror = () => reject(request.error);
+  request.onsuccess = () => resolve(request.result);
+  request.onupgradeneeded = () => {
+    const db = request.result;
+    if (!db.objectStoreNames.contains(MESSAGES_STORE)) {
+      db.createObjectStore(MESSAGES_STORE, { keyPath: 'clientMessageId' });
+    }
+    if (!db.objectStoreNames.contains(AUTH_STORE)) {
+      db.createObjectStore(AUTH_STORE);
+    }
+  };
+});
+
+const runTransaction = async (storeName, mode, operation) => {
+  if (!('indexedDB' in window)) {
+    return null;
+  }
+
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([storeName], mode);
+    const request = operation(transaction.objectStore(storeName));
+    transaction.oncomplete = () => {
+      db.close();
+      resolve(request.result);
+    };
+    transaction.onerror = () => {
+      db.close();
+      reject(transaction.error);
+    };
+  });
+};
+
+// Generate the id the server uses to recognise retries of the same message
+export const createClientMessageId = () => {
+  if (window.crypto?.randomUUID) {
+    return window.crypto.randomUUID();
+  }
+  // RFC 4122 version 4 UUID for browsers without crypto.randomUUID (non-secure contexts)
+  return '10000000-1000-4000-8000-100000000000'.replace(/[018]/g, (c) =>
+    (c ^ (window.crypto.getRandomValues(new Uint8Array(1))[0] & (15 >> (c / 4)))).toString(16)
+  );
+};
+
+export const addToOutbox = (entry) =>
+  runTransaction(MESSAGES_STORE, 'readwrite', (store) => store.put(entry));
+
+export const removeFromOutbox = (clientMessageId) =>
+  runTransaction(MESSAGES_STORE, 'readwrite', (store) => store.delete(clientMessageId));
+
+// Pending messages of a user, oldest first
+export const getOutbox = async (userId) => {
+  const entries = (await runTransaction(MESSAGES_STORE, 'readonly', (store) => store.getAll())) || [];
+  return entries
+    .filter((entry) => String(entry.senderId) === String(userId))
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+};
+
+export const clearOutbox = () =>
+  runTransaction(MESSAGES_STORE, 'readwrite', (store) => store.clear());
+
+// The service worker has no access to localStorage: keep a copy of the access token it can send
+// the outbox with. Pass null to remove it.
+export const setOutboxCredentials = (token, userId) =>
+  runTransaction(AUTH_STORE, 'readwrite', (store) => (token
+    ? store.put({ token, userId, apiBaseUrl: config.apiBaseUrl }, 'credentials')
+    : store.delete('credentials')));
+
+// Ask the service worker to send the outbox when connectivity returns, even if the app is closed
+export const requestOutboxSync = async () => {
+  if (!('serviceWorker' in navigator)) {
+    return;
+  }
+  try {
+    const registration = await navigator.serviceWorker.ready;
+    if (registration.sync) {
+      await registration.sync.register(OUTBOX_SYNC_TAG);
+    }
+  } catch (error) {
+    console.error('Failed to register background sync:', error);
+  }
+};
@@ -0,0 +1,39 @@
+// Human readable presence of a user ({ is_online, last_seen_at } as returned by the API).
+// Returns null when the user hides their presence or has never been seen.
+export const formatPresence = ({ is_online: isOnline, last_seen_at: lastSeenAt } = {}) => {
+  if (isOnline) {
+    return 'online';
+  }
+  if (!lastSeenAt) {
+    return null;
+  }
+
+  const lastSeen = new Date(lastSeenAt);
+  const minutes = Math.floor((Date.now() - lastSeen.getTime()) / 60000);
+
+  if (minutes < 1) {
+    return 'last seen just now';
+  }
+  if (minutes < 60) {
+    return `last seen ${minutes}m ago`;
+  }
+
+  const time = lastSeen.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  const yesterday = new Date();
+  yesterday.setDate(yesterday.getDate() - 1);
+
+  if (lastSeen.toDateString() === new Date().toDateString()) {
+    return `last seen today at ${time}`;
+  }
+  if (lastSeen.toDateString() === yesterday.toDateString()) {
+    return `last seen yesterday at ${time}`;
+  }
+  return `last seen ${lastSeen.toLocaleDateString()}`;
+};
+
+// Apply a presence-updated socket event to an object holding presence fields
+export const applyPresenceUpdate = (target, { isOnline, lastSeenAt }) => ({
+  ...target,
+  is_online: isOnline,
+  last_seen_at: lastSeenAt
+});
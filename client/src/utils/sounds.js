@@ -0,0 +1,37 @@
+// Notification sounds, synthesized with the Web Audio API so no audio files have to be served.
+// Each sound is a list of [frequency (Hz), start (s), duration (s)] notes.
+const SOUNDS = {
+  default: [[880, 0, 0.12], [660, 0.14, 0.16]],
+  chime: [[1046.5, 0, 0.25], [1318.5, 0.12, 0.25], [1568, 0.24, 0.4]],
+  pop: [[520, 0, 0.06]]
+};
+
+let audioContext = null;
+
+export const playNotificationSound = (name = 'default') => {
+  const notes = SOUNDS[name];
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  if (!notes || !AudioContextClass) {
+    return;
+  }
+
+  try {
+    audioContext = audioContext || new AudioContextClass();
+    const now = audioContext.currentTime;
+
+    notes.forEach(([frequency, start, duration]) => {
+      const oscillator = audioContext.createOscillator();
+      const gain = audioContext.createGain();
+      oscillator.type = 'sine';
+      oscillator.frequency.value = frequency;
+      gain.gain.setValueAtTime(0.2, now + start);
+      gain.gain.exponentialRampToValueAtTime(0.001, now + start + duration);
+      oscillator.connect(gain).connect(audioContext.destination);
+      oscillator.start(now + start);
+      oscillator.stop(now + start + duration);
+    });
+  } catch (error) {
+    // Browsers block audio until the user has interacted with the page
+    console.error('Failed to play notification sound:', error);
+  }
+};
@@ -0,0 +1,32 @@
+// Message configuration
+const parseNumber = (value, defaultValue) => {
+  const number = parseFloat(value);
+  return Number.isNaN(number) ? defaultValue : number;
+};
+
+// How long after sending a message it can still be edited (MESSAGE_EDIT_WINDOW_MINUTES, default 15;
+// 0 allows editing at any time)
+const EDIT_WINDOW_MS = parseNumber(process.env.MESSAGE_EDIT_WINDOW_MINUTES, 15) * 60 * 1000;
+
+// How long after sending a message it can still be deleted for everyone (MESSAGE_DELETE_WINDOW_MINUTES,
+// default 60; 0 allows it at any time). Deleting a message for yourself is always possible.
+const DELETE_WINDOW_MS = parseNumber(process.env.MESSAGE_DELETE_WINDOW_MINUTES, 60) * 60 * 1000;
+
+const windowEnd = (createdAt, windowMs) => (
+  windowMs > 0 ? new Date(new Date(createdAt).getTime() + windowMs) : null
+);
+
+module.exports = {
+  EDIT_WINDOW_MS,
+  DELETE_WINDOW_MS,
+
+  // How long the tombstones of messages deleted for everyone are kept before they are removed for good
+  // (MESSAGE_DELETED_RETENTION_DAYS, default 30)
+  DELETED_RETENTION_MS: parseNumber(process.env.MESSAGE_DELETED_RETENTION_DAYS, 30) * 24 * 60 * 60 * 1000,
+
+  // When a message sent at createdAt stops being editable, or null when there is no limit
+  getEditableUntil: (createdAt) => windowEnd(createdAt, EDIT_WINDOW_MS),
+
+  // When a message sent at createdAt can no longer be deleted for everyone, or null when there is no limit
+  getDeletableUntil: (createdAt) => windowEnd(createdAt, DELETE_WINDOW_MS)
+};
@@ -0,0 +1,50 @@
+// File upload configuration
+const DEFAULT_FILE_TYPES = [
+  'application/pdf',
+  'text/plain',
+  'text/csv',
+  'application/rtf',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/vnd.ms-powerpoint',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  'application/vnd.oasis.opendocument.text',
+  'application/vnd.oasis.opendocument.spreadsheet',
+  'application/vnd.oasis.opendocument.presentation',
+  'application/zip',
+  'application/x-zip-compressed',
+  'application/x-7z-compressed',
+  'application/x-rar-compressed',
+  'application/vnd.rar',
+  'application/gzip',
+  'application/x-tar',
+  'audio/*',
+  'video/*',
+  'image/*'
+];
+
+const parseList = (value) => value.split(',').map(item => item.trim()).filter(Boolean);
+
+const FILE_ALLOWED_TYPES = process.env.FILE_UPLOAD_ALLOWED_TYPES
+  ? parseList(process.env.FILE_UPLOAD_ALLOWED_TYPES)
+  : DEFAULT_FILE_TYPES;
+
+module.exports = {
+  // Maximum size of an image upload (IMAGE_UPLOAD_MAX_MB, default 20MB). The server generates
+  // downscaled renditions, so clients can upload camera originals as they are.
+  IMAGE_MAX_BYTES: (parseFloat(process.env.IMAGE_UPLOAD_MAX_MB) || 20) * 1024 * 1024,
+
+  // Maximum size of a file attachment (FILE_UPLOAD_MAX_MB, default 25MB)
+  FILE_MAX_BYTES: (parseFloat(process.env.FILE_UPLOAD_MAX_MB) || 25) * 1024 * 1024,
+
+  // MIME types accepted as file attachments (FILE_UPLOAD_ALLOWED_TYPES, comma separated; "audio/*" style wildcards allowed)
+  FILE_ALLOWED_TYPES,
+
+  isAllowedFileType: (mimeType) => FILE_ALLOWED_TYPES.some(allowed => (
+    allowed.endsWith('/*')
+      ? mimeType.startsWith(allowed.slice(0, -1))
+      : mimeType === allowed
+  ))
+};
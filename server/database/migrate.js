@@ -0,0 +1,46 @@
+// Migration CLI
+// Usage: node database/migrate.js [up | down [steps] | status]
+const { pool } = require('./connection');
+const { getMigrationStatus, migrateUp, migrateDown } = require('./migrator');
+
+const run = async () => {
+  const [command = 'up', arg] = process.argv.slice(2);
+
+  switch (command) {
+    case 'up': {
+      const applied = await migrateUp();
+      console.log(applied.length > 0
+        ? `✅ Applied ${applied.length} migration(s)`
+        : '✅ Database schema is up to date');
+      break;
+    }
+    case 'down': {
+      const steps = arg ? parseInt(arg) : 1;
+      if (!Number.isInteger(steps) || steps < 1) {
+        throw new Error('Steps must be a positive integer');
+      }
+      const rolledBack = await migrateDown(steps);
+      console.log(`✅ Rolled back ${rolledBack.length} migration(s)`);
+      break;
+    }
+    case 'status': {
+      const status = await getMigrationStatus();
+      status.forEach(migration => {
+        console.log(`${migration.applied ? '[x]' : '[ ]'} ${migration.version}_${migration.name}`);
+      });
+      const pendingCount = status.filter(migration => !migration.applied).length;
+      console.log(`${pendingCount} pending migration(s)`);
+      break;
+    }
+    default:
+      throw new Error(`Unknown command '${command}'. Use up, down [steps] or status.`);
+  }
+};
+
+run()
+  .then(() => pool.end())
+  .catch(async (error) => {
+    console.error('❌ Migration error:', error.message);
+    await pool.end();
+    process.exit(1);
+  });
@@ -0,0 +1,89 @@
+// One-off data migration: move base64 images out of messages.image_data into the blob store
+// Usage: node database/migrateImageAttachments.js
+// Safe to re-run; each message is converted in its own step, so an interrupted run can be resumed.
+const { pool } = require('./connection');
+const attachmentService = require('../services/attachmentService');
+const imageService = require('../services/imageService');
+
+const BATCH_SIZE = 20;
+
+const migrateMessage = async (message) => {
+  const imageData = typeof message.image_data === 'string'
+    ? JSON.parse(message.image_data)
+    : message.image_data;
+
+  const buffer = Buffer.from(imageData.data, 'base64');
+
+  // Generate renditions like a new upload would; images sharp can't read are moved as they are
+  let image = null;
+  try {
+    image = await imageService.processImage(buffer);
+  } catch (error) {
+    if (error.code !== 'UNSUPPORTED_IMAGE') {
+      throw error;
+    }
+  }
+
+  const attachment = await attachmentService.createAttachment({
+    chatId: message.chat_id,
+    uploaderId: message.sender_id,
+    buffer: image ? image.buffer : buffer,
+    filename: imageData.filename || `image-${message.id}`,
+    mimeType: image ? image.mimeType : (imageData.mimetype || 'application/octet-stream'),
+    image,
+    renditions: image ? image.renditions : []
+  });
+
+  await pool.query(
+    'UPDATE messages SET attachment_id = $1, image_data = NULL WHERE id = $2',
+    [attachment.id, message.id]
+  );
+};
+
+const run = async () => {
+  let migrated = 0;
+  let failed = 0;
+  let lastId = 0;
+
+  for (;;) {
+    const result = await pool.query(`
+      SELECT id, chat_id, sender_id, image_data
+      FROM messages
+      WHERE id > $1 AND attachment_id IS NULL AND image_data ? 'data'
+      ORDER BY id
+      LIMIT $2
+    `, [lastId, BATCH_SIZE]);
+
+    if (result.rows.length === 0) {
+      break;
+    }
+
+    for (const message of result.rows) {
+      try {
+        await migrateMessage(message);
+        migrated++;
+      } catch (error) {
+        failed++;
+        console.error(`❌ Failed to migrate image of message ${message.id}:`, error.message);
+      }
+      lastId = message.id;
+    }
+
+    console.log(`Moved ${migrated} image(s) so far...`);
+  }
+
+  console.log(`✅ Moved ${migrated} image(s) to the ${attachmentService.defaultBackend} blob store` +
+    (failed > 0 ? `, ${failed} failed` : ''));
+
+  if (failed > 0) {
+    process.exitCode = 1;
+  }
+};
+
+run()
+  .then(() => pool.end())
+  .catch(async (error) => {
+    console.error('❌ Image migration error:', error.message);
+    await pool.end();
+    process.exit(1);
+  });
@@ -0,0 +1,4 @@
+-- Rollback: image_data column
+
+DROP INDEX IF EXISTS idx_messages_type;
+ALTER TABLE messages DROP COLUMN IF EXISTS image_data;
@@ -1,5 +1,4 @@
 -- Migration to add image_data column to messages table
--- Run this script to update existing databases
 
 -- Add image_data column if it doesn't exist
 DO $$ 
@@ -0,0 +1,7 @@
+-- Rollback: quoted message support
+
+DROP INDEX IF EXISTS idx_messages_quoted_message_id;
+ALTER TABLE messages
+DROP COLUMN IF EXISTS quoted_message_id,
+DROP COLUMN IF EXISTS quoted_content,
+DROP COLUMN IF EXISTS quoted_sender_name;
@@ -1,5 +1,4 @@
 -- Migration to add quoted message support to existing messages table
--- Run this after the main schema.sql
 
 -- Add quoted message columns to messages table
 ALTER TABLE messages 
@@ -1,5 +1,4 @@
 -- Migration to add message reactions support
--- Run this after the main schema.sql
 
 -- Create message reactions table
 CREATE TABLE IF NOT EXISTS message_reactions (
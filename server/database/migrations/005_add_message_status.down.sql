@@ -0,0 +1,4 @@
+-- Rollback: message status tracking
+
+DROP INDEX IF EXISTS idx_messages_status;
+ALTER TABLE messages DROP COLUMN IF EXISTS status;
@@ -0,0 +1,20 @@
+-- Migration to add message status tracking
+
+-- Add status column to messages table and mark existing messages as 'delivered'.
+-- Guarded so databases that already have the column keep their statuses.
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'messages'
+        AND column_name = 'status'
+    ) THEN
+        ALTER TABLE messages
+        ADD COLUMN status VARCHAR(20) DEFAULT 'sent' CHECK (status IN ('sent', 'delivered', 'read'));
+
+        UPDATE messages SET status = 'delivered' WHERE status = 'sent';
+    END IF;
+END $$;
+
+-- Add index for status lookups
+CREATE INDEX IF NOT EXISTS idx_messages_status ON messages(status);
@@ -0,0 +1,5 @@
+-- Rollback: edited field
+
+DROP INDEX IF EXISTS idx_messages_edited;
+ALTER TABLE messages DROP COLUMN IF EXISTS edited;
+ALTER TABLE messages DROP COLUMN IF EXISTS edited_at;
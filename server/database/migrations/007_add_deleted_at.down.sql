@@ -0,0 +1,5 @@
+-- Rollback: soft delete support
+
+DROP INDEX IF EXISTS idx_messages_not_deleted;
+DROP INDEX IF EXISTS idx_messages_deleted_at;
+ALTER TABLE messages DROP COLUMN IF EXISTS deleted_at;
@@ -1,5 +1,4 @@
 -- Migration to add deleted_at field for soft delete functionality
--- Run this migration to add soft delete support to messages
 
 -- Add deleted_at column to messages table
 ALTER TABLE messages ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
@@ -0,0 +1,4 @@
+-- Rollback: push subscriptions table
+
+DROP TABLE IF EXISTS push_subscriptions;
+DROP FUNCTION IF EXISTS update_push_subscriptions_updated_at();
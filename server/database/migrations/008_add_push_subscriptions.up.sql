@@ -24,6 +24,8 @@ BEGIN
 END;
 $$ language 'plpgsql';
 
+DROP TRIGGER IF EXISTS update_push_subscriptions_updated_at ON push_subscriptions;
+
 CREATE TRIGGER update_push_subscriptions_updated_at
     BEFORE UPDATE ON push_subscriptions
     FOR EACH ROW
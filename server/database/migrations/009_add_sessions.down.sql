@@ -0,0 +1,3 @@
+-- Rollback: sessions table
+
+DROP TABLE IF EXISTS sessions;
@@ -0,0 +1,3 @@
+-- Rollback: participant roles
+
+ALTER TABLE chat_participants DROP COLUMN IF EXISTS role;
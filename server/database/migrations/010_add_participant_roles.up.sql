@@ -0,0 +1,11 @@
+-- Migration: Add participant roles
+-- Roles are stored per chat participant: owner, admin or member
+
+ALTER TABLE chat_participants
+ADD COLUMN IF NOT EXISTS role VARCHAR(20) NOT NULL DEFAULT 'member' CHECK (role IN ('owner', 'admin', 'member'));
+
+-- Chat creators become owners
+UPDATE chat_participants cp
+SET role = 'owner'
+FROM chats c
+WHERE cp.chat_id = c.id AND cp.user_id = c.created_by;
@@ -0,0 +1,7 @@
+-- Rollback: Remove full-text search over message content
+
+DROP INDEX IF EXISTS idx_messages_search_vector;
+
+ALTER TABLE messages DROP COLUMN IF EXISTS search_vector;
+
+DROP FUNCTION IF EXISTS message_plain_text(TEXT);
@@ -0,0 +1,14 @@
+-- Migration: Add full-text search over message content
+-- Messages are stored as HTML from the rich text editor, so tags and common entities are stripped before indexing
+
+CREATE OR REPLACE FUNCTION message_plain_text(content TEXT) RETURNS TEXT AS $$
+    SELECT replace(replace(replace(replace(replace(replace(
+        regexp_replace(content, '<[^>]*>', ' ', 'g'),
+        '&nbsp;', ' '), '&lt;', '<'), '&gt;', '>'), '&quot;', '"'), '&#39;', ''''), '&amp;', '&');
+$$ LANGUAGE sql IMMUTABLE;
+
+ALTER TABLE messages
+ADD COLUMN IF NOT EXISTS search_vector TSVECTOR
+GENERATED ALWAYS AS (to_tsvector('english', message_plain_text(content))) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_messages_search_vector ON messages USING GIN (search_vector);
@@ -0,0 +1,5 @@
+-- Rollback: Restore the previous message listing index
+
+CREATE INDEX IF NOT EXISTS idx_messages_not_deleted ON messages(chat_id, created_at) WHERE deleted_at IS NULL;
+
+DROP INDEX IF EXISTS idx_messages_chat_created_id;
@@ -0,0 +1,7 @@
+-- Migration: Index messages for keyset pagination
+-- Pages are ordered by (created_at, id) so messages with equal timestamps are paged consistently
+
+CREATE INDEX IF NOT EXISTS idx_messages_chat_created_id ON messages(chat_id, created_at, id) WHERE deleted_at IS NULL;
+
+-- Superseded by the index above
+DROP INDEX IF EXISTS idx_messages_not_deleted;
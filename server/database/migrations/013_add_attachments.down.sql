@@ -0,0 +1,8 @@
+-- Rollback: Remove attachments
+-- Run this only after moving attachment contents back into messages.image_data, otherwise images are lost
+
+DROP INDEX IF EXISTS idx_messages_attachment_id;
+
+ALTER TABLE messages DROP COLUMN IF EXISTS attachment_id;
+
+DROP TABLE IF EXISTS attachments;
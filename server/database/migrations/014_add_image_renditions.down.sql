@@ -0,0 +1,9 @@
+-- Rollback: Remove image renditions
+-- Rendition files are left in the blob store
+
+DROP TABLE IF EXISTS attachment_renditions;
+
+ALTER TABLE attachments
+DROP COLUMN IF EXISTS placeholder,
+DROP COLUMN IF EXISTS height,
+DROP COLUMN IF EXISTS width;
@@ -0,0 +1,20 @@
+-- Migration: Add image dimensions, placeholders and downscaled renditions
+-- Renditions are stored in the blob store next to the original; the original row keeps the full-size image
+
+ALTER TABLE attachments
+ADD COLUMN IF NOT EXISTS width INTEGER,
+ADD COLUMN IF NOT EXISTS height INTEGER,
+ADD COLUMN IF NOT EXISTS placeholder VARCHAR(100);
+
+CREATE TABLE IF NOT EXISTS attachment_renditions (
+    id SERIAL PRIMARY KEY,
+    attachment_id INTEGER NOT NULL REFERENCES attachments(id) ON DELETE CASCADE,
+    variant VARCHAR(20) NOT NULL CHECK (variant IN ('thumbnail', 'medium')),
+    storage_backend VARCHAR(20) NOT NULL,
+    storage_key VARCHAR(255) NOT NULL,
+    mime_type VARCHAR(100) NOT NULL,
+    size BIGINT NOT NULL,
+    width INTEGER NOT NULL,
+    height INTEGER NOT NULL,
+    UNIQUE(attachment_id, variant)
+);
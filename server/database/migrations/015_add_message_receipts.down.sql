@@ -0,0 +1,12 @@
+-- Rollback: Remove per-recipient delivery tracking
+-- Rows that were only delivered are dropped, since message_reads used to mean "read"
+
+DROP INDEX IF EXISTS idx_message_reads_user_id;
+
+DELETE FROM message_reads WHERE read_at IS NULL;
+
+ALTER TABLE message_reads
+ALTER COLUMN read_at SET DEFAULT CURRENT_TIMESTAMP;
+
+ALTER TABLE message_reads
+DROP COLUMN IF EXISTS delivered_at;
@@ -0,0 +1,13 @@
+-- Migration: Track delivery and read per recipient in message_reads
+-- A row with delivered_at set and read_at NULL means the message reached the user but wasn't read yet.
+-- messages.status becomes the aggregate over all recipients.
+
+ALTER TABLE message_reads
+ADD COLUMN IF NOT EXISTS delivered_at TIMESTAMP;
+
+ALTER TABLE message_reads
+ALTER COLUMN read_at DROP DEFAULT;
+
+UPDATE message_reads SET delivered_at = read_at WHERE delivered_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_message_reads_user_id ON message_reads(user_id);
@@ -0,0 +1,3 @@
+-- Rollback: Remove per-device delivery records
+
+DROP TABLE IF EXISTS message_deliveries;
@@ -0,0 +1,15 @@
+-- Migration: Record message delivery per device
+-- A device is a login session (delivered over Socket.IO or fetched over the API) or a push subscription
+-- (delivered to the service worker). message_reads.delivered_at keeps the first delivery to any of a user's devices.
+
+CREATE TABLE IF NOT EXISTS message_deliveries (
+    id SERIAL PRIMARY KEY,
+    message_id INTEGER NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    session_id INTEGER REFERENCES sessions(id) ON DELETE CASCADE,
+    push_subscription_id INTEGER REFERENCES push_subscriptions(id) ON DELETE CASCADE,
+    delivered_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK ((session_id IS NULL) <> (push_subscription_id IS NULL)),
+    UNIQUE(message_id, session_id),
+    UNIQUE(message_id, push_subscription_id)
+);
@@ -0,0 +1,5 @@
+-- Rollback: Remove last seen tracking
+
+ALTER TABLE users
+DROP COLUMN IF EXISTS show_presence,
+DROP COLUMN IF EXISTS last_seen_at;
@@ -0,0 +1,5 @@
+-- Migration: Add last seen tracking and a privacy setting for online status
+
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS last_seen_at TIMESTAMP,
+ADD COLUMN IF NOT EXISTS show_presence BOOLEAN NOT NULL DEFAULT TRUE;
@@ -0,0 +1,4 @@
+-- Rollback: Remove the shared notification queue and Socket.IO adapter table
+
+DROP TABLE IF EXISTS push_notification_queue;
+DROP TABLE IF EXISTS socket_io_attachments;
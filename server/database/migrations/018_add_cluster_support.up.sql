@@ -0,0 +1,23 @@
+-- Migration: Support running several server instances
+-- socket_io_attachments holds Socket.IO broadcasts too large for a NOTIFY payload (Postgres adapter).
+-- push_notification_queue replaces the per-process notification batching queue, so batches survive
+-- restarts and each message notification is sent by exactly one instance.
+
+CREATE TABLE IF NOT EXISTS socket_io_attachments (
+    id BIGSERIAL UNIQUE,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    payload BYTEA
+);
+
+CREATE TABLE IF NOT EXISTS push_notification_queue (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    message_id INTEGER NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+    payload JSONB NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    claim_id UUID,
+    claimed_at TIMESTAMP,
+    UNIQUE(user_id, message_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_push_notification_queue_user_id ON push_notification_queue(user_id);
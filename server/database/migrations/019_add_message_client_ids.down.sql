@@ -0,0 +1,4 @@
+-- Rollback: Remove client-generated message ids
+
+ALTER TABLE messages DROP CONSTRAINT IF EXISTS messages_sender_client_message_id_key;
+ALTER TABLE messages DROP COLUMN IF EXISTS client_message_id;
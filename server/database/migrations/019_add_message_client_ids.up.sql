@@ -0,0 +1,7 @@
+-- Migration: Client-generated message ids
+-- Clients create an id for every message they send and reuse it when retrying, so a message that was
+-- sent twice (e.g. from the offline outbox after a lost acknowledgement) is only stored once.
+
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS client_message_id UUID;
+
+ALTER TABLE messages ADD CONSTRAINT messages_sender_client_message_id_key UNIQUE (sender_id, client_message_id);
@@ -0,0 +1,5 @@
+-- Rollback: Remove the message change sequence
+
+DROP INDEX IF EXISTS idx_messages_chat_sync_seq;
+ALTER TABLE messages DROP COLUMN IF EXISTS sync_seq;
+DROP SEQUENCE IF EXISTS message_sync_seq;
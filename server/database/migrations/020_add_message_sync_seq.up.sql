@@ -0,0 +1,10 @@
+-- Migration: Message change sequence
+-- Every insert or change of a message (edit, delete, reactions, delivery status) takes the next
+-- value of message_sync_seq, so clients that missed socket events while disconnected can ask for
+-- everything that changed in a chat since the last sequence number they saw.
+
+CREATE SEQUENCE IF NOT EXISTS message_sync_seq;
+
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS sync_seq BIGINT NOT NULL DEFAULT nextval('message_sync_seq');
+
+CREATE INDEX IF NOT EXISTS idx_messages_chat_sync_seq ON messages(chat_id, sync_seq);
@@ -0,0 +1,12 @@
+-- Rollback: Remove per-chat notification settings and quiet hours
+
+ALTER TABLE users
+DROP COLUMN IF EXISTS time_zone,
+DROP COLUMN IF EXISTS quiet_hours_end,
+DROP COLUMN IF EXISTS quiet_hours_start,
+DROP COLUMN IF EXISTS quiet_hours_enabled;
+
+ALTER TABLE chat_participants
+DROP COLUMN IF EXISTS notification_sound,
+DROP COLUMN IF EXISTS notification_level,
+DROP COLUMN IF EXISTS muted_until;
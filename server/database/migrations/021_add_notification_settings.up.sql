@@ -0,0 +1,13 @@
+-- Migration: Per-chat notification settings and quiet hours
+-- muted_until is 'infinity' for chats muted until they are unmuted.
+
+ALTER TABLE chat_participants
+ADD COLUMN IF NOT EXISTS muted_until TIMESTAMP,
+ADD COLUMN IF NOT EXISTS notification_level VARCHAR(20) NOT NULL DEFAULT 'all' CHECK (notification_level IN ('all', 'mentions')),
+ADD COLUMN IF NOT EXISTS notification_sound VARCHAR(20) NOT NULL DEFAULT 'default';
+
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS quiet_hours_enabled BOOLEAN NOT NULL DEFAULT FALSE,
+ADD COLUMN IF NOT EXISTS quiet_hours_start TIME NOT NULL DEFAULT '22:00',
+ADD COLUMN IF NOT EXISTS quiet_hours_end TIME NOT NULL DEFAULT '07:00',
+ADD COLUMN IF NOT EXISTS time_zone VARCHAR(64) NOT NULL DEFAULT 'UTC';
@@ -0,0 +1,4 @@
+-- Rollback: Remove @mentions
+
+ALTER TABLE chat_participants DROP COLUMN IF EXISTS mentions_bypass_mute;
+DROP TABLE IF EXISTS message_mentions;
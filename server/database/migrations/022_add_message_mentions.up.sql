@@ -0,0 +1,13 @@
+-- Migration: @mentions
+-- Users mentioned in a message with @username, and whether mentions notify a user in a chat they muted.
+
+CREATE TABLE IF NOT EXISTS message_mentions (
+    message_id INTEGER NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    PRIMARY KEY (message_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_message_mentions_user_id ON message_mentions(user_id);
+
+ALTER TABLE chat_participants
+ADD COLUMN IF NOT EXISTS mentions_bypass_mute BOOLEAN NOT NULL DEFAULT FALSE;
@@ -0,0 +1,3 @@
+-- Rollback: Remove the per-chat read cursor
+
+ALTER TABLE chat_participants DROP COLUMN IF EXISTS last_read_message_id;
@@ -0,0 +1,16 @@
+-- Migration: Per-chat read cursor
+-- The newest message of a chat each participant has read. Messages after it (sent by others) are unread.
+-- Not a foreign key: the cursor keeps its place when that message is removed.
+
+ALTER TABLE chat_participants
+ADD COLUMN IF NOT EXISTS last_read_message_id INTEGER;
+
+-- Start from the newest message each participant has read or sent
+UPDATE chat_participants cp
+SET last_read_message_id = (
+    SELECT MAX(m.id)
+    FROM messages m
+    LEFT JOIN message_reads mr ON mr.message_id = m.id AND mr.user_id = cp.user_id
+    WHERE m.chat_id = cp.chat_id
+      AND (m.sender_id = cp.user_id OR mr.read_at IS NOT NULL)
+);
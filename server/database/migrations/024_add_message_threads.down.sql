@@ -0,0 +1,6 @@
+-- Rollback: Remove message threads
+
+DROP INDEX IF EXISTS idx_messages_thread_parent_created_id;
+-- Thread replies would otherwise show up in the main message list
+DELETE FROM messages WHERE thread_parent_id IS NOT NULL;
+ALTER TABLE messages DROP COLUMN IF EXISTS thread_parent_id;
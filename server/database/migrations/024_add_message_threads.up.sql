@@ -0,0 +1,9 @@
+-- Migration: Message threads
+-- Replies in a message's thread reference it with thread_parent_id and stay out of the chat's
+-- main message list. Threads are one level deep: replies can't have threads of their own.
+
+ALTER TABLE messages
+ADD COLUMN IF NOT EXISTS thread_parent_id INTEGER REFERENCES messages(id) ON DELETE CASCADE;
+
+CREATE INDEX IF NOT EXISTS idx_messages_thread_parent_created_id
+ON messages(thread_parent_id, created_at, id) WHERE deleted_at IS NULL;
@@ -0,0 +1,21 @@
+-- Rollback: Store copies of quoted messages again
+
+ALTER TABLE messages
+ADD COLUMN IF NOT EXISTS quoted_content TEXT,
+ADD COLUMN IF NOT EXISTS quoted_sender_name VARCHAR(100);
+
+UPDATE messages m
+SET quoted_content = q.content,
+    quoted_sender_name = u.display_name
+FROM messages q
+JOIN users u ON u.id = q.sender_id
+WHERE q.id = m.quoted_message_id;
+
+UPDATE messages m
+SET quoted_message_id = NULL
+WHERE m.quoted_message_id IS NOT NULL
+  AND NOT EXISTS (SELECT 1 FROM messages q WHERE q.id = m.quoted_message_id);
+
+ALTER TABLE messages
+ADD CONSTRAINT messages_quoted_message_id_fkey
+FOREIGN KEY (quoted_message_id) REFERENCES messages(id) ON DELETE SET NULL;
@@ -0,0 +1,19 @@
+-- Migration: Resolve quoted messages on the server
+-- Quotes stored a copy of the quoted message's content and sender name as sent by the client, so they could
+-- be forged and never followed edits or deletions of the original. They are now looked up from
+-- quoted_message_id. It is no longer a foreign key: a quote of a message that has been removed for good
+-- still shows that the original was deleted.
+
+-- Only messages of the same chat can be quoted
+UPDATE messages m
+SET quoted_message_id = NULL
+WHERE m.quoted_message_id IS NOT NULL
+  AND NOT EXISTS (
+    SELECT 1 FROM messages q WHERE q.id = m.quoted_message_id AND q.chat_id = m.chat_id
+  );
+
+ALTER TABLE messages DROP CONSTRAINT IF EXISTS messages_quoted_message_id_fkey;
+
+ALTER TABLE messages
+DROP COLUMN IF EXISTS quoted_content,
+DROP COLUMN IF EXISTS quoted_sender_name;
@@ -0,0 +1,3 @@
+-- Rollback: Remove the message edit history
+
+DROP TABLE IF EXISTS message_edits;
@@ -0,0 +1,13 @@
+-- Migration: Message edit history
+-- Every edit stores the version of the message it replaces, along with when that version was written and
+-- when it was replaced. The message itself always holds the current version.
+
+CREATE TABLE IF NOT EXISTS message_edits (
+    id SERIAL PRIMARY KEY,
+    message_id INTEGER NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+    content TEXT NOT NULL,
+    created_at TIMESTAMP NOT NULL,
+    replaced_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_message_edits_message_id ON message_edits(message_id, replaced_at);
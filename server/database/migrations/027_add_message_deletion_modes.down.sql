@@ -0,0 +1,10 @@
+-- Rollback: Delete for me and delete for everyone
+-- Purged content isn't restored; deleted messages simply drop out of the message list again.
+
+DROP INDEX IF EXISTS idx_messages_thread_parent_created_id;
+CREATE INDEX IF NOT EXISTS idx_messages_thread_parent_created_id ON messages(thread_parent_id, created_at, id) WHERE deleted_at IS NULL;
+
+DROP INDEX IF EXISTS idx_messages_chat_created_id;
+CREATE INDEX IF NOT EXISTS idx_messages_chat_created_id ON messages(chat_id, created_at, id) WHERE deleted_at IS NULL;
+
+DROP TABLE IF EXISTS hidden_messages;
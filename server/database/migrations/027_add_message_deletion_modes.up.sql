@@ -0,0 +1,29 @@
+-- Migration: Delete for me and delete for everyone
+-- Messages deleted for everyone stay in the message list as tombstones, so their content, payloads,
+-- reactions, mentions and edit history are removed. The tombstones are removed for good after a
+-- retention period. Messages deleted for one user are hidden from just that user.
+
+CREATE TABLE IF NOT EXISTS hidden_messages (
+    message_id INTEGER NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    hidden_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (message_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_hidden_messages_user_id ON hidden_messages(user_id);
+
+-- Purge messages that were already deleted (their attachments are removed with the tombstones)
+UPDATE messages
+SET content = '', image_data = NULL, quoted_message_id = NULL
+WHERE deleted_at IS NOT NULL;
+
+DELETE FROM message_reactions WHERE message_id IN (SELECT id FROM messages WHERE deleted_at IS NOT NULL);
+DELETE FROM message_mentions WHERE message_id IN (SELECT id FROM messages WHERE deleted_at IS NOT NULL);
+DELETE FROM message_edits WHERE message_id IN (SELECT id FROM messages WHERE deleted_at IS NOT NULL);
+
+-- Message pages include tombstones now
+DROP INDEX IF EXISTS idx_messages_chat_created_id;
+CREATE INDEX IF NOT EXISTS idx_messages_chat_created_id ON messages(chat_id, created_at, id);
+
+DROP INDEX IF EXISTS idx_messages_thread_parent_created_id;
+CREATE INDEX IF NOT EXISTS idx_messages_thread_parent_created_id ON messages(thread_parent_id, created_at, id);
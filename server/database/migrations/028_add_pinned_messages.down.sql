@@ -0,0 +1,3 @@
+-- Rollback: Remove pinned messages
+
+DROP TABLE IF EXISTS pinned_messages;
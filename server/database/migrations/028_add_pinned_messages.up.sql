@@ -0,0 +1,13 @@
+-- Migration: Pinned messages
+-- Messages pinned to the top of a chat, in the order set by position (lowest first). A message can be
+-- pinned once; unpinning removes its row.
+
+CREATE TABLE IF NOT EXISTS pinned_messages (
+    message_id INTEGER PRIMARY KEY REFERENCES messages(id) ON DELETE CASCADE,
+    chat_id INTEGER NOT NULL REFERENCES chats(id) ON DELETE CASCADE,
+    position INTEGER NOT NULL,
+    pinned_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    pinned_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_pinned_messages_chat_position ON pinned_messages(chat_id, position);
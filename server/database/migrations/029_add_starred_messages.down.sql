@@ -0,0 +1,3 @@
+-- Rollback: Remove starred messages
+
+DROP TABLE IF EXISTS starred_messages;
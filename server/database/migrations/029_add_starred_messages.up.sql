@@ -0,0 +1,11 @@
+-- Migration: Starred messages
+-- Messages a user bookmarked to find them again later, from any of their chats
+
+CREATE TABLE IF NOT EXISTS starred_messages (
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    message_id INTEGER NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+    starred_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (user_id, message_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_starred_messages_user_starred_at ON starred_messages(user_id, starred_at);
@@ -0,0 +1,17 @@
+-- Rollback: Remove forwarded messages
+
+-- Attachments of deleted chats belong to no chat
+DELETE FROM attachments WHERE chat_id IS NULL;
+
+ALTER TABLE attachments DROP CONSTRAINT IF EXISTS attachments_chat_id_fkey;
+ALTER TABLE attachments
+ADD CONSTRAINT attachments_chat_id_fkey
+FOREIGN KEY (chat_id) REFERENCES chats(id) ON DELETE CASCADE;
+ALTER TABLE attachments ALTER COLUMN chat_id SET NOT NULL;
+
+ALTER TABLE users
+DROP COLUMN IF EXISTS show_forward_source;
+
+ALTER TABLE messages
+DROP COLUMN IF EXISTS forwarded_from_user_id,
+DROP COLUMN IF EXISTS forwarded;
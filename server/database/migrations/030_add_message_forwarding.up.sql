@@ -0,0 +1,17 @@
+-- Migration: Forwarded messages
+-- Forwarded copies are marked as such and name the original sender unless they turned that off. Copies of
+-- attachments reference the original upload, so an attachment now outlives the chat it was uploaded to
+-- while forwarded copies elsewhere still reference it.
+
+ALTER TABLE messages
+ADD COLUMN IF NOT EXISTS forwarded BOOLEAN NOT NULL DEFAULT FALSE,
+ADD COLUMN IF NOT EXISTS forwarded_from_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL;
+
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS show_forward_source BOOLEAN NOT NULL DEFAULT TRUE;
+
+ALTER TABLE attachments ALTER COLUMN chat_id DROP NOT NULL;
+ALTER TABLE attachments DROP CONSTRAINT IF EXISTS attachments_chat_id_fkey;
+ALTER TABLE attachments
+ADD CONSTRAINT attachments_chat_id_fkey
+FOREIGN KEY (chat_id) REFERENCES chats(id) ON DELETE SET NULL;
@@ -0,0 +1,7 @@
+-- Rollback: Stop recording the transactions of message changes
+
+DROP INDEX IF EXISTS idx_messages_chat_sync_txid;
+DROP TRIGGER IF EXISTS messages_sync_txid ON messages;
+DROP FUNCTION IF EXISTS set_message_sync_txid();
+
+ALTER TABLE messages DROP COLUMN IF EXISTS sync_txid;
@@ -0,0 +1,23 @@
+-- Migration: Commit-safe message resync
+-- sync_seq values are handed out when a change is made, not when it commits, so a change that commits
+-- late can carry a lower number than changes a client has already seen. Each change now also records
+-- the id of the transaction that made it, and clients resync from the oldest transaction that was still
+-- running when they last loaded (txid_snapshot_xmin) instead of from the highest sync_seq they saw.
+
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS sync_txid BIGINT NOT NULL DEFAULT txid_current();
+
+CREATE OR REPLACE FUNCTION set_message_sync_txid() RETURNS TRIGGER AS $$
+BEGIN
+    NEW.sync_txid := txid_current();
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS messages_sync_txid ON messages;
+CREATE TRIGGER messages_sync_txid
+BEFORE UPDATE OF sync_seq ON messages
+FOR EACH ROW
+WHEN (NEW.sync_seq IS DISTINCT FROM OLD.sync_seq)
+EXECUTE PROCEDURE set_message_sync_txid();
+
+CREATE INDEX IF NOT EXISTS idx_messages_chat_sync_txid ON messages(chat_id, sync_txid);
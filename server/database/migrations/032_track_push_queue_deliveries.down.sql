@@ -0,0 +1,4 @@
+-- Rollback: Stop tracking push deliveries per queued notification
+
+ALTER TABLE push_notification_queue DROP COLUMN IF EXISTS attempts;
+ALTER TABLE push_notification_queue DROP COLUMN IF EXISTS sent_subscription_ids;
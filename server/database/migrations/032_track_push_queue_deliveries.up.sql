@@ -0,0 +1,6 @@
+-- Migration: Track push deliveries per queued notification
+-- A queued notification is removed only once every subscription of its user got it. Subscriptions that
+-- already got it are recorded, so a retry after a failed send only goes to the devices that missed it.
+
+ALTER TABLE push_notification_queue ADD COLUMN IF NOT EXISTS sent_subscription_ids INTEGER[] NOT NULL DEFAULT '{}';
+ALTER TABLE push_notification_queue ADD COLUMN IF NOT EXISTS attempts INTEGER NOT NULL DEFAULT 0;
@@ -0,0 +1,3 @@
+-- Rollback: Stop tracking the sockets of each user in the database
+
+DROP TABLE IF EXISTS user_connections;
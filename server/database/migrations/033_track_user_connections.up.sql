@@ -0,0 +1,11 @@
+-- Migration: Track the sockets of each user in the database
+-- Server instances record every socket a user connects with, so whether a connection made the user come
+-- online (or a disconnect made them go offline) is decided atomically across instances.
+
+CREATE TABLE IF NOT EXISTS user_connections (
+    socket_id VARCHAR(64) PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    connected_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_connections_user_id ON user_connections(user_id);
@@ -0,0 +1,152 @@
+const fs = require('fs');
+const path = require('path');
+const { pool } = require('./connection');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.(up|down)\.sql$/;
+
+// Arbitrary key so only one process runs migrations at a time
+const MIGRATION_LOCK_KEY = 727274;
+
+// Read migration files from disk, sorted by version
+const loadMigrations = () => {
+  const migrations = new Map();
+
+  fs.readdirSync(MIGRATIONS_DIR).forEach(file => {
+    const match = file.match(MIGRATION_FILE_PATTERN);
+    if (!match) {
+      return;
+    }
+
+    const [, version, name, direction] = match;
+    if (!migrations.has(version)) {
+      migrations.set(version, { version, name, up: null, down: null });
+    }
+    migrations.get(version)[direction] = path.join(MIGRATIONS_DIR, file);
+  });
+
+  return Array.from(migrations.values())
+    .filter(migration => {
+      if (!migration.up) {
+        console.warn(`Migration ${migration.version}_${migration.name} has no up file, skipping`);
+        return false;
+      }
+      return true;
+    })
+    .sort((a, b) => parseInt(a.version) - parseInt(b.version));
+};
+
+const ensureMigrationsTable = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version VARCHAR(20) PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+};
+
+const getAppliedVersions = async (client) => {
+  await ensureMigrationsTable(client);
+  const result = await client.query('SELECT version FROM schema_migrations ORDER BY version');
+  return new Set(result.rows.map(row => row.version));
+};
+
+// Run a callback with a dedicated client holding the migration lock
+const withMigrationLock = async (callback) => {
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+    return await callback(client);
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]).catch(() => {});
+    client.release();
+  }
+};
+
+const runMigrationFile = async (client, migration, direction) => {
+  const sql = fs.readFileSync(migration[direction], 'utf8');
+
+  await client.query('BEGIN');
+  try {
+    await client.query(sql);
+
+    if (direction === 'up') {
+      await client.query(
+        'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+        [migration.version, migration.name]
+      );
+    } else {
+      await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    error.message = `Migration ${migration.version}_${migration.name} (${direction}) failed: ${error.message}`;
+    throw error;
+  }
+};
+
+// Get every known migration with its applied state
+const getMigrationStatus = async () => {
+  const client = await pool.connect();
+  try {
+    const applied = await getAppliedVersions(client);
+    return loadMigrations().map(migration => ({
+      version: migration.version,
+      name: migration.name,
+      applied: applied.has(migration.version)
+    }));
+  } finally {
+    client.release();
+  }
+};
+
+const getPendingMigrations = async () => {
+  const status = await getMigrationStatus();
+  return status.filter(migration => !migration.applied);
+};
+
+// Apply all pending migrations in version order
+const migrateUp = async () => {
+  return withMigrationLock(async (client) => {
+    const applied = await getAppliedVersions(client);
+    const pending = loadMigrations().filter(migration => !applied.has(migration.version));
+
+    for (const migration of pending) {
+      console.log(`⬆️  Applying migration ${migration.version}_${migration.name}`);
+      await runMigrationFile(client, migration, 'up');
+    }
+
+    return pending.map(({ version, name }) => ({ version, name }));
+  });
+};
+
+// Roll back the most recently applied migrations
+const migrateDown = async (steps = 1) => {
+  return withMigrationLock(async (client) => {
+    const applied = await getAppliedVersions(client);
+    const toRollBack = loadMigrations()
+      .filter(migration => applied.has(migration.version))
+      .reverse()
+      .slice(0, steps);
+
+    for (const migration of toRollBack) {
+      if (!migration.down) {
+        throw new Error(`Migration ${migration.version}_${migration.name} has no down file`);
+      }
+      console.log(`⬇️  Rolling back migration ${migration.version}_${migration.name}`);
+      await runMigrationFile(client, migration, 'down');
+    }
+
+    return toRollBack.map(({ version, name }) => ({ version, name }));
+  });
+};
+
+module.exports = {
+  getMigrationStatus,
+  getPendingMigrations,
+  migrateUp,
+  migrateDown
+};
@@ -1,3 +1,7 @@
+-- Reference snapshot of the full schema after all migrations in ./migrations.
+-- Create or upgrade a database with `npm run migrate` instead of applying this file,
+-- and keep it in sync when adding a migration.
+
 -- Create database (run this manually in PostgreSQL)
 -- CREATE DATABASE bb_chat;
 
@@ -9,6 +13,13 @@ CREATE TABLE IF NOT EXISTS users (
     password_hash VARCHAR(255) NOT NULL,
     display_name VARCHAR(100) NOT NULL,
     avatar_url VARCHAR(255),
+    last_seen_at TIMESTAMP, -- When the user was last connected
+    show_presence BOOLEAN NOT NULL DEFAULT TRUE, -- Whether others can see online status and last seen
+    show_forward_source BOOLEAN NOT NULL DEFAULT TRUE, -- Whether messages forwarded from now on name the user as their sender
+    quiet_hours_enabled BOOLEAN NOT NULL DEFAULT FALSE, -- No notifications between quiet_hours_start and quiet_hours_end
+    quiet_hours_start TIME NOT NULL DEFAULT '22:00',
+    quiet_hours_end TIME NOT NULL DEFAULT '07:00',
+    time_zone VARCHAR(64) NOT NULL DEFAULT 'UTC', -- IANA time zone the quiet hours are in
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
@@ -28,10 +39,56 @@ CREATE TABLE IF NOT EXISTS chat_participants (
     id SERIAL PRIMARY KEY,
     chat_id INTEGER REFERENCES chats(id) ON DELETE CASCADE,
     user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    role VARCHAR(20) NOT NULL DEFAULT 'member' CHECK (role IN ('owner', 'admin', 'member')),
     joined_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    muted_until TIMESTAMP, -- No notifications until then ('infinity' while muted until unmuted)
+    notification_level VARCHAR(20) NOT NULL DEFAULT 'all' CHECK (notification_level IN ('all', 'mentions')),
+    notification_sound VARCHAR(20) NOT NULL DEFAULT 'default',
+    mentions_bypass_mute BOOLEAN NOT NULL DEFAULT FALSE, -- Notify about @mentions even while the chat is muted
+    last_read_message_id INTEGER, -- Newest message the user has read; later messages from others are unread
     UNIQUE(chat_id, user_id)
 );
 
+-- Attachment metadata (file contents live in the configured blob store)
+CREATE TABLE IF NOT EXISTS attachments (
+    id SERIAL PRIMARY KEY,
+    chat_id INTEGER REFERENCES chats(id) ON DELETE SET NULL, -- Chat it was uploaded to; kept while forwarded copies elsewhere reference it
+    uploader_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    storage_backend VARCHAR(20) NOT NULL,
+    storage_key VARCHAR(255) NOT NULL,
+    filename VARCHAR(255) NOT NULL,
+    mime_type VARCHAR(100) NOT NULL,
+    size BIGINT NOT NULL,
+    width INTEGER, -- Image dimensions
+    height INTEGER,
+    placeholder VARCHAR(100), -- Blurhash shown while an image loads
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Downscaled copies of image attachments
+CREATE TABLE IF NOT EXISTS attachment_renditions (
+    id SERIAL PRIMARY KEY,
+    attachment_id INTEGER NOT NULL REFERENCES attachments(id) ON DELETE CASCADE,
+    variant VARCHAR(20) NOT NULL CHECK (variant IN ('thumbnail', 'medium')),
+    storage_backend VARCHAR(20) NOT NULL,
+    storage_key VARCHAR(255) NOT NULL,
+    mime_type VARCHAR(100) NOT NULL,
+    size BIGINT NOT NULL,
+    width INTEGER NOT NULL,
+    height INTEGER NOT NULL,
+    UNIQUE(attachment_id, variant)
+);
+
+-- Plain text of a message's HTML content, used for full-text search
+CREATE OR REPLACE FUNCTION message_plain_text(content TEXT) RETURNS TEXT AS $$
+    SELECT replace(replace(replace(replace(replace(replace(
+        regexp_replace(content, '<[^>]*>', ' ', 'g'),
+        '&nbsp;', ' '), '&lt;', '<'), '&gt;', '>'), '&quot;', '"'), '&#39;', ''''), '&amp;', '&');
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Incremented whenever a message is created or changes (see messages.sync_seq)
+CREATE SEQUENCE IF NOT EXISTS message_sync_seq;
+
 -- Messages table
 CREATE TABLE IF NOT EXISTS messages (
     id SERIAL PRIMARY KEY,
@@ -39,26 +96,91 @@ CREATE TABLE IF NOT EXISTS messages (
     sender_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
     content TEXT NOT NULL,
     message_type VARCHAR(20) DEFAULT 'text' CHECK (message_type IN ('text', 'image', 'file')),
-    image_data JSONB, -- Store image metadata and base64 data as JSON
-    quoted_message_id INTEGER REFERENCES messages(id) ON DELETE SET NULL, -- Reference to quoted message
-    quoted_content TEXT, -- Store quoted message content for display
-    quoted_sender_name VARCHAR(100), -- Store quoted sender name for display
+    image_data JSONB, -- Legacy inline images (base64); new uploads use attachment_id
+    attachment_id INTEGER REFERENCES attachments(id) ON DELETE SET NULL, -- Uploaded file stored in the blob store
+    quoted_message_id INTEGER, -- Quoted message of the same chat; not a foreign key, so quotes of removed messages show as deleted
+    thread_parent_id INTEGER REFERENCES messages(id) ON DELETE CASCADE, -- Message whose thread this is a reply in
+    forwarded BOOLEAN NOT NULL DEFAULT FALSE, -- Copy of a message forwarded from another chat
+    forwarded_from_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL, -- Original sender of a forwarded message, unless they hide it
     status VARCHAR(20) DEFAULT 'sent' CHECK (status IN ('sent', 'delivered', 'read')),
     edited BOOLEAN DEFAULT FALSE, -- Track if message has been edited
     edited_at TIMESTAMP, -- When the message was last edited
+    deleted_at TIMESTAMP, -- Deleted for everyone: the message is a tombstone until it is removed after the retention period
+    search_vector TSVECTOR GENERATED ALWAYS AS (to_tsvector('english', message_plain_text(content))) STORED, -- Full-text search index data
+    client_message_id UUID, -- Id generated by the sending client; retries reuse it so messages aren't stored twice
+    sync_seq BIGINT NOT NULL DEFAULT nextval('message_sync_seq'), -- Bumped on every change, for resyncing clients
+    sync_txid BIGINT NOT NULL DEFAULT txid_current(), -- Transaction of the latest change, which may commit after later sync_seq values
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT messages_sender_client_message_id_key UNIQUE (sender_id, client_message_id)
 );
 
--- Message read status
+-- Record the transaction of every change that bumps sync_seq
+CREATE OR REPLACE FUNCTION set_message_sync_txid() RETURNS TRIGGER AS $$
+BEGIN
+    NEW.sync_txid := txid_current();
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS messages_sync_txid ON messages;
+CREATE TRIGGER messages_sync_txid
+BEFORE UPDATE OF sync_seq ON messages
+FOR EACH ROW
+WHEN (NEW.sync_seq IS DISTINCT FROM OLD.sync_seq)
+EXECUTE PROCEDURE set_message_sync_txid();
+
+-- Per-recipient delivery and read status (messages.status is the aggregate over all recipients)
 CREATE TABLE IF NOT EXISTS message_reads (
     id SERIAL PRIMARY KEY,
     message_id INTEGER REFERENCES messages(id) ON DELETE CASCADE,
     user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
-    read_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    delivered_at TIMESTAMP,
+    read_at TIMESTAMP,
     UNIQUE(message_id, user_id)
 );
 
+-- Users @mentioned in a message
+CREATE TABLE IF NOT EXISTS message_mentions (
+    message_id INTEGER NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    PRIMARY KEY (message_id, user_id)
+);
+
+-- Earlier versions of edited messages: the content, when it was written and when an edit replaced it
+CREATE TABLE IF NOT EXISTS message_edits (
+    id SERIAL PRIMARY KEY,
+    message_id INTEGER NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+    content TEXT NOT NULL,
+    created_at TIMESTAMP NOT NULL,
+    replaced_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Messages a user deleted for themselves
+CREATE TABLE IF NOT EXISTS hidden_messages (
+    message_id INTEGER NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    hidden_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (message_id, user_id)
+);
+
+-- Messages pinned to the top of a chat, ordered by position
+CREATE TABLE IF NOT EXISTS pinned_messages (
+    message_id INTEGER PRIMARY KEY REFERENCES messages(id) ON DELETE CASCADE,
+    chat_id INTEGER NOT NULL REFERENCES chats(id) ON DELETE CASCADE,
+    position INTEGER NOT NULL,
+    pinned_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    pinned_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Messages a user starred to find them again later
+CREATE TABLE IF NOT EXISTS starred_messages (
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    message_id INTEGER NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+    starred_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (user_id, message_id)
+);
+
 -- Message reactions
 CREATE TABLE IF NOT EXISTS message_reactions (
     id SERIAL PRIMARY KEY,
@@ -69,6 +191,74 @@ CREATE TABLE IF NOT EXISTS message_reactions (
     UNIQUE(message_id, user_id, emoji)
 );
 
+-- Push notification subscriptions
+CREATE TABLE IF NOT EXISTS push_subscriptions (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    endpoint TEXT NOT NULL,
+    subscription_data JSONB NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(user_id, endpoint)
+);
+
+-- Login sessions (refresh tokens are stored hashed)
+CREATE TABLE IF NOT EXISTS sessions (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    refresh_token_hash VARCHAR(64) NOT NULL UNIQUE,
+    user_agent TEXT,
+    ip_address VARCHAR(45),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL,
+    revoked_at TIMESTAMP
+);
+
+-- Message delivery per device: a login session or a push subscription
+CREATE TABLE IF NOT EXISTS message_deliveries (
+    id SERIAL PRIMARY KEY,
+    message_id INTEGER NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    session_id INTEGER REFERENCES sessions(id) ON DELETE CASCADE,
+    push_subscription_id INTEGER REFERENCES push_subscriptions(id) ON DELETE CASCADE,
+    delivered_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK ((session_id IS NULL) <> (push_subscription_id IS NULL)),
+    UNIQUE(message_id, session_id),
+    UNIQUE(message_id, push_subscription_id)
+);
+
+-- Broadcasts too large for a NOTIFY payload, used by the Socket.IO Postgres adapter
+CREATE TABLE IF NOT EXISTS socket_io_attachments (
+    id BIGSERIAL UNIQUE,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    payload BYTEA
+);
+
+-- Message notifications waiting to be batched into a push notification.
+-- An instance claims a user's batch (claim_id, claimed_at) and deletes each notification once every
+-- device of the user got it; sent_subscription_ids records the devices that already did.
+CREATE TABLE IF NOT EXISTS push_notification_queue (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    message_id INTEGER NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+    payload JSONB NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    claim_id UUID,
+    claimed_at TIMESTAMP,
+    sent_subscription_ids INTEGER[] NOT NULL DEFAULT '{}',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    UNIQUE(user_id, message_id)
+);
+
+-- Connected sockets of each user across all server instances. A user comes online with their first
+-- socket and goes offline with their last.
+CREATE TABLE IF NOT EXISTS user_connections (
+    socket_id VARCHAR(64) PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    connected_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Indexes for better performance
 CREATE INDEX IF NOT EXISTS idx_messages_chat_id ON messages(chat_id);
 CREATE INDEX IF NOT EXISTS idx_messages_created_at ON messages(created_at);
@@ -78,3 +268,24 @@ CREATE INDEX IF NOT EXISTS idx_chat_participants_user_id ON chat_participants(us
 CREATE INDEX IF NOT EXISTS idx_chat_participants_chat_id ON chat_participants(chat_id);
 CREATE INDEX IF NOT EXISTS idx_message_reactions_message_id ON message_reactions(message_id);
 CREATE INDEX IF NOT EXISTS idx_message_reactions_user_id ON message_reactions(user_id);
+CREATE INDEX IF NOT EXISTS idx_messages_status ON messages(status);
+CREATE INDEX IF NOT EXISTS idx_messages_quoted_message_id ON messages(quoted_message_id);
+CREATE INDEX IF NOT EXISTS idx_messages_deleted_at ON messages(deleted_at);
+CREATE INDEX IF NOT EXISTS idx_messages_chat_created_id ON messages(chat_id, created_at, id);
+CREATE INDEX IF NOT EXISTS idx_push_subscriptions_user_id ON push_subscriptions(user_id);
+CREATE INDEX IF NOT EXISTS idx_push_subscriptions_endpoint ON push_subscriptions(endpoint);
+CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON sessions(user_id) WHERE revoked_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_messages_search_vector ON messages USING GIN (search_vector);
+CREATE INDEX IF NOT EXISTS idx_attachments_chat_id ON attachments(chat_id);
+CREATE INDEX IF NOT EXISTS idx_messages_attachment_id ON messages(attachment_id);
+CREATE INDEX IF NOT EXISTS idx_message_reads_user_id ON message_reads(user_id);
+CREATE INDEX IF NOT EXISTS idx_push_notification_queue_user_id ON push_notification_queue(user_id);
+CREATE INDEX IF NOT EXISTS idx_messages_chat_sync_seq ON messages(chat_id, sync_seq);
+CREATE INDEX IF NOT EXISTS idx_message_mentions_user_id ON message_mentions(user_id);
+CREATE INDEX IF NOT EXISTS idx_messages_thread_parent_created_id ON messages(thread_parent_id, created_at, id);
+CREATE INDEX IF NOT EXISTS idx_message_edits_message_id ON message_edits(message_id, replaced_at);
+CREATE INDEX IF NOT EXISTS idx_hidden_messages_user_id ON hidden_messages(user_id);
+CREATE INDEX IF NOT EXISTS idx_pinned_messages_chat_position ON pinned_messages(chat_id, position);
+CREATE INDEX IF NOT EXISTS idx_starred_messages_user_starred_at ON starred_messages(user_id, starred_at);
+CREATE INDEX IF NOT EXISTS idx_messages_chat_sync_txid ON messages(chat_id, sync_txid);
+CREATE INDEX IF NOT EXISTS idx_user_connections_user_id ON user_connections(user_id);
@@ -10,10 +10,21 @@ const authRoutes = require('./routes/auth');
 const chatRoutes = require('./routes/chats');
 const messageRoutes = require('./routes/messages');
 const pushNotificationRoutes = require('./routes/pushNotifications');
+const searchRoutes = require('./routes/search');
+const starredRoutes = require('./routes/starred');
+const attachmentRoutes = require('./routes/attachments');
+const notificationSettingsRoutes = require('./routes/notificationSettings');
 const { authenticateToken } = require('./middleware/auth');
 const { testConnection } = require('./database/connection');
+const { migrateUp, getPendingMigrations } = require('./database/migrator');
 const { setIO } = require('./socket/socketManager');
+const { setupAdapter } = require('./socket/adapter');
 const pushNotificationService = require('./services/pushNotificationService');
+const sessionService = require('./services/sessionService');
+const receiptService = require('./services/receiptService');
+const presenceService = require('./services/presenceService');
+const messageService = require('./services/messageService');
+const messageDeletionService = require('./services/messageDeletionService');
 
 const app = express();
 const server = createServer(app);
@@ -47,7 +58,9 @@ setIO(io);
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // limit each IP to 100 requests per windowMs
-  message: 'Too many requests from this IP, please try again later.'
+  message: 'Too many requests from this IP, please try again later.',
+  // Attachment downloads are authenticated and a single chat can show many of them
+  skip: (req) => req.path.startsWith('/api/attachments/')
 });
 
 // Middleware
@@ -155,6 +168,10 @@ app.use('/api/auth', authRoutes);
 app.use('/api/chats', chatRoutes);
 app.use('/api/messages', messageRoutes);
 app.use('/api/push-notifications', pushNotificationRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/starred', starredRoutes);
+app.use('/api/attachments', attachmentRoutes);
+app.use('/api/notification-settings', notificationSettingsRoutes);
 
 // Health check
 app.get('/api/health', (req, res) => {
@@ -183,21 +200,20 @@ io.use(async (socket, next) => {
       return next(new Error('Authentication error'));
     }
 
-    const jwt = require('jsonwebtoken');
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
-    const { pool } = require('./database/connection');
-    const userResult = await pool.query(
-      'SELECT id, username, display_name FROM users WHERE id = $1',
-      [decoded.userId]
-    );
-
-    if (userResult.rows.length === 0) {
-      return next(new Error('User not found'));
+    const decoded = sessionService.verifyAccessToken(token);
+
+    // Reject revoked or expired sessions
+    const user = await sessionService.getSessionUser(decoded.sessionId, decoded.userId);
+    if (!user) {
+      return next(new Error('Authentication error'));
     }
 
     socket.userId = decoded.userId;
-    socket.user = userResult.rows[0];
+    socket.sessionId = decoded.sessionId;
+    socket.user = user;
+    // socket.data is also visible to other server instances (fetchSockets)
+    socket.data.userId = decoded.userId;
+    socket.data.sessionId = decoded.sessionId;
     next();
   } catch (error) {
     next(new Error('Authentication error'));
@@ -207,8 +223,18 @@ io.use(async (socket, next) => {
 io.on('connection', (socket) => {
   console.log(`User ${socket.user.username} connected`);
 
+  // Session room lets us disconnect this socket when the session is revoked
+  socket.join(`session-${socket.sessionId}`);
+  // User room receives events meant for this user, and lets the server move all of the
+  // user's sockets in and out of chat rooms when their memberships change
+  socket.join(`user-${socket.userId}`);
+
+  presenceService.userConnected(socket.userId, socket.id).catch(error => {
+    console.error('Error updating presence:', error);
+  });
+
   // Join user to their chat rooms
-  socket.on('join-chats', async () => {
+  const joinChats = async () => {
     try {
       const { pool } = require('./database/connection');
       const result = await pool.query(
@@ -222,7 +248,12 @@ io.on('connection', (socket) => {
     } catch (error) {
       console.error('Error joining chats:', error);
     }
-  });
+  };
+
+  joinChats();
+
+  // Chat rooms are joined on connect; kept for clients that still ask
+  socket.on('join-chats', joinChats);
 
   // Join a specific chat room
   socket.on('join-chat', async (data) => {
@@ -240,36 +271,42 @@ io.on('connection', (socket) => {
         socket.join(`chat-${chatId}`);
         console.log(`User ${socket.user.username} joined chat ${chatId}`);
         
-        // Mark all messages in this chat as read for this user
-        await pool.query(`
-          UPDATE messages 
-          SET status = 'read', updated_at = CURRENT_TIMESTAMP
-          WHERE chat_id = $1 AND sender_id != $2 AND status != 'read'
-        `, [chatId, socket.userId]);
-
-        // Get all updated messages and broadcast status updates
-        const updatedMessages = await pool.query(`
-          SELECT id FROM messages 
-          WHERE chat_id = $1 AND sender_id != $2 AND status = 'read'
-        `, [chatId, socket.userId]);
-
-        // Broadcast status updates for all messages marked as read
-        updatedMessages.rows.forEach(msg => {
-          io.to(`chat-${chatId}`).emit('message-status-updated', {
-            messageId: msg.id,
-            status: 'read'
-          });
-        });
+        // Opening a chat reads everything in it
+        await receiptService.markChatRead(chatId, socket.userId);
       }
     } catch (error) {
       console.error('Error joining chat:', error);
     }
   });
 
-  // Handle new message
-  socket.on('send-message', async (data) => {
+  // The user is looking at a chat that received new messages
+  socket.on('mark-chat-read', async (data) => {
+    try {
+      await receiptService.markChatRead(data.chatId, socket.userId);
+    } catch (error) {
+      console.error('Error marking chat as read:', error);
+    }
+  });
+
+  // Clients acknowledge the new-message events they receive
+  socket.on('messages-delivered', async (data) => {
+    try {
+      const messageIds = (data?.messageIds || []).map(id => parseInt(id)).filter(Number.isInteger);
+      await receiptService.recordDelivery(messageIds, socket.userId, { sessionId: socket.sessionId });
+    } catch (error) {
+      console.error('Error recording message delivery:', error);
+    }
+  });
+
+  // Handle new message. Clients pass the id they generated for the message (clientMessageId) and
+  // get the stored message back in the acknowledgement; retries with the same id aren't stored twice.
+  socket.on('send-message', async (data, ack) => {
+    const respond = typeof ack === 'function' ? ack : () => {};
+
     try {
-      const { chatId, content, messageType = 'text', quotedMessage } = data;
+      const { chatId, content, messageType = 'text', clientMessageId = null, threadParentId = null } = data;
+      // Older clients send the whole quoted message; only its id is used
+      const quotedMessageId = data.quotedMessageId ?? data.quotedMessage?.id ?? null;
       
       const { pool } = require('./database/connection');
       
@@ -281,128 +318,42 @@ io.on('connection', (socket) => {
 
       if (participantCheck.rows.length === 0) {
         socket.emit('error', { message: 'Access denied' });
+        respond({ error: 'Access denied' });
         return;
       }
 
-      // Prepare quoted message data
-      let quotedMessageId = null;
-      let quotedContent = null;
-      let quotedSenderName = null;
-
-      if (quotedMessage) {
-        quotedMessageId = quotedMessage.id;
-        quotedContent = quotedMessage.content;
-        quotedSenderName = quotedMessage.sender_name || quotedMessage.username;
+      if (clientMessageId !== null && !messageService.isValidClientMessageId(clientMessageId)) {
+        respond({ error: 'Invalid client message id' });
+        return;
       }
 
-      // Create message
-      const result = await pool.query(`
-        INSERT INTO messages (chat_id, sender_id, content, message_type, quoted_message_id, quoted_content, quoted_sender_name, status)
-        VALUES ($1, $2, $3, $4, $5, $6, $7, 'sent')
-        RETURNING id, content, message_type, image_data, quoted_message_id, quoted_content, quoted_sender_name, status, created_at, updated_at
-      `, [chatId, socket.userId, content, messageType, quotedMessageId, quotedContent, quotedSenderName]);
-
-      const message = result.rows[0];
-
-      // Parse image_data if it exists
-      if (message.image_data && typeof message.image_data === 'string') {
-        try {
-          message.image_data = JSON.parse(message.image_data);
-        } catch (error) {
-          console.error('Error parsing image_data:', error);
-        }
+      if (threadParentId !== null &&
+        (!Number.isInteger(threadParentId) || !await messageService.getThreadParent(chatId, threadParentId))) {
+        respond({ error: 'Thread not found' });
+        return;
       }
 
-      // Get chat information for notifications
-      const chatResult = await pool.query(`
-        SELECT c.id, c.name, c.type,
-               CASE 
-                 WHEN c.type = 'direct' THEN u.display_name
-                 ELSE c.name
-               END as display_name
-        FROM chats c
-        LEFT JOIN chat_participants cp ON c.id = cp.chat_id AND cp.user_id != $1
-        LEFT JOIN users u ON c.type = 'direct' AND u.id = cp.user_id
-        WHERE c.id = $2
-      `, [socket.userId, chatId]);
-
-      const chatInfo = chatResult.rows[0];
-
-      // Prepare quoted message data for broadcasting
-      let quotedMessageData = null;
-      if (message.quoted_message_id) {
-        quotedMessageData = {
-          id: message.quoted_message_id,
-          content: message.quoted_content,
-          sender_name: message.quoted_sender_name
-        };
+      if (quotedMessageId !== null &&
+        (!Number.isInteger(quotedMessageId) || !await messageService.isQuotable(chatId, quotedMessageId))) {
+        respond({ error: 'Quoted message not found' });
+        return;
       }
 
-      // Broadcast to all participants in the chat
-      const socketMessage = {
-        ...message,
-        chat_id: chatId,
-        chat_name: chatInfo?.display_name || 'Unknown Chat',
-        user_id: socket.userId,
-        username: socket.user.username,
-        sender_name: socket.user.display_name,
-        sender_avatar: null,
-        quotedMessage: quotedMessageData
-      };
-      
-      io.to(`chat-${chatId}`).emit('new-message', socketMessage);
-
-      // Send push notifications to users not currently in the chat
-      try {
-        await pushNotificationService.sendMessageNotification(socketMessage, chatInfo, socket.userId);
-        console.log('Push notifications sent for message:', message.id);
-      } catch (pushError) {
-        console.error('Error sending push notifications:', pushError);
-        // Don't fail the message sending if push notifications fail
-      }
+      const { message } = await messageService.sendMessage({
+        chatId,
+        sender: socket.user,
+        content,
+        messageType,
+        quotedMessageId,
+        clientMessageId,
+        threadParentId
+      });
 
-      // Auto-update status to 'delivered' after a short delay
-      setTimeout(async () => {
-        try {
-          await pool.query(`
-            UPDATE messages 
-            SET status = 'delivered', updated_at = CURRENT_TIMESTAMP
-            WHERE id = $1
-          `, [message.id]);
-
-          // Broadcast status update
-          io.to(`chat-${chatId}`).emit('message-status-updated', {
-            messageId: message.id,
-            status: 'delivered'
-          });
-
-          // Mark message as read for all users currently in the chat (except sender)
-          const connectedUsers = await io.in(`chat-${chatId}`).fetchSockets();
-          const connectedUserIds = connectedUsers
-            .filter(s => s.userId !== socket.userId)
-            .map(s => s.userId);
-
-          if (connectedUserIds.length > 0) {
-            // Mark as read for connected users
-            await pool.query(`
-              UPDATE messages 
-              SET status = 'read', updated_at = CURRENT_TIMESTAMP
-              WHERE id = $1
-            `, [message.id]);
-
-            // Broadcast read status update
-            io.to(`chat-${chatId}`).emit('message-status-updated', {
-              messageId: message.id,
-              status: 'read'
-            });
-          }
-        } catch (error) {
-          console.error('Error updating message status:', error);
-        }
-      }, 1000); // 1 second delay
+      respond({ message });
     } catch (error) {
       console.error('Error sending message:', error);
       socket.emit('error', { message: 'Failed to send message' });
+      respond({ error: 'Failed to send message', retryable: true });
     }
   });
 
@@ -433,7 +384,7 @@ io.on('connection', (socket) => {
         SELECT m.id, m.chat_id 
         FROM messages m
         JOIN chat_participants cp ON m.chat_id = cp.chat_id
-        WHERE m.id = $1 AND cp.user_id = $2
+        WHERE m.id = $1 AND cp.user_id = $2 AND m.deleted_at IS NULL
       `, [messageId, socket.userId]);
 
       if (messageCheck.rows.length === 0) {
@@ -448,6 +399,7 @@ io.on('connection', (socket) => {
         ON CONFLICT (message_id, user_id, emoji) 
         DO UPDATE SET created_at = CURRENT_TIMESTAMP
       `, [messageId, socket.userId, emoji]);
+      await messageService.touchMessage(messageId);
 
       // Get updated reactions
       const reactionsResult = await pool.query(`
@@ -504,6 +456,7 @@ io.on('connection', (socket) => {
         DELETE FROM message_reactions 
         WHERE message_id = $1 AND user_id = $2 AND emoji = $3
       `, [messageId, socket.userId, emoji]);
+      await messageService.touchMessage(messageId);
 
       // Get updated reactions
       const reactionsResult = await pool.query(`
@@ -539,6 +492,9 @@ io.on('connection', (socket) => {
 
   socket.on('disconnect', () => {
     console.log(`User ${socket.user.username} disconnected`);
+    presenceService.userDisconnected(socket.userId, socket.id).catch(error => {
+      console.error('Error updating presence:', error);
+    });
   });
 });
 
@@ -566,6 +522,32 @@ const startServer = async () => {
       console.error('💥 Server startup failed: Database connection failed');
       process.exit(1);
     }
+
+    // Apply pending migrations when enabled, then make sure the schema is current
+    if (process.env.AUTO_MIGRATE === 'true') {
+      const applied = await migrateUp();
+      console.log(`✅ Applied ${applied.length} pending migration(s)`);
+    }
+
+    const pendingMigrations = await getPendingMigrations();
+    if (pendingMigrations.length > 0) {
+      console.error('💥 Server startup failed: Database schema is behind. Pending migrations:');
+      pendingMigrations.forEach(migration => {
+        console.error(`   - ${migration.version}_${migration.name}`);
+      });
+      console.error('Run "npm run migrate" or set AUTO_MIGRATE=true');
+      process.exit(1);
+    }
+
+    // Relay broadcasts between server instances
+    const adapterName = await setupAdapter(io);
+    console.log(`✅ Socket.IO adapter: ${adapterName}`);
+
+    // Send push notification batches queued by this or any other instance
+    pushNotificationService.startQueueWorker();
+
+    // Remove messages deleted for everyone once their retention period is over
+    messageDeletionService.startPurgeWorker();
     
     // Start the server - bind to all interfaces for local network access
     server.listen(PORT, '0.0.0.0', () => {
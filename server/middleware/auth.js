@@ -1,5 +1,4 @@
-const jwt = require('jsonwebtoken');
-const { pool } = require('../database/connection');
+const sessionService = require('../services/sessionService');
 
 const authenticateToken = async (req, res, next) => {
   const authHeader = req.headers['authorization'];
@@ -9,26 +8,31 @@ const authenticateToken = async (req, res, next) => {
     return res.status(401).json({ error: 'Access token required' });
   }
 
+  let decoded;
   try {
-    console.log('JWT_SECRET exists in middleware:', !!process.env.JWT_SECRET);
-    console.log('Token to verify:', token.substring(0, 20) + '...');
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback_secret_key');
-    
-    // Verify user still exists
-    const userResult = await pool.query(
-      'SELECT id, username, email, display_name, avatar_url FROM users WHERE id = $1',
-      [decoded.userId]
-    );
+    decoded = sessionService.verifyAccessToken(token);
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      return res.status(401).json({ error: 'Access token expired', code: 'TOKEN_EXPIRED' });
+    }
+    console.error('Token verification error:', error);
+    return res.status(403).json({ error: 'Invalid or expired token' });
+  }
 
-    if (userResult.rows.length === 0) {
-      return res.status(401).json({ error: 'User not found' });
+  try {
+    // Verify the session is still active and the user still exists
+    const user = await sessionService.getSessionUser(decoded.sessionId, decoded.userId);
+
+    if (!user) {
+      return res.status(401).json({ error: 'Session has been revoked', code: 'SESSION_REVOKED' });
     }
 
-    req.user = userResult.rows[0];
+    req.user = user;
+    req.sessionId = decoded.sessionId;
     next();
   } catch (error) {
-    console.error('Token verification error:', error);
-    return res.status(403).json({ error: 'Invalid or expired token' });
+    console.error('Session verification error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
   }
 };
 
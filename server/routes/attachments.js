@@ -0,0 +1,153 @@
+const express = require('express');
+const { pipeline } = require('stream');
+const { param, validationResult } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const attachmentService = require('../services/attachmentService');
+const imageService = require('../services/imageService');
+
+const router = express.Router();
+
+// Types that are safe to render inline; anything else is served as a download
+const INLINE_MIME_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'image/avif', 'image/bmp'];
+
+// <img> and <a> elements can't send an Authorization header, so they pass the attachment's download
+// token (see attachmentService.createDownloadToken) as ?token= instead
+const authenticateDownload = (req, res, next) => {
+  if (req.headers['authorization'] || !req.query.token) {
+    return authenticateToken(req, res, next);
+  }
+
+  if (!attachmentService.verifyDownloadToken(req.query.token, parseInt(req.params.attachmentId))) {
+    return res.status(403).json({ error: 'Invalid or expired download token' });
+  }
+  req.downloadTokenVerified = true;
+  next();
+};
+
+// Parse a single "bytes=start-end" range. Returns null when there is no usable range header
+// and false when the range can't be satisfied.
+const parseRange = (header, size) => {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header || '');
+  if (!match || (match[1] === '' && match[2] === '')) {
+    return null;
+  }
+
+  let start;
+  let end;
+  if (match[1] === '') {
+    // Suffix range: the last N bytes
+    start = Math.max(size - parseInt(match[2]), 0);
+    end = size - 1;
+  } else {
+    start = parseInt(match[1]);
+    end = match[2] === '' ? size - 1 : Math.min(parseInt(match[2]), size - 1);
+  }
+
+  if (start > end || start >= size) {
+    return false;
+  }
+
+  return { start, end };
+};
+
+// Name a rendition after the original, with the rendition's file extension
+const renditionFilename = (filename, variant, mimeType) => {
+  const baseName = filename.replace(/\.[^.]*$/, '');
+  return `${baseName}-${variant}.${mimeType.split('/')[1]}`;
+};
+
+const isNotFoundError = (error) => error.code === 'ENOENT' || error.name === 'NoSuchKey';
+
+// Get a new download token for an attachment, for when the one it came with expired
+router.get('/:attachmentId/download-token', authenticateToken, [
+  param('attachmentId').isInt().toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const attachment = await attachmentService.getAttachmentForUser(req.params.attachmentId, req.user.id);
+    if (!attachment) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+
+    res.json({ downloadToken: attachmentService.createDownloadToken(attachment.id) });
+  } catch (error) {
+    console.error('Get download token error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Download an attachment (supports range requests).
+// Images can be fetched downscaled with ?variant=thumbnail|medium; attachments without
+// renditions (files, images uploaded before renditions existed) fall back to the original.
+router.get('/:attachmentId', authenticateDownload, async (req, res) => {
+  try {
+    const attachmentId = parseInt(req.params.attachmentId);
+    if (!Number.isInteger(attachmentId)) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+
+    const attachment = req.downloadTokenVerified
+      ? await attachmentService.getAttachment(attachmentId)
+      : await attachmentService.getAttachmentForUser(attachmentId, req.user.id);
+    if (!attachment) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+
+    const { variant } = req.query;
+    if (variant && !imageService.renditions[variant]) {
+      return res.status(400).json({ error: 'Invalid variant' });
+    }
+
+    const rendition = variant ? await attachmentService.getRendition(attachment.id, variant) : null;
+    const blob = rendition || attachment;
+    const filename = rendition
+      ? renditionFilename(attachment.filename, variant, rendition.mime_type)
+      : attachment.filename;
+
+    const size = parseInt(blob.size);
+    const range = parseRange(req.headers['range'], size);
+
+    if (range === false) {
+      res.setHeader('Content-Range', `bytes */${size}`);
+      return res.status(416).json({ error: 'Requested range not satisfiable' });
+    }
+
+    const stream = await attachmentService.openStream(blob, range || undefined);
+
+    const inline = INLINE_MIME_TYPES.includes(blob.mime_type) && !req.query.download;
+    res.setHeader('Content-Type', blob.mime_type);
+    res.setHeader('Content-Disposition', `${inline ? 'inline' : 'attachment'}; filename*=UTF-8''${encodeURIComponent(filename)}`);
+    res.setHeader('Accept-Ranges', 'bytes');
+    // Attachment contents never change
+    res.setHeader('Cache-Control', 'private, max-age=31536000, immutable');
+    // Allow the client to embed attachments when it is served from another origin in development
+    res.setHeader('Cross-Origin-Resource-Policy', 'cross-origin');
+
+    if (range) {
+      res.status(206);
+      res.setHeader('Content-Range', `bytes ${range.start}-${range.end}/${size}`);
+      res.setHeader('Content-Length', range.end - range.start + 1);
+    } else {
+      res.setHeader('Content-Length', size);
+    }
+
+    pipeline(stream, res, (error) => {
+      if (error && error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+        console.error('Attachment stream error:', error);
+      }
+    });
+  } catch (error) {
+    if (isNotFoundError(error)) {
+      console.error(`Attachment ${req.params.attachmentId} is missing from storage`);
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+    console.error('Get attachment error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
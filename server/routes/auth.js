@@ -1,9 +1,10 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
-const { body, validationResult } = require('express-validator');
+const { body, param, validationResult } = require('express-validator');
 const { pool } = require('../database/connection');
 const { authenticateToken } = require('../middleware/auth');
+const sessionService = require('../services/sessionService');
+const presenceService = require('../services/presenceService');
 const { REGISTRATION_ENABLED } = require('../config/features');
 
 const router = express.Router();
@@ -57,27 +58,26 @@ router.post('/register', [
 
     // Create user
     const result = await pool.query(
-      'INSERT INTO users (username, email, password_hash, display_name) VALUES ($1, $2, $3, $4) RETURNING id, username, email, display_name',
+      'INSERT INTO users (username, email, password_hash, display_name) VALUES ($1, $2, $3, $4) RETURNING id, username, email, display_name, show_presence, show_forward_source',
       [username, email, passwordHash, displayName]
     );
 
     const user = result.rows[0];
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user.id, username: user.username },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-    );
+    // Start a session for the new user
+    const { accessToken, refreshToken } = await sessionService.createSession(user, req);
 
     res.status(201).json({
       message: 'User created successfully',
-      token,
+      token: accessToken,
+      refreshToken,
       user: {
         id: user.id,
         username: user.username,
         email: user.email,
-        displayName: user.display_name
+        displayName: user.display_name,
+        showPresence: user.show_presence,
+        showForwardSource: user.show_forward_source
       }
     });
   } catch (error) {
@@ -103,7 +103,7 @@ router.post('/login', [
 
     // Find user by username or email
     const result = await pool.query(
-      'SELECT id, username, email, password_hash, display_name FROM users WHERE username = $1 OR email = $1',
+      'SELECT id, username, email, password_hash, display_name, show_presence, show_forward_source FROM users WHERE username = $1 OR email = $1',
       [username]
     );
 
@@ -119,23 +119,20 @@ router.post('/login', [
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
-    // Generate JWT token
-    console.log('JWT_SECRET exists:', !!process.env.JWT_SECRET);
-    console.log('JWT_SECRET length:', process.env.JWT_SECRET?.length);
-    const token = jwt.sign(
-      { userId: user.id, username: user.username },
-      process.env.JWT_SECRET || 'fallback_secret_key',
-      { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-    );
+    // Start a new session for this device
+    const { accessToken, refreshToken } = await sessionService.createSession(user, req);
 
     res.json({
       message: 'Login successful',
-      token,
+      token: accessToken,
+      refreshToken,
       user: {
         id: user.id,
         username: user.username,
         email: user.email,
-        displayName: user.display_name
+        displayName: user.display_name,
+        showPresence: user.show_presence,
+        showForwardSource: user.show_forward_source
       }
     });
   } catch (error) {
@@ -144,6 +141,93 @@ router.post('/login', [
   }
 });
 
+// Exchange a refresh token for a new access token (the refresh token is rotated)
+router.post('/refresh', [
+  body('refreshToken').isString().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const session = await sessionService.refreshSession(req.body.refreshToken, req);
+
+    if (!session) {
+      return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    }
+
+    res.json({
+      token: session.accessToken,
+      refreshToken: session.refreshToken
+    });
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Logout (revoke the current session)
+router.post('/logout', authenticateToken, async (req, res) => {
+  try {
+    await sessionService.revokeSession(req.sessionId, req.user.id);
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Logout from all devices (revoke every session of the user)
+router.post('/logout-all', authenticateToken, async (req, res) => {
+  try {
+    const revokedCount = await sessionService.revokeAllSessions(req.user.id);
+    res.json({ message: 'Logged out from all devices', revokedCount });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// List active sessions
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await sessionService.getActiveSessions(req.user.id);
+    res.json({
+      sessions: sessions.map(session => ({
+        ...session,
+        current: session.id === req.sessionId
+      }))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Revoke a specific session
+router.delete('/sessions/:sessionId', authenticateToken, [
+  param('sessionId').isInt().toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const revoked = await sessionService.revokeSession(req.params.sessionId, req.user.id);
+
+    if (!revoked) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    res.json({ message: 'Session revoked successfully' });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Get current user
 router.get('/me', authenticateToken, (req, res) => {
   res.json({ 
@@ -152,11 +236,49 @@ router.get('/me', authenticateToken, (req, res) => {
       username: req.user.username,
       email: req.user.email,
       displayName: req.user.display_name,
-      avatarUrl: req.user.avatar_url
+      avatarUrl: req.user.avatar_url,
+      showPresence: req.user.show_presence,
+      showForwardSource: req.user.show_forward_source
     }
   });
 });
 
+// Update privacy settings. Users who hide their presence appear to others without online status or last seen.
+// Messages of users who hide their forward source are forwarded without naming them. Omitted settings are
+// left unchanged.
+router.patch('/me/privacy', authenticateToken, [
+  body('showPresence').optional().isBoolean().toBoolean(),
+  body('showForwardSource').optional().isBoolean().toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { showPresence, showForwardSource } = req.body;
+
+    const result = await pool.query(`
+      UPDATE users
+      SET show_presence = COALESCE($1, show_presence), show_forward_source = COALESCE($2, show_forward_source)
+      WHERE id = $3
+      RETURNING show_presence, show_forward_source
+    `, [showPresence ?? null, showForwardSource ?? null, req.user.id]);
+
+    if (showPresence !== undefined) {
+      await presenceService.broadcastPresence(req.user.id);
+    }
+
+    res.json({
+      showPresence: result.rows[0].show_presence,
+      showForwardSource: result.rows[0].show_forward_source
+    });
+  } catch (error) {
+    console.error('Update privacy error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Search users by username
 router.get('/search', authenticateToken, async (req, res) => {
   try {
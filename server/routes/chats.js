@@ -1,10 +1,47 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, param, validationResult } = require('express-validator');
 const { pool } = require('../database/connection');
 const { authenticateToken } = require('../middleware/auth');
+const { getIO, addUsersToChatRoom, removeUsersFromChatRoom } = require('../socket/socketManager');
+const pushNotificationService = require('../services/pushNotificationService');
+const presenceService = require('../services/presenceService');
+const unreadService = require('../services/unreadService');
+const pinService = require('../services/pinService');
 
 const router = express.Router();
 
+const PARTICIPANT_ROLES = ['owner', 'admin', 'member'];
+
+// Get a user's role in a chat, or null if they are not a participant
+const getParticipantRole = async (chatId, userId) => {
+  const result = await pool.query(
+    'SELECT role FROM chat_participants WHERE chat_id = $1 AND user_id = $2',
+    [chatId, userId]
+  );
+  return result.rows.length > 0 ? result.rows[0].role : null;
+};
+
+const canManageParticipants = (role) => role === 'owner' || role === 'admin';
+
+// Replace a user row's show_presence and last_seen_at with the presence others are allowed to see
+const withPresence = ({ show_presence: showPresence, last_seen_at: lastSeenAt, ...row }, onlineUserIds, userId = row.id) => ({
+  ...row,
+  ...presenceService.getPresence({ id: userId, show_presence: showPresence, last_seen_at: lastSeenAt }, onlineUserIds)
+});
+
+// Get participant details for broadcasting
+const getParticipants = async (chatId, userIds) => {
+  const result = await pool.query(`
+    SELECT u.id, u.username, u.display_name, u.avatar_url, u.show_presence, u.last_seen_at, cp.role, cp.joined_at
+    FROM chat_participants cp
+    JOIN users u ON cp.user_id = u.id
+    WHERE cp.chat_id = $1 AND cp.user_id = ANY($2)
+    ORDER BY cp.joined_at
+  `, [chatId, userIds]);
+  const onlineUserIds = await presenceService.getOnlineUserIds(result.rows.map(row => row.id));
+  return result.rows.map(row => withPresence(row, onlineUserIds));
+};
+
 // Get user's chats
 router.get('/', authenticateToken, async (req, res) => {
   try {
@@ -16,6 +53,7 @@ router.get('/', authenticateToken, async (req, res) => {
         c.created_at,
         c.updated_at,
         c.created_by,
+        cp.role as my_role,
         CASE 
           WHEN c.type = 'direct' THEN u.display_name
           ELSE c.name
@@ -24,17 +62,53 @@ router.get('/', authenticateToken, async (req, res) => {
           WHEN c.type = 'direct' THEN u.avatar_url
           ELSE NULL
         END as avatar_url,
-        (SELECT content FROM messages WHERE chat_id = c.id ORDER BY created_at DESC LIMIT 1) as last_message,
-        (SELECT created_at FROM messages WHERE chat_id = c.id ORDER BY created_at DESC LIMIT 1) as last_message_time
+        u.id as other_user_id,
+        u.show_presence,
+        u.last_seen_at,
+        (
+          SELECT CASE
+            WHEN m.deleted_at IS NOT NULL THEN 'This message was deleted'
+            WHEN m.message_type = 'file' AND a.id IS NOT NULL THEN '📎 ' || a.filename
+            ELSE m.content
+          END
+          FROM messages m
+          LEFT JOIN attachments a ON m.attachment_id = a.id
+          WHERE m.chat_id = c.id AND m.thread_parent_id IS NULL
+            AND NOT EXISTS (SELECT 1 FROM hidden_messages hm WHERE hm.message_id = m.id AND hm.user_id = $1)
+          ORDER BY m.created_at DESC
+          LIMIT 1
+        ) as last_message,
+        lm.created_at as last_message_time
       FROM chats c
       JOIN chat_participants cp ON c.id = cp.chat_id
-      LEFT JOIN chat_participants cp2 ON c.id = cp2.chat_id AND cp2.user_id != $1
+      LEFT JOIN chat_participants cp2 ON c.type = 'direct' AND c.id = cp2.chat_id AND cp2.user_id != $1
       LEFT JOIN users u ON c.type = 'direct' AND u.id = cp2.user_id
+      -- Latest message the user can see, which orders the chats
+      LEFT JOIN LATERAL (
+        SELECT m.created_at
+        FROM messages m
+        WHERE m.chat_id = c.id AND m.thread_parent_id IS NULL
+          AND NOT EXISTS (SELECT 1 FROM hidden_messages hm WHERE hm.message_id = m.id AND hm.user_id = $1)
+        ORDER BY m.created_at DESC
+        LIMIT 1
+      ) lm ON TRUE
       WHERE cp.user_id = $1
-      ORDER BY COALESCE((SELECT created_at FROM messages WHERE chat_id = c.id ORDER BY created_at DESC LIMIT 1), c.updated_at) DESC
+      ORDER BY COALESCE(lm.created_at, c.updated_at) DESC
     `, [req.user.id]);
 
-    res.json({ chats: result.rows });
+    // Direct chats show the other user's presence
+    const onlineUserIds = await presenceService.getOnlineUserIds(
+      result.rows.filter(chat => chat.other_user_id).map(chat => chat.other_user_id)
+    );
+    const unreadCounts = new Map(
+      (await unreadService.getUnreadCounts(req.user.id)).map(({ chat_id: chatId, ...counts }) => [chatId, counts])
+    );
+    const chats = result.rows.map(chat => ({
+      ...(chat.other_user_id ? withPresence(chat, onlineUserIds, chat.other_user_id) : chat),
+      ...unreadCounts.get(chat.id)
+    }));
+
+    res.json({ chats });
   } catch (error) {
     console.error('Get chats error:', error);
     res.status(500).json({ error: 'Internal server error' });
@@ -119,28 +193,26 @@ router.post('/', authenticateToken, [
 
     const chat = chatResult.rows[0];
 
-    // Add participants (always include the creator)
+    // Add participants (always include the creator, who owns the chat)
     const allParticipants = [req.user.id, ...finalParticipantIds];
     for (const participantId of allParticipants) {
       await pool.query(
-        'INSERT INTO chat_participants (chat_id, user_id) VALUES ($1, $2)',
-        [chat.id, participantId]
+        'INSERT INTO chat_participants (chat_id, user_id, role) VALUES ($1, $2, $3)',
+        [chat.id, participantId, participantId === req.user.id ? 'owner' : 'member']
       );
     }
 
-    // Notify all participants about the new chat via socket
-    const { io } = require('../index');
-    if (io) {
-      // Send new-chat event to all participants
-      allParticipants.forEach(participantId => {
-        io.emit('new-chat', {
-          chatId: chat.id,
-          chatName: chat.name,
-          chatType: chat.type,
-          participantId: participantId
-        });
+    // Put the participants' sockets in the chat room and tell them about the new chat
+    const io = getIO();
+    addUsersToChatRoom(chat.id, allParticipants);
+    allParticipants.forEach(participantId => {
+      io.to(`user-${participantId}`).emit('new-chat', {
+        chatId: chat.id,
+        chatName: chat.name,
+        chatType: chat.type,
+        participantId
       });
-    }
+    });
 
     res.status(201).json({
       message: 'Chat created successfully',
@@ -163,12 +235,9 @@ router.get('/:chatId', authenticateToken, async (req, res) => {
     const { chatId } = req.params;
 
     // Verify user is participant
-    const participantCheck = await pool.query(
-      'SELECT 1 FROM chat_participants WHERE chat_id = $1 AND user_id = $2',
-      [chatId, req.user.id]
-    );
+    const myRole = await getParticipantRole(chatId, req.user.id);
 
-    if (participantCheck.rows.length === 0) {
+    if (!myRole) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
@@ -178,6 +247,7 @@ router.get('/:chatId', authenticateToken, async (req, res) => {
         c.id,
         c.name,
         c.type,
+        c.created_by,
         c.created_at,
         c.updated_at,
         CASE 
@@ -200,16 +270,18 @@ router.get('/:chatId', authenticateToken, async (req, res) => {
 
     // Get participants
     const participantsResult = await pool.query(`
-      SELECT u.id, u.username, u.display_name, u.avatar_url, cp.joined_at
+      SELECT u.id, u.username, u.display_name, u.avatar_url, u.show_presence, u.last_seen_at, cp.role, cp.joined_at
       FROM chat_participants cp
       JOIN users u ON cp.user_id = u.id
       WHERE cp.chat_id = $1
       ORDER BY cp.joined_at
     `, [chatId]);
 
+    const onlineUserIds = await presenceService.getOnlineUserIds(participantsResult.rows.map(row => row.id));
+
     res.json({
-      chat: chatResult.rows[0],
-      participants: participantsResult.rows
+      chat: { ...chatResult.rows[0], my_role: myRole },
+      participants: participantsResult.rows.map(row => withPresence(row, onlineUserIds))
     });
   } catch (error) {
     console.error('Get chat error:', error);
@@ -217,18 +289,296 @@ router.get('/:chatId', authenticateToken, async (req, res) => {
   }
 });
 
+// Get a chat's pinned messages, in order
+router.get('/:chatId/pins', authenticateToken, async (req, res) => {
+  try {
+    const { chatId } = req.params;
+
+    if (!await getParticipantRole(chatId, req.user.id)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const pins = await pinService.getPins(chatId, req.user.id);
+    res.json({ pins });
+  } catch (error) {
+    console.error('Get pinned messages error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Reorder a chat's pinned messages (same rules as pinning)
+router.put('/:chatId/pins', authenticateToken, [
+  body('messageIds').isArray(),
+  body('messageIds.*').isInt().toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { chatId } = req.params;
+    const { messageIds } = req.body;
+
+    const canManagePins = await pinService.canManagePins(chatId, req.user.id);
+    if (canManagePins === null) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+    if (!canManagePins) {
+      return res.status(403).json({ error: 'Only group owners and admins can reorder pinned messages' });
+    }
+
+    if (!await pinService.reorderPins(chatId, messageIds)) {
+      return res.status(400).json({ error: 'messageIds must list each pinned message once' });
+    }
+
+    res.json({ pins: await pinService.getPins(chatId, req.user.id) });
+  } catch (error) {
+    console.error('Reorder pinned messages error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Add participants to a group chat (owners and admins only)
+router.post('/:chatId/participants', authenticateToken, [
+  body('userIds').optional().isArray(),
+  body('userIds.*').isInt().toInt(),
+  body('usernames').optional().isArray(),
+  body('usernames.*').isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { chatId } = req.params;
+    const { userIds = [], usernames = [] } = req.body;
+
+    const chatResult = await pool.query('SELECT id, name, type FROM chats WHERE id = $1', [chatId]);
+    if (chatResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Chat not found' });
+    }
+
+    const chat = chatResult.rows[0];
+    if (chat.type !== 'group') {
+      return res.status(400).json({ error: 'Participants can only be added to group chats' });
+    }
+
+    const myRole = await getParticipantRole(chatId, req.user.id);
+    if (!canManageParticipants(myRole)) {
+      return res.status(403).json({ error: 'Only group owners and admins can add participants' });
+    }
+
+    // Resolve users by id or username; a user may be given both ways
+    const usersResult = await pool.query(
+      'SELECT id, username FROM users WHERE id = ANY($1::int[]) OR username = ANY($2::text[])',
+      [userIds, usernames]
+    );
+
+    const foundIds = new Set(usersResult.rows.map(user => user.id));
+    const foundUsernames = new Set(usersResult.rows.map(user => user.username));
+    if (userIds.some(id => !foundIds.has(id)) || usernames.some(username => !foundUsernames.has(username))) {
+      return res.status(404).json({ error: 'One or more users not found' });
+    }
+
+    const addedIds = [];
+    for (const { id } of usersResult.rows) {
+      const result = await pool.query(`
+        INSERT INTO chat_participants (chat_id, user_id, role)
+        VALUES ($1, $2, 'member')
+        ON CONFLICT (chat_id, user_id) DO NOTHING
+        RETURNING user_id
+      `, [chatId, id]);
+
+      if (result.rows.length > 0) {
+        addedIds.push(id);
+      }
+    }
+
+    const participants = addedIds.length > 0 ? await getParticipants(chatId, addedIds) : [];
+
+    if (participants.length > 0) {
+      const io = getIO();
+      addUsersToChatRoom(chat.id, addedIds);
+      io.to(`chat-${chatId}`).emit('participants-added', {
+        chatId: chat.id,
+        participants,
+        addedBy: req.user.id
+      });
+
+      participants.forEach(participant => {
+        io.to(`user-${participant.id}`).emit('new-chat', {
+          chatId: chat.id,
+          chatName: chat.name,
+          chatType: chat.type,
+          participantId: participant.id
+        });
+
+        pushNotificationService.sendNewChatNotification(chat, participant.id)
+          .catch(error => console.error('Error sending new chat notification:', error));
+      });
+    }
+
+    res.status(201).json({
+      message: 'Participants added successfully',
+      participants
+    });
+  } catch (error) {
+    console.error('Add participants error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Remove a participant from a group chat
+router.delete('/:chatId/participants/:userId', authenticateToken, [
+  param('userId').isInt().toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { chatId, userId } = req.params;
+
+    if (userId === req.user.id) {
+      return res.status(400).json({ error: 'Use the leave endpoint to leave a chat' });
+    }
+
+    const chatResult = await pool.query('SELECT id, name, type FROM chats WHERE id = $1', [chatId]);
+    if (chatResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Chat not found' });
+    }
+
+    const chat = chatResult.rows[0];
+    if (chat.type !== 'group') {
+      return res.status(400).json({ error: 'Participants can only be removed from group chats' });
+    }
+
+    const myRole = await getParticipantRole(chatId, req.user.id);
+    const targetRole = await getParticipantRole(chatId, userId);
+
+    if (!targetRole) {
+      return res.status(404).json({ error: 'User is not a participant in this chat' });
+    }
+
+    // Owners can remove anyone; admins can only remove members
+    const allowed = myRole === 'owner' || (myRole === 'admin' && targetRole === 'member');
+    if (!allowed) {
+      return res.status(403).json({ error: 'You do not have permission to remove this participant' });
+    }
+
+    await pool.query(
+      'DELETE FROM chat_participants WHERE chat_id = $1 AND user_id = $2',
+      [chatId, userId]
+    );
+
+    const io = getIO();
+    const event = {
+      chatId: chat.id,
+      chatName: chat.name,
+      userId,
+      removedBy: req.user.id
+    };
+    // Notify the room (including the removed user) before dropping their sockets from it
+    io.to(`chat-${chatId}`).emit('participant-removed', event);
+    removeUsersFromChatRoom(chat.id, [userId]);
+
+    res.json({ message: 'Participant removed successfully' });
+  } catch (error) {
+    console.error('Remove participant error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Change a participant's role (owner only). Giving someone the owner role transfers ownership.
+router.patch('/:chatId/participants/:userId', authenticateToken, [
+  param('userId').isInt().toInt(),
+  body('role').isIn(PARTICIPANT_ROLES)
+], async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { chatId, userId } = req.params;
+    const { role } = req.body;
+
+    const chatResult = await client.query('SELECT id, type FROM chats WHERE id = $1', [chatId]);
+    if (chatResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Chat not found' });
+    }
+
+    if (chatResult.rows[0].type !== 'group') {
+      return res.status(400).json({ error: 'Roles can only be changed in group chats' });
+    }
+
+    const myRole = await getParticipantRole(chatId, req.user.id);
+    if (myRole !== 'owner') {
+      return res.status(403).json({ error: 'Only the group owner can change roles' });
+    }
+
+    if (userId === req.user.id) {
+      return res.status(400).json({ error: 'You cannot change your own role' });
+    }
+
+    if (!(await getParticipantRole(chatId, userId))) {
+      return res.status(404).json({ error: 'User is not a participant in this chat' });
+    }
+
+    await client.query('BEGIN');
+    await client.query(
+      'UPDATE chat_participants SET role = $1 WHERE chat_id = $2 AND user_id = $3',
+      [role, chatId, userId]
+    );
+
+    const changes = [{ userId, role }];
+    if (role === 'owner') {
+      // Transfer ownership: the previous owner becomes an admin
+      await client.query(
+        "UPDATE chat_participants SET role = 'admin' WHERE chat_id = $1 AND user_id = $2",
+        [chatId, req.user.id]
+      );
+      await client.query(
+        'UPDATE chats SET created_by = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+        [userId, chatId]
+      );
+      changes.push({ userId: req.user.id, role: 'admin' });
+    }
+    await client.query('COMMIT');
+
+    const io = getIO();
+    changes.forEach(change => {
+      io.to(`chat-${chatId}`).emit('participant-role-updated', {
+        chatId: parseInt(chatId),
+        userId: change.userId,
+        role: change.role,
+        updatedBy: req.user.id
+      });
+    });
+
+    res.json({ message: 'Role updated successfully', changes });
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('Update participant role error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  } finally {
+    client.release();
+  }
+});
+
 // Leave chat (remove user from chat participants)
 router.delete('/:chatId/leave', authenticateToken, async (req, res) => {
   try {
     const { chatId } = req.params;
 
     // Check if user is a participant in this chat
-    const participantCheck = await pool.query(
-      'SELECT id FROM chat_participants WHERE chat_id = $1 AND user_id = $2',
-      [chatId, req.user.id]
-    );
+    const myRole = await getParticipantRole(chatId, req.user.id);
 
-    if (participantCheck.rows.length === 0) {
+    if (!myRole) {
       return res.status(403).json({ error: 'You are not a participant in this chat' });
     }
 
@@ -257,19 +607,50 @@ router.delete('/:chatId/leave', authenticateToken, async (req, res) => {
     );
 
     const participantCount = parseInt(remainingParticipants.rows[0].count);
+    const io = getIO();
 
     // If no participants left, delete the chat entirely
     if (participantCount === 0) {
       await pool.query('DELETE FROM chats WHERE id = $1', [chatId]);
-      
-      // Notify all users that the chat was deleted
-      const { getIO } = require('../socket/socketManager');
-      const io = getIO();
-      io.emit('chat-deleted', {
-        chatId: chatId,
+
+      io.to(`user-${req.user.id}`).emit('chat-deleted', {
+        chatId: chat.id,
         chatName: chat.name,
         chatType: chat.type
       });
+      removeUsersFromChatRoom(chat.id, [req.user.id]);
+    } else {
+      io.to(`chat-${chatId}`).emit('participant-removed', {
+        chatId: chat.id,
+        chatName: chat.name,
+        userId: req.user.id,
+        removedBy: req.user.id
+      });
+      removeUsersFromChatRoom(chat.id, [req.user.id]);
+
+      // Hand ownership to the longest-standing admin, or member if there are no admins
+      if (myRole === 'owner') {
+        const successorResult = await pool.query(`
+          UPDATE chat_participants SET role = 'owner'
+          WHERE id = (
+            SELECT id FROM chat_participants
+            WHERE chat_id = $1
+            ORDER BY CASE role WHEN 'admin' THEN 0 ELSE 1 END, joined_at
+            LIMIT 1
+          )
+          RETURNING user_id
+        `, [chatId]);
+
+        const successorId = successorResult.rows[0].user_id;
+        await pool.query('UPDATE chats SET created_by = $1 WHERE id = $2', [successorId, chatId]);
+
+        io.to(`chat-${chatId}`).emit('participant-role-updated', {
+          chatId: chat.id,
+          userId: successorId,
+          role: 'owner',
+          updatedBy: req.user.id
+        });
+      }
     }
 
     res.json({ 
@@ -292,9 +673,9 @@ router.delete('/:chatId', authenticateToken, async (req, res) => {
   try {
     const { chatId } = req.params;
 
-    // Get chat info and check if user is the creator
+    // Get chat info and check if user is the owner
     const chatResult = await pool.query(
-      'SELECT id, name, type, created_by FROM chats WHERE id = $1',
+      'SELECT id, name, type FROM chats WHERE id = $1',
       [chatId]
     );
 
@@ -304,22 +685,28 @@ router.delete('/:chatId', authenticateToken, async (req, res) => {
 
     const chat = chatResult.rows[0];
 
-    // Only allow deletion if user is the creator
-    if (chat.created_by !== req.user.id) {
-      return res.status(403).json({ error: 'Only the chat creator can delete the chat' });
+    // Only allow deletion if user is the owner
+    if (await getParticipantRole(chatId, req.user.id) !== 'owner') {
+      return res.status(403).json({ error: 'Only the chat owner can delete the chat' });
     }
 
+    const participantsResult = await pool.query(
+      'SELECT user_id FROM chat_participants WHERE chat_id = $1',
+      [chatId]
+    );
+
     // Delete chat (this will cascade delete messages and participants due to foreign key constraints)
     await pool.query('DELETE FROM chats WHERE id = $1', [chatId]);
 
-    // Notify all users that the chat was deleted
-    const { getIO } = require('../socket/socketManager');
+    // Notify the former participants and drop their sockets from the chat room
+    const participantIds = participantsResult.rows.map(row => row.user_id);
     const io = getIO();
-    io.emit('chat-deleted', {
-      chatId: chatId,
+    io.to(participantIds.map(userId => `user-${userId}`)).emit('chat-deleted', {
+      chatId: chat.id,
       chatName: chat.name,
       chatType: chat.type
     });
+    removeUsersFromChatRoom(chat.id, participantIds);
 
     res.json({ 
       message: 'Chat deleted successfully',
@@ -1,17 +1,25 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const multer = require('multer');
 const { pool } = require('../database/connection');
 const { authenticateToken } = require('../middleware/auth');
 const { getIO } = require('../socket/socketManager');
+const attachmentService = require('../services/attachmentService');
+const imageService = require('../services/imageService');
+const receiptService = require('../services/receiptService');
+const messageService = require('../services/messageService');
+const messageDeletionService = require('../services/messageDeletionService');
+const pinService = require('../services/pinService');
+const uploadConfig = require('../config/uploads');
+const messageConfig = require('../config/messages');
 
 const router = express.Router();
 
-// Configure multer for image uploads (3MB limit)
+// Configure multer for image uploads (size limit comes from config/uploads)
 const upload = multer({
   storage: multer.memoryStorage(),
   limits: {
-    fileSize: 3 * 1024 * 1024, // 3MB limit
+    fileSize: uploadConfig.IMAGE_MAX_BYTES,
   },
   fileFilter: (req, file, cb) => {
     // Check if file is an image
@@ -23,11 +31,296 @@ const upload = multer({
   }
 });
 
+// Configure multer for file attachments (size limit and allowed types come from config/uploads)
+const fileUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: uploadConfig.FILE_MAX_BYTES,
+  },
+  fileFilter: (req, file, cb) => {
+    if (uploadConfig.isAllowedFileType(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error(`Files of type ${file.mimetype || 'unknown'} are not allowed`), false);
+    }
+  }
+});
+
+// Run a multer upload, answering with 400/413 instead of falling through to the generic error handler
+const handleUpload = (uploader, fieldName, maxBytes) => (req, res, next) => {
+  uploader.single(fieldName)(req, res, (error) => {
+    if (!error) {
+      return next();
+    }
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ error: `File size too large. Maximum ${Math.round(maxBytes / (1024 * 1024))}MB allowed.` });
+    }
+    res.status(400).json({ error: error.message });
+  });
+};
+
+// Columns selected for messages returned to the client
+const MESSAGE_SELECT = `
+  SELECT 
+    m.id,
+    m.content,
+    m.message_type,
+    m.image_data,
+    CASE WHEN a.id IS NULL THEN NULL ELSE JSON_BUILD_OBJECT(
+      'id', a.id,
+      'filename', a.filename,
+      'mime_type', a.mime_type,
+      'size', a.size,
+      'width', a.width,
+      'height', a.height,
+      'placeholder', a.placeholder,
+      'renditions', (
+        SELECT JSON_OBJECT_AGG(ar.variant, JSON_BUILD_OBJECT('width', ar.width, 'height', ar.height))
+        FROM attachment_renditions ar
+        WHERE ar.attachment_id = a.id
+      )
+    ) END as attachment,
+    COALESCE(
+      (
+        SELECT JSON_AGG(JSON_BUILD_OBJECT('user_id', mm.user_id, 'username', mu.username))
+        FROM message_mentions mm
+        JOIN users mu ON mu.id = mm.user_id
+        WHERE mm.message_id = m.id
+      ),
+      '[]'::json
+    ) as mentions,
+    m.quoted_message_id,
+    ${messageService.QUOTED_MESSAGE_COLUMN},
+    m.thread_parent_id,
+    ${messageService.THREAD_SUMMARY_COLUMNS},
+    m.forwarded,
+    ${messageService.FORWARDED_FROM_COLUMN},
+    m.status,
+    m.client_message_id,
+    m.sync_seq,
+    m.edited,
+    m.edited_at,
+    m.deleted_at,
+    m.created_at,
+    m.updated_at,
+    u.id as sender_id,
+    u.username,
+    u.display_name as sender_name,
+    u.avatar_url as sender_avatar,
+    COALESCE(
+      (
+        SELECT JSON_AGG(
+          JSON_BUILD_OBJECT(
+            'emoji', mr.emoji,
+            'count', mr.count,
+            'users', mr.users
+          )
+        )
+        FROM (
+          SELECT 
+            mr.emoji,
+            COUNT(*) as count,
+            ARRAY_AGG(
+              JSON_BUILD_OBJECT(
+                'user_id', mr.user_id,
+                'username', u2.username,
+                'display_name', u2.display_name,
+                'created_at', mr.created_at
+              )
+            ) as users
+          FROM message_reactions mr
+          JOIN users u2 ON mr.user_id = u2.id
+          WHERE mr.message_id = m.id
+          GROUP BY mr.emoji
+          ORDER BY COUNT(*) DESC, mr.emoji
+        ) mr
+      ),
+      '[]'::json
+    ) as reactions
+  FROM messages m
+  JOIN users u ON m.sender_id = u.id
+  LEFT JOIN attachments a ON m.attachment_id = a.id
+`;
+
+// Parse image_data and reactions, sign the attachment's download token and prepare the quoted message's preview
+const formatMessageRow = (row) => {
+  if (row.image_data && typeof row.image_data === 'string') {
+    try {
+      row.image_data = JSON.parse(row.image_data);
+    } catch (error) {
+      console.error('Error parsing image_data:', error);
+    }
+  }
+  
+  row.attachment = attachmentService.withDownloadToken(row.attachment);
+
+  // Quoted message as it is now (see messageService.QUOTED_MESSAGE_COLUMN)
+  row.quotedMessage = row.quoted_message;
+  delete row.quoted_message;
+
+  row.editable_until = messageConfig.getEditableUntil(row.created_at);
+  row.deletable_until = messageConfig.getDeletableUntil(row.created_at);
+  // Deleted for everyone: shown as "This message was deleted"
+  row.deleted = Boolean(row.deleted_at);
+  
+  // Parse reactions if they exist
+  if (row.reactions && typeof row.reactions === 'string') {
+    try {
+      row.reactions = JSON.parse(row.reactions);
+    } catch (error) {
+      console.error('Error parsing reactions:', error);
+      row.reactions = [];
+    }
+  } else if (!row.reactions) {
+    row.reactions = [];
+  }
+
+  return row;
+};
+
+// Set `starred` on messages the user starred
+const markStarred = async (messages, userId) => {
+  const result = await pool.query(
+    'SELECT message_id FROM starred_messages WHERE user_id = $1 AND message_id = ANY($2::int[])',
+    [userId, messages.map(message => message.id)]
+  );
+  const starredIds = new Set(result.rows.map(row => row.message_id));
+  messages.forEach(message => {
+    message.starred = starredIds.has(message.id);
+  });
+  return messages;
+};
+
+// Load up to `limit` messages before or after a cursor message (or the latest messages when
+// there is no cursor), in chronological order. Keyset paging on (created_at, id) so messages
+// arriving between page loads don't shift the pages. Loads the chat's main message list, or the
+// replies in the thread of threadParentId, as seen by userId: messages deleted for everyone are
+// tombstones and messages the user deleted for themselves are left out.
+const loadMessagePage = async (chatId, userId, { cursorId = null, direction = 'older', inclusive = false, limit, threadParentId = null }) => {
+  const params = [chatId, limit + 1, userId];
+  let cursorCondition = '';
+  let threadCondition = 'AND m.thread_parent_id IS NULL';
+
+  if (threadParentId) {
+    params.push(threadParentId);
+    threadCondition = `AND m.thread_parent_id = $${params.length}`;
+  }
+
+  if (cursorId) {
+    params.push(cursorId);
+    const operator = direction === 'older' ? (inclusive ? '<=' : '<') : '>';
+    // Compare against the stored timestamp so microsecond precision isn't lost in JS
+    cursorCondition = `AND (m.created_at, m.id) ${operator} (SELECT created_at, id FROM messages WHERE id = $${params.length})`;
+  }
+
+  const order = direction === 'older' ? 'DESC' : 'ASC';
+  const result = await pool.query(`
+    ${MESSAGE_SELECT}
+    WHERE m.chat_id = $1 ${threadCondition} ${cursorCondition}
+      AND NOT EXISTS (SELECT 1 FROM hidden_messages hm WHERE hm.message_id = m.id AND hm.user_id = $3)
+    ORDER BY m.created_at ${order}, m.id ${order}
+    LIMIT $2
+  `, params);
+
+  // One extra row was fetched to tell whether there are more messages in this direction
+  const rows = result.rows.slice(0, limit);
+  if (direction === 'older') {
+    rows.reverse();
+  }
+
+  return {
+    messages: await markStarred(rows.map(formatMessageRow), userId),
+    hasMore: result.rows.length > limit
+  };
+};
+
+// Resync tokens, returned as syncSeq. sync_seq values are taken before their change commits, so the
+// highest one a client saw doesn't mean every lower one is visible yet (see migration 031). "t<floor>"
+// asks for the changes of transactions from <floor> on: the oldest one still running when the token was
+// issued. Changes that were already seen may come again. While a resync pages,
+// "t<floor>.<afterSeq>.<nextFloor>" also carries the sync_seq reached so far and the floor for the next
+// resync. Plain numbers are sync_seq values from older clients.
+const SYNC_TOKEN_PATTERN = /^(?:\d+|t\d+(?:\.\d+\.\d+)?)$/;
+
+// Oldest transaction that may still commit changes
+const getSyncFloor = async () => {
+  const result = await pool.query('SELECT txid_snapshot_xmin(txid_current_snapshot()) as floor');
+  return result.rows[0].floor;
+};
+
+// Token to resync from later. Taken before loading messages, so changes committing while the page
+// loads are returned again by the next ?since= request.
+const getSyncToken = async () => `t${await getSyncFloor()}`;
+
+// Messages created or changed since a resync token, in sync_seq order. Messages deleted for everyone
+// come back as tombstones; those the user deleted for themselves as ids only.
+const loadMessageChanges = async (chatId, userId, { since, limit }) => {
+  const [, floor = null, afterSeq = '0', carriedFloor = null] = since.startsWith('t')
+    ? /^t(\d+)(?:\.(\d+)\.(\d+))?$/.exec(since)
+    : [since, null, since];
+  const nextFloor = carriedFloor || await getSyncFloor();
+
+  const result = await pool.query(`
+    ${MESSAGE_SELECT}
+    WHERE m.chat_id = $1 AND ($2::bigint IS NULL OR m.sync_txid >= $2) AND m.sync_seq > $3
+    ORDER BY m.sync_seq ASC
+    LIMIT $4
+  `, [chatId, floor, afterSeq, limit + 1]);
+
+  const rows = result.rows.slice(0, limit);
+  const hasMore = result.rows.length > limit;
+  const hidden = await pool.query(
+    'SELECT message_id FROM hidden_messages WHERE user_id = $1 AND message_id = ANY($2::int[])',
+    [userId, rows.map(row => row.id)]
+  );
+  const hiddenIds = new Set(hidden.rows.map(row => row.message_id));
+
+  return {
+    messages: await markStarred(rows.filter(row => !hiddenIds.has(row.id)).map(formatMessageRow), userId),
+    deletedMessageIds: rows.filter(row => hiddenIds.has(row.id)).map(row => row.id),
+    syncSeq: hasMore
+      ? `t${floor || 0}.${rows[rows.length - 1].sync_seq}.${nextFloor}`
+      : `t${nextFloor}`,
+    hasMore
+  };
+};
+
 // Get messages for a chat
-router.get('/:chatId', authenticateToken, async (req, res) => {
+// Pass ?before=<messageId> for older messages, ?after=<messageId> for newer messages, or
+// ?around=<messageId> to load the messages surrounding a specific message (e.g. a search result)
+// Every response includes syncSeq; after a reconnect, pass it as ?since=<syncSeq> to get the
+// messages that were created, changed or deleted in the meantime (paged with limit and hasMore).
+// Loading messages counts as delivering them to the requesting device. Messages every recipient
+// has already read are skipped since there is nothing left to update.
+const recordFetchedDelivery = (req, messages) => {
+  const messageIds = messages
+    .filter(message => message.sender_id !== req.user.id && message.status !== 'read')
+    .map(message => message.id);
+
+  receiptService.recordDelivery(messageIds, req.user.id, { sessionId: req.sessionId })
+    .catch(error => console.error('Error recording message delivery:', error));
+};
+
+router.get('/:chatId', authenticateToken, [
+  query('before').optional().isInt(),
+  query('after').optional().isInt(),
+  query('around').optional().isInt(),
+  query('since').optional().matches(SYNC_TOKEN_PATTERN),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
     const { chatId } = req.params;
-    const { page = 1, limit = 50 } = req.query;
+    const { before, after, around, since } = req.query;
+    const limit = parseInt(req.query.limit) || 50;
+
+    if ([before, after, around, since].filter(value => value !== undefined).length > 1) {
+      return res.status(400).json({ error: 'Use only one of before, after, around or since' });
+    }
 
     // Verify user is participant
     const participantCheck = await pool.query(
@@ -39,104 +332,77 @@ router.get('/:chatId', authenticateToken, async (req, res) => {
       return res.status(403).json({ error: 'Access denied' });
     }
 
-    const offset = (page - 1) * limit;
+    if (since !== undefined) {
+      const changes = await loadMessageChanges(chatId, req.user.id, { since, limit });
+      recordFetchedDelivery(req, changes.messages);
 
-    const result = await pool.query(`
-      SELECT 
-        m.id,
-        m.content,
-        m.message_type,
-        m.image_data,
-        m.quoted_message_id,
-        m.quoted_content,
-        m.quoted_sender_name,
-        m.status,
-        m.edited,
-        m.edited_at,
-        m.deleted_at,
-        m.created_at,
-        m.updated_at,
-        u.id as sender_id,
-        u.username,
-        u.display_name as sender_name,
-        u.avatar_url as sender_avatar,
-        COALESCE(
-          (
-            SELECT JSON_AGG(
-              JSON_BUILD_OBJECT(
-                'emoji', mr.emoji,
-                'count', mr.count,
-                'users', mr.users
-              )
-            )
-            FROM (
-              SELECT 
-                mr.emoji,
-                COUNT(*) as count,
-                ARRAY_AGG(
-                  JSON_BUILD_OBJECT(
-                    'user_id', mr.user_id,
-                    'username', u2.username,
-                    'display_name', u2.display_name,
-                    'created_at', mr.created_at
-                  )
-                ) as users
-              FROM message_reactions mr
-              JOIN users u2 ON mr.user_id = u2.id
-              WHERE mr.message_id = m.id
-              GROUP BY mr.emoji
-              ORDER BY COUNT(*) DESC, mr.emoji
-            ) mr
-          ),
-          '[]'::json
-        ) as reactions
-      FROM messages m
-      JOIN users u ON m.sender_id = u.id
-      WHERE m.chat_id = $1 AND m.deleted_at IS NULL
-      ORDER BY m.created_at DESC
-      LIMIT $2 OFFSET $3
-    `, [chatId, limit, offset]);
-
-    // Parse image_data and prepare quoted message data for all messages
-    const messages = result.rows.map(row => {
-      if (row.image_data && typeof row.image_data === 'string') {
-        try {
-          row.image_data = JSON.parse(row.image_data);
-        } catch (error) {
-          console.error('Error parsing image_data:', error);
-        }
-      }
-      
-      // Prepare quoted message data
-      if (row.quoted_message_id) {
-        row.quotedMessage = {
-          id: row.quoted_message_id,
-          content: row.quoted_content,
-          sender_name: row.quoted_sender_name
-        };
+      return res.json({
+        messages: changes.messages,
+        deletedMessageIds: changes.deletedMessageIds,
+        syncSeq: changes.syncSeq,
+        pagination: { limit, hasMore: changes.hasMore }
+      });
+    }
+
+    const syncSeq = await getSyncToken();
+    const cursorId = before || after || around;
+    let cursor = null;
+    if (cursorId) {
+      // The cursor message may since have been deleted, but it must belong to this chat
+      const cursorCheck = await pool.query(
+        'SELECT id, deleted_at, thread_parent_id FROM messages WHERE id = $1 AND chat_id = $2',
+        [cursorId, chatId]
+      );
+
+      if (cursorCheck.rows.length === 0 || (around && cursorCheck.rows[0].deleted_at)) {
+        return res.status(404).json({ error: 'Message not found' });
       }
-      
-      // Parse reactions if they exist
-      if (row.reactions && typeof row.reactions === 'string') {
-        try {
-          row.reactions = JSON.parse(row.reactions);
-        } catch (error) {
-          console.error('Error parsing reactions:', error);
-          row.reactions = [];
+      cursor = cursorCheck.rows[0];
+    }
+
+    if (around) {
+      // Thread replies aren't in the main list: show the message whose thread they are in
+      const anchorId = cursor.thread_parent_id || cursor.id;
+      const half = Math.ceil(limit / 2);
+      const older = await loadMessagePage(chatId, req.user.id, { cursorId: anchorId, direction: 'older', inclusive: true, limit: half });
+      const newer = await loadMessagePage(chatId, req.user.id, { cursorId: anchorId, direction: 'newer', limit: half });
+      recordFetchedDelivery(req, [...older.messages, ...newer.messages]);
+
+      return res.json({
+        messages: [...older.messages, ...newer.messages],
+        syncSeq,
+        pagination: {
+          limit,
+          around: anchorId,
+          threadReplyId: cursor.thread_parent_id ? cursor.id : undefined,
+          hasMore: older.hasMore,
+          hasNewer: newer.hasMore
         }
-      } else if (!row.reactions) {
-        row.reactions = [];
-      }
-      
-      return row;
-    });
+      });
+    }
 
-    res.json({ 
-      messages: messages.reverse(),
+    if (after) {
+      const newer = await loadMessagePage(chatId, req.user.id, { cursorId: after, direction: 'newer', limit });
+      recordFetchedDelivery(req, newer.messages);
+
+      return res.json({
+        messages: newer.messages,
+        syncSeq,
+        pagination: { limit, hasMore: true, hasNewer: newer.hasMore }
+      });
+    }
+
+    // Latest messages, or older messages before the cursor
+    const older = await loadMessagePage(chatId, req.user.id, { cursorId: before, direction: 'older', limit });
+    recordFetchedDelivery(req, older.messages);
+
+    res.json({
+      messages: older.messages,
+      syncSeq,
       pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        hasMore: result.rows.length === parseInt(limit)
+        limit,
+        hasMore: older.hasMore,
+        hasNewer: Boolean(before)
       }
     });
   } catch (error) {
@@ -145,10 +411,12 @@ router.get('/:chatId', authenticateToken, async (req, res) => {
   }
 });
 
-// Send message
-router.post('/:chatId', authenticateToken, [
-  body('content').notEmpty().trim(),
-  body('messageType').optional().isIn(['text', 'image', 'file'])
+// Get the replies in a message's thread along with the message itself: the latest replies, or
+// ?before=<replyId> for older and ?after=<replyId> for newer replies
+router.get('/:messageId/thread', authenticateToken, [
+  query('before').optional().isInt(),
+  query('after').optional().isInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 })
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -156,8 +424,25 @@ router.post('/:chatId', authenticateToken, [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { chatId } = req.params;
-    const { content, messageType = 'text' } = req.body;
+    const { messageId } = req.params;
+    const { before, after } = req.query;
+    const limit = parseInt(req.query.limit) || 50;
+
+    if (before !== undefined && after !== undefined) {
+      return res.status(400).json({ error: 'Use only one of before or after' });
+    }
+
+    // The message may have been deleted for everyone; its thread stays
+    const messageCheck = await pool.query(
+      'SELECT chat_id, thread_parent_id FROM messages WHERE id = $1',
+      [messageId]
+    );
+
+    if (messageCheck.rows.length === 0) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+
+    const { chat_id: chatId, thread_parent_id: threadParentId } = messageCheck.rows[0];
 
     // Verify user is participant
     const participantCheck = await pool.query(
@@ -169,32 +454,141 @@ router.post('/:chatId', authenticateToken, [
       return res.status(403).json({ error: 'Access denied' });
     }
 
-    // Create message
-    const result = await pool.query(`
-      INSERT INTO messages (chat_id, sender_id, content, message_type)
-      VALUES ($1, $2, $3, $4)
-      RETURNING id, content, message_type, created_at, updated_at
-    `, [chatId, req.user.id, content, messageType]);
+    if (threadParentId) {
+      return res.status(400).json({ error: 'Thread replies have no thread of their own' });
+    }
 
-    const message = result.rows[0];
+    const cursorId = before || after;
+    if (cursorId) {
+      const cursorCheck = await pool.query(
+        'SELECT 1 FROM messages WHERE id = $1 AND thread_parent_id = $2',
+        [cursorId, messageId]
+      );
 
-    // Get sender info
-    const senderResult = await pool.query(
-      'SELECT id, username, display_name, avatar_url FROM users WHERE id = $1',
-      [req.user.id]
+      if (cursorCheck.rows.length === 0) {
+        return res.status(404).json({ error: 'Reply not found' });
+      }
+    }
+
+    const parentResult = await pool.query(`${MESSAGE_SELECT} WHERE m.id = $1`, [messageId]);
+    const [parent] = await markStarred([formatMessageRow(parentResult.rows[0])], req.user.id);
+    const page = await loadMessagePage(chatId, req.user.id, {
+      cursorId,
+      direction: after ? 'newer' : 'older',
+      limit,
+      threadParentId: messageId
+    });
+    recordFetchedDelivery(req, page.messages);
+
+    res.json({
+      parent,
+      messages: page.messages,
+      pagination: after
+        ? { limit, hasMore: true, hasNewer: page.hasMore }
+        : { limit, hasMore: page.hasMore, hasNewer: Boolean(before) }
+    });
+  } catch (error) {
+    console.error('Get thread error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Forward messages to other chats of the user. Copies are sent in the order the messages were sent
+// in, marked as forwarded, and go through the same broadcast and push notifications as new messages.
+router.post('/forward', authenticateToken, [
+  body('messageIds').isArray({ min: 1, max: messageService.FORWARD_MAX_MESSAGES }),
+  body('messageIds.*').isInt().toInt(),
+  body('chatIds').isArray({ min: 1, max: messageService.FORWARD_MAX_CHATS }),
+  body('chatIds.*').isInt().toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const messageIds = [...new Set(req.body.messageIds)];
+    const chatIds = [...new Set(req.body.chatIds)];
+
+    const messages = await messageService.getForwardableMessages(messageIds, req.user.id);
+    if (messages.length !== messageIds.length) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+
+    const participantCheck = await pool.query(
+      'SELECT chat_id FROM chat_participants WHERE chat_id = ANY($1::int[]) AND user_id = $2',
+      [chatIds, req.user.id]
     );
+    if (participantCheck.rows.length !== chatIds.length) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
 
-    const messageWithSender = {
-      ...message,
-      sender_id: req.user.id,
-      username: senderResult.rows[0].username,
-      sender_name: senderResult.rows[0].display_name,
-      sender_avatar: senderResult.rows[0].avatar_url
-    };
+    const forwarded = [];
+    for (const chatId of chatIds) {
+      for (const message of messages) {
+        forwarded.push(await messageService.forwardMessage(message, chatId, req.user));
+      }
+    }
 
     res.status(201).json({
-      message: 'Message sent successfully',
-      data: messageWithSender
+      message: 'Messages forwarded successfully',
+      data: forwarded
+    });
+  } catch (error) {
+    console.error('Forward messages error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Send message. Retrying with the same clientMessageId returns the message stored by the first
+// attempt (200) instead of creating a duplicate (201). Pass threadParentId to reply in a message's thread
+// and quotedMessageId to quote a message of the chat.
+router.post('/:chatId', authenticateToken, [
+  body('content').notEmpty().trim(),
+  body('messageType').optional().isIn(['text', 'image', 'file']),
+  body('clientMessageId').optional().isUUID(),
+  body('quotedMessageId').optional({ nullable: true }).isInt().toInt(),
+  // Older clients send the whole quoted message; only its id is used
+  body('quotedMessage').optional({ nullable: true }).isObject(),
+  body('quotedMessage.id').optional().isInt().toInt(),
+  body('threadParentId').optional().isInt().toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const chatId = parseInt(req.params.chatId);
+    const { content, messageType = 'text', clientMessageId = null, threadParentId = null } = req.body;
+    const quotedMessageId = req.body.quotedMessageId ?? req.body.quotedMessage?.id ?? null;
+
+    // Verify user is participant
+    if (!await isChatParticipant(req)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    if (threadParentId && !await messageService.getThreadParent(chatId, threadParentId)) {
+      return res.status(404).json({ error: 'Thread not found' });
+    }
+
+    if (quotedMessageId && !await messageService.isQuotable(chatId, quotedMessageId)) {
+      return res.status(404).json({ error: 'Quoted message not found' });
+    }
+
+    const { message, created } = await messageService.sendMessage({
+      chatId,
+      sender: req.user,
+      content,
+      messageType,
+      quotedMessageId,
+      clientMessageId,
+      threadParentId
+    });
+
+    res.status(created ? 201 : 200).json({
+      message: created ? 'Message sent successfully' : 'Message already sent',
+      data: message
     });
   } catch (error) {
     console.error('Send message error:', error);
@@ -202,101 +596,111 @@ router.post('/:chatId', authenticateToken, [
   }
 });
 
+// Store an uploaded file and send a message referencing it. Like sending a message, retrying with the
+// same clientMessageId returns the message stored by the first attempt; the file stored again is removed.
+const createAttachmentMessage = async (req, messageType) => {
+  const chatId = parseInt(req.params.chatId);
+  const { caption, clientMessageId = null } = req.body;
+
+  // Images are re-encoded without EXIF/GPS metadata and get downscaled renditions
+  const image = messageType === 'image' ? await imageService.processImage(req.file.buffer) : null;
+
+  // Store the file in the blob store; the message only references it.
+  // Multer decodes filenames as latin1, so restore UTF-8 names.
+  const attachment = await attachmentService.createAttachment({
+    chatId,
+    uploaderId: req.user.id,
+    buffer: image ? image.buffer : req.file.buffer,
+    filename: Buffer.from(req.file.originalname, 'latin1').toString('utf8'),
+    mimeType: image ? image.mimeType : (req.file.mimetype || 'application/octet-stream'),
+    image,
+    renditions: image ? image.renditions : []
+  });
+
+  const result = await messageService.sendMessage({
+    chatId,
+    sender: req.user,
+    content: caption || '',
+    messageType,
+    clientMessageId,
+    attachmentId: attachment.id
+  });
+
+  if (!result.created) {
+    await attachmentService.deleteAttachment(attachment.id);
+  }
+
+  return result;
+};
+
+// Verify the current user is a participant of the chat in the route params
+const isChatParticipant = async (req) => {
+  const participantCheck = await pool.query(
+    'SELECT 1 FROM chat_participants WHERE chat_id = $1 AND user_id = $2',
+    [req.params.chatId, req.user.id]
+  );
+  return participantCheck.rows.length > 0;
+};
+
 // Upload image
-router.post('/:chatId/upload-image', authenticateToken, upload.single('image'), async (req, res) => {
+router.post('/:chatId/upload-image', authenticateToken, handleUpload(upload, 'image', uploadConfig.IMAGE_MAX_BYTES), [
+  body('clientMessageId').optional().isUUID()
+], async (req, res) => {
   try {
-    const { chatId } = req.params;
-    const { caption } = req.body;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
 
     if (!req.file) {
       return res.status(400).json({ error: 'No image file provided' });
     }
 
-    // Verify user is participant
-    const participantCheck = await pool.query(
-      'SELECT 1 FROM chat_participants WHERE chat_id = $1 AND user_id = $2',
-      [chatId, req.user.id]
-    );
-
-    if (participantCheck.rows.length === 0) {
+    if (!(await isChatParticipant(req))) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
-    // Convert image to base64
-    const base64Image = req.file.buffer.toString('base64');
-    const imageData = {
-      filename: req.file.originalname,
-      mimetype: req.file.mimetype,
-      size: req.file.size,
-      data: base64Image
-    };
+    const { message, created } = await createAttachmentMessage(req, 'image');
 
-    // Create message with image data
-    const result = await pool.query(`
-      INSERT INTO messages (chat_id, sender_id, content, message_type, image_data)
-      VALUES ($1, $2, $3, 'image', $4)
-      RETURNING id, content, message_type, image_data, created_at, updated_at
-    `, [chatId, req.user.id, caption || '', JSON.stringify(imageData)]);
-
-    const message = result.rows[0];
+    res.status(created ? 201 : 200).json({
+      message: created ? 'Image uploaded successfully' : 'Message already sent',
+      data: message
+    });
+  } catch (error) {
+    if (error.code === 'UNSUPPORTED_IMAGE') {
+      return res.status(400).json({ error: 'Unsupported image format. Please upload a JPEG, PNG, GIF, WebP or AVIF image.' });
+    }
+    console.error('Upload image error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-    // Parse image_data if it exists
-    if (message.image_data && typeof message.image_data === 'string') {
-      try {
-        message.image_data = JSON.parse(message.image_data);
-      } catch (error) {
-        console.error('Error parsing image_data:', error);
-      }
+// Upload a file attachment (documents, audio, archives, ...)
+router.post('/:chatId/upload-file', authenticateToken, handleUpload(fileUpload, 'file', uploadConfig.FILE_MAX_BYTES), [
+  body('clientMessageId').optional().isUUID()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
     }
 
-    // Get sender info
-    const senderResult = await pool.query(
-      'SELECT id, username, display_name, avatar_url FROM users WHERE id = $1',
-      [req.user.id]
-    );
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file provided' });
+    }
 
-    const messageWithSender = {
-      ...message,
-      sender_id: req.user.id,
-      username: senderResult.rows[0].username,
-      sender_name: senderResult.rows[0].display_name,
-      sender_avatar: senderResult.rows[0].avatar_url
-    };
+    if (!(await isChatParticipant(req))) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
 
-    // Get chat information for notifications
-    const chatResult = await pool.query(`
-      SELECT c.id, c.name, c.type,
-             CASE 
-               WHEN c.type = 'direct' THEN u.display_name
-               ELSE c.name
-             END as display_name
-      FROM chats c
-      LEFT JOIN chat_participants cp ON c.id = cp.chat_id AND cp.user_id != $1
-      LEFT JOIN users u ON c.type = 'direct' AND u.id = cp.user_id
-      WHERE c.id = $2
-    `, [req.user.id, chatId]);
-
-    const chatInfo = chatResult.rows[0];
-
-    // Broadcast to all participants in the chat
-    const io = getIO();
-    const socketMessage = {
-      ...messageWithSender,
-      chat_id: chatId,
-      chat_name: chatInfo?.display_name || 'Unknown Chat',
-      user_id: req.user.id
-    };
-    io.to(`chat-${chatId}`).emit('new-message', socketMessage);
+    const { message, created } = await createAttachmentMessage(req, 'file');
 
-    res.status(201).json({
-      message: 'Image uploaded successfully',
-      data: messageWithSender
+    res.status(created ? 201 : 200).json({
+      message: created ? 'File uploaded successfully' : 'Message already sent',
+      data: message
     });
   } catch (error) {
-    console.error('Upload image error:', error);
-    if (error.code === 'LIMIT_FILE_SIZE') {
-      return res.status(400).json({ error: 'File size too large. Maximum 3MB allowed.' });
-    }
+    console.error('Upload file error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
@@ -318,13 +722,7 @@ router.post('/:messageId/read', authenticateToken, async (req, res) => {
       return res.status(404).json({ error: 'Message not found or access denied' });
     }
 
-    // Insert or update read status
-    await pool.query(`
-      INSERT INTO message_reads (message_id, user_id, read_at)
-      VALUES ($1, $2, CURRENT_TIMESTAMP)
-      ON CONFLICT (message_id, user_id) 
-      DO UPDATE SET read_at = CURRENT_TIMESTAMP
-    `, [messageId, req.user.id]);
+    await receiptService.markRead([messageCheck.rows[0].id], req.user.id);
 
     res.json({ message: 'Message marked as read' });
   } catch (error) {
@@ -333,6 +731,81 @@ router.post('/:messageId/read', authenticateToken, async (req, res) => {
   }
 });
 
+// Get who a message was delivered to and read by (sender only)
+router.get('/:messageId/receipts', authenticateToken, async (req, res) => {
+  try {
+    const { messageId } = req.params;
+
+    const messageCheck = await pool.query(`
+      SELECT m.id, m.status
+      FROM messages m
+      JOIN chat_participants cp ON m.chat_id = cp.chat_id
+      WHERE m.id = $1 AND cp.user_id = $2 AND m.sender_id = $2
+    `, [messageId, req.user.id]);
+
+    if (messageCheck.rows.length === 0) {
+      return res.status(404).json({ error: 'Message not found or you are not the sender' });
+    }
+
+    const receipts = await receiptService.getReceipts(messageId);
+
+    res.json({
+      status: messageCheck.rows[0].status,
+      receipts
+    });
+  } catch (error) {
+    console.error('Get message receipts error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Every version of a message, oldest first: the content, when it was written and (except for the current
+// version) when an edit replaced it
+router.get('/:messageId/revisions', authenticateToken, async (req, res) => {
+  try {
+    const { messageId } = req.params;
+
+    const messageCheck = await pool.query(`
+      SELECT m.id, m.chat_id, m.content, m.created_at, m.edited_at
+      FROM messages m
+      WHERE m.id = $1 AND m.deleted_at IS NULL
+        AND NOT EXISTS (SELECT 1 FROM hidden_messages hm WHERE hm.message_id = m.id AND hm.user_id = $2)
+    `, [messageId, req.user.id]);
+
+    if (messageCheck.rows.length === 0) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+
+    const message = messageCheck.rows[0];
+
+    const participantCheck = await pool.query(
+      'SELECT 1 FROM chat_participants WHERE chat_id = $1 AND user_id = $2',
+      [message.chat_id, req.user.id]
+    );
+
+    if (participantCheck.rows.length === 0) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const edits = await pool.query(`
+      SELECT content, created_at, replaced_at
+      FROM message_edits
+      WHERE message_id = $1
+      ORDER BY replaced_at, id
+    `, [messageId]);
+
+    res.json({
+      revisions: [
+        ...edits.rows,
+        { content: message.content, created_at: message.edited_at || message.created_at, replaced_at: null }
+      ]
+    });
+  } catch (error) {
+    console.error('Get message revisions error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Add reaction to message
 router.post('/:messageId/reactions', authenticateToken, [
   body('emoji').notEmpty().trim().isLength({ min: 1, max: 10 })
@@ -351,7 +824,7 @@ router.post('/:messageId/reactions', authenticateToken, [
       SELECT m.id, m.chat_id 
       FROM messages m
       JOIN chat_participants cp ON m.chat_id = cp.chat_id
-      WHERE m.id = $1 AND cp.user_id = $2
+      WHERE m.id = $1 AND cp.user_id = $2 AND m.deleted_at IS NULL
     `, [messageId, req.user.id]);
 
     if (messageCheck.rows.length === 0) {
@@ -366,6 +839,7 @@ router.post('/:messageId/reactions', authenticateToken, [
       DO UPDATE SET created_at = CURRENT_TIMESTAMP
       RETURNING id, emoji, created_at
     `, [messageId, req.user.id, emoji]);
+    await messageService.touchMessage(messageId);
 
     res.json({ 
       message: 'Reaction added successfully',
@@ -404,6 +878,7 @@ router.delete('/:messageId/reactions/:emoji', authenticateToken, async (req, res
     if (result.rows.length === 0) {
       return res.status(404).json({ error: 'Reaction not found' });
     }
+    await messageService.touchMessage(messageId);
 
     res.json({ message: 'Reaction removed successfully' });
   } catch (error) {
@@ -412,6 +887,146 @@ router.delete('/:messageId/reactions/:emoji', authenticateToken, async (req, res
   }
 });
 
+// Pin a message to the top of its chat (anyone in a direct chat, owners and admins in a group)
+router.post('/:messageId/pin', authenticateToken, async (req, res) => {
+  try {
+    const { messageId } = req.params;
+
+    const messageCheck = await pool.query(`
+      SELECT m.id, m.chat_id
+      FROM messages m
+      JOIN chat_participants cp ON m.chat_id = cp.chat_id
+      WHERE m.id = $1 AND cp.user_id = $2 AND m.deleted_at IS NULL
+    `, [messageId, req.user.id]);
+
+    if (messageCheck.rows.length === 0) {
+      return res.status(404).json({ error: 'Message not found or access denied' });
+    }
+
+    const message = messageCheck.rows[0];
+    if (!await pinService.canManagePins(message.chat_id, req.user.id)) {
+      return res.status(403).json({ error: 'Only group owners and admins can pin messages' });
+    }
+
+    if (await pinService.getPinCount(message.chat_id) >= pinService.MAX_PINS) {
+      return res.status(400).json({ error: `A chat can have at most ${pinService.MAX_PINS} pinned messages` });
+    }
+
+    const pin = await pinService.pinMessage(message, req.user.id);
+    if (!pin) {
+      return res.json({ message: 'Message is already pinned' });
+    }
+
+    res.status(201).json({
+      message: 'Message pinned successfully',
+      pin
+    });
+  } catch (error) {
+    console.error('Pin message error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Unpin a message
+router.delete('/:messageId/pin', authenticateToken, async (req, res) => {
+  try {
+    const { messageId } = req.params;
+
+    const messageCheck = await pool.query(`
+      SELECT m.id, m.chat_id
+      FROM messages m
+      JOIN chat_participants cp ON m.chat_id = cp.chat_id
+      WHERE m.id = $1 AND cp.user_id = $2
+    `, [messageId, req.user.id]);
+
+    if (messageCheck.rows.length === 0) {
+      return res.status(404).json({ error: 'Message not found or access denied' });
+    }
+
+    const message = messageCheck.rows[0];
+    if (!await pinService.canManagePins(message.chat_id, req.user.id)) {
+      return res.status(403).json({ error: 'Only group owners and admins can unpin messages' });
+    }
+
+    if (!await pinService.unpinMessage(message.chat_id, message.id)) {
+      return res.status(404).json({ error: 'Message is not pinned' });
+    }
+
+    res.json({ message: 'Message unpinned successfully' });
+  } catch (error) {
+    console.error('Unpin message error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Star a message to find it later in GET /api/starred. Stars are private to the user.
+router.post('/:messageId/star', authenticateToken, async (req, res) => {
+  try {
+    const { messageId } = req.params;
+
+    const messageCheck = await pool.query(`
+      SELECT m.id, m.chat_id
+      FROM messages m
+      JOIN chat_participants cp ON m.chat_id = cp.chat_id
+      WHERE m.id = $1 AND cp.user_id = $2 AND m.deleted_at IS NULL
+        AND NOT EXISTS (SELECT 1 FROM hidden_messages hm WHERE hm.message_id = m.id AND hm.user_id = $2)
+    `, [messageId, req.user.id]);
+
+    if (messageCheck.rows.length === 0) {
+      return res.status(404).json({ error: 'Message not found or access denied' });
+    }
+
+    const message = messageCheck.rows[0];
+    await pool.query(
+      'INSERT INTO starred_messages (user_id, message_id) VALUES ($1, $2) ON CONFLICT DO NOTHING',
+      [req.user.id, message.id]
+    );
+    // The user's other devices pick the star up when they resync
+    await messageService.touchMessage(message.id);
+
+    getIO().to(`user-${req.user.id}`).emit('message-starred', {
+      messageId: message.id,
+      chatId: message.chat_id
+    });
+
+    res.json({ message: 'Message starred successfully' });
+  } catch (error) {
+    console.error('Star message error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Unstar a message
+router.delete('/:messageId/star', authenticateToken, async (req, res) => {
+  try {
+    const { messageId } = req.params;
+
+    const result = await pool.query(`
+      DELETE FROM starred_messages sm
+      USING messages m
+      WHERE sm.message_id = m.id AND sm.user_id = $1 AND sm.message_id = $2
+      RETURNING m.id, m.chat_id
+    `, [req.user.id, messageId]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Message is not starred' });
+    }
+
+    const message = result.rows[0];
+    await messageService.touchMessage(message.id);
+
+    getIO().to(`user-${req.user.id}`).emit('message-unstarred', {
+      messageId: message.id,
+      chatId: message.chat_id
+    });
+
+    res.json({ message: 'Message unstarred successfully' });
+  } catch (error) {
+    console.error('Unstar message error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Get reactions for a message
 router.get('/:messageId/reactions', authenticateToken, async (req, res) => {
   try {
@@ -456,9 +1071,11 @@ router.get('/:messageId/reactions', authenticateToken, async (req, res) => {
   }
 });
 
-// Update message status
-router.patch('/:messageId/status', authenticateToken, [
-  body('status').isIn(['sent', 'delivered', 'read'])
+// Delete a message. ?scope=everyone (the default) turns the sender's own message into a tombstone for
+// everyone, within config/messages DELETE_WINDOW_MS of sending; ?scope=me hides any message of the
+// user's chats from just that user.
+router.delete('/:messageId', authenticateToken, [
+  query('scope').optional().isIn(['everyone', 'me'])
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -467,75 +1084,43 @@ router.patch('/:messageId/status', authenticateToken, [
     }
 
     const { messageId } = req.params;
-    const { status } = req.body;
+    const scope = req.query.scope || 'everyone';
 
-    // Check if message exists and user has access
     const messageCheck = await pool.query(`
-      SELECT m.id, m.chat_id, m.sender_id
+      SELECT m.id, m.chat_id, m.sender_id, m.message_type, m.attachment_id, m.thread_parent_id, m.created_at, m.deleted_at
       FROM messages m
-      JOIN chat_participants cp ON m.chat_id = cp.chat_id
-      WHERE m.id = $1 AND cp.user_id = $2
+      JOIN chat_participants cp ON cp.chat_id = m.chat_id AND cp.user_id = $2
+      WHERE m.id = $1
     `, [messageId, req.user.id]);
 
-    if (messageCheck.rows.length === 0) {
-      return res.status(404).json({ error: 'Message not found or access denied' });
-    }
-
     const message = messageCheck.rows[0];
 
-    // Update message status
-    await pool.query(`
-      UPDATE messages 
-      SET status = $1, updated_at = CURRENT_TIMESTAMP
-      WHERE id = $2
-    `, [status, messageId]);
-
-    res.json({ 
-      message: 'Message status updated successfully',
-      status: status
-    });
-  } catch (error) {
-    console.error('Update message status error:', error);
-    res.status(500).json({ error: 'Internal server error' });
-  }
-});
-
-// Delete message (soft delete)
-router.delete('/:messageId', authenticateToken, async (req, res) => {
-  try {
-    const { messageId } = req.params;
+    if (scope === 'me') {
+      if (!message) {
+        return res.status(404).json({ error: 'Message not found or access denied' });
+      }
 
-    // Check if message exists and user is the sender
-    const messageCheck = await pool.query(`
-      SELECT m.id, m.chat_id, m.sender_id, m.content, m.message_type
-      FROM messages m
-      WHERE m.id = $1 AND m.sender_id = $2 AND m.deleted_at IS NULL
-    `, [messageId, req.user.id]);
+      await messageDeletionService.hideForUser(message, req.user.id);
+      return res.json({
+        message: 'Message deleted for you',
+        messageId: message.id
+      });
+    }
 
-    if (messageCheck.rows.length === 0) {
+    if (!message || message.sender_id !== req.user.id || message.deleted_at) {
       return res.status(404).json({ error: 'Message not found or you are not the sender' });
     }
 
-    const message = messageCheck.rows[0];
-
-    // Soft delete the message
-    await pool.query(`
-      UPDATE messages 
-      SET deleted_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
-      WHERE id = $1
-    `, [messageId]);
+    const deletableUntil = messageConfig.getDeletableUntil(message.created_at);
+    if (deletableUntil && deletableUntil < new Date()) {
+      return res.status(403).json({ error: 'This message can no longer be deleted for everyone' });
+    }
 
-    // Broadcast the deleted message to all participants in the chat
-    const io = getIO();
-    io.to(`chat-${message.chat_id}`).emit('message-deleted', {
-      messageId: messageId,
-      chatId: message.chat_id,
-      user_id: req.user.id
-    });
+    await messageDeletionService.deleteForEveryone(message, req.user.id);
 
     res.json({ 
       message: 'Message deleted successfully',
-      messageId: messageId
+      messageId: message.id
     });
   } catch (error) {
     console.error('Delete message error:', error);
@@ -544,9 +1129,12 @@ router.delete('/:messageId', authenticateToken, async (req, res) => {
 });
 
 // Edit message
+// Messages can be edited within config/messages EDIT_WINDOW_MS of sending; the version an edit replaces
+// is kept in message_edits.
 router.patch('/:messageId', authenticateToken, [
   body('content').notEmpty().trim()
 ], async (req, res) => {
+  const client = await pool.connect();
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -556,14 +1144,18 @@ router.patch('/:messageId', authenticateToken, [
     const { messageId } = req.params;
     const { content } = req.body;
 
-    // Check if message exists and user is the sender
-    const messageCheck = await pool.query(`
-      SELECT m.id, m.chat_id, m.sender_id, m.content, m.message_type
+    await client.query('BEGIN');
+
+    // Check if message exists and user is the sender (locked so concurrent edits keep every version)
+    const messageCheck = await client.query(`
+      SELECT m.id, m.chat_id, m.sender_id, m.content, m.message_type, m.thread_parent_id, m.forwarded, m.created_at, m.edited_at
       FROM messages m
-      WHERE m.id = $1 AND m.sender_id = $2
+      WHERE m.id = $1 AND m.sender_id = $2 AND m.deleted_at IS NULL
+      FOR UPDATE
     `, [messageId, req.user.id]);
 
     if (messageCheck.rows.length === 0) {
+      await client.query('ROLLBACK');
       return res.status(404).json({ error: 'Message not found or you are not the sender' });
     }
 
@@ -571,18 +1163,41 @@ router.patch('/:messageId', authenticateToken, [
 
     // Only allow editing text messages
     if (message.message_type !== 'text') {
+      await client.query('ROLLBACK');
       return res.status(400).json({ error: 'Only text messages can be edited' });
     }
 
+    // A forwarded message would no longer be what its original sender wrote
+    if (message.forwarded) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'Forwarded messages cannot be edited' });
+    }
+
+    const editableUntil = messageConfig.getEditableUntil(message.created_at);
+    if (editableUntil && editableUntil < new Date()) {
+      await client.query('ROLLBACK');
+      return res.status(403).json({ error: 'This message can no longer be edited' });
+    }
+
+    await client.query(
+      'INSERT INTO message_edits (message_id, content, created_at) VALUES ($1, $2, $3)',
+      [messageId, message.content, message.edited_at || message.created_at]
+    );
+
     // Update message content and mark as edited
-    const result = await pool.query(`
+    const result = await client.query(`
       UPDATE messages 
-      SET content = $1, edited = TRUE, edited_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      SET content = $1, edited = TRUE, edited_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP,
+          sync_seq = nextval('message_sync_seq')
       WHERE id = $2
-      RETURNING id, content, edited, edited_at, updated_at
+      RETURNING id, content, edited, edited_at, updated_at, sync_seq
     `, [content, messageId]);
+    await client.query('COMMIT');
 
-    const updatedMessage = result.rows[0];
+    const updatedMessage = {
+      ...result.rows[0],
+      mentions: await messageService.saveMentions({ ...result.rows[0], chat_id: message.chat_id }, req.user.id)
+    };
 
     // Get sender info for socket broadcast
     const senderResult = await pool.query(
@@ -602,14 +1217,20 @@ router.patch('/:messageId', authenticateToken, [
     // Broadcast the edited message to all participants in the chat
     const io = getIO();
     io.to(`chat-${message.chat_id}`).emit('message-edited', messageWithSender);
+    if (message.thread_parent_id) {
+      await messageService.notifyThreadUpdated(message.chat_id, message.thread_parent_id);
+    }
 
     res.json({ 
       message: 'Message edited successfully',
       data: messageWithSender
     });
   } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
     console.error('Edit message error:', error);
     res.status(500).json({ error: 'Internal server error' });
+  } finally {
+    client.release();
   }
 });
 
@@ -0,0 +1,76 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const notificationSettingsService = require('../services/notificationSettingsService');
+
+const router = express.Router();
+
+// Get the quiet hours and the notification settings of every chat of the user
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const settings = await notificationSettingsService.getSettings(req.user.id);
+    res.json(settings);
+  } catch (error) {
+    console.error('Get notification settings error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update quiet hours: no notifications between start and end (HH:MM) in the given IANA time zone
+router.put('/quiet-hours', authenticateToken, [
+  body('enabled').isBoolean().toBoolean(),
+  body('start').custom(value => notificationSettingsService.isValidTime(value)).withMessage('Start must be a time (HH:MM)'),
+  body('end').custom(value => notificationSettingsService.isValidTime(value)).withMessage('End must be a time (HH:MM)'),
+  body('timeZone').custom(value => typeof value === 'string' && notificationSettingsService.isValidTimeZone(value))
+    .withMessage('Unknown time zone')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { enabled, start, end, timeZone } = req.body;
+    const quietHours = await notificationSettingsService.updateQuietHours(req.user.id, { enabled, start, end, timeZone });
+
+    res.json({ quietHours });
+  } catch (error) {
+    console.error('Update quiet hours error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update the notification settings of a chat. mute: 1h, 8h, forever or off; mentionsBypassMute: still
+// notify about @mentions while the chat is muted.
+router.patch('/chats/:chatId', authenticateToken, [
+  body('mute').optional().isIn([...notificationSettingsService.MUTE_DURATIONS, 'off']),
+  body('notificationLevel').optional().isIn(notificationSettingsService.NOTIFICATION_LEVELS),
+  body('notificationSound').optional().isIn(notificationSettingsService.NOTIFICATION_SOUNDS),
+  body('mentionsBypassMute').optional().isBoolean().toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { mute, notificationLevel, notificationSound, mentionsBypassMute } = req.body;
+    const settings = await notificationSettingsService.updateChatSettings(req.params.chatId, req.user.id, {
+      mute,
+      notificationLevel,
+      notificationSound,
+      mentionsBypassMute
+    });
+
+    if (!settings) {
+      return res.status(404).json({ error: 'Chat not found or access denied' });
+    }
+
+    res.json({ settings });
+  } catch (error) {
+    console.error('Update chat notification settings error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
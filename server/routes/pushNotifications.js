@@ -1,7 +1,9 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { authenticateToken } = require('../middleware/auth');
+const { pool } = require('../database/connection');
 const pushNotificationService = require('../services/pushNotificationService');
+const receiptService = require('../services/receiptService');
 
 const router = express.Router();
 
@@ -123,6 +125,46 @@ router.post('/test', authenticateToken, async (req, res) => {
   }
 });
 
+// Confirm that a message notification reached a device. Called by the service worker, which has no
+// access token, so the signed delivery token from the notification authenticates the request.
+router.post('/delivered', [
+  body('token').isString().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const delivery = pushNotificationService.verifyDeliveryToken(req.body.token);
+    if (!delivery) {
+      return res.status(401).json({ error: 'Invalid or expired delivery token' });
+    }
+
+    // The subscription may have been removed since the notification was sent
+    const subscriptionCheck = await pool.query(
+      'SELECT 1 FROM push_subscriptions WHERE id = $1 AND user_id = $2',
+      [delivery.subscriptionId, delivery.userId]
+    );
+
+    if (subscriptionCheck.rows.length === 0) {
+      return res.status(404).json({ error: 'Subscription not found' });
+    }
+
+    await receiptService.recordDelivery(delivery.messageIds, delivery.userId, {
+      pushSubscriptionId: delivery.subscriptionId
+    });
+
+    res.json({ message: 'Delivery recorded' });
+  } catch (error) {
+    console.error('Push delivery error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Get VAPID public key
 router.get('/vapid-key', (req, res) => {
   const publicKey = process.env.VAPID_PUBLIC_KEY;
@@ -0,0 +1,129 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const { pool } = require('../database/connection');
+const { authenticateToken } = require('../middleware/auth');
+
+const router = express.Router();
+
+// ts_headline marks matches with these control characters so the snippet can be
+// HTML-escaped before the real <mark> tags are added
+const MATCH_START = '\u0001';
+const MATCH_END = '\u0002';
+const HEADLINE_OPTIONS = `StartSel=${MATCH_START}, StopSel=${MATCH_END}, MaxWords=24, MinWords=8, MaxFragments=2, FragmentDelimiter=" … "`;
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const formatSnippet = (headline) => escapeHtml(headline.replace(/\s+/g, ' ').trim())
+  .split(MATCH_START).join('<mark>')
+  .split(MATCH_END).join('</mark>');
+
+// Search messages in all chats the user belongs to
+router.get('/', authenticateToken, [
+  query('q').trim().notEmpty().withMessage('Search query is required'),
+  query('chatId').optional().isInt(),
+  query('senderId').optional().isInt(),
+  query('from').optional().isISO8601(),
+  query('to').optional().isISO8601(),
+  query('messageType').optional().isIn(['text', 'image', 'file']),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 50 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { q, chatId, senderId, from, to, messageType } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const params = [req.user.id, q, HEADLINE_OPTIONS];
+    // Messages deleted for everyone or just for the user aren't found
+    const conditions = [
+      'm.search_vector @@ search_query',
+      'm.deleted_at IS NULL',
+      'NOT EXISTS (SELECT 1 FROM hidden_messages hm WHERE hm.message_id = m.id AND hm.user_id = $1)'
+    ];
+
+    if (chatId) {
+      params.push(chatId);
+      conditions.push(`m.chat_id = $${params.length}`);
+    }
+    if (senderId) {
+      params.push(senderId);
+      conditions.push(`m.sender_id = $${params.length}`);
+    }
+    if (from) {
+      params.push(from);
+      conditions.push(`m.created_at >= $${params.length}`);
+    }
+    if (to) {
+      params.push(to);
+      conditions.push(`m.created_at <= $${params.length}`);
+    }
+    if (messageType) {
+      params.push(messageType);
+      conditions.push(`m.message_type = $${params.length}`);
+    }
+
+    // Fetch one extra row to know whether there are more results
+    params.push(limit + 1, (page - 1) * limit);
+
+    const result = await pool.query(`
+      SELECT
+        m.id,
+        m.chat_id,
+        m.message_type,
+        m.created_at,
+        u.id as sender_id,
+        u.username,
+        u.display_name as sender_name,
+        c.type as chat_type,
+        CASE
+          WHEN c.type = 'direct' THEN (
+            SELECT u2.display_name
+            FROM chat_participants cp2
+            JOIN users u2 ON cp2.user_id = u2.id
+            WHERE cp2.chat_id = c.id AND cp2.user_id != $1
+            LIMIT 1
+          )
+          ELSE c.name
+        END as chat_name,
+        ts_headline('english', message_plain_text(m.content), search_query, $3) as snippet,
+        ts_rank(m.search_vector, search_query) as rank
+      FROM messages m
+      JOIN chat_participants cp ON cp.chat_id = m.chat_id AND cp.user_id = $1
+      JOIN chats c ON m.chat_id = c.id
+      JOIN users u ON m.sender_id = u.id
+      CROSS JOIN websearch_to_tsquery('english', $2) search_query
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY rank DESC, m.created_at DESC
+      LIMIT $${params.length - 1} OFFSET $${params.length}
+    `, params);
+
+    const results = result.rows.slice(0, limit).map(row => ({
+      ...row,
+      snippet: formatSnippet(row.snippet)
+    }));
+
+    res.json({
+      results,
+      pagination: {
+        page,
+        limit,
+        hasMore: result.rows.length > limit
+      }
+    });
+  } catch (error) {
+    console.error('Search messages error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
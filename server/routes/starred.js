@@ -0,0 +1,75 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const { pool } = require('../database/connection');
+const { authenticateToken } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Messages the user starred in the chats they are in, most recently starred first
+router.get('/', authenticateToken, [
+  query('chatId').optional().isInt(),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 50 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { chatId } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    // Fetch one extra row to know whether there are more starred messages
+    const result = await pool.query(`
+      SELECT
+        m.id,
+        m.chat_id,
+        m.content,
+        m.message_type,
+        m.thread_parent_id,
+        m.created_at,
+        sm.starred_at,
+        u.id as sender_id,
+        u.username,
+        u.display_name as sender_name,
+        CASE WHEN a.id IS NOT NULL THEN JSON_BUILD_OBJECT('id', a.id, 'filename', a.filename) END as attachment,
+        c.type as chat_type,
+        CASE
+          WHEN c.type = 'direct' THEN (
+            SELECT u2.display_name
+            FROM chat_participants cp2
+            JOIN users u2 ON cp2.user_id = u2.id
+            WHERE cp2.chat_id = c.id AND cp2.user_id != $1
+            LIMIT 1
+          )
+          ELSE c.name
+        END as chat_name
+      FROM starred_messages sm
+      JOIN messages m ON m.id = sm.message_id
+      JOIN chat_participants cp ON cp.chat_id = m.chat_id AND cp.user_id = $1
+      JOIN chats c ON m.chat_id = c.id
+      JOIN users u ON m.sender_id = u.id
+      LEFT JOIN attachments a ON m.attachment_id = a.id
+      WHERE sm.user_id = $1 AND ($2::int IS NULL OR m.chat_id = $2)
+        AND NOT EXISTS (SELECT 1 FROM hidden_messages hm WHERE hm.message_id = m.id AND hm.user_id = $1)
+      ORDER BY sm.starred_at DESC, m.id DESC
+      LIMIT $3 OFFSET $4
+    `, [req.user.id, chatId || null, limit + 1, (page - 1) * limit]);
+
+    res.json({
+      messages: result.rows.slice(0, limit),
+      pagination: {
+        page,
+        limit,
+        hasMore: result.rows.length > limit
+      }
+    });
+  } catch (error) {
+    console.error('Get starred messages error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,221 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { pool } = require('../database/connection');
+const sessionService = require('./sessionService');
+const LocalDiskStorage = require('./storage/localDiskStorage');
+const S3Storage = require('./storage/s3Storage');
+
+const STORAGE_BACKENDS = {
+  local: LocalDiskStorage,
+  s3: S3Storage
+};
+
+class AttachmentService {
+  constructor() {
+    // New uploads go to this backend; existing attachments are read from the backend they were written to
+    this.defaultBackend = process.env.STORAGE_BACKEND || 'local';
+    this.backends = {};
+
+    // Download tokens are issued per window of this many seconds and stay valid for the next window too,
+    // so an attachment's URL stays the same (and cacheable) for a while
+    this.DOWNLOAD_TOKEN_WINDOW = 60 * 60;
+  }
+
+  getStorage(name = this.defaultBackend) {
+    if (!this.backends[name]) {
+      const Backend = STORAGE_BACKENDS[name];
+      if (!Backend) {
+        throw new Error(`Unknown storage backend: ${name}`);
+      }
+      this.backends[name] = new Backend();
+    }
+    return this.backends[name];
+  }
+
+  // Store a file and record its metadata. Images may pass their dimensions and placeholder in
+  // `image` and downscaled copies in `renditions` ({ variant, buffer, mimeType, width, height }).
+  async createAttachment({ chatId, uploaderId, buffer, filename, mimeType, image = null, renditions = [] }) {
+    const storage = this.getStorage();
+    const storageKey = `chats/${chatId}/${crypto.randomUUID()}`;
+    const renditionKeys = renditions.map(rendition => `${storageKey}-${rendition.variant}`);
+    const storedKeys = [];
+
+    const client = await pool.connect();
+    try {
+      await storage.put(storageKey, buffer, mimeType);
+      storedKeys.push(storageKey);
+
+      for (const [index, rendition] of renditions.entries()) {
+        await storage.put(renditionKeys[index], rendition.buffer, rendition.mimeType);
+        storedKeys.push(renditionKeys[index]);
+      }
+
+      await client.query('BEGIN');
+
+      const result = await client.query(`
+        INSERT INTO attachments (chat_id, uploader_id, storage_backend, storage_key, filename, mime_type, size, width, height, placeholder)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+        RETURNING id, filename, mime_type, size, width, height, placeholder, created_at
+      `, [chatId, uploaderId, storage.name, storageKey, filename, mimeType, buffer.length,
+        image?.width || null, image?.height || null, image?.placeholder || null]);
+
+      const attachment = result.rows[0];
+      attachment.renditions = {};
+
+      for (const [index, rendition] of renditions.entries()) {
+        await client.query(`
+          INSERT INTO attachment_renditions (attachment_id, variant, storage_backend, storage_key, mime_type, size, width, height)
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        `, [attachment.id, rendition.variant, storage.name, renditionKeys[index], rendition.mimeType,
+          rendition.buffer.length, rendition.width, rendition.height]);
+
+        attachment.renditions[rendition.variant] = { width: rendition.width, height: rendition.height };
+      }
+
+      await client.query('COMMIT');
+      return attachment;
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      await Promise.all(storedKeys.map(key => storage.delete(key).catch(() => {})));
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Get an attachment if the user is a participant of the chat it was uploaded to, or of a chat a
+  // message referencing it was forwarded to
+  async getAttachmentForUser(attachmentId, userId) {
+    const result = await pool.query(`
+      SELECT a.*
+      FROM attachments a
+      WHERE a.id = $1
+        AND (
+          EXISTS (SELECT 1 FROM chat_participants cp WHERE cp.chat_id = a.chat_id AND cp.user_id = $2)
+          OR EXISTS (
+            SELECT 1
+            FROM messages m
+            JOIN chat_participants cp ON cp.chat_id = m.chat_id AND cp.user_id = $2
+            WHERE m.attachment_id = a.id
+          )
+        )
+    `, [attachmentId, userId]);
+
+    return result.rows[0] || null;
+  }
+
+  // Attachment details as messages are returned with, or null if it's gone
+  async getAttachmentInfo(attachmentId) {
+    const result = await pool.query(`
+      SELECT a.id, a.filename, a.mime_type, a.size, a.width, a.height, a.placeholder,
+             (
+               SELECT JSON_OBJECT_AGG(ar.variant, JSON_BUILD_OBJECT('width', ar.width, 'height', ar.height))
+               FROM attachment_renditions ar
+               WHERE ar.attachment_id = a.id
+             ) as renditions
+      FROM attachments a
+      WHERE a.id = $1
+    `, [attachmentId]);
+
+    const attachment = result.rows[0];
+    return attachment ? this.withDownloadToken({ ...attachment, size: parseInt(attachment.size) }) : null;
+  }
+
+  // Token that lets <img> and <a> elements, which can't send an Authorization header, download one
+  // attachment. Only handed out to users who can access the attachment.
+  createDownloadToken(attachmentId) {
+    const windowStart = Math.floor(Date.now() / 1000 / this.DOWNLOAD_TOKEN_WINDOW) * this.DOWNLOAD_TOKEN_WINDOW;
+    return jwt.sign(
+      {
+        purpose: 'attachment-download',
+        attachmentId,
+        iat: windowStart,
+        exp: windowStart + 2 * this.DOWNLOAD_TOKEN_WINDOW
+      },
+      sessionService.getJwtSecret()
+    );
+  }
+
+  // Whether a download token is valid for the attachment
+  verifyDownloadToken(token, attachmentId) {
+    try {
+      const payload = jwt.verify(token, sessionService.getJwtSecret());
+      return payload.purpose === 'attachment-download' && payload.attachmentId === attachmentId;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Attachment details with a download token, as returned to users who can access the attachment
+  withDownloadToken(attachment) {
+    return attachment && { ...attachment, download_token: this.createDownloadToken(attachment.id) };
+  }
+
+  // Get an attachment by id, or null if it's gone
+  async getAttachment(attachmentId) {
+    const result = await pool.query('SELECT * FROM attachments WHERE id = $1', [attachmentId]);
+    return result.rows[0] || null;
+  }
+
+  // Get a downscaled copy of an attachment, or null if it has none of that variant
+  async getRendition(attachmentId, variant) {
+    const result = await pool.query(
+      'SELECT * FROM attachment_renditions WHERE attachment_id = $1 AND variant = $2',
+      [attachmentId, variant]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  // Remove an attachment, its renditions and their stored files, unless messages still reference it
+  // (forwarded copies share the original's attachment). Returns whether it was removed.
+  async deleteAttachment(attachmentId) {
+    const result = await pool.query(`
+      SELECT storage_backend, storage_key FROM attachments WHERE id = $1
+      UNION ALL
+      SELECT storage_backend, storage_key FROM attachment_renditions WHERE attachment_id = $1
+    `, [attachmentId]);
+
+    const deleted = await pool.query(`
+      DELETE FROM attachments a
+      WHERE a.id = $1 AND NOT EXISTS (SELECT 1 FROM messages m WHERE m.attachment_id = a.id)
+    `, [attachmentId]);
+
+    if (deleted.rowCount === 0) {
+      return false;
+    }
+
+    // The rows are gone either way; a file that fails to delete is only wasted space
+    await Promise.all(result.rows.map(file => (
+      this.getStorage(file.storage_backend).delete(file.storage_key)
+        .catch(error => console.error(`Error deleting stored file ${file.storage_key}:`, error))
+    )));
+    return true;
+  }
+
+  // Remove attachments left behind by deleted chats that no message references anymore. Returns how
+  // many were removed.
+  async deleteOrphanedAttachments() {
+    const result = await pool.query(`
+      SELECT a.id
+      FROM attachments a
+      WHERE a.chat_id IS NULL
+        AND NOT EXISTS (SELECT 1 FROM messages m WHERE m.attachment_id = a.id)
+    `);
+
+    let removed = 0;
+    for (const row of result.rows) {
+      if (await this.deleteAttachment(row.id)) {
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  // Open a readable stream of an attachment's contents, optionally an inclusive byte range { start, end }
+  openStream(attachment, range) {
+    return this.getStorage(attachment.storage_backend).getStream(attachment.storage_key, range);
+  }
+}
+
+module.exports = new AttachmentService();
@@ -0,0 +1,103 @@
+const sharp = require('sharp');
+const { encode: encodeBlurhash } = require('blurhash');
+
+// Downscaled copies generated for every uploaded image. Images are only ever shrunk,
+// so small images get renditions that are just re-encoded copies of the original.
+const RENDITIONS = {
+  thumbnail: { maxSize: 480, quality: 70 },
+  medium: { maxSize: 1600, quality: 80 }
+};
+
+// Formats the original is re-encoded in (to drop metadata) without changing its type
+const ORIGINAL_FORMATS = {
+  jpeg: { mimeType: 'image/jpeg', options: { quality: 90, mozjpeg: true } },
+  png: { mimeType: 'image/png', options: {} },
+  webp: { mimeType: 'image/webp', options: { quality: 90 } },
+  gif: { mimeType: 'image/gif', options: {} },
+  avif: { mimeType: 'image/avif', options: { quality: 70 } }
+};
+
+// Size the image is scaled down to before computing its blurhash, and the number of components
+const PLACEHOLDER_SIZE = 32;
+const PLACEHOLDER_COMPONENTS = { x: 4, y: 3 };
+
+class ImageService {
+  constructor() {
+    this.renditions = RENDITIONS;
+  }
+
+  // Re-encode an uploaded image without EXIF/GPS metadata and generate its renditions and placeholder.
+  // Throws an error with code UNSUPPORTED_IMAGE when the image can't be decoded.
+  async processImage(buffer) {
+    let metadata;
+    try {
+      metadata = await sharp(buffer).metadata();
+    } catch (error) {
+      throw this.unsupportedImageError();
+    }
+
+    const format = ORIGINAL_FORMATS[metadata.format];
+    if (!format) {
+      throw this.unsupportedImageError();
+    }
+
+    const animated = (metadata.pages || 1) > 1;
+
+    // sharp drops all metadata unless asked to keep it. rotate() applies the EXIF orientation first,
+    // since the orientation tag is lost along with the rest.
+    const original = await sharp(buffer, { animated })
+      .rotate()
+      .toFormat(metadata.format, format.options)
+      .toBuffer({ resolveWithObject: true });
+
+    const renditions = [];
+    for (const [variant, { maxSize, quality }] of Object.entries(RENDITIONS)) {
+      const rendition = await sharp(original.data, { animated })
+        .resize(maxSize, maxSize, { fit: 'inside', withoutEnlargement: true })
+        .webp({ quality })
+        .toBuffer({ resolveWithObject: true });
+
+      renditions.push({
+        variant,
+        buffer: rendition.data,
+        mimeType: 'image/webp',
+        width: rendition.info.width,
+        height: animated ? rendition.info.pageHeight : rendition.info.height
+      });
+    }
+
+    return {
+      buffer: original.data,
+      mimeType: format.mimeType,
+      width: original.info.width,
+      height: animated ? original.info.pageHeight : original.info.height,
+      placeholder: await this.createPlaceholder(original.data),
+      renditions
+    };
+  }
+
+  // Blurhash of the image, shown while the real image loads
+  async createPlaceholder(buffer) {
+    const { data, info } = await sharp(buffer)
+      .resize(PLACEHOLDER_SIZE, PLACEHOLDER_SIZE, { fit: 'inside' })
+      .ensureAlpha()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+
+    return encodeBlurhash(
+      new Uint8ClampedArray(data),
+      info.width,
+      info.height,
+      PLACEHOLDER_COMPONENTS.x,
+      PLACEHOLDER_COMPONENTS.y
+    );
+  }
+
+  unsupportedImageError() {
+    const error = new Error('Unsupported or corrupt image');
+    error.code = 'UNSUPPORTED_IMAGE';
+    return error;
+  }
+}
+
+module.exports = new ImageService();
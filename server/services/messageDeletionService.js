@@ -0,0 +1,129 @@
+const { pool } = require('../database/connection');
+const { getIO } = require('../socket/socketManager');
+const attachmentService = require('./attachmentService');
+const messageService = require('./messageService');
+const pinService = require('./pinService');
+const messageConfig = require('../config/messages');
+
+// Deleting messages for everyone, which leaves a tombstone in the chat, or for a single user, who no
+// longer sees the message. Tombstones are removed for good after DELETED_RETENTION_MS.
+class MessageDeletionService {
+  constructor() {
+    this.PURGE_INTERVAL = 60 * 60 * 1000;
+    this.PURGE_BATCH_SIZE = 500;
+  }
+
+  // Turn a message into a tombstone: its content, payloads, reactions, mentions and edit history are
+  // removed, as are its stars and push notifications that haven't gone out yet. It is unpinned.
+  async deleteForEveryone(message, userId) {
+    const result = await pool.query(`
+      UPDATE messages
+      SET deleted_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP, sync_seq = nextval('message_sync_seq'),
+          content = '', image_data = NULL, attachment_id = NULL, quoted_message_id = NULL
+      WHERE id = $1
+      RETURNING deleted_at
+    `, [message.id]);
+
+    await Promise.all([
+      pool.query('DELETE FROM message_reactions WHERE message_id = $1', [message.id]),
+      pool.query('DELETE FROM message_mentions WHERE message_id = $1', [message.id]),
+      pool.query('DELETE FROM message_edits WHERE message_id = $1', [message.id]),
+      pool.query('DELETE FROM starred_messages WHERE message_id = $1', [message.id]),
+      pool.query('DELETE FROM push_notification_queue WHERE message_id = $1', [message.id])
+    ]);
+
+    if (message.attachment_id) {
+      await attachmentService.deleteAttachment(message.attachment_id);
+    }
+    await pinService.unpinMessage(message.chat_id, message.id);
+
+    getIO().to(`chat-${message.chat_id}`).emit('message-deleted', {
+      messageId: message.id,
+      chatId: message.chat_id,
+      user_id: userId,
+      deletedAt: result.rows[0].deleted_at
+    });
+    if (message.thread_parent_id) {
+      await messageService.notifyThreadUpdated(message.chat_id, message.thread_parent_id);
+    }
+  }
+
+  // Hide a message from one user, who also loses their star on it. Bumps the message's sync_seq so the
+  // user's other devices drop it when they resync.
+  async hideForUser(message, userId) {
+    await pool.query(
+      'INSERT INTO hidden_messages (message_id, user_id) VALUES ($1, $2) ON CONFLICT DO NOTHING',
+      [message.id, userId]
+    );
+    await pool.query(
+      'DELETE FROM starred_messages WHERE message_id = $1 AND user_id = $2',
+      [message.id, userId]
+    );
+    await pool.query(
+      "UPDATE messages SET sync_seq = nextval('message_sync_seq') WHERE id = $1",
+      [message.id]
+    );
+
+    getIO().to(`user-${userId}`).emit('message-hidden', {
+      messageId: message.id,
+      chatId: message.chat_id
+    });
+  }
+
+  // Remove tombstones older than the retention period. Tombstones of thread messages stay while the
+  // thread has replies, which would go with them.
+  async purgeDeletedMessages() {
+    let purged = 0;
+
+    for (;;) {
+      const result = await pool.query(`
+        SELECT m.id, m.attachment_id
+        FROM messages m
+        WHERE m.deleted_at < CURRENT_TIMESTAMP - $1 * INTERVAL '1 millisecond'
+          AND NOT EXISTS (
+            SELECT 1 FROM messages r WHERE r.thread_parent_id = m.id AND r.deleted_at IS NULL
+          )
+        LIMIT $2
+      `, [messageConfig.DELETED_RETENTION_MS, this.PURGE_BATCH_SIZE]);
+
+      if (result.rows.length === 0) {
+        return purged;
+      }
+
+      const deleted = await pool.query('DELETE FROM messages WHERE id = ANY($1::int[])', [result.rows.map(row => row.id)]);
+      purged += deleted.rowCount;
+
+      // Messages deleted before tombstones were purged on deletion may still have an attachment
+      for (const row of result.rows.filter(row => row.attachment_id)) {
+        await attachmentService.deleteAttachment(row.attachment_id);
+      }
+
+      if (result.rows.length < this.PURGE_BATCH_SIZE) {
+        return purged;
+      }
+    }
+  }
+
+  // Periodically remove expired tombstones and attachments of deleted chats. Running this on several
+  // instances is harmless.
+  startPurgeWorker() {
+    if (this.purgeInterval) {
+      return;
+    }
+
+    const purge = () => {
+      this.purgeDeletedMessages()
+        .then(purged => purged > 0 && console.log(`🗑️  Removed ${purged} deleted message(s)`))
+        .catch(error => console.error('Error removing deleted messages:', error));
+      attachmentService.deleteOrphanedAttachments()
+        .then(removed => removed > 0 && console.log(`🗑️  Removed ${removed} attachment(s) of deleted chats`))
+        .catch(error => console.error('Error removing attachments of deleted chats:', error));
+    };
+
+    this.purgeInterval = setInterval(purge, this.PURGE_INTERVAL);
+    this.purgeInterval.unref();
+    purge();
+  }
+}
+
+module.exports = new MessageDeletionService();
@@ -0,0 +1,346 @@
+const { pool } = require('../database/connection');
+const { getIO } = require('../socket/socketManager');
+const pushNotificationService = require('./pushNotificationService');
+const attachmentService = require('./attachmentService');
+const messageConfig = require('../config/messages');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const MESSAGE_COLUMNS = `
+  id, content, message_type, image_data, attachment_id, quoted_message_id, thread_parent_id, forwarded, forwarded_from_user_id,
+  status, client_message_id, sync_seq, created_at, updated_at
+`;
+
+// Reply count and latest reply of the thread of message m
+const THREAD_SUMMARY_COLUMNS = `
+  (
+    SELECT COUNT(*)::int
+    FROM messages tr
+    WHERE tr.thread_parent_id = m.id AND tr.deleted_at IS NULL
+  ) as thread_reply_count,
+  (
+    SELECT JSON_BUILD_OBJECT(
+      'id', tr.id,
+      'content', tr.content,
+      'message_type', tr.message_type,
+      'sender_id', tr.sender_id,
+      'username', tu.username,
+      'sender_name', tu.display_name,
+      'created_at', tr.created_at
+    )
+    FROM messages tr
+    JOIN users tu ON tu.id = tr.sender_id
+    WHERE tr.thread_parent_id = m.id AND tr.deleted_at IS NULL
+    ORDER BY tr.created_at DESC, tr.id DESC
+    LIMIT 1
+  ) as thread_last_reply
+`;
+
+// Live preview of the message quoted by message m, or just its id and deleted: true once it's gone
+const QUOTED_MESSAGE_COLUMN = `
+  CASE WHEN m.quoted_message_id IS NOT NULL THEN COALESCE(
+    (
+      SELECT JSON_BUILD_OBJECT(
+        'id', q.id,
+        'content', q.content,
+        'message_type', q.message_type,
+        'sender_id', q.sender_id,
+        'username', qu.username,
+        'sender_name', qu.display_name,
+        'deleted', false
+      )
+      FROM messages q
+      JOIN users qu ON qu.id = q.sender_id
+      WHERE q.id = m.quoted_message_id AND q.deleted_at IS NULL
+    ),
+    JSON_BUILD_OBJECT('id', m.quoted_message_id, 'deleted', true)
+  ) END as quoted_message
+`;
+
+// Original sender of forwarded message m, when they allowed naming them
+const FORWARDED_FROM_COLUMN = `
+  (
+    SELECT JSON_BUILD_OBJECT('id', fu.id, 'username', fu.username, 'display_name', fu.display_name)
+    FROM users fu
+    WHERE fu.id = m.forwarded_from_user_id
+  ) as forwarded_from
+`;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Text of a message's HTML content
+const toPlainText = (content) => (content || '')
+  .replace(/<[^>]*>/g, ' ')
+  .replace(/&nbsp;/g, ' ');
+
+// Sending text messages, recording their @mentions and keeping threads up to date, shared by the send-message socket event and the REST endpoint
+// (used by the service worker to flush the offline outbox)
+class MessageService {
+  constructor() {
+    this.THREAD_SUMMARY_COLUMNS = THREAD_SUMMARY_COLUMNS;
+    this.QUOTED_MESSAGE_COLUMN = QUOTED_MESSAGE_COLUMN;
+    this.FORWARDED_FROM_COLUMN = FORWARDED_FROM_COLUMN;
+    this.FORWARD_MAX_MESSAGES = 50;
+    this.FORWARD_MAX_CHATS = 10;
+  }
+
+  isValidClientMessageId(clientMessageId) {
+    return typeof clientMessageId === 'string' && UUID_PATTERN.test(clientMessageId);
+  }
+
+  // Chat name as seen by the user (the other participant's name for direct chats), used in notifications
+  async getChatInfo(chatId, userId) {
+    const result = await pool.query(`
+      SELECT c.id, c.name, c.type,
+             CASE
+               WHEN c.type = 'direct' THEN u.display_name
+               ELSE c.name
+             END as display_name
+      FROM chats c
+      LEFT JOIN chat_participants cp ON c.id = cp.chat_id AND cp.user_id != $1
+      LEFT JOIN users u ON c.type = 'direct' AND u.id = cp.user_id
+      WHERE c.id = $2
+    `, [userId, chatId]);
+
+    return result.rows[0];
+  }
+
+  // Participants of the chat (other than the sender) mentioned in the content with @username
+  async findMentions(chatId, senderId, content) {
+    const text = toPlainText(content);
+    if (!text.includes('@')) {
+      return [];
+    }
+
+    const participants = await pool.query(`
+      SELECT u.id as user_id, u.username
+      FROM chat_participants cp
+      JOIN users u ON u.id = cp.user_id
+      WHERE cp.chat_id = $1 AND cp.user_id != $2
+    `, [chatId, senderId]);
+
+    return participants.rows.filter(({ username }) =>
+      new RegExp(`(^|[^\\w@])@${escapeRegExp(username)}(?!\\w)`, 'i').test(text)
+    );
+  }
+
+  // Store the mentions of a message, replacing earlier ones (after an edit). Returns them as
+  // [{ user_id, username }], the format messages are returned with.
+  async saveMentions(message, senderId) {
+    const mentions = await this.findMentions(message.chat_id, senderId, message.content);
+
+    await pool.query('DELETE FROM message_mentions WHERE message_id = $1', [message.id]);
+    if (mentions.length > 0) {
+      await pool.query(`
+        INSERT INTO message_mentions (message_id, user_id)
+        SELECT $1, user_id FROM UNNEST($2::int[]) AS user_id
+      `, [message.id, mentions.map(mention => mention.user_id)]);
+    }
+
+    return mentions;
+  }
+
+  async getMentions(messageId) {
+    const result = await pool.query(`
+      SELECT mm.user_id, u.username
+      FROM message_mentions mm
+      JOIN users u ON u.id = mm.user_id
+      WHERE mm.message_id = $1
+    `, [messageId]);
+    return result.rows;
+  }
+
+  // Record a change that isn't an UPDATE of the message row itself (e.g. reactions) so clients
+  // resyncing with ?since= pick it up
+  async touchMessage(messageId) {
+    await pool.query(
+      "UPDATE messages SET sync_seq = nextval('message_sync_seq') WHERE id = $1",
+      [messageId]
+    );
+  }
+
+  // The message a reply can be posted in the thread of: a message of the chat that isn't deleted and
+  // isn't a thread reply itself. Returns null otherwise.
+  async getThreadParent(chatId, messageId) {
+    const result = await pool.query(`
+      SELECT id, chat_id, sender_id
+      FROM messages
+      WHERE id = $1 AND chat_id = $2 AND thread_parent_id IS NULL AND deleted_at IS NULL
+    `, [messageId, chatId]);
+    return result.rows[0] || null;
+  }
+
+  // Whether a message can be quoted in the chat: it must be a message of that chat that isn't deleted
+  async isQuotable(chatId, messageId) {
+    const result = await pool.query(
+      'SELECT 1 FROM messages WHERE id = $1 AND chat_id = $2 AND deleted_at IS NULL',
+      [messageId, chatId]
+    );
+    return result.rows.length > 0;
+  }
+
+  // Users taking part in a thread: the author of the message and everyone who replied
+  async getThreadParticipantIds(parentId) {
+    const result = await pool.query(`
+      SELECT DISTINCT sender_id
+      FROM messages
+      WHERE (id = $1 OR thread_parent_id = $1) AND deleted_at IS NULL
+    `, [parentId]);
+    return result.rows.map(row => row.sender_id);
+  }
+
+  // Tell the chat that a thread's reply count or latest reply changed
+  async notifyThreadUpdated(chatId, parentId) {
+    await this.touchMessage(parentId);
+
+    const result = await pool.query(`SELECT ${THREAD_SUMMARY_COLUMNS} FROM messages m WHERE m.id = $1`, [parentId]);
+    getIO().to(`chat-${chatId}`).emit('thread-updated', {
+      chatId,
+      messageId: parentId,
+      threadReplyCount: result.rows[0].thread_reply_count,
+      threadLastReply: result.rows[0].thread_last_reply
+    });
+  }
+
+  // Preview of the message quoted by a message (see QUOTED_MESSAGE_COLUMN)
+  async getQuotedMessage(messageId) {
+    const result = await pool.query(`SELECT ${QUOTED_MESSAGE_COLUMN} FROM messages m WHERE m.id = $1`, [messageId]);
+    return result.rows[0]?.quoted_message || null;
+  }
+
+  // Original sender of a forwarded message (see FORWARDED_FROM_COLUMN)
+  async getForwardedFrom(messageId) {
+    const result = await pool.query(`SELECT ${FORWARDED_FROM_COLUMN} FROM messages m WHERE m.id = $1`, [messageId]);
+    return result.rows[0]?.forwarded_from || null;
+  }
+
+  // Messages the user can forward, oldest first: messages of their chats that aren't deleted, for
+  // everyone or for themselves. forward_source_id is the sender to name on the copies: the original
+  // sender of a message that was forwarded already, otherwise its sender if they allow it.
+  async getForwardableMessages(messageIds, userId) {
+    const result = await pool.query(`
+      SELECT m.id, m.chat_id, m.content, m.message_type, m.image_data, m.attachment_id,
+             CASE
+               WHEN m.forwarded THEN m.forwarded_from_user_id
+               WHEN u.show_forward_source THEN m.sender_id
+             END as forward_source_id
+      FROM messages m
+      JOIN users u ON u.id = m.sender_id
+      JOIN chat_participants cp ON cp.chat_id = m.chat_id AND cp.user_id = $2
+      WHERE m.id = ANY($1::int[])
+        AND m.deleted_at IS NULL
+        AND NOT EXISTS (SELECT 1 FROM hidden_messages hm WHERE hm.message_id = m.id AND hm.user_id = $2)
+      ORDER BY m.created_at, m.id
+    `, [messageIds, userId]);
+    return result.rows;
+  }
+
+  // Send a copy of a message (see getForwardableMessages) to a chat. Attachments aren't copied: the
+  // copy references the original's.
+  async forwardMessage(message, chatId, sender) {
+    const { message: forwarded } = await this.sendMessage({
+      chatId,
+      sender,
+      content: message.content,
+      messageType: message.message_type,
+      imageData: message.image_data,
+      attachmentId: message.attachment_id,
+      forwardedFromUserId: message.forward_source_id,
+      forwarded: true
+    });
+    return forwarded;
+  }
+
+  // Store a message from a chat participant, broadcast it to the chat and send push notifications.
+  // clientMessageId is the id the client generated for the message: sending again with the same id
+  // returns the stored message with created: false instead of creating (and broadcasting) a duplicate.
+  // Replies in a thread pass the thread's message as threadParentId (see getThreadParent) and quotes
+  // pass the quoted message as quotedMessageId (see isQuotable). Forwarded copies (see forwardMessage)
+  // pass forwarded, the original sender to name and the original's image or attachment.
+  async sendMessage({
+    chatId, sender, content, messageType = 'text', quotedMessageId = null, clientMessageId = null, threadParentId = null,
+    imageData = null, attachmentId = null, forwarded = false, forwardedFromUserId = null
+  }) {
+    const result = await pool.query(`
+      INSERT INTO messages (
+        chat_id, sender_id, content, message_type, quoted_message_id, thread_parent_id, status, client_message_id,
+        image_data, attachment_id, forwarded, forwarded_from_user_id
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, 'sent', $7, $8, $9, $10, $11)
+      ON CONFLICT (sender_id, client_message_id) DO NOTHING
+      RETURNING ${MESSAGE_COLUMNS}
+    `, [chatId, sender.id, content, messageType, quotedMessageId, threadParentId, clientMessageId,
+      imageData ? JSON.stringify(imageData) : null, attachmentId, forwarded, forwardedFromUserId]);
+
+    const created = result.rows.length > 0;
+    let message = result.rows[0];
+
+    if (!created) {
+      const existing = await pool.query(`
+        SELECT ${MESSAGE_COLUMNS}, chat_id
+        FROM messages
+        WHERE sender_id = $1 AND client_message_id = $2
+      `, [sender.id, clientMessageId]);
+      ({ chat_id: chatId, ...message } = existing.rows[0]);
+    }
+
+    // Parse image_data if it exists
+    if (message.image_data && typeof message.image_data === 'string') {
+      try {
+        message.image_data = JSON.parse(message.image_data);
+      } catch (error) {
+        console.error('Error parsing image_data:', error);
+      }
+    }
+
+    // Forwarded messages don't @mention anyone in the chats they are forwarded to
+    const mentions = !created
+      ? await this.getMentions(message.id)
+      : message.forwarded ? [] : await this.saveMentions({ ...message, chat_id: chatId }, sender.id);
+
+    const chatInfo = await this.getChatInfo(chatId, sender.id);
+
+    const socketMessage = {
+      ...message,
+      chat_id: chatId,
+      chat_name: chatInfo?.display_name || 'Unknown Chat',
+      sender_id: sender.id,
+      user_id: sender.id,
+      username: sender.username,
+      sender_name: sender.display_name,
+      sender_avatar: sender.avatar_url || null,
+      mentions,
+      // Lets clients tell whether a thread reply concerns them
+      thread_participant_ids: message.thread_parent_id
+        ? await this.getThreadParticipantIds(message.thread_parent_id)
+        : undefined,
+      quotedMessage: message.quoted_message_id ? await this.getQuotedMessage(message.id) : null,
+      attachment: message.attachment_id ? await attachmentService.getAttachmentInfo(message.attachment_id) : null,
+      forwarded_from: message.forwarded_from_user_id ? await this.getForwardedFrom(message.id) : null,
+      editable_until: messageConfig.getEditableUntil(message.created_at),
+      deletable_until: messageConfig.getDeletableUntil(message.created_at)
+    };
+
+    if (!created) {
+      return { message: socketMessage, created };
+    }
+
+    // Broadcast to all participants in the chat
+    getIO().to(`chat-${chatId}`).emit('new-message', socketMessage);
+    if (message.thread_parent_id) {
+      await this.notifyThreadUpdated(chatId, message.thread_parent_id);
+    }
+
+    // Send push notifications to users not currently in the chat
+    try {
+      await pushNotificationService.sendMessageNotification(socketMessage, chatInfo, sender.id);
+    } catch (pushError) {
+      console.error('Error sending push notifications:', pushError);
+      // Don't fail the message sending if push notifications fail
+    }
+
+    return { message: socketMessage, created };
+  }
+}
+
+module.exports = new MessageService();
@@ -0,0 +1,210 @@
+const { pool } = require('../database/connection');
+const { getIO } = require('../socket/socketManager');
+
+const MUTE_DURATIONS = {
+  '1h': 60 * 60 * 1000,
+  '8h': 8 * 60 * 60 * 1000,
+  forever: null
+};
+const NOTIFICATION_LEVELS = ['all', 'mentions'];
+const NOTIFICATION_SOUNDS = ['default', 'chime', 'pop', 'none'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const CHAT_SETTINGS_COLUMNS = 'cp.chat_id, cp.muted_until, cp.notification_level, cp.notification_sound, cp.mentions_bypass_mute';
+const QUIET_HOURS_COLUMNS = 'quiet_hours_enabled, quiet_hours_start, quiet_hours_end, time_zone';
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Per-chat notification settings (mute, mentions only, sound) and per-user quiet hours. The client
+// applies the same rules to in-app notifications (see client/src/utils/notificationPreferences.js).
+class NotificationSettingsService {
+  constructor() {
+    this.MUTE_DURATIONS = Object.keys(MUTE_DURATIONS);
+    this.NOTIFICATION_LEVELS = NOTIFICATION_LEVELS;
+    this.NOTIFICATION_SOUNDS = NOTIFICATION_SOUNDS;
+  }
+
+  isValidTime(time) {
+    return typeof time === 'string' && TIME_PATTERN.test(time);
+  }
+
+  isValidTimeZone(timeZone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // muted_until is parsed to Infinity for chats muted until they are unmuted
+  formatChatSettings(row) {
+    const mutedUntil = row.muted_until;
+    const muted = mutedUntil === Infinity || (mutedUntil instanceof Date && mutedUntil > new Date());
+
+    return {
+      chatId: row.chat_id,
+      muted,
+      mutedUntil: muted && mutedUntil !== Infinity ? mutedUntil.toISOString() : null,
+      notificationLevel: row.notification_level,
+      notificationSound: row.notification_sound,
+      mentionsBypassMute: row.mentions_bypass_mute
+    };
+  }
+
+  formatQuietHours(row) {
+    return {
+      enabled: row.quiet_hours_enabled,
+      start: row.quiet_hours_start.slice(0, 5),
+      end: row.quiet_hours_end.slice(0, 5),
+      timeZone: row.time_zone
+    };
+  }
+
+  // Whether `date` falls within the quiet hours, in the user's time zone. Quiet hours may span
+  // midnight (e.g. 22:00-07:00).
+  isInQuietHours(quietHours, date = new Date()) {
+    if (!quietHours.enabled) {
+      return false;
+    }
+
+    const localTime = new Intl.DateTimeFormat('en-GB', {
+      timeZone: quietHours.timeZone,
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).format(date);
+
+    const now = toMinutes(localTime);
+    const start = toMinutes(quietHours.start);
+    const end = toMinutes(quietHours.end);
+
+    return start <= end
+      ? now >= start && now < end
+      : now >= start || now < end;
+  }
+
+  async getSettings(userId) {
+    const [quietHours, chats] = await Promise.all([
+      pool.query(`SELECT ${QUIET_HOURS_COLUMNS} FROM users WHERE id = $1`, [userId]),
+      pool.query(`SELECT ${CHAT_SETTINGS_COLUMNS} FROM chat_participants cp WHERE cp.user_id = $1`, [userId])
+    ]);
+
+    return {
+      quietHours: this.formatQuietHours(quietHours.rows[0]),
+      chats: chats.rows.map(row => this.formatChatSettings(row))
+    };
+  }
+
+  // Update the user's settings for a chat. `mute` is one of MUTE_DURATIONS or 'off'; omitted fields are
+  // left unchanged. Returns null when the user isn't in the chat.
+  async updateChatSettings(chatId, userId, { mute, notificationLevel, notificationSound, mentionsBypassMute }) {
+    const updates = [];
+    const params = [chatId, userId];
+
+    if (mute !== undefined) {
+      if (mute === 'off') {
+        updates.push('muted_until = NULL');
+      } else if (MUTE_DURATIONS[mute] === null) {
+        updates.push("muted_until = 'infinity'");
+      } else {
+        params.push(MUTE_DURATIONS[mute]);
+        updates.push(`muted_until = CURRENT_TIMESTAMP + $${params.length} * INTERVAL '1 millisecond'`);
+      }
+    }
+    if (notificationLevel !== undefined) {
+      params.push(notificationLevel);
+      updates.push(`notification_level = $${params.length}`);
+    }
+    if (notificationSound !== undefined) {
+      params.push(notificationSound);
+      updates.push(`notification_sound = $${params.length}`);
+    }
+    if (mentionsBypassMute !== undefined) {
+      params.push(mentionsBypassMute);
+      updates.push(`mentions_bypass_mute = $${params.length}`);
+    }
+
+    const result = updates.length > 0
+      ? await pool.query(`
+        UPDATE chat_participants cp
+        SET ${updates.join(', ')}
+        WHERE cp.chat_id = $1 AND cp.user_id = $2
+        RETURNING ${CHAT_SETTINGS_COLUMNS}
+      `, params)
+      : await pool.query(
+        `SELECT ${CHAT_SETTINGS_COLUMNS} FROM chat_participants cp WHERE cp.chat_id = $1 AND cp.user_id = $2`,
+        params
+      );
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const settings = this.formatChatSettings(result.rows[0]);
+    // Other devices of the user apply the new settings to in-app notifications
+    getIO().to(`user-${userId}`).emit('notification-settings-updated', { chat: settings });
+    return settings;
+  }
+
+  async updateQuietHours(userId, { enabled, start, end, timeZone }) {
+    const result = await pool.query(`
+      UPDATE users
+      SET quiet_hours_enabled = $1, quiet_hours_start = $2, quiet_hours_end = $3, time_zone = $4
+      WHERE id = $5
+      RETURNING ${QUIET_HOURS_COLUMNS}
+    `, [enabled, start, end, timeZone, userId]);
+
+    const quietHours = this.formatQuietHours(result.rows[0]);
+    getIO().to(`user-${userId}`).emit('notification-settings-updated', { quietHours });
+    return quietHours;
+  }
+
+  // Participants of the message's chat (except the sender) who should get a push notification for it.
+  // Users are left out during their quiet hours and when the chat is muted, unless they are @mentioned
+  // and chose to hear about mentions in muted chats. Mentions-only chats notify about mentions only.
+  // Thread replies only notify the thread's participants and the users they mention.
+  async getNotificationRecipients(message, senderId) {
+    const result = await pool.query(`
+      SELECT cp.user_id, cp.notification_level, cp.mentions_bypass_mute,
+             cp.muted_until IS NOT NULL AND cp.muted_until > CURRENT_TIMESTAMP as muted,
+             $3::int IS NULL OR cp.user_id IN (
+               SELECT sender_id FROM messages WHERE (id = $3 OR thread_parent_id = $3) AND deleted_at IS NULL
+             ) as in_thread,
+             u.quiet_hours_enabled, u.quiet_hours_start, u.quiet_hours_end, u.time_zone
+      FROM chat_participants cp
+      JOIN users u ON u.id = cp.user_id
+      WHERE cp.chat_id = $1 AND cp.user_id != $2
+    `, [message.chat_id, senderId, message.thread_parent_id || null]);
+
+    const mentionedUserIds = new Set((message.mentions || []).map(mention => mention.user_id));
+    const now = new Date();
+
+    return result.rows
+      .filter(row => {
+        const mentioned = mentionedUserIds.has(row.user_id);
+        if (!row.in_thread && !mentioned) {
+          return false;
+        }
+        if (row.muted && !(mentioned && row.mentions_bypass_mute)) {
+          return false;
+        }
+        return row.notification_level !== 'mentions' || mentioned;
+      })
+      .filter(row => !this.isInQuietHours(this.formatQuietHours(row), now))
+      .map(row => row.user_id);
+  }
+
+  async getNotificationSound(chatId, userId) {
+    const result = await pool.query(
+      'SELECT notification_sound FROM chat_participants WHERE chat_id = $1 AND user_id = $2',
+      [chatId, userId]
+    );
+    return result.rows[0]?.notification_sound || 'default';
+  }
+}
+
+module.exports = new NotificationSettingsService();
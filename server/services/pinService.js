@@ -0,0 +1,154 @@
+const { pool } = require('../database/connection');
+const { getIO } = require('../socket/socketManager');
+
+// A pinned message with a preview of the message itself
+const PIN_SELECT = `
+  SELECT
+    p.message_id,
+    p.chat_id,
+    p.position,
+    p.pinned_by,
+    pu.display_name as pinned_by_name,
+    p.pinned_at,
+    JSON_BUILD_OBJECT(
+      'id', m.id,
+      'content', m.content,
+      'message_type', m.message_type,
+      'sender_id', m.sender_id,
+      'username', u.username,
+      'sender_name', u.display_name,
+      'thread_parent_id', m.thread_parent_id,
+      'created_at', m.created_at,
+      'attachment', CASE WHEN a.id IS NOT NULL THEN JSON_BUILD_OBJECT('id', a.id, 'filename', a.filename) END
+    ) as message
+  FROM pinned_messages p
+  JOIN messages m ON m.id = p.message_id
+  JOIN users u ON u.id = m.sender_id
+  LEFT JOIN users pu ON pu.id = p.pinned_by
+  LEFT JOIN attachments a ON a.id = m.attachment_id
+`;
+
+// Messages pinned to the top of a chat. Anyone can pin in a direct chat; in groups only owners and
+// admins can. Pins are listed by position, which starts out as the order they were pinned in.
+class PinService {
+  constructor() {
+    this.MAX_PINS = 50;
+  }
+
+  // Whether the user may pin and unpin messages in a chat, or null when they aren't in it
+  async canManagePins(chatId, userId) {
+    const result = await pool.query(`
+      SELECT c.type, cp.role
+      FROM chats c
+      JOIN chat_participants cp ON cp.chat_id = c.id AND cp.user_id = $2
+      WHERE c.id = $1
+    `, [chatId, userId]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const { type, role } = result.rows[0];
+    return type === 'direct' || role === 'owner' || role === 'admin';
+  }
+
+  // The chat's pins, leaving out messages the user deleted for themselves
+  async getPins(chatId, userId) {
+    const result = await pool.query(`
+      ${PIN_SELECT}
+      WHERE p.chat_id = $1
+        AND NOT EXISTS (SELECT 1 FROM hidden_messages hm WHERE hm.message_id = p.message_id AND hm.user_id = $2)
+      ORDER BY p.position, p.pinned_at
+    `, [chatId, userId]);
+
+    return result.rows;
+  }
+
+  async getPinCount(chatId) {
+    const result = await pool.query('SELECT COUNT(*)::int as count FROM pinned_messages WHERE chat_id = $1', [chatId]);
+    return result.rows[0].count;
+  }
+
+  // Pin a message after the chat's other pins. Returns the pin, or null when it was already pinned.
+  async pinMessage(message, userId) {
+    const result = await pool.query(`
+      INSERT INTO pinned_messages (message_id, chat_id, position, pinned_by)
+      SELECT $1, $2, COALESCE(MAX(position), 0) + 1, $3
+      FROM pinned_messages
+      WHERE chat_id = $2
+      ON CONFLICT (message_id) DO NOTHING
+      RETURNING message_id
+    `, [message.id, message.chat_id, userId]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const pin = (await pool.query(`${PIN_SELECT} WHERE p.message_id = $1`, [message.id])).rows[0];
+    getIO().to(`chat-${message.chat_id}`).emit('message-pinned', {
+      chatId: message.chat_id,
+      pin
+    });
+    return pin;
+  }
+
+  // Unpin a message. Returns whether it was pinned.
+  async unpinMessage(chatId, messageId) {
+    const result = await pool.query(
+      'DELETE FROM pinned_messages WHERE message_id = $1 RETURNING message_id',
+      [messageId]
+    );
+
+    if (result.rows.length === 0) {
+      return false;
+    }
+
+    getIO().to(`chat-${chatId}`).emit('message-unpinned', {
+      chatId,
+      messageId: result.rows[0].message_id
+    });
+    return true;
+  }
+
+  // Put the chat's pins in the order of messageIds, which must list each of them once. Returns false
+  // when it doesn't.
+  async reorderPins(chatId, messageIds) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const current = await client.query(
+        'SELECT message_id FROM pinned_messages WHERE chat_id = $1 FOR UPDATE',
+        [chatId]
+      );
+      const pinnedIds = new Set(current.rows.map(row => row.message_id));
+      if (messageIds.length !== pinnedIds.size || new Set(messageIds).size !== pinnedIds.size ||
+          !messageIds.every(id => pinnedIds.has(id))) {
+        await client.query('ROLLBACK');
+        return false;
+      }
+
+      await client.query(`
+        UPDATE pinned_messages p
+        SET position = ordered.position
+        FROM UNNEST($2::int[]) WITH ORDINALITY AS ordered(message_id, position)
+        WHERE p.chat_id = $1 AND p.message_id = ordered.message_id
+      `, [chatId, messageIds]);
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    getIO().to(`chat-${chatId}`).emit('pins-reordered', {
+      chatId: parseInt(chatId),
+      messageIds
+    });
+    return true;
+  }
+}
+
+module.exports = new PinService();
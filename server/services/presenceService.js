@@ -0,0 +1,168 @@
+const { pool } = require('../database/connection');
+const { getIO } = require('../socket/socketManager');
+
+// Tracks which users are online. A user is online while at least one of their sockets (tabs, devices)
+// is connected to any server instance; users.last_seen_at is updated whenever they come online or go offline.
+// Each instance records its sockets in user_connections, and a user's connections are counted under a
+// per-user lock, so only the first connection and the last disconnect change the user's presence.
+class PresenceService {
+  constructor() {
+    this.offlineTimers = new Map(); // userId -> pending offline check
+
+    // Reconnects within this window (page reloads, flaky networks) don't show the user as offline
+    this.OFFLINE_GRACE_PERIOD = 5000;
+
+    // Connections recorded longer ago than this whose socket no server instance has anymore belong to an
+    // instance that stopped without removing them
+    this.STALE_CONNECTION_AGE = 60 * 1000;
+
+    // First key of the advisory locks taken on a user's connections (the second is the user id)
+    this.CONNECTIONS_LOCK_KEY = 7246;
+  }
+
+  // Sockets of the given users across all server instances
+  async fetchUserSockets(userIds) {
+    if (userIds.length === 0) {
+      return [];
+    }
+    return getIO().in(userIds.map(userId => `user-${userId}`)).fetchSockets();
+  }
+
+  // Ids of the given users who are online
+  async getOnlineUserIds(userIds) {
+    const sockets = await this.fetchUserSockets(userIds);
+    return new Set(sockets.map(socket => socket.data.userId));
+  }
+
+  async isOnline(userId) {
+    const onlineUserIds = await this.getOnlineUserIds([userId]);
+    return onlineUserIds.has(userId);
+  }
+
+  // Record that a socket connected or disconnected and return how many sockets the user has now.
+  // Connections left behind by stopped instances are removed on the way.
+  async updateConnections(userId, socketId, connected) {
+    const liveSocketIds = (await this.fetchUserSockets([userId])).map(socket => socket.id);
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query('SELECT pg_advisory_xact_lock($1, $2)', [this.CONNECTIONS_LOCK_KEY, userId]);
+
+      if (connected) {
+        await client.query(
+          'INSERT INTO user_connections (socket_id, user_id) VALUES ($1, $2) ON CONFLICT (socket_id) DO NOTHING',
+          [socketId, userId]
+        );
+      } else {
+        await client.query('DELETE FROM user_connections WHERE socket_id = $1', [socketId]);
+      }
+
+      await client.query(`
+        DELETE FROM user_connections
+        WHERE user_id = $1
+          AND socket_id <> ALL($2::text[])
+          AND connected_at < CURRENT_TIMESTAMP - $3 * INTERVAL '1 millisecond'
+      `, [userId, liveSocketIds, this.STALE_CONNECTION_AGE]);
+
+      const result = await client.query(
+        'SELECT COUNT(*)::int as count FROM user_connections WHERE user_id = $1',
+        [userId]
+      );
+
+      await client.query('COMMIT');
+      return result.rows[0].count;
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async userConnected(userId, socketId) {
+    const count = await this.updateConnections(userId, socketId, true);
+
+    // Still within the grace period of the last disconnect: the user never appeared offline
+    if (this.offlineTimers.has(userId)) {
+      clearTimeout(this.offlineTimers.get(userId));
+      this.offlineTimers.delete(userId);
+      return;
+    }
+
+    if (count === 1) {
+      await this.updateLastSeen(userId);
+      await this.broadcastPresence(userId);
+    }
+  }
+
+  async userDisconnected(userId, socketId) {
+    const count = await this.updateConnections(userId, socketId, false);
+    if (count > 0) {
+      return;
+    }
+
+    if (this.offlineTimers.has(userId)) {
+      clearTimeout(this.offlineTimers.get(userId));
+    }
+
+    const timer = setTimeout(async () => {
+      this.offlineTimers.delete(userId);
+      try {
+        // The user may have reconnected through another server instance
+        const result = await pool.query('SELECT 1 FROM user_connections WHERE user_id = $1 LIMIT 1', [userId]);
+        if (result.rows.length > 0) {
+          return;
+        }
+        await this.updateLastSeen(userId);
+        await this.broadcastPresence(userId);
+      } catch (error) {
+        console.error('Error broadcasting presence:', error);
+      }
+    }, this.OFFLINE_GRACE_PERIOD);
+    this.offlineTimers.set(userId, timer);
+  }
+
+  async updateLastSeen(userId) {
+    await pool.query('UPDATE users SET last_seen_at = CURRENT_TIMESTAMP WHERE id = $1', [userId]);
+  }
+
+  // Presence of a user as others see it. Takes a row with id, show_presence and last_seen_at and
+  // the ids of online users (see getOnlineUserIds); users who hide their presence are reported with
+  // unknown (null) values.
+  getPresence(row, onlineUserIds) {
+    if (!row.show_presence) {
+      return { is_online: null, last_seen_at: null };
+    }
+    return {
+      is_online: onlineUserIds.has(row.id),
+      last_seen_at: row.last_seen_at
+    };
+  }
+
+  // Tell everyone who shares a chat with the user about their current presence
+  async broadcastPresence(userId) {
+    const result = await pool.query(`
+      SELECT u.id, u.show_presence, u.last_seen_at, ARRAY_AGG(cp.chat_id) as chat_ids
+      FROM users u
+      JOIN chat_participants cp ON cp.user_id = u.id
+      WHERE u.id = $1
+      GROUP BY u.id
+    `, [userId]);
+
+    if (result.rows.length === 0) {
+      return;
+    }
+
+    const row = result.rows[0];
+    const presence = this.getPresence(row, await this.getOnlineUserIds([userId]));
+
+    getIO().to(row.chat_ids.map(chatId => `chat-${chatId}`)).emit('presence-updated', {
+      userId,
+      isOnline: presence.is_online,
+      lastSeenAt: presence.last_seen_at
+    });
+  }
+}
+
+module.exports = new PresenceService();
@@ -1,5 +1,10 @@
+const crypto = require('crypto');
 const webpush = require('web-push');
+const jwt = require('jsonwebtoken');
 const { pool } = require('../database/connection');
+const sessionService = require('./sessionService');
+const notificationSettingsService = require('./notificationSettingsService');
+const unreadService = require('./unreadService');
 
 // Configure VAPID details
 webpush.setVapidDetails(
@@ -16,9 +21,23 @@ class PushNotificationService {
       console.warn('VAPID keys not configured. Push notifications will not work.');
     }
     
-    // iOS PWA fix: Notification batching to prevent service worker suspension
-    this.notificationQueue = new Map(); // userId -> { messages: [], timeout: null }
+    // iOS PWA fix: Notification batching to prevent service worker suspension.
+    // Queued notifications live in push_notification_queue, shared by all server instances. A user's batch
+    // is sent once no new message arrived for BATCH_DELAY, by whichever instance claims it first.
     this.BATCH_DELAY = 500; // 500ms delay to batch notifications
+    this.MAX_BATCH_DELAY = 5000; // Send a batch after this long even if messages keep arriving
+    // A claim older than this belongs to an instance that stopped before sending the batch. Notifications
+    // that some subscriptions failed to get stay claimed too, so they're retried after this long.
+    this.CLAIM_TIMEOUT = 60 * 1000;
+    // Give up on a queued notification after this many sends that didn't reach every subscription
+    this.MAX_SEND_ATTEMPTS = 5;
+    // Picks up batches left behind by instances that restarted
+    this.QUEUE_SWEEP_INTERVAL = 10 * 1000;
+    this.flushTimeout = null;
+    this.sweepInterval = null;
+
+    // How long the service worker can take to confirm delivery of a message notification
+    this.DELIVERY_TOKEN_EXPIRES_IN = '7d';
   }
 
   // Store a push subscription for a user
@@ -85,26 +104,58 @@ class PushNotificationService {
     }
   }
 
-  // Send push notification to a specific user
-  async sendToUser(userId, payload) {
+  // Get all subscriptions for a user along with their ids
+  async getUserSubscriptionRecords(userId) {
+    const result = await pool.query(
+      'SELECT id, subscription_data FROM push_subscriptions WHERE user_id = $1',
+      [userId]
+    );
+
+    return result.rows.map(row => ({ id: row.id, subscription: JSON.parse(row.subscription_data) }));
+  }
+
+  // Token the service worker sends back once a message notification reached the device
+  createDeliveryToken(userId, subscriptionId, messageIds) {
+    return jwt.sign(
+      { purpose: 'push-delivery', userId, subscriptionId, messageIds },
+      sessionService.getJwtSecret(),
+      { expiresIn: this.DELIVERY_TOKEN_EXPIRES_IN }
+    );
+  }
+
+  // Verify a delivery token and return its payload, or null if it isn't valid
+  verifyDeliveryToken(token) {
+    try {
+      const payload = jwt.verify(token, sessionService.getJwtSecret());
+      return payload.purpose === 'push-delivery' ? payload : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Send push notification to a specific user. When the notification is about messages, pass their ids
+  // as deliveryMessageIds so each device can confirm delivery. Subscriptions in excludeSubscriptionIds
+  // are skipped.
+  async sendToUser(userId, payload, { deliveryMessageIds = null, excludeSubscriptionIds = [] } = {}) {
     if (!this.isConfigured) {
       console.warn('Push notifications not configured');
       return { success: false, error: 'Push notifications not configured' };
     }
 
     try {
-      const subscriptions = await this.getUserSubscriptions(userId);
+      const subscriptions = (await this.getUserSubscriptionRecords(userId))
+        .filter(({ id }) => !excludeSubscriptionIds.includes(id));
       
       if (subscriptions.length === 0) {
         console.log('No push subscriptions found for user:', userId);
-        return { success: false, error: 'No subscriptions found' };
+        return { success: false, error: 'No subscriptions found', results: [] };
       }
 
       const results = [];
       
       // iOS PWA fix: Add small delay between notifications to prevent service worker suspension
       for (let i = 0; i < subscriptions.length; i++) {
-        const subscription = subscriptions[i];
+        const { id: subscriptionId, subscription } = subscriptions[i];
         
         try {
           // Add delay for iOS to prevent service worker suspension
@@ -112,21 +163,34 @@ class PushNotificationService {
             await new Promise(resolve => setTimeout(resolve, 100)); // 100ms delay
           }
           
-          const result = await webpush.sendNotification(subscription, JSON.stringify(payload));
-          results.push({ success: true, subscription: subscription.endpoint });
+          const devicePayload = deliveryMessageIds
+            ? {
+              ...payload,
+              data: {
+                ...payload.data,
+                deliveryToken: this.createDeliveryToken(userId, subscriptionId, deliveryMessageIds)
+              }
+            }
+            : payload;
+
+          await webpush.sendNotification(subscription, JSON.stringify(devicePayload));
+          results.push({ success: true, subscriptionId, subscription: subscription.endpoint });
           console.log('Push notification sent successfully to:', subscription.endpoint);
         } catch (error) {
           console.error('Error sending push notification:', error);
           
           // If subscription is invalid, remove it
-          if (error.statusCode === 410 || error.statusCode === 404) {
+          const removed = error.statusCode === 410 || error.statusCode === 404;
+          if (removed) {
             await this.removeSubscription(userId, subscription.endpoint);
             console.log('Removed invalid subscription:', subscription.endpoint);
           }
           
           results.push({ 
             success: false, 
+            removed,
             error: error.message, 
+            subscriptionId,
             subscription: subscription.endpoint 
           });
         }
@@ -159,16 +223,14 @@ class PushNotificationService {
 
   // Send message notification with batching for iOS
   async sendMessageNotification(message, chatInfo, excludeUserId = null) {
-    // Get all chat participants except the sender
+    if (!this.isConfigured) {
+      return { success: false, error: 'Push notifications not configured' };
+    }
+
+    // Chat participants except the sender, leaving out muted chats and quiet hours
     try {
-      const participants = await pool.query(`
-        SELECT DISTINCT user_id 
-        FROM chat_participants 
-        WHERE chat_id = $1 AND user_id != $2
-      `, [message.chat_id, excludeUserId || message.user_id]);
+      const userIds = await notificationSettingsService.getNotificationRecipients(message, excludeUserId || message.user_id);
 
-      const userIds = participants.rows.map(row => row.user_id);
-      
       if (userIds.length > 0) {
         // iOS PWA fix: Batch notifications to prevent service worker suspension
         return await this.batchMessageNotification(message, chatInfo, userIds);
@@ -183,57 +245,229 @@ class PushNotificationService {
 
   // iOS PWA fix: Batch message notifications to prevent service worker suspension
   async batchMessageNotification(message, chatInfo, userIds) {
-    const results = [];
-    
-    for (const userId of userIds) {
+    // Only what the notification text needs, not the whole message
+    const payload = {
+      message: {
+        id: message.id,
+        chat_id: message.chat_id,
+        content: message.content,
+        message_type: message.message_type,
+        attachment: message.attachment ? { filename: message.attachment.filename } : null,
+        sender_name: message.sender_name,
+        username: message.username,
+        mentioned_user_ids: (message.mentions || []).map(mention => mention.user_id),
+        thread_parent_id: message.thread_parent_id || null
+      },
+      chatInfo: { name: chatInfo?.name, display_name: chatInfo?.display_name }
+    };
+
+    // The unique (user_id, message_id) keeps a message from being queued twice for a user
+    await pool.query(`
+      INSERT INTO push_notification_queue (user_id, message_id, payload)
+      SELECT user_id, $2, $3 FROM UNNEST($1::int[]) AS user_id
+      ON CONFLICT (user_id, message_id) DO NOTHING
+    `, [userIds, message.id, JSON.stringify(payload)]);
+
+    this.scheduleQueueFlush();
+
+    return {
+      success: true,
+      results: userIds.map(userId => ({ userId, success: true, batched: true })),
+      batched: true
+    };
+  }
+
+  // Flush the queue once the batch delay has passed
+  scheduleQueueFlush(delay = this.BATCH_DELAY) {
+    if (this.flushTimeout) {
+      return;
+    }
+
+    this.flushTimeout = setTimeout(async () => {
+      this.flushTimeout = null;
       try {
-        // Add message to user's notification queue
-        if (!this.notificationQueue.has(userId)) {
-          this.notificationQueue.set(userId, { messages: [], timeout: null });
+        await this.flushQueue();
+      } catch (error) {
+        console.error('Error flushing push notification queue:', error);
+      }
+    }, delay);
+  }
+
+  // Periodically flush batches that no running instance has scheduled
+  startQueueWorker() {
+    if (this.sweepInterval) {
+      return;
+    }
+
+    this.sweepInterval = setInterval(() => {
+      this.flushQueue().catch(error => console.error('Error flushing push notification queue:', error));
+    }, this.QUEUE_SWEEP_INTERVAL);
+    this.sweepInterval.unref();
+
+    this.scheduleQueueFlush(0);
+  }
+
+  // Claim the batches that are due and send them. Claimed rows are locked with SKIP LOCKED, so concurrent
+  // instances never claim the same notification. A row is deleted once every subscription of its user got
+  // it; otherwise the subscriptions that did are recorded and the row stays claimed, so it's sent again to
+  // the others after CLAIM_TIMEOUT, like the batches of an instance that stopped mid-send.
+  async flushQueue() {
+    const claimId = crypto.randomUUID();
+
+    const result = await pool.query(`
+      UPDATE push_notification_queue
+      SET claim_id = $1, claimed_at = CURRENT_TIMESTAMP
+      WHERE id IN (
+        SELECT id
+        FROM push_notification_queue
+        WHERE (claimed_at IS NULL OR claimed_at < CURRENT_TIMESTAMP - $2 * INTERVAL '1 millisecond')
+          AND user_id IN (
+            SELECT user_id
+            FROM push_notification_queue
+            WHERE claimed_at IS NULL OR claimed_at < CURRENT_TIMESTAMP - $2 * INTERVAL '1 millisecond'
+            GROUP BY user_id
+            HAVING MAX(created_at) <= CURRENT_TIMESTAMP - $3 * INTERVAL '1 millisecond'
+              OR MIN(created_at) <= CURRENT_TIMESTAMP - $4 * INTERVAL '1 millisecond'
+          )
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING id, user_id, payload, sent_subscription_ids
+    `, [claimId, this.CLAIM_TIMEOUT, this.BATCH_DELAY, this.MAX_BATCH_DELAY]);
+
+    // Rows are batched per user and per subscriptions that already got them, so a retry never goes to a
+    // subscription that got the notification before
+    const batches = new Map(); // user id and sent subscription ids -> batch, oldest notification first
+    result.rows
+      .sort((a, b) => a.id - b.id)
+      .forEach(row => {
+        const sentSubscriptionIds = [...row.sent_subscription_ids].sort((a, b) => a - b);
+        const key = `${row.user_id}:${sentSubscriptionIds.join(',')}`;
+        if (!batches.has(key)) {
+          batches.set(key, { userId: row.user_id, sentSubscriptionIds, messages: [] });
         }
-        
-        const userQueue = this.notificationQueue.get(userId);
-        userQueue.messages.push({ message, chatInfo });
-        
-        // Clear existing timeout
-        if (userQueue.timeout) {
-          clearTimeout(userQueue.timeout);
+        batches.get(key).messages.push({ ...row.payload, queueId: row.id });
+      });
+
+    for (const { userId, sentSubscriptionIds, messages } of batches.values()) {
+      try {
+        const notifications = await this.sendBatchedNotification(userId, messages, {
+          excludeSubscriptionIds: sentSubscriptionIds
+        });
+        for (const { messages: sentMessages, result: sendResult } of notifications) {
+          await this.recordQueueDelivery(claimId, sentMessages.map(({ queueId }) => queueId), sendResult);
         }
-        
-        // Set new timeout to send batched notification
-        userQueue.timeout = setTimeout(async () => {
-          await this.sendBatchedNotification(userId);
-        }, this.BATCH_DELAY);
-        
-        results.push({ userId, success: true, batched: true });
       } catch (error) {
-        console.error(`Error batching notification for user ${userId}:`, error);
-        results.push({ userId, success: false, error: error.message });
+        console.error(`Error sending batched notification to user ${userId}:`, error);
       }
     }
-    
-    return { success: true, results, batched: true };
+
+    // Batches that weren't due yet
+    const pending = await pool.query('SELECT 1 FROM push_notification_queue WHERE claimed_at IS NULL LIMIT 1');
+    if (pending.rows.length > 0) {
+      this.scheduleQueueFlush();
+    }
+
+    return batches;
   }
 
-  // Send batched notification to a user
-  async sendBatchedNotification(userId) {
-    const userQueue = this.notificationQueue.get(userId);
-    if (!userQueue || userQueue.messages.length === 0) {
+  // Delete queued rows whose notification reached every subscription. Otherwise record the subscriptions
+  // it reached and leave the rows claimed for a retry, unless they ran out of attempts.
+  async recordQueueDelivery(claimId, queueIds, sendResult) {
+    const results = sendResult.results;
+    if (Array.isArray(results) && results.every(r => r.success || r.removed)) {
+      await pool.query(
+        'DELETE FROM push_notification_queue WHERE claim_id = $1 AND id = ANY($2::int[])',
+        [claimId, queueIds]
+      );
       return;
     }
-    
-    const messages = userQueue.messages;
+
+    const sentSubscriptionIds = (results || []).filter(r => r.success).map(r => r.subscriptionId);
+    const updated = await pool.query(`
+      UPDATE push_notification_queue
+      SET sent_subscription_ids = ARRAY(SELECT DISTINCT UNNEST(sent_subscription_ids || $3::int[])),
+          attempts = attempts + 1
+      WHERE claim_id = $1 AND id = ANY($2::int[])
+      RETURNING id, attempts
+    `, [claimId, queueIds, sentSubscriptionIds]);
+
+    const exhaustedIds = updated.rows.filter(row => row.attempts >= this.MAX_SEND_ATTEMPTS).map(row => row.id);
+    if (exhaustedIds.length > 0) {
+      console.error('Giving up on queued push notifications:', exhaustedIds);
+      await pool.query('DELETE FROM push_notification_queue WHERE id = ANY($1::int[])', [exhaustedIds]);
+    }
+  }
+
+  // Send batched notification to a user. `messages` are the queued { message, chatInfo } entries.
+  // Messages that @mention the user get a notification of their own, so they stand out from the batch,
+  // and so do the replies of each thread. Returns the { messages, result } of each notification sent.
+  async sendBatchedNotification(userId, messages, { excludeSubscriptionIds = [] } = {}) {
+    const mentions = messages.filter(({ message }) => (message.mentioned_user_ids || []).includes(userId));
+    const threads = new Map(); // thread parent id -> replies
+    const others = [];
+    messages
+      .filter(entry => !mentions.includes(entry))
+      .forEach(entry => {
+        const parentId = entry.message.thread_parent_id;
+        if (!parentId) {
+          others.push(entry);
+          return;
+        }
+        if (!threads.has(parentId)) {
+          threads.set(parentId, []);
+        }
+        threads.get(parentId).push(entry);
+      });
+
+    const groups = [];
+    if (mentions.length > 0) {
+      groups.push({ messages: mentions, options: { mention: true } });
+    }
+    for (const replies of threads.values()) {
+      groups.push({ messages: replies, options: { thread: true } });
+    }
+    if (others.length > 0) {
+      groups.push({ messages: others, options: {} });
+    }
+
+    const notifications = [];
+    for (const group of groups) {
+      const result = await this.sendMessagesNotification(userId, group.messages, {
+        ...group.options,
+        excludeSubscriptionIds
+      });
+      notifications.push({ messages: group.messages, result });
+    }
+    return notifications;
+  }
+
+  // Send one notification about queued messages of a user
+  async sendMessagesNotification(userId, messages, { mention = false, thread = false, excludeSubscriptionIds = [] } = {}) {
     const chatInfo = messages[0].chatInfo; // Use first message's chat info
+    const chatName = chatInfo.display_name || chatInfo.name;
     
+    const sound = await notificationSettingsService.getNotificationSound(messages[0].message.chat_id, userId);
+    // Shown on the app icon by the service worker
+    const badgeCount = await unreadService.getTotalUnreadCount(userId);
+
     // Create batched payload
     let title, body;
-    if (messages.length === 1) {
-      const msg = messages[0].message;
-      title = `${msg.sender_name || msg.username} in ${chatInfo.display_name || chatInfo.name}`;
-      body = this.stripHtml(msg.content);
+    const senderName = messages[0].message.sender_name || messages[0].message.username;
+    if (mention) {
+      title = `${senderName} mentioned you in ${chatName}`;
+      body = messages.length === 1
+        ? this.getMessagePreview(messages[0].message)
+        : `${messages.length} new mentions`;
+    } else if (thread) {
+      title = `${senderName} replied in a thread in ${chatName}`;
+      body = messages.length === 1
+        ? this.getMessagePreview(messages[0].message)
+        : `${messages.length} new replies`;
+    } else if (messages.length === 1) {
+      title = `${senderName} in ${chatName}`;
+      body = this.getMessagePreview(messages[0].message);
     } else {
-      const senderName = messages[0].message.sender_name || messages[0].message.username;
-      title = `${senderName} in ${chatInfo.display_name || chatInfo.name}`;
+      title = `${senderName} in ${chatName}`;
       body = `${messages.length} new messages`;
     }
     
@@ -244,9 +478,12 @@ class PushNotificationService {
       badge: '/manifest.json',
       data: {
         url: `/chat/${messages[0].message.chat_id}`,
+        sound,
+        badgeCount,
         chatId: messages[0].message.chat_id,
         messageId: messages[0].message.id,
-        type: 'message',
+        threadParentId: messages[0].message.thread_parent_id || null,
+        type: mention ? 'mention' : (thread ? 'thread' : 'message'),
         batchCount: messages.length
       },
       actions: [
@@ -262,16 +499,17 @@ class PushNotificationService {
         }
       ],
       requireInteraction: true,
-      silent: false,
-      tag: `chat-${messages[0].message.chat_id}`
+      silent: sound === 'none',
+      tag: thread
+        ? `thread-${messages[0].message.thread_parent_id}`
+        : `${mention ? 'mention' : 'chat'}-${messages[0].message.chat_id}`
     };
     
-    // Clear the queue
-    userQueue.messages = [];
-    userQueue.timeout = null;
-    
     // Send the batched notification
-    return await this.sendToUser(userId, payload);
+    return await this.sendToUser(userId, payload, {
+      deliveryMessageIds: messages.map(({ message }) => message.id),
+      excludeSubscriptionIds
+    });
   }
 
   // Send new chat notification
@@ -306,6 +544,17 @@ class PushNotificationService {
     if (!html) return '';
     return html.replace(/<[^>]*>/g, '').trim();
   }
+
+  // Notification text for a message, e.g. "📎 report.pdf" for file attachments
+  getMessagePreview(message) {
+    if (message.message_type === 'file' && message.attachment) {
+      return `📎 ${message.attachment.filename}`;
+    }
+    if (message.message_type === 'image') {
+      return this.stripHtml(message.content) || '📷 Photo';
+    }
+    return this.stripHtml(message.content);
+  }
 }
 
 module.exports = new PushNotificationService();
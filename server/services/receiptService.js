@@ -0,0 +1,197 @@
+const { pool } = require('../database/connection');
+const { getIO } = require('../socket/socketManager');
+const unreadService = require('./unreadService');
+
+// Per-recipient delivery and read receipts, stored in message_reads.
+// messages.status holds the aggregate: 'read' once every recipient has read the message,
+// 'delivered' once it reached every recipient, 'sent' otherwise. Recipients are the chat's
+// participants other than the sender who were already in the chat when the message was sent.
+class ReceiptService {
+  // Record that messages reached one of a user's devices: a login session ({ sessionId }) or a
+  // push subscription ({ pushSubscriptionId }). The first delivery to any device marks the message delivered.
+  async recordDelivery(messageIds, userId, { sessionId = null, pushSubscriptionId = null }) {
+    if (messageIds.length === 0) {
+      return [];
+    }
+
+    await pool.query(`
+      INSERT INTO message_deliveries (message_id, user_id, session_id, push_subscription_id)
+      SELECT m.id, $2, $3, $4
+      FROM messages m
+      JOIN chat_participants cp ON cp.chat_id = m.chat_id AND cp.user_id = $2
+      WHERE m.id = ANY($1::int[]) AND m.sender_id != $2
+      ON CONFLICT DO NOTHING
+    `, [messageIds, userId, sessionId, pushSubscriptionId]);
+
+    return this.markDelivered(messageIds, userId);
+  }
+
+  // Record that messages reached a user
+  async markDelivered(messageIds, userId) {
+    if (messageIds.length === 0) {
+      return [];
+    }
+
+    const result = await pool.query(`
+      INSERT INTO message_reads (message_id, user_id, delivered_at)
+      SELECT m.id, $2, CURRENT_TIMESTAMP
+      FROM messages m
+      JOIN chat_participants cp ON cp.chat_id = m.chat_id AND cp.user_id = $2
+      WHERE m.id = ANY($1::int[]) AND m.sender_id != $2
+      ON CONFLICT (message_id, user_id)
+      DO UPDATE SET delivered_at = CURRENT_TIMESTAMP
+      WHERE message_reads.delivered_at IS NULL
+      RETURNING message_id, delivered_at
+    `, [messageIds, userId]);
+
+    await this.broadcastReceipts(result.rows, userId, 'delivered_at');
+    return result.rows;
+  }
+
+  // Mark specific messages as read by a user
+  async markRead(messageIds, userId) {
+    if (messageIds.length === 0) {
+      return [];
+    }
+
+    const result = await pool.query(`
+      INSERT INTO message_reads (message_id, user_id, delivered_at, read_at)
+      SELECT m.id, $2, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP
+      FROM messages m
+      JOIN chat_participants cp ON cp.chat_id = m.chat_id AND cp.user_id = $2
+      WHERE m.id = ANY($1::int[]) AND m.sender_id != $2
+      ON CONFLICT (message_id, user_id)
+      DO UPDATE SET
+        read_at = CURRENT_TIMESTAMP,
+        delivered_at = COALESCE(message_reads.delivered_at, CURRENT_TIMESTAMP)
+      WHERE message_reads.read_at IS NULL
+      RETURNING message_id, delivered_at, read_at
+    `, [messageIds, userId]);
+
+    await this.broadcastReceipts(result.rows, userId, 'read_at');
+    await unreadService.markMessagesRead(messageIds, userId);
+    return result.rows;
+  }
+
+  // Mark every message in a chat the user hasn't read yet as read
+  async markChatRead(chatId, userId) {
+    const result = await pool.query(`
+      INSERT INTO message_reads (message_id, user_id, delivered_at, read_at)
+      SELECT m.id, $2, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP
+      FROM messages m
+      JOIN chat_participants cp ON cp.chat_id = m.chat_id AND cp.user_id = $2
+      WHERE m.chat_id = $1
+        AND m.sender_id != $2
+        AND m.status != 'read'
+        AND m.deleted_at IS NULL
+        AND m.created_at >= cp.joined_at
+      ON CONFLICT (message_id, user_id)
+      DO UPDATE SET
+        read_at = CURRENT_TIMESTAMP,
+        delivered_at = COALESCE(message_reads.delivered_at, CURRENT_TIMESTAMP)
+      WHERE message_reads.read_at IS NULL
+      RETURNING message_id, delivered_at, read_at
+    `, [chatId, userId]);
+
+    await this.broadcastReceipts(result.rows, userId, 'read_at');
+    await unreadService.markChatRead(chatId, userId);
+    return result.rows;
+  }
+
+  // Tell the chat about a user's new receipts and update the aggregate status of the affected messages
+  async broadcastReceipts(rows, userId, field) {
+    if (rows.length === 0) {
+      return;
+    }
+
+    const messageIds = rows.map(row => row.message_id);
+    const chatResult = await pool.query('SELECT id, chat_id FROM messages WHERE id = ANY($1::int[])', [messageIds]);
+
+    // Group by chat so each room only hears about its own messages
+    const messageIdsByChat = new Map();
+    chatResult.rows.forEach(({ id, chat_id: chatId }) => {
+      if (!messageIdsByChat.has(chatId)) {
+        messageIdsByChat.set(chatId, []);
+      }
+      messageIdsByChat.get(chatId).push(id);
+    });
+
+    const io = getIO();
+    messageIdsByChat.forEach((chatMessageIds, chatId) => {
+      io.to(`chat-${chatId}`).emit('message-receipts-updated', {
+        chatId,
+        userId,
+        messageIds: chatMessageIds,
+        [field === 'read_at' ? 'readAt' : 'deliveredAt']: rows[0][field]
+      });
+    });
+
+    await this.updateAggregateStatus(messageIds);
+  }
+
+  // Recompute messages.status from the receipts of all recipients and broadcast changes
+  async updateAggregateStatus(messageIds) {
+    const result = await pool.query(`
+      UPDATE messages m
+      SET status = agg.status, updated_at = CURRENT_TIMESTAMP, sync_seq = nextval('message_sync_seq')
+      FROM (
+        SELECT
+          m2.id,
+          CASE
+            WHEN COUNT(mr.read_at) = COUNT(cp.user_id) THEN 'read'
+            WHEN COUNT(mr.delivered_at) = COUNT(cp.user_id) THEN 'delivered'
+            ELSE 'sent'
+          END as status
+        FROM messages m2
+        JOIN chat_participants cp ON cp.chat_id = m2.chat_id
+          AND cp.user_id != m2.sender_id
+          AND cp.joined_at <= m2.created_at
+        LEFT JOIN message_reads mr ON mr.message_id = m2.id AND mr.user_id = cp.user_id
+        WHERE m2.id = ANY($1::int[])
+        GROUP BY m2.id
+      ) agg
+      WHERE m.id = agg.id AND m.status IS DISTINCT FROM agg.status
+      RETURNING m.id, m.chat_id, m.status
+    `, [messageIds]);
+
+    const io = getIO();
+    result.rows.forEach(row => {
+      io.to(`chat-${row.chat_id}`).emit('message-status-updated', {
+        messageId: row.id,
+        status: row.status
+      });
+    });
+
+    return result.rows;
+  }
+
+  // Delivery and read state of a message for each of its recipients
+  async getReceipts(messageId) {
+    const result = await pool.query(`
+      SELECT
+        u.id as user_id,
+        u.username,
+        u.display_name,
+        u.avatar_url,
+        mr.delivered_at,
+        mr.read_at,
+        (
+          SELECT COUNT(*)::int
+          FROM message_deliveries md
+          WHERE md.message_id = m.id AND md.user_id = cp.user_id
+        ) as delivered_devices
+      FROM messages m
+      JOIN chat_participants cp ON cp.chat_id = m.chat_id
+        AND cp.user_id != m.sender_id
+        AND cp.joined_at <= m.created_at
+      JOIN users u ON u.id = cp.user_id
+      LEFT JOIN message_reads mr ON mr.message_id = m.id AND mr.user_id = cp.user_id
+      WHERE m.id = $1
+      ORDER BY mr.read_at DESC NULLS LAST, mr.delivered_at DESC NULLS LAST, u.display_name
+    `, [messageId]);
+
+    return result.rows;
+  }
+}
+
+module.exports = new ReceiptService();
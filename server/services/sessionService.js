@@ -0,0 +1,177 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { pool } = require('../database/connection');
+const { getIO } = require('../socket/socketManager');
+
+class SessionService {
+  constructor() {
+    this.ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
+    this.REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
+    // Only write last_seen_at once per minute per session
+    this.LAST_SEEN_UPDATE_INTERVAL = 60 * 1000;
+    // Time sockets of a revoked session have to receive session-revoked before they are disconnected
+    this.REVOKED_DISCONNECT_DELAY = 1000;
+  }
+
+  getJwtSecret() {
+    return process.env.JWT_SECRET || 'fallback_secret_key';
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  generateRefreshToken() {
+    return crypto.randomBytes(48).toString('hex');
+  }
+
+  signAccessToken(user, sessionId) {
+    return jwt.sign(
+      { userId: user.id, username: user.username, sessionId },
+      this.getJwtSecret(),
+      { expiresIn: this.ACCESS_TOKEN_EXPIRES_IN }
+    );
+  }
+
+  // Verify an access token and return its payload (throws on invalid/expired tokens)
+  verifyAccessToken(token) {
+    return jwt.verify(token, this.getJwtSecret());
+  }
+
+  // Create a new session for a user that just logged in or registered
+  async createSession(user, req) {
+    const refreshToken = this.generateRefreshToken();
+
+    // Drop this user's expired sessions while we're here
+    await pool.query(
+      'DELETE FROM sessions WHERE user_id = $1 AND expires_at < CURRENT_TIMESTAMP',
+      [user.id]
+    );
+
+    const result = await pool.query(`
+      INSERT INTO sessions (user_id, refresh_token_hash, user_agent, ip_address, expires_at)
+      VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP + make_interval(days => $5::int))
+      RETURNING id
+    `, [user.id, this.hashToken(refreshToken), req.headers['user-agent'] || null, req.ip || null, this.REFRESH_TOKEN_TTL_DAYS]);
+
+    const sessionId = result.rows[0].id;
+
+    return {
+      sessionId,
+      accessToken: this.signAccessToken(user, sessionId),
+      refreshToken
+    };
+  }
+
+  // Exchange a refresh token for a new access token and a rotated refresh token
+  async refreshSession(refreshToken, req) {
+    const newRefreshToken = this.generateRefreshToken();
+
+    const result = await pool.query(`
+      UPDATE sessions s
+      SET refresh_token_hash = $2,
+          last_seen_at = CURRENT_TIMESTAMP,
+          user_agent = COALESCE($3, s.user_agent),
+          ip_address = COALESCE($4, s.ip_address)
+      FROM users u
+      WHERE s.refresh_token_hash = $1
+        AND s.user_id = u.id
+        AND s.revoked_at IS NULL
+        AND s.expires_at > CURRENT_TIMESTAMP
+      RETURNING s.id, u.id as user_id, u.username
+    `, [this.hashToken(refreshToken), this.hashToken(newRefreshToken), req.headers['user-agent'] || null, req.ip || null]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const session = result.rows[0];
+
+    return {
+      sessionId: session.id,
+      accessToken: this.signAccessToken({ id: session.user_id, username: session.username }, session.id),
+      refreshToken: newRefreshToken
+    };
+  }
+
+  // Look up the user for an active session, or null if it was revoked or expired
+  async getSessionUser(sessionId, userId) {
+    if (!sessionId) {
+      return null;
+    }
+
+    const result = await pool.query(`
+      SELECT u.id, u.username, u.email, u.display_name, u.avatar_url, u.show_presence, u.show_forward_source, s.last_seen_at
+      FROM sessions s
+      JOIN users u ON s.user_id = u.id
+      WHERE s.id = $1 AND s.user_id = $2
+        AND s.revoked_at IS NULL
+        AND s.expires_at > CURRENT_TIMESTAMP
+    `, [sessionId, userId]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const { last_seen_at: lastSeenAt, ...user } = result.rows[0];
+
+    if (!lastSeenAt || Date.now() - new Date(lastSeenAt).getTime() > this.LAST_SEEN_UPDATE_INTERVAL) {
+      pool.query('UPDATE sessions SET last_seen_at = CURRENT_TIMESTAMP WHERE id = $1', [sessionId])
+        .catch(error => console.error('Error updating session last seen:', error));
+    }
+
+    return user;
+  }
+
+  // Get a user's active sessions
+  async getActiveSessions(userId) {
+    const result = await pool.query(`
+      SELECT id, user_agent, ip_address, created_at, last_seen_at, expires_at
+      FROM sessions
+      WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+      ORDER BY last_seen_at DESC
+    `, [userId]);
+
+    return result.rows;
+  }
+
+  // Revoke a single session belonging to a user
+  async revokeSession(sessionId, userId) {
+    const result = await pool.query(`
+      UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL
+      RETURNING id
+    `, [sessionId, userId]);
+
+    result.rows.forEach(row => this.disconnectSession(row.id));
+    return result.rows.length > 0;
+  }
+
+  // Revoke every active session of a user ("log out all devices")
+  async revokeAllSessions(userId) {
+    const result = await pool.query(`
+      UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP
+      WHERE user_id = $1 AND revoked_at IS NULL
+      RETURNING id
+    `, [userId]);
+
+    result.rows.forEach(row => this.disconnectSession(row.id));
+    return result.rows.length;
+  }
+
+  // Tell sockets of a revoked session to log out, then drop them. Broadcasts relayed between server
+  // instances may arrive out of order, so the sockets get a moment to receive the event first.
+  disconnectSession(sessionId) {
+    try {
+      const io = getIO();
+      io.to(`session-${sessionId}`).emit('session-revoked', { sessionId });
+      setTimeout(() => {
+        io.in(`session-${sessionId}`).disconnectSockets(true);
+      }, this.REVOKED_DISCONNECT_DELAY);
+    } catch (error) {
+      console.error('Error disconnecting session sockets:', error);
+    }
+  }
+}
+
+module.exports = new SessionService();
@@ -0,0 +1,38 @@
+const fs = require('fs');
+const path = require('path');
+
+// Stores blobs as files under a local directory
+class LocalDiskStorage {
+  constructor(options = {}) {
+    this.name = 'local';
+    this.rootDir = path.resolve(options.rootDir || process.env.STORAGE_LOCAL_DIR || path.join(__dirname, '../../uploads'));
+  }
+
+  // Resolve a key to a path, refusing keys that would escape the storage directory
+  resolvePath(key) {
+    const filePath = path.resolve(this.rootDir, key);
+    if (!filePath.startsWith(this.rootDir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  async put(key, buffer) {
+    const filePath = this.resolvePath(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer);
+  }
+
+  // Read a blob, optionally only the inclusive byte range { start, end }
+  async getStream(key, range) {
+    const filePath = this.resolvePath(key);
+    await fs.promises.access(filePath);
+    return fs.createReadStream(filePath, range ? { start: range.start, end: range.end } : undefined);
+  }
+
+  async delete(key) {
+    await fs.promises.rm(this.resolvePath(key), { force: true });
+  }
+}
+
+module.exports = LocalDiskStorage;
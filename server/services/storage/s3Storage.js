@@ -0,0 +1,54 @@
+const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+
+// Stores blobs in an S3-compatible bucket (AWS S3, MinIO, ...)
+class S3Storage {
+  constructor(options = {}) {
+    this.name = 's3';
+    this.bucket = options.bucket || process.env.S3_BUCKET;
+
+    if (!this.bucket) {
+      throw new Error('S3_BUCKET must be set to use the s3 storage backend');
+    }
+
+    const endpoint = options.endpoint || process.env.S3_ENDPOINT;
+    this.client = new S3Client({
+      region: options.region || process.env.S3_REGION || 'us-east-1',
+      // Custom endpoints (e.g. MinIO) usually need path-style URLs
+      ...(endpoint && { endpoint, forcePathStyle: process.env.S3_FORCE_PATH_STYLE !== 'false' }),
+      ...(process.env.S3_ACCESS_KEY_ID && {
+        credentials: {
+          accessKeyId: process.env.S3_ACCESS_KEY_ID,
+          secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+        }
+      })
+    });
+  }
+
+  async put(key, buffer, contentType) {
+    await this.client.send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: key,
+      Body: buffer,
+      ContentType: contentType
+    }));
+  }
+
+  // Read a blob, optionally only the inclusive byte range { start, end }
+  async getStream(key, range) {
+    const response = await this.client.send(new GetObjectCommand({
+      Bucket: this.bucket,
+      Key: key,
+      ...(range && { Range: `bytes=${range.start}-${range.end}` })
+    }));
+    return response.Body;
+  }
+
+  async delete(key) {
+    await this.client.send(new DeleteObjectCommand({
+      Bucket: this.bucket,
+      Key: key
+    }));
+  }
+}
+
+module.exports = S3Storage;
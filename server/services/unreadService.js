@@ -0,0 +1,89 @@
+const { pool } = require('../database/connection');
+const { getIO } = require('../socket/socketManager');
+
+// Unread counts from each participant's read cursor (chat_participants.last_read_message_id). Messages
+// from others after the cursor are unread, except those sent before the user joined the chat and those
+// the user deleted for themselves. Thread
+// replies aren't part of the main message list, so they only count when they @mention the user.
+class UnreadService {
+  // Unread state of the user's chats (or of one chat) as rows of
+  // { chat_id, unread_count, first_unread_message_id, unread_mentions }
+  async getUnreadCounts(userId, chatId = null) {
+    const result = await pool.query(`
+      SELECT
+        cp.chat_id,
+        COUNT(m.id) FILTER (WHERE m.thread_parent_id IS NULL)::int as unread_count,
+        MIN(m.id) FILTER (WHERE m.thread_parent_id IS NULL) as first_unread_message_id,
+        COUNT(mm.message_id)::int as unread_mentions
+      FROM chat_participants cp
+      LEFT JOIN messages m ON m.chat_id = cp.chat_id
+        AND m.id > COALESCE(cp.last_read_message_id, 0)
+        AND m.sender_id IS DISTINCT FROM cp.user_id
+        AND m.deleted_at IS NULL
+        AND m.created_at >= cp.joined_at
+        AND NOT EXISTS (SELECT 1 FROM hidden_messages hm WHERE hm.message_id = m.id AND hm.user_id = cp.user_id)
+      LEFT JOIN message_mentions mm ON mm.message_id = m.id AND mm.user_id = cp.user_id
+      WHERE cp.user_id = $1 AND ($2::int IS NULL OR cp.chat_id = $2)
+      GROUP BY cp.chat_id
+    `, [userId, chatId]);
+
+    return result.rows;
+  }
+
+  // Unread messages across all of the user's chats, for the app badge
+  async getTotalUnreadCount(userId) {
+    const rows = await this.getUnreadCounts(userId);
+    return rows.reduce((total, row) => total + row.unread_count, 0);
+  }
+
+  // Move the user's read cursor forward to a message. The cursor never moves back.
+  async advanceReadCursor(chatId, userId, messageId) {
+    const result = await pool.query(`
+      UPDATE chat_participants
+      SET last_read_message_id = $3
+      WHERE chat_id = $1 AND user_id = $2
+        AND (last_read_message_id IS NULL OR last_read_message_id < $3)
+    `, [chatId, userId, messageId]);
+
+    if (result.rowCount > 0) {
+      await this.emitUnreadCount(chatId, userId);
+    }
+  }
+
+  // Read everything in a chat
+  async markChatRead(chatId, userId) {
+    const result = await pool.query('SELECT MAX(id) as id FROM messages WHERE chat_id = $1', [chatId]);
+    if (result.rows[0].id) {
+      await this.advanceReadCursor(chatId, userId, result.rows[0].id);
+    }
+  }
+
+  // Read up to the newest of the given messages in each of their chats
+  async markMessagesRead(messageIds, userId) {
+    const result = await pool.query(
+      'SELECT chat_id, MAX(id) as id FROM messages WHERE id = ANY($1::int[]) GROUP BY chat_id',
+      [messageIds]
+    );
+
+    for (const row of result.rows) {
+      await this.advanceReadCursor(row.chat_id, userId, row.id);
+    }
+  }
+
+  // Tell all of the user's devices about the chat's new unread count
+  async emitUnreadCount(chatId, userId) {
+    const [row] = await this.getUnreadCounts(userId, chatId);
+    if (!row) {
+      return;
+    }
+
+    getIO().to(`user-${userId}`).emit('unread-count-updated', {
+      chatId: row.chat_id,
+      unreadCount: row.unread_count,
+      firstUnreadMessageId: row.first_unread_message_id,
+      unreadMentions: row.unread_mentions
+    });
+  }
+}
+
+module.exports = new UnreadService();
@@ -0,0 +1,51 @@
+const { pool } = require('../database/connection');
+
+// Socket.IO adapters that relay room broadcasts between server instances. With the default
+// in-memory adapter every client must be connected to the same process; run several instances
+// behind a load balancer with SOCKET_ADAPTER=postgres (LISTEN/NOTIFY on the app database) or
+// SOCKET_ADAPTER=redis (pub/sub on REDIS_URL).
+const ADAPTERS = {
+  memory: async () => null,
+
+  postgres: async () => {
+    const { createAdapter } = require('@socket.io/postgres-adapter');
+    // Payloads too large for NOTIFY are stored in socket_io_attachments (see migration 018)
+    return createAdapter(pool, { tableName: 'socket_io_attachments' });
+  },
+
+  redis: async () => {
+    const { createClient } = require('redis');
+    const { createAdapter } = require('@socket.io/redis-adapter');
+
+    if (!process.env.REDIS_URL) {
+      throw new Error('REDIS_URL must be set to use the redis Socket.IO adapter');
+    }
+
+    const pubClient = createClient({ url: process.env.REDIS_URL });
+    const subClient = pubClient.duplicate();
+    pubClient.on('error', error => console.error('Redis pub client error:', error));
+    subClient.on('error', error => console.error('Redis sub client error:', error));
+    await Promise.all([pubClient.connect(), subClient.connect()]);
+
+    return createAdapter(pubClient, subClient);
+  }
+};
+
+// Attach the adapter selected by SOCKET_ADAPTER (default memory) to the Socket.IO server
+const setupAdapter = async (io) => {
+  const name = process.env.SOCKET_ADAPTER || 'memory';
+  const createAdapter = ADAPTERS[name];
+  if (!createAdapter) {
+    throw new Error(`Unknown Socket.IO adapter: ${name}`);
+  }
+
+  const adapter = await createAdapter();
+  if (adapter) {
+    io.adapter(adapter);
+  }
+  return name;
+};
+
+module.exports = {
+  setupAdapter
+};
@@ -12,7 +12,19 @@ const getIO = () => {
   return ioInstance;
 };
 
+// Every socket is in the room of its user (user-{id}); chat rooms follow membership changes through
+// it, so this works for sockets connected to any server instance
+const addUsersToChatRoom = (chatId, userIds) => {
+  getIO().in(userIds.map(userId => `user-${userId}`)).socketsJoin(`chat-${chatId}`);
+};
+
+const removeUsersFromChatRoom = (chatId, userIds) => {
+  getIO().in(userIds.map(userId => `user-${userId}`)).socketsLeave(`chat-${chatId}`);
+};
+
 module.exports = {
   setIO,
-  getIO
+  getIO,
+  addUsersToChatRoom,
+  removeUsersFromChatRoom
 };